@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+// Script para medir la precisión de los proveedores de captcha con el dataset capturado (CAPTCHA_DATASET_ENABLED=true)
+const fs = require('fs');
+const path = require('path');
+const Config = require('./src/config');
+const Logger = require('./src/logger');
+const CaptchaDataset = require('./src/modules/captcha/CaptchaDataset');
+
+function printUsage() {
+    console.log('🔤 Reporte de Captchas - SINOE');
+    console.log('');
+    console.log('Usage:');
+    console.log('  node captcha-report.js [--desde YYYY-MM-DD] [--objetivo <precisión %>] [--json] [--exportar <archivo.csv>]');
+    console.log('');
+    console.log('  --desde      Solo intentos desde esa fecha');
+    console.log('  --objetivo   Sugiere el MIN_CAPTCHA_CONFIDENCE más bajo que alcanza esa precisión (por defecto 90)');
+    console.log('  --json       Imprime el reporte como JSON');
+    console.log('  --exportar   Escribe un CSV con las imágenes etiquetadas (imagen;texto_correcto;...)');
+    console.log('');
+    console.log('Example:');
+    console.log('  node captcha-report.js --desde 2025-09-01 --objetivo 95');
+    process.exit(1);
+}
+
+function parseOptions(args) {
+    const options = { since: null, target: 90, json: false, exportPath: null };
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--desde':
+                options.since = new Date(`${args[++i]}T00:00:00-05:00`);
+                if (isNaN(options.since)) printUsage();
+                break;
+            case '--objetivo':
+                options.target = parseFloat(args[++i]);
+                if (isNaN(options.target)) printUsage();
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--exportar':
+                options.exportPath = args[++i];
+                if (!options.exportPath) printUsage();
+                break;
+            default:
+                printUsage();
+        }
+    }
+    return options;
+}
+
+const pct = value => value === null ? '-' : `${value}%`;
+
+function printReport(report, target) {
+    console.log(`📊 Captcha attempts: ${report.attempts} (${report.submitted.labelled} labelled by login outcome)`);
+    console.log(`   Submitted answers: ${report.submitted.correct}/${report.submitted.labelled} correct (${pct(report.submitted.accuracy)}), mean confidence ${pct(report.submitted.meanConfidence)}`);
+
+    for (const provider of report.providers) {
+        console.log('');
+        console.log(`🔤 ${provider.provider}: ${provider.answers} answers, ${provider.labelled} labelled`);
+        console.log(`   Accuracy ${pct(provider.accuracy)} (${provider.correct}/${provider.labelled}), mean confidence ${pct(provider.meanConfidence)}`);
+        if (provider.labelled === 0) continue;
+
+        console.log('   Calibration (reported confidence → observed accuracy):');
+        for (const bucket of provider.calibration) {
+            console.log(`     ${String(bucket.from).padStart(3)}-${String(bucket.to).padEnd(3)}  n=${String(bucket.labelled).padEnd(4)} conf ${pct(bucket.meanConfidence).padEnd(6)} acc ${pct(bucket.accuracy)}`);
+        }
+
+        const suggestion = provider.thresholds.find(row => row.accuracy >= target);
+        console.log(suggestion
+            ? `   💡 MIN_CAPTCHA_CONFIDENCE=${suggestion.minConfidence} → ${pct(suggestion.accuracy)} accuracy on ${pct(suggestion.coverage)} of answers`
+            : `   ⚠️ No threshold reaches ${target}% accuracy`);
+    }
+}
+
+function exportCsv(attempts, dataset, exportPath) {
+    const escape = value => /[;"\n]/.test(String(value ?? '')) ? `"${String(value).replace(/"/g, '""')}"` : String(value ?? '');
+    const lines = ['imagen;texto_correcto;proveedor;texto;confianza;correcto;cuenta;fecha'];
+
+    for (const attempt of attempts) {
+        for (const candidate of attempt.candidates) {
+            const correct = dataset.labelCandidate(attempt, candidate);
+            if (correct === null) continue;
+            lines.push([
+                path.join(dataset.dir, attempt.image), attempt.expected || '', dataset.providerKey(candidate),
+                candidate.text, candidate.confidence, correct ? 'si' : 'no', attempt.account || '', attempt.timestamp
+            ].map(escape).join(';'));
+        }
+    }
+
+    fs.writeFileSync(exportPath, lines.join('\n') + '\n');
+    console.log(`✅ ${lines.length - 1} labelled answer(s) written to ${exportPath}`);
+}
+
+async function main() {
+    const options = parseOptions(process.argv.slice(2));
+    const config = Config.get();
+    const logger = new Logger(config.logLevel);
+    const dataset = new CaptchaDataset(config, logger);
+
+    const attempts = await dataset.load({ since: options.since });
+    if (attempts.length === 0) {
+        console.log(`📭 No captcha attempts in ${dataset.dir} (enable CAPTCHA_DATASET_ENABLED=true and run the scraper)`);
+        process.exit(0);
+    }
+
+    const report = dataset.buildReport(attempts);
+    if (options.json) console.log(JSON.stringify(report, null, 2));
+    else printReport(report, options.target);
+
+    if (options.exportPath) exportCsv(attempts, dataset, options.exportPath);
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('❌ Captcha report failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+// Script para administrar el registro de casos (expediente -> cliente y abogados)
+const fs = require('fs');
+const Config = require('./src/config');
+const Logger = require('./src/logger');
+const createStorageManager = require('./src/modules/database/createStorageManager');
+const CaseRegistry = require('./src/modules/cases/CaseRegistry');
+
+const OPTIONS = {
+    '--cliente': 'cliente',
+    '--abogado': 'abogadoResponsable',
+    '--suplente': 'abogadoSuplente',
+    '--materia': 'materia',
+    '--notas': 'notas'
+};
+
+function printUsage() {
+    console.log('📁 Registro de Casos - SINOE');
+    console.log('');
+    console.log('Usage:');
+    console.log('  node casos.js crear <numeroExpediente> --cliente "<nombre>" [--abogado "<nombre>"] [--suplente "<nombre>"] [--materia "<materia>"] [--notas "<texto>"]');
+    console.log('  node casos.js actualizar <numeroExpediente> [--cliente ...] [--abogado ...] [--suplente ...] [--materia ...] [--notas ...]');
+    console.log('  node casos.js importar <archivo.csv>');
+    console.log('  node casos.js ver <numeroExpediente>');
+    console.log('  node casos.js listar');
+    console.log('  node casos.js triaje');
+    console.log('');
+    console.log('CSV: columnas expediente;cliente;abogado;suplente;materia;notas (separador , o ;)');
+    console.log('');
+    console.log('Example:');
+    console.log('  node casos.js crear 00123-2024-0-1801-JR-CI-01 --cliente "Inversiones Andinas SAC" --abogado "Dra. Ana Torres"');
+    process.exit(1);
+}
+
+function parseOptions(args) {
+    const data = {};
+    for (let i = 0; i < args.length; i++) {
+        const field = OPTIONS[args[i]];
+        if (!field || args[i + 1] === undefined) throw new Error(`Invalid option: ${args[i]}`);
+        data[field] = args[++i];
+    }
+    return data;
+}
+
+function printCase(caso, registry) {
+    if (!registry.isAssigned(caso)) {
+        console.log(`🔎 ${caso.numeroExpediente} - pendiente de triaje (detectado ${caso.detectadoEn || '-'})`);
+        if (caso.oficinaJudicial) console.log(`   Oficina: ${caso.oficinaJudicial}`);
+        if (caso.sumilla) console.log(`   Sumilla: ${caso.sumilla}`);
+        return;
+    }
+    console.log(`📁 ${caso.numeroExpediente} - ${registry.formatLabel(caso)}`);
+    if (caso.materia) console.log(`   Materia: ${caso.materia}`);
+    if (caso.notas) console.log(`   Notas: ${caso.notas}`);
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+async function main() {
+    if (!command) printUsage();
+
+    const config = Config.get();
+    const logger = new Logger(config.logLevel);
+    const storageManager = createStorageManager(config, logger);
+    const registry = new CaseRegistry(config, logger, storageManager);
+
+    if (!await storageManager.initialize()) {
+        console.log('❌ Storage not available (check STORAGE_BACKEND, DYNAMODB_ENABLED and AWS credentials)');
+        process.exit(1);
+    }
+
+    switch (command) {
+        case 'crear':
+        case 'actualizar': {
+            const [numeroExpediente, ...options] = args;
+            if (!numeroExpediente) printUsage();
+            const data = { numeroExpediente, ...parseOptions(options) };
+            const caso = command === 'crear' ? await registry.createCase(data) : await registry.updateCase(data);
+            console.log(`✅ Case ${command === 'crear' ? 'created' : 'updated'}`);
+            printCase(caso, registry);
+            break;
+        }
+        case 'importar': {
+            if (!args[0]) printUsage();
+            const results = await registry.importCsv(fs.readFileSync(args[0], 'utf8'));
+            console.log(`✅ Import finished: ${results.created} created, ${results.updated} updated, ${results.errors.length} error(s)`);
+            results.errors.forEach(({ linea, error }) => console.log(`   ❌ Línea ${linea}: ${error}`));
+            break;
+        }
+        case 'ver': {
+            if (!args[0]) printUsage();
+            const caso = await registry.getCase(args[0]);
+            if (!caso) console.log(`📭 Expediente ${args[0]} is not registered`);
+            else printCase(caso, registry);
+            break;
+        }
+        case 'listar':
+        case 'triaje': {
+            const cases = command === 'listar' ? await registry.listCases() : await registry.listTriage();
+            if (cases.length === 0) console.log(command === 'listar' ? '📭 No cases registered' : '✅ No expedientes pending triage');
+            cases.forEach(caso => printCase(caso, registry));
+            break;
+        }
+        default:
+            printUsage();
+    }
+
+    await storageManager.close();
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('❌ Case registry command failed:', error.message);
+    process.exit(1);
+});
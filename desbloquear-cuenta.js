@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+// Script para ver o levantar la suspensión de inicio de sesión de una casilla SINOE
+// (se suspende tras un error de credenciales o un bloqueo; cambiar la contraseña la levanta sola)
+const Config = require('./src/config');
+const Logger = require('./src/logger');
+const createStorageManager = require('./src/modules/database/createStorageManager');
+const AccountManager = require('./src/modules/accounts/AccountManager');
+
+const [cuentaId] = process.argv.slice(2);
+
+if (!cuentaId) {
+    console.log('🔒 Suspensiones de inicio de sesión - SINOE');
+    console.log('');
+    console.log('Usage:');
+    console.log('  node desbloquear-cuenta.js --listar      Muestra las casillas suspendidas');
+    console.log('  node desbloquear-cuenta.js <cuentaId>    Levanta la suspensión de esa casilla');
+    console.log('');
+    console.log('Example:');
+    console.log('  node desbloquear-cuenta.js principal');
+    process.exit(1);
+}
+
+async function main() {
+    const config = Config.get();
+    const logger = new Logger(config.logLevel);
+    const storageManager = createStorageManager(config, logger);
+    const accountManager = new AccountManager(config, logger, storageManager);
+
+    if (!await storageManager.initialize()) {
+        console.log('❌ Storage not available (check STORAGE_BACKEND, DYNAMODB_ENABLED and AWS credentials)');
+        process.exit(1);
+    }
+
+    const accounts = accountManager.getAccounts();
+    if (cuentaId === '--listar') {
+        for (const account of accounts) {
+            const bloqueo = await storageManager.getAccountLoginBlock(account.id);
+            console.log(bloqueo
+                ? `🔒 ${account.id} (${account.label}): ${bloqueo.motivo} since ${bloqueo.fecha} - ${bloqueo.mensaje}`
+                : `✅ ${account.id} (${account.label}): not suspended`);
+        }
+    } else {
+        const account = accounts.find(candidate => candidate.id === cuentaId);
+        if (!account) {
+            console.log(`❌ Unknown account ${cuentaId}. Configured: ${accounts.map(candidate => candidate.id).join(', ')}`);
+            await storageManager.close();
+            process.exit(1);
+        }
+
+        const lifted = await accountManager.clearLoginBlock(account);
+        console.log(lifted ? `✅ Login suspension lifted for ${cuentaId}` : `📭 ${cuentaId} was not suspended`);
+    }
+
+    await storageManager.close();
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('❌ Failed to update login suspension:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+// Script para correr el pipeline completo (runJob) contra el portal SINOE simulado, escenario por escenario.
+// Sale con código 1 si algún escenario no termina como indica su campo `esperado` (útil en CI).
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SinoeMockServer = require('./mock-sinoe/SinoeMockServer');
+
+const args = process.argv.slice(2);
+const names = args.length > 0 ? args : Object.keys(SinoeMockServer.SCENARIOS);
+
+const unknown = names.filter(name => !SinoeMockServer.SCENARIOS[name]);
+if (unknown.length > 0) {
+    console.log('🧪 Pruebas end-to-end contra el portal SINOE simulado');
+    console.log('');
+    console.log('Usage:');
+    console.log('  node e2e-sinoe.js [escenario ...]     Sin argumentos corre todos');
+    console.log('');
+    console.log(`Escenarios: ${Object.keys(SinoeMockServer.SCENARIOS).join(', ')}`);
+    console.log(`Desconocidos: ${unknown.join(', ')}`);
+    process.exit(1);
+}
+
+// Only the mock portal, fixture captchas and throwaway local storage: nothing leaves the machine
+function configureEnvironment(server, workDir) {
+    Object.assign(process.env, {
+        TARGET_URLS: server.loginUrl,
+        HEADLESS: 'true',
+        SLOW_MO: '0',
+        TYPE_DELAY: '0',
+        SUBMIT_DELAY: '200',
+        DELAY_MS: '0',
+        AUTO_SUBMIT_FORM: 'true',
+        INPUT_USUARIO: server.options.usuario,
+        INPUT_PASSWORD: server.options.password,
+        INPUT_CAPTCHA: 'AUTO',
+        FORM_FIELDS: '',
+        SINOE_ACCOUNTS: '',
+        SINOE_ACCOUNTS_FILE: '',
+        CAPTCHA_PROVIDERS: 'fixture',
+        CAPTCHA_FIXTURE_VALUE: server.options.captcha,
+        CAPTCHA_FIXTURE_FILE: '',
+        CAPTCHA_MANUAL_FALLBACK: 'false',
+        CAPTCHA_DATASET_ENABLED: 'false',
+        STORAGE_BACKEND: 'file',
+        STORAGE_FILE_PATH: path.join(workDir, 'notificaciones.json'),
+        DYNAMODB_ENABLED: 'false',
+        AWS_S3_ENABLED: 'false',
+        WHATSAPP_ENABLED: 'false',
+        EMAIL_ENABLED: 'false',
+        DOCUMENTS_ENABLED: 'false',
+        SINOE_SESSION_REUSE: 'false',
+        SEARCH_FECHA_DESDE: '',
+        SEARCH_FECHA_HASTA: '',
+        SEARCH_ULTIMOS_DIAS: '0',
+        SEARCH_EXPEDIENTE: '',
+        SEARCH_ORGANO: '',
+        SEARCH_ESTADO: 'TODAS',
+        LOG_LEVEL: process.env.LOG_LEVEL || 'error'
+    });
+}
+
+function compare(esperado, actual) {
+    return Object.entries(esperado)
+        .filter(([key, value]) => actual[key] !== value)
+        .map(([key, value]) => `${key}: expected ${JSON.stringify(value)}, got ${JSON.stringify(actual[key])}`);
+}
+
+async function runScenario(server, name, workDir) {
+    const EthicalScraper = require('./src/ethicalScraper');
+    server.setScenario(name);
+    fs.rmSync(path.join(workDir, 'notificaciones.json'), { force: true });
+
+    const startedAt = Date.now();
+    const scraper = EthicalScraper.getInstance();
+    let error = null;
+    try {
+        await scraper.runJob();
+    } catch (jobError) {
+        error = jobError;
+    } finally {
+        EthicalScraper.reset();
+    }
+
+    const summary = scraper.accountResults[0] || {};
+    const actual = {
+        error: error ? error.name : null,
+        status: summary.status,
+        notifications: summary.notifications,
+        loginReason: summary.loginReason
+    };
+    const { esperado } = SinoeMockServer.SCENARIOS[name];
+    const differences = compare(esperado, actual);
+    if (!esperado.error && error) differences.unshift(`unexpected ${error.name}: ${error.message}`);
+
+    return { name, differences, actual, portal: { ...server.state }, seconds: Math.round((Date.now() - startedAt) / 1000) };
+}
+
+async function main() {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sinoe-e2e-'));
+    const server = new SinoeMockServer({ port: 0, usuario: 'e2e-usuario', password: 'e2e-clave' });
+    await server.start();
+    configureEnvironment(server, workDir);
+    console.log(`🧪 SINOE mock portal at ${server.baseUrl} - ${names.length} scenario(s)`);
+
+    const outcomes = [];
+    try {
+        for (const name of names) {
+            console.log(`\n▶️  ${name}: ${SinoeMockServer.SCENARIOS[name].descripcion}`);
+            const outcome = await runScenario(server, name, workDir);
+            outcomes.push(outcome);
+            const portal = `${outcome.portal.submissions} submission(s): ${outcome.portal.answers.join(', ') || '-'}`;
+            if (outcome.differences.length === 0) {
+                console.log(`✅ ${name} (${outcome.seconds}s) - ${portal}`);
+            } else {
+                console.log(`❌ ${name} (${outcome.seconds}s) - ${portal}`);
+                outcome.differences.forEach(difference => console.log(`   ${difference}`));
+            }
+        }
+    } finally {
+        await server.stop();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    const failed = outcomes.filter(outcome => outcome.differences.length > 0);
+    console.log(`\n📊 ${outcomes.length - failed.length}/${outcomes.length} scenario(s) passed`);
+    process.exit(failed.length > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error('❌ End-to-end run failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+// Script para consultar el historial (línea de tiempo) de las notificaciones de un expediente
+const Config = require('./src/config');
+const Logger = require('./src/logger');
+const createStorageManager = require('./src/modules/database/createStorageManager');
+
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const [numeroExpediente] = args.filter(arg => arg !== '--json');
+
+if (!numeroExpediente) {
+    console.log('🕓 Historial de Expediente - SINOE');
+    console.log('');
+    console.log('Usage:');
+    console.log('  node historial-expediente.js <numeroExpediente> [--json]');
+    console.log('');
+    console.log('Example:');
+    console.log('  node historial-expediente.js 00123-2024-0-1801-JR-CI-01');
+    process.exit(1);
+}
+
+const formatDate = (iso) => new Date(iso).toLocaleString('es-ES', { timeZone: 'America/Lima' });
+
+async function main() {
+    const config = Config.get();
+    const logger = new Logger(config.logLevel);
+    const storageManager = createStorageManager(config, logger);
+
+    if (!await storageManager.initialize()) {
+        console.log('❌ Storage not available (check STORAGE_BACKEND, DYNAMODB_ENABLED and AWS credentials)');
+        process.exit(1);
+    }
+
+    const timeline = await storageManager.getExpedienteTimeline(numeroExpediente);
+    await storageManager.close();
+
+    if (asJson) {
+        console.log(JSON.stringify(timeline, null, 2));
+        process.exit(0);
+    }
+
+    if (timeline.eventos.length === 0) {
+        console.log(`📭 No history found for ${numeroExpediente}`);
+        process.exit(0);
+    }
+
+    console.log(`🕓 Historial de ${numeroExpediente}\n`);
+    for (const evento of timeline.eventos) {
+        console.log(`${evento.tipoEvento === 'NUEVA' ? '✨' : '📝'} ${formatDate(evento.observadoEn)} - Notificación ${evento.numeroNotificacion} (${evento.tipoEvento})`);
+        console.log(`   Ejecución: ${evento.ejecucionId || '-'} | Vigente hasta: ${formatDate(evento.vigenteHasta)}`);
+        if (evento.tipoEvento === 'NUEVA') {
+            console.log(`   Estado: ${evento.valores.estado} | Sumilla: ${evento.valores.sumilla}`);
+        }
+        for (const cambio of evento.cambios || []) {
+            console.log(`   ${cambio.campo}: ${cambio.anterior ?? '-'} → ${cambio.nuevo ?? '-'}`);
+        }
+    }
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('❌ Failed to get history:', error.message);
+    process.exit(1);
+});
@@ -39,9 +39,15 @@ exports.handler = async (event, context) => {
     console.log('🔧 Initializing SINOE scraper...');
     const scraper = EthicalScraper.getInstance();
     
-    // Run the main scraping job
-    console.log('⚡ Starting scraping job...');
-    const result = await scraper.runJob();
+    // Scheduled reminder invocations skip scraping entirely
+    let result;
+    if (event?.mode === 'reminders') {
+      console.log('⏰ Starting deadline reminders job...');
+      result = await scraper.runReminders();
+    } else {
+      console.log('⚡ Starting scraping job...');
+      result = await scraper.runJob();
+    }
     
     const executionTime = Date.now() - startTime;
     console.log(`✅ Lambda execution completed in ${executionTime}ms`);
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+// Script para levantar el portal SINOE simulado (sin conexión a casillas.pj.gob.pe)
+const SinoeMockServer = require('./mock-sinoe/SinoeMockServer');
+
+function printUsage() {
+    console.log('🧪 Portal SINOE simulado');
+    console.log('');
+    console.log('Usage:');
+    console.log('  node mock-sinoe.js [escenario] [--puerto 4010] [--usuario <u> --password <p>] [--captcha K7P3Q]');
+    console.log('');
+    console.log('Escenarios:');
+    for (const [name, scenario] of Object.entries(SinoeMockServer.SCENARIOS)) {
+        console.log(`  ${name.padEnd(20)} ${scenario.descripcion}`);
+    }
+    console.log('');
+    console.log('Cambiar de escenario sin reiniciar:');
+    console.log('  curl "http://127.0.0.1:4010/__mock/scenario?name=sesion-activa"');
+    console.log('  curl http://127.0.0.1:4010/__mock/state');
+    process.exit(1);
+}
+
+function parseOptions(args) {
+    const options = { scenario: 'normal', port: 4010 };
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--puerto':
+                options.port = parseInt(args[++i]);
+                if (isNaN(options.port)) printUsage();
+                break;
+            case '--usuario':
+                options.usuario = args[++i];
+                break;
+            case '--password':
+                options.password = args[++i];
+                break;
+            case '--captcha':
+                options.captcha = (args[++i] || '').toUpperCase();
+                if (!options.captcha) printUsage();
+                break;
+            default:
+                if (args[i].startsWith('-') || !SinoeMockServer.SCENARIOS[args[i]]) printUsage();
+                options.scenario = args[i];
+        }
+    }
+    if ((options.usuario === undefined) !== (options.password === undefined)) printUsage();
+    return options;
+}
+
+async function main() {
+    const options = parseOptions(process.argv.slice(2));
+    const server = new SinoeMockServer(options);
+    const baseUrl = await server.start();
+
+    console.log(`🧪 SINOE mock portal running at ${baseUrl} (scenario: ${server.scenarioName})`);
+    console.log(`   TARGET_URLS=${server.loginUrl}`);
+    console.log(`   CAPTCHA_PROVIDERS=fixture CAPTCHA_FIXTURE_VALUE=${server.options.captcha}`);
+
+    const shutdown = async () => {
+        await server.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    console.error('❌ Could not start the SINOE mock portal:', error.message);
+    process.exit(1);
+});
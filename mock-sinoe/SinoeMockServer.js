@@ -0,0 +1,252 @@
+// Local stand-in for casillas.pj.gob.pe: login with captcha and #dynamicModal, SSO validation, SESIÓN ACTIVA,
+// menu, paginated bandeja and error states. The scenario can be switched while running through /__mock.
+const crypto = require('crypto');
+const http = require('http');
+const { URL } = require('url');
+const pages = require('./pages');
+const { SCENARIOS, LOGIN_MESSAGES } = require('./scenarios');
+
+const SESSION_COOKIE = 'JSESSIONID';
+
+const SUMILLAS = [
+  'RESOLUCIÓN NÚMERO CINCO - AUTO ADMISORIO',
+  'SENTENCIA - RESOLUCIÓN NÚMERO DOCE',
+  'DECRETO - TÉNGASE PRESENTE',
+  'RESOLUCIÓN NÚMERO TRES - TRASLADO DE LA CONTESTACIÓN',
+  'CITACIÓN A AUDIENCIA ÚNICA'
+];
+
+const OFICINAS = [
+  '2° JUZGADO CIVIL - SEDE ALZAMORA',
+  '1° JUZGADO DE PAZ LETRADO - SEDE CENTRAL',
+  '5° JUZGADO DE TRABAJO - SEDE ANCASH',
+  'SALA CIVIL PERMANENTE - SEDE PALACIO'
+];
+
+const ESPECIALIDADES = [['JR', 'CI'], ['JP', 'CI'], ['JR', 'LA'], ['SP', 'CI']];
+
+class SinoeMockServer {
+  // options: { scenario, usuario, password, captcha, port } - usuario/password null accepts any credentials
+  constructor(options = {}, logger = null) {
+    this.options = {
+      usuario: null,
+      password: null,
+      captcha: 'K7P3Q',
+      port: 4010,
+      ...options
+    };
+    this.logger = logger;
+    this.server = null;
+    this.setScenario(this.options.scenario || 'normal');
+  }
+
+  log(message) {
+    if (this.logger) this.logger.debug(`[mock-sinoe] ${message}`);
+  }
+
+  setScenario(name) {
+    if (!SCENARIOS[name]) {
+      throw new Error(`Unknown mock scenario "${name}". Available: ${Object.keys(SCENARIOS).join(', ')}`);
+    }
+    this.scenarioName = name;
+    this.scenario = SCENARIOS[name];
+    this.reset();
+  }
+
+  // Counters and sessions start over, so a CI step can assert on one run
+  reset() {
+    this.sessions = new Map(); // id -> { usuario, authenticated }
+    this.state = {
+      scenario: this.scenarioName,
+      submissions: 0,
+      logins: 0,
+      logouts: 0,
+      finalizedSessions: 0,
+      answers: []
+    };
+    this.notifications = this.buildNotifications(this.scenario.notificaciones ?? 23);
+  }
+
+  // Deterministic rows: the same scenario always yields the same notifications
+  buildNotifications(count) {
+    const base = Date.UTC(2025, 8, 30, 10, 0, 0); // 30/09/2025 10:00, already in Lima time
+    const pad = n => String(n).padStart(2, '0');
+    return Array.from({ length: count }, (_, i) => {
+      const date = new Date(base - i * 26 * 3600000);
+      const [distrito, especialidad] = ESPECIALIDADES[i % ESPECIALIDADES.length];
+      return {
+        numeroNotificacion: `${String(41230 + i).padStart(5, '0')}-2025`,
+        numeroExpediente: `${String(1200 + i * 7).padStart(5, '0')}-2025-0-1801-${distrito}-${especialidad}-${(i % 9) + 1}`,
+        sumilla: SUMILLAS[i % SUMILLAS.length],
+        oficinaJudicial: OFICINAS[i % OFICINAS.length],
+        fecha: `${pad(date.getUTCDate())}/${pad(date.getUTCMonth() + 1)}/${date.getUTCFullYear()} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:00`,
+        leida: i % 3 === 0
+      };
+    });
+  }
+
+  start(port = this.options.port) {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => {
+        this.handle(req, res).catch(error => {
+          this.log(`Error handling ${req.method} ${req.url}: ${error.message}`);
+          this.send(res, 500, 'text/plain', error.message);
+        });
+      });
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        this.port = this.server.address().port;
+        this.baseUrl = `http://127.0.0.1:${this.port}`;
+        resolve(this.baseUrl);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.closeAllConnections?.();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  get loginUrl() {
+    return `${this.baseUrl}/sinoe/login.xhtml`;
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const session = this.getSession(req);
+    this.log(`${req.method} ${url.pathname}`);
+
+    if (url.pathname.startsWith('/__mock')) return this.handleControl(res, url);
+
+    switch (`${req.method} ${url.pathname}`) {
+      case 'GET /robots.txt':
+        return this.send(res, 200, 'text/plain', 'User-agent: *\nAllow: /\n');
+      case 'GET /':
+      case 'GET /sinoe':
+      case 'GET /sinoe/':
+        return this.redirect(res, '/sinoe/login.xhtml');
+      case 'GET /sinoe/login.xhtml':
+        return this.sendHtml(res, pages.loginPage());
+      case 'POST /sinoe/login.xhtml':
+        return this.handleLogin(req, res);
+      case 'GET /sinoe/captcha.svg':
+        return this.send(res, 200, 'image/svg+xml', pages.captchaSvg(this.options.captcha), { 'Cache-Control': 'no-store' });
+      case 'GET /sinoe/sso-validar.xhtml':
+        return this.sendHtml(res, pages.ssoPage());
+      case 'POST /sinoe/finalizar-sesiones':
+        this.state.finalizedSessions++;
+        return this.redirect(res, '/sinoe/login.xhtml');
+      case 'GET /sinoe/menu.xhtml':
+        if (!session?.authenticated) return this.redirect(res, '/sinoe/login.xhtml');
+        return this.sendHtml(res, pages.menuPage(session));
+      case 'GET /sinoe/bandeja.xhtml':
+        if (!session?.authenticated) return this.redirect(res, '/sinoe/login.xhtml');
+        return this.sendHtml(res, pages.bandejaPage({ notifications: this.notifications, columnas: this.scenario.columnas }));
+      case 'GET /sinoe/logout':
+        if (session) this.sessions.delete(session.id);
+        this.state.logouts++;
+        return this.redirect(res, '/sinoe/login.xhtml', { 'Set-Cookie': `${SESSION_COOKIE}=; Path=/sinoe; Max-Age=0` });
+      default:
+        if (req.method === 'GET' && url.pathname.startsWith('/sinoe/resources/images/')) {
+          return this.send(res, 200, 'image/png', pages.PIXEL_PNG);
+        }
+        return this.send(res, 404, 'text/plain', 'Not found');
+    }
+  }
+
+  // /__mock/state, /__mock/scenarios, /__mock/scenario?name=<escenario>, /__mock/reset (any method)
+  handleControl(res, url) {
+    switch (url.pathname) {
+      case '/__mock/state':
+        return this.sendJson(res, 200, this.state);
+      case '/__mock/scenarios':
+        return this.sendJson(res, 200, Object.fromEntries(Object.entries(SCENARIOS).map(([name, s]) => [name, s.descripcion])));
+      case '/__mock/scenario':
+        try {
+          this.setScenario(url.searchParams.get('name'));
+          return this.sendJson(res, 200, { scenario: this.scenarioName });
+        } catch (error) {
+          return this.sendJson(res, 400, { error: error.message });
+        }
+      case '/__mock/reset':
+        this.reset();
+        return this.sendJson(res, 200, this.state);
+      default:
+        return this.sendJson(res, 404, { error: 'Unknown control endpoint' });
+    }
+  }
+
+  async handleLogin(req, res) {
+    const form = new URLSearchParams(await this.readBody(req));
+    const usuario = form.get('frmLogin:txtUsuario') || '';
+    const password = form.get('frmLogin:txtPassword') || '';
+    const captcha = (form.get('frmLogin:captcha') || '').trim().toUpperCase();
+
+    const answers = this.scenario.login;
+    let answer = answers[Math.min(this.state.submissions, answers.length - 1)];
+    this.state.submissions++;
+
+    if (answer === 'OK') {
+      if (captcha !== this.options.captcha.toUpperCase()) answer = 'CAPTCHA_ERROR';
+      else if (this.options.usuario !== null && (usuario !== this.options.usuario || password !== this.options.password)) answer = 'CREDENCIALES';
+    }
+    this.state.answers.push(answer);
+    this.log(`Login submission ${this.state.submissions}: ${answer}`);
+
+    switch (answer) {
+      case 'OK': {
+        const id = crypto.randomBytes(12).toString('hex');
+        this.sessions.set(id, { id, usuario, authenticated: true });
+        this.state.logins++;
+        return this.redirect(res, '/sinoe/menu.xhtml', { 'Set-Cookie': `${SESSION_COOKIE}=${id}; Path=/sinoe; HttpOnly` });
+      }
+      case 'SSO':
+        return this.redirect(res, '/sinoe/sso-validar.xhtml');
+      case 'SESION_ACTIVA':
+        return this.sendHtml(res, pages.activeSessionPage());
+      default:
+        return this.sendHtml(res, pages.loginPage({ message: LOGIN_MESSAGES[answer] || 'Error inesperado.', captchaVersion: this.state.submissions }));
+    }
+  }
+
+  getSession(req) {
+    const match = (req.headers.cookie || '').match(new RegExp(`${SESSION_COOKIE}=([a-f0-9]+)`));
+    return match ? this.sessions.get(match[1]) || null : null;
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
+  send(res, status, contentType, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': contentType.startsWith('text/') || contentType.includes('svg') ? `${contentType}; charset=utf-8` : contentType, ...headers });
+    res.end(body);
+  }
+
+  sendHtml(res, html) {
+    this.send(res, 200, 'text/html', html);
+  }
+
+  sendJson(res, status, data) {
+    this.send(res, status, 'application/json', JSON.stringify(data, null, 2));
+  }
+
+  redirect(res, location, headers = {}) {
+    res.writeHead(302, { Location: location, ...headers });
+    res.end();
+  }
+}
+
+SinoeMockServer.SCENARIOS = SCENARIOS;
+
+module.exports = SinoeMockServer;
@@ -0,0 +1,260 @@
+// HTML of the SINOE mock portal. Ids, classes and texts follow the real casillas.pj.gob.pe pages
+// wherever the scraper's selectors depend on them (config.formFilling.selectors).
+
+const escapeHtml = value => String(value ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// 1x1 PNG served for every image of the portal except the captcha
+const PIXEL_PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+const HEADERS = {
+  sinoe: ['N°', 'Estado', 'N° Notificación', 'N° Expediente', 'Sumilla', 'Oficina Judicial', 'Fecha'],
+  // Renamed columns: none of the required fields can be mapped any more
+  cambiadas: ['N°', 'Estado', 'Código', 'Proceso', 'Detalle', 'Dependencia', 'Registrado']
+};
+
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 0; }
+  .modal-backdrop { position: fixed; inset: 0; background: rgba(0, 0, 0, .5); }
+  #dynamicModal { position: fixed; inset: 0; display: block; z-index: 10; }
+  #dynamicModal .modal-dialog { background: #fff; width: 420px; margin: 120px auto; padding: 16px; position: relative; }
+  .login-box { width: 320px; margin: 60px auto; display: flex; flex-direction: column; gap: 8px; }
+  .ui-messages-error { background: #fde; border: 1px solid #c00; padding: 8px; }
+  .ui-datatable table { border-collapse: collapse; width: 100%; }
+  .ui-datatable th, .ui-datatable td { border: 1px solid #ccc; padding: 4px; }
+  .ui-paginator a { padding: 2px 6px; cursor: pointer; }
+  .ui-state-active { font-weight: bold; }
+  .ui-state-disabled { opacity: .4; pointer-events: none; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function loginPage({ message = null, captchaVersion = 0 } = {}) {
+  const messages = message
+    ? `<div id="frmLogin:messages" class="ui-messages ui-widget"><div class="ui-messages-error ui-corner-all"><span class="ui-messages-error-summary">${escapeHtml(message)}</span></div></div>`
+    : '';
+
+  return layout('SINOE - Sistema de Notificaciones Electrónicas', `
+<div id="dynamicModal">
+  <div class="modal-backdrop"></div>
+  <div class="modal-dialog">
+    <div class="modal-body"><p>Estimado usuario: recuerde cerrar su sesión al terminar.</p></div>
+    <div class="modal-footer">
+      <button type="button" class="btn btn-default" value="Aceptar" data-dismiss="modal"
+        onclick="document.getElementById('dynamicModal').style.display='none'">Aceptar</button>
+    </div>
+  </div>
+</div>
+<form id="frmLogin" name="frmLogin" method="post" action="/sinoe/login.xhtml" class="login-box">
+  <img src="/sinoe/resources/images/logo-sinoe.png" alt="SINOE">
+  ${messages}
+  <input type="text" id="frmLogin:txtUsuario" name="frmLogin:txtUsuario" placeholder="Usuario" autocomplete="off">
+  <input type="password" id="frmLogin:txtPassword" name="frmLogin:txtPassword" placeholder="Contraseña" autocomplete="off">
+  <img id="frmLogin:imgCapcha" src="/sinoe/captcha.svg?v=${captchaVersion}" width="150" height="50" alt="imagen">
+  <a id="frmLogin:btnRefrescar" href="#" onclick="var img=document.getElementById('frmLogin:imgCapcha');img.src='/sinoe/captcha.svg?v='+Date.now();return false;">Recargar imagen</a>
+  <input type="text" id="frmLogin:captcha" name="frmLogin:captcha" placeholder="Ingrese Captcha" autocomplete="off">
+  <button type="submit" id="frmLogin:btnIngresar" name="frmLogin:btnIngresar" class="btn btn-primary">Ingresar</button>
+</form>`);
+}
+
+function captchaSvg(text) {
+  const letters = String(text).split('').map((char, i) =>
+    `<text x="${18 + i * 24}" y="${32 + (i % 2 ? 4 : -2)}" transform="rotate(${i % 2 ? 8 : -8} ${18 + i * 24} 30)">${escapeHtml(char)}</text>`
+  ).join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="150" height="50" viewBox="0 0 150 50">
+<rect width="150" height="50" fill="#f4f1e8"/>
+<line x1="0" y1="18" x2="150" y2="34" stroke="#a99" stroke-width="2"/>
+<g font-family="monospace" font-size="26" font-weight="bold" fill="#334">${letters}</g>
+</svg>`;
+}
+
+function ssoPage() {
+  return layout('Validación SSO', `
+<div class="login-box">
+  <p>Validando su sesión en el Sistema de Autenticación del Poder Judicial...</p>
+</div>`);
+}
+
+// Real SINOE shows this table when another session of the same user is still open
+function activeSessionPage() {
+  return layout('SINOE - Sesión activa', `
+<div>
+  <div></div>
+  <div></div>
+  <table>
+    <tbody>
+      <tr><td><strong>SESIÓN ACTIVA</strong></td></tr>
+      <tr><td>
+        <p>Se ha detectado que usted cuenta con una sesión activa en otro navegador o equipo.</p>
+        <form id="j_idt9" method="post" action="/sinoe/finalizar-sesiones">
+          <button type="submit" id="j_idt9:btnSalir" name="j_idt9:btnSalir" value="FINALIZAR SESIONES">FINALIZAR SESIONES</button>
+        </form>
+      </td></tr>
+    </tbody>
+  </table>
+</div>`);
+}
+
+function menuHeader() {
+  return `
+<form id="frmMenu" method="get" action="/sinoe/logout">
+  <table><tbody><tr>
+    <td>Casilla electrónica</td>
+    <td><a id="frmMenu:clCerrarSession" href="/sinoe/logout" class="ui-commandlink ui-widget">CERRAR SESION</a></td>
+  </tr></tbody></table>
+</form>`;
+}
+
+function menuPage({ usuario }) {
+  return layout('SINOE - Menú', `
+${menuHeader()}
+<div>
+  <form id="frmNuevo">
+    <div class="ui-panel">
+      <p>Bienvenido(a) ${escapeHtml(usuario)}</p>
+      <a id="frmNuevo:j_idt38" href="/sinoe/bandeja.xhtml" class="ui-commandlink ui-widget">
+        <div><img src="/sinoe/resources/images/logo-menu-sinoe.png" width="120" height="40" alt="SINOE">
+        <span class="txtredbtn">Casillas Electrónicas</span></div>
+      </a>
+    </div>
+  </form>
+</div>`);
+}
+
+// Bandeja with a client-side PrimeFaces-like datatable: paginator and search replace the tbody after a delay, like AJAX
+function bandejaPage({ notifications, columnas = 'sinoe', rowsPerPage = 5, rowsPerPageOptions = [5, 10, 15] }) {
+  const headers = HEADERS[columnas] || HEADERS.sinoe;
+  const data = JSON.stringify(notifications).replace(/</g, '\\u003c');
+  const paginator = position => `
+    <div id="frmBusqueda:tblLista_paginator_${position}" class="ui-paginator ui-paginator-${position} ui-widget-header">
+      <span class="ui-paginator-current"></span>
+      <a class="ui-paginator-prev ui-state-default" data-action="prev">&lt;</a>
+      <span class="ui-paginator-pages"></span>
+      <a class="ui-paginator-next ui-state-default" data-action="next">&gt;</a>
+      <select class="ui-paginator-rpp-options">${rowsPerPageOptions.map(value =>
+        `<option value="${value}"${value === rowsPerPage ? ' selected' : ''}>${value}</option>`).join('')}</select>
+    </div>`;
+
+  return layout('SINOE - Casillas Electrónicas', `
+${menuHeader()}
+<form id="frmBusqueda" onsubmit="return false;">
+  <div>
+    <input type="text" id="frmBusqueda:fechaInicio_input" placeholder="Fecha inicio">
+    <input type="text" id="frmBusqueda:fechaFin_input" placeholder="Fecha fin">
+    <input type="text" id="frmBusqueda:txtNroExpediente" placeholder="N° Expediente">
+    <select id="frmBusqueda:cboEstado">
+      <option value="">TODAS</option><option value="L">LEÍDAS</option><option value="N">NO LEÍDAS</option>
+    </select>
+    <button type="button" id="frmBusqueda:btnBuscar" title="Buscar">Buscar</button>
+  </div>
+  <div id="frmBusqueda:tblLista" class="ui-datatable ui-widget">
+    ${paginator('top')}
+    <div class="ui-datatable-tablewrapper">
+      <table role="grid">
+        <thead><tr>${headers.map(header => `<th class="ui-state-default">${escapeHtml(header)}</th>`).join('')}</tr></thead>
+        <tbody id="frmBusqueda:tblLista_data" class="ui-datatable-data ui-widget-content"></tbody>
+      </table>
+    </div>
+    ${paginator('bottom')}
+  </div>
+</form>
+<script>
+(function () {
+  var all = ${data};
+  var rows = all;
+  var page = 0;
+  var perPage = ${rowsPerPage};
+  var tbody = document.getElementById('frmBusqueda:tblLista_data');
+  var esc = function (v) { var d = document.createElement('div'); d.textContent = v; return d.innerHTML; };
+  var toTime = function (fecha) {
+    var m = /^(\\d{2})\\/(\\d{2})\\/(\\d{4})/.exec(fecha || '');
+    return m ? new Date(+m[3], +m[2] - 1, +m[1]).getTime() : null;
+  };
+
+  function render() {
+    var pages = Math.max(1, Math.ceil(rows.length / perPage));
+    if (page >= pages) page = pages - 1;
+    var slice = rows.slice(page * perPage, (page + 1) * perPage);
+    tbody.innerHTML = slice.length === 0
+      ? '<tr class="ui-widget-content ui-datatable-empty-message"><td colspan="${headers.length}">No se encontraron registros.</td></tr>'
+      : slice.map(function (n, i) {
+          var img = n.leida ? 'abierta.png' : 'cerrada.png';
+          return '<tr class="ui-widget-content" data-ri="' + (page * perPage + i) + '">' +
+            '<td>' + (page * perPage + i + 1) + '</td>' +
+            '<td><img src="/sinoe/resources/images/' + img + '" alt="' + (n.leida ? 'Leída' : 'No leída') + '"></td>' +
+            '<td>' + esc(n.numeroNotificacion) + '</td><td>' + esc(n.numeroExpediente) + '</td>' +
+            '<td>' + esc(n.sumilla) + '</td><td>' + esc(n.oficinaJudicial) + '</td><td>' + esc(n.fecha) + '</td></tr>';
+        }).join('');
+
+    document.querySelectorAll('#frmBusqueda\\\\:tblLista .ui-paginator').forEach(function (paginator) {
+      paginator.querySelector('.ui-paginator-current').textContent = '(' + (page + 1) + ' de ' + pages + ')';
+      var links = '';
+      for (var p = 0; p < pages; p++) {
+        links += '<a class="ui-paginator-page ui-state-default' + (p === page ? ' ui-state-active' : '') + '" data-page="' + p + '">' + (p + 1) + '</a>';
+      }
+      paginator.querySelector('.ui-paginator-pages').innerHTML = links;
+      paginator.querySelector('.ui-paginator-prev').classList.toggle('ui-state-disabled', page === 0);
+      paginator.querySelector('.ui-paginator-next').classList.toggle('ui-state-disabled', page >= pages - 1);
+      paginator.querySelector('.ui-paginator-rpp-options').value = String(perPage);
+    });
+  }
+
+  // AJAX round trip stand-in
+  function update(change) {
+    setTimeout(function () { change(); render(); }, 300);
+  }
+
+  document.querySelectorAll('#frmBusqueda\\\\:tblLista .ui-paginator').forEach(function (paginator) {
+    paginator.addEventListener('click', function (event) {
+      var target = event.target;
+      if (target.dataset.action === 'next') update(function () { page++; });
+      else if (target.dataset.action === 'prev') update(function () { page--; });
+      else if (target.dataset.page) update(function () { page = +target.dataset.page; });
+    });
+    paginator.querySelector('.ui-paginator-rpp-options').addEventListener('change', function (event) {
+      var value = +event.target.value;
+      update(function () { perPage = value; page = 0; });
+    });
+  });
+
+  document.getElementById('frmBusqueda:btnBuscar').addEventListener('click', function () {
+    var desde = toTime(document.getElementById('frmBusqueda:fechaInicio_input').value);
+    var hasta = toTime(document.getElementById('frmBusqueda:fechaFin_input').value);
+    var expediente = document.getElementById('frmBusqueda:txtNroExpediente').value.trim().toUpperCase();
+    var estado = document.getElementById('frmBusqueda:cboEstado').value;
+    update(function () {
+      rows = all.filter(function (n) {
+        var fecha = toTime(n.fecha);
+        return (desde === null || fecha >= desde) && (hasta === null || fecha <= hasta) &&
+          (!expediente || n.numeroExpediente.indexOf(expediente) !== -1) &&
+          (!estado || (estado === 'L') === !!n.leida);
+      });
+      page = 0;
+    });
+  });
+
+  render();
+})();
+</script>`);
+}
+
+module.exports = {
+  PIXEL_PNG,
+  HEADERS,
+  loginPage,
+  captchaSvg,
+  ssoPage,
+  activeSessionPage,
+  menuPage,
+  bandejaPage
+};
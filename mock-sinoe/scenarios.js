@@ -0,0 +1,91 @@
+// Scenarios of the SINOE mock portal. `login` is the answer given to each form submission in order
+// (the last one repeats); `esperado` is what runJob must report for the account (checked by e2e-sinoe.js).
+//
+// Login answers: OK, CAPTCHA_ERROR, CREDENCIALES, BLOQUEADA, CONTRASENA_VENCIDA, MANTENIMIENTO, SSO, SESION_ACTIVA.
+// An OK answer still rejects a wrong captcha or wrong credentials, like the real portal.
+const SCENARIOS = {
+  normal: {
+    descripcion: 'Login al primer intento, 23 notificaciones en varias páginas',
+    login: ['OK'],
+    notificaciones: 23,
+    esperado: { status: 'success', notifications: 23, loginReason: null }
+  },
+  'captcha-incorrecto': {
+    descripcion: 'SINOE rechaza el primer captcha y acepta el segundo',
+    login: ['CAPTCHA_ERROR', 'OK'],
+    notificaciones: 23,
+    esperado: { status: 'success', notifications: 23, loginReason: null }
+  },
+  'captcha-agotado': {
+    descripcion: 'SINOE rechaza todos los captchas',
+    login: ['CAPTCHA_ERROR'],
+    notificaciones: 23,
+    esperado: { status: 'failed', notifications: 0, loginReason: 'CAPTCHA_RETRIES_EXHAUSTED' }
+  },
+  sso: {
+    descripcion: 'El primer envío termina en la validación SSO',
+    login: ['SSO', 'OK'],
+    notificaciones: 23,
+    esperado: { status: 'success', notifications: 23, loginReason: null }
+  },
+  'sso-bucle': {
+    descripcion: 'Cada envío termina en la validación SSO',
+    login: ['SSO'],
+    notificaciones: 23,
+    esperado: { status: 'failed', notifications: 0, loginReason: 'SSO_LOOP' }
+  },
+  'sesion-activa': {
+    descripcion: 'SINOE reporta una SESIÓN ACTIVA que hay que finalizar',
+    login: ['SESION_ACTIVA', 'OK'],
+    notificaciones: 23,
+    esperado: { status: 'success', notifications: 23, loginReason: null }
+  },
+  credenciales: {
+    descripcion: 'Usuario o contraseña incorrectos',
+    login: ['CREDENCIALES'],
+    notificaciones: 23,
+    esperado: { status: 'failed', notifications: 0, loginReason: 'CREDENTIAL_ERROR' }
+  },
+  bloqueada: {
+    descripcion: 'La cuenta está bloqueada por intentos fallidos',
+    login: ['BLOQUEADA'],
+    notificaciones: 23,
+    esperado: { status: 'failed', notifications: 0, loginReason: 'ACCOUNT_LOCKED' }
+  },
+  'contrasena-vencida': {
+    descripcion: 'La contraseña expiró',
+    login: ['CONTRASENA_VENCIDA'],
+    notificaciones: 23,
+    esperado: { status: 'failed', notifications: 0, loginReason: 'PASSWORD_EXPIRED' }
+  },
+  mantenimiento: {
+    descripcion: 'SINOE en mantenimiento',
+    login: ['MANTENIMIENTO'],
+    notificaciones: 23,
+    esperado: { status: 'failed', notifications: 0, loginReason: 'SINOE_MAINTENANCE' }
+  },
+  'sin-notificaciones': {
+    descripcion: 'Bandeja vacía',
+    login: ['OK'],
+    notificaciones: 0,
+    esperado: { status: 'success', notifications: 0, loginReason: null }
+  },
+  'cambio-columnas': {
+    descripcion: 'SINOE renombró las columnas de la bandeja (el job debe abortar)',
+    login: ['OK'],
+    notificaciones: 23,
+    columnas: 'cambiadas',
+    esperado: { error: 'SchemaDriftError' }
+  }
+};
+
+// Texts shown by the portal for each rejected login, as SINOE words them
+const LOGIN_MESSAGES = {
+  CAPTCHA_ERROR: 'El código captcha ingresado es incorrecto.',
+  CREDENCIALES: 'Usuario o contraseña incorrectos.',
+  BLOQUEADA: 'Su cuenta ha sido bloqueada por exceder el número de intentos permitidos.',
+  CONTRASENA_VENCIDA: 'Su contraseña ha expirado, debe cambiar su contraseña.',
+  MANTENIMIENTO: 'El sistema se encuentra en mantenimiento. Intente más tarde.'
+};
+
+module.exports = { SCENARIOS, LOGIN_MESSAGES };
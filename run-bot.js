@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+// Bot de WhatsApp: mantiene la sesión abierta para responder comandos (/pendientes, /exp, /hoy, /plazos, /silenciar)
+const Config = require('./src/config');
+const Logger = require('./src/logger');
+const WhatsAppManager = require('./src/modules/whatsapp/WhatsAppManager');
+
+const config = Config.get();
+const logger = new Logger(config.logLevel);
+
+console.log('🤖 SINOE WhatsApp Bot - Consultas por comandos');
+console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+async function shutdown(signal) {
+    console.log(`📴 Received ${signal}, shutting down gracefully...`);
+    await WhatsAppManager.destroyInstance();
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+async function main() {
+    if (!config.whatsapp?.enabled) {
+        console.log('❌ WhatsApp is disabled (set WHATSAPP_ENABLED=true)');
+        process.exit(1);
+    }
+    if (config.whatsapp.commands?.enabled === false) {
+        console.log('❌ WhatsApp commands are disabled (WHATSAPP_COMMANDS_ENABLED=false)');
+        process.exit(1);
+    }
+
+    const whatsappManager = WhatsAppManager.getInstance(config, logger);
+    if (!await whatsappManager.initialize()) {
+        console.log('❌ WhatsApp could not be initialized');
+        await WhatsAppManager.destroyInstance();
+        process.exit(1);
+    }
+
+    console.log('✅ Bot listening for commands - press Ctrl+C to stop');
+}
+
+main().catch(async error => {
+    console.error('❌ Bot failed:', error.message);
+    await WhatsAppManager.destroyInstance();
+    process.exit(1);
+});
@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+
+// Script para enviar recordatorios de plazos próximos a vencer (sin scraping)
+const EthicalScraper = require('./src/ethicalScraper');
+
+async function main() {
+    const scraper = EthicalScraper.getInstance();
+    const results = await scraper.runReminders();
+
+    if (!results) {
+        console.log('❌ Reminders could not run (check STORAGE_BACKEND, DYNAMODB_ENABLED and AWS credentials)');
+        process.exit(1);
+    }
+
+    console.log(`✅ ${results.remindersSent} recordatorio(s) enviados para ${results.notifications} notificación(es) próximas a vencer`);
+    process.exit(results.recipientsFailed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error('❌ Failed to run reminders:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+// Script para registrar manualmente el plazo (días hábiles) de una notificación
+const Config = require('./src/config');
+const Logger = require('./src/logger');
+const createStorageManager = require('./src/modules/database/createStorageManager');
+const DeadlineCalculator = require('./src/modules/deadlines/DeadlineCalculator');
+
+const args = process.argv.slice(2);
+
+if (args.length < 3) {
+    console.log('⏳ Plazo Manual - SINOE');
+    console.log('');
+    console.log('Usage:');
+    console.log('  node set-plazo.js <numeroExpediente> <numeroNotificacion> <diasHabiles>');
+    console.log('');
+    console.log('Example:');
+    console.log('  node set-plazo.js 00123-2024-0-1801-JR-CI-01 12345-2024 5');
+    process.exit(1);
+}
+
+const [numeroExpediente, numeroNotificacion, diasArg] = args;
+const dias = parseInt(diasArg);
+
+if (!(dias > 0)) {
+    console.log(`❌ Invalid number of días hábiles: ${diasArg}`);
+    process.exit(1);
+}
+
+async function main() {
+    const config = Config.get();
+    const logger = new Logger(config.logLevel);
+    const storageManager = createStorageManager(config, logger);
+    const calculator = new DeadlineCalculator(config, logger);
+
+    if (!await storageManager.initialize()) {
+        console.log('❌ Storage not available (check STORAGE_BACKEND, DYNAMODB_ENABLED and AWS credentials)');
+        process.exit(1);
+    }
+
+    const item = await storageManager.getNotification(numeroExpediente, numeroNotificacion);
+    if (!item) {
+        console.log(`❌ Notification ${numeroExpediente} / ${numeroNotificacion} not found`);
+        process.exit(1);
+    }
+    if (!item.fechaNotificacion) {
+        console.log('❌ Notification has no parsed fechaNotificacion - cannot compute due date');
+        process.exit(1);
+    }
+
+    const fechaVencimiento = calculator.computeDueDate(item.fechaNotificacion, dias);
+    const saved = await storageManager.setManualPlazo(numeroExpediente, numeroNotificacion, { dias, fechaVencimiento });
+
+    await storageManager.close();
+
+    if (saved) {
+        console.log(`✅ Plazo de ${dias} días hábiles registrado - vence ${calculator.formatDueDate(fechaVencimiento)}`);
+        process.exit(0);
+    }
+    process.exit(1);
+}
+
+main().catch(error => {
+    console.error('❌ Failed to set plazo:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+// Script para consultar, guardar o borrar las reglas de suscripción de un destinatario en el almacenamiento
+const fs = require('fs');
+const Config = require('./src/config');
+const Logger = require('./src/logger');
+const createStorageManager = require('./src/modules/database/createStorageManager');
+const SubscriptionManager = require('./src/modules/subscriptions/SubscriptionManager');
+
+const args = process.argv.slice(2);
+
+if (args.length < 1) {
+    console.log('📋 Suscripciones - SINOE');
+    console.log('');
+    console.log('Usage:');
+    console.log('  node set-suscripcion.js <telefono|email>                 Muestra las reglas vigentes');
+    console.log('  node set-suscripcion.js <telefono|email> <reglas.json>   Guarda las reglas del archivo');
+    console.log('  node set-suscripcion.js <telefono|email> --borrar        Borra las reglas guardadas');
+    console.log('');
+    console.log('Example:');
+    console.log('  node set-suscripcion.js 51987654321 reglas-ana.json');
+    console.log('');
+    console.log('Formato de reglas: ver src/modules/subscriptions/suscripciones.example.json');
+    process.exit(1);
+}
+
+const [destinatario, accion] = args;
+
+async function main() {
+    const config = Config.get();
+    const logger = new Logger(config.logLevel);
+    const storageManager = createStorageManager(config, logger);
+    const subscriptionManager = new SubscriptionManager(config, logger, storageManager);
+
+    if (!await storageManager.initialize()) {
+        console.log('❌ Storage not available (check STORAGE_BACKEND, DYNAMODB_ENABLED and AWS credentials)');
+        process.exit(1);
+    }
+
+    const recipient = destinatario.includes('@') ? { email: destinatario } : { phone: destinatario };
+    const [key] = subscriptionManager.getKeys(recipient);
+
+    if (accion === '--borrar') {
+        await subscriptionManager.clearRules(key);
+        console.log(`✅ Stored rules removed for ${key}`);
+    } else if (accion) {
+        let reglas;
+        try {
+            reglas = JSON.parse(fs.readFileSync(accion, 'utf8'));
+            reglas = reglas.reglas || reglas;
+            await subscriptionManager.saveRules(key, reglas);
+        } catch (error) {
+            console.log(`❌ Invalid rules file ${accion}: ${error.message}`);
+            await storageManager.close();
+            process.exit(1);
+        }
+        console.log(`✅ Rules saved for ${key}`);
+    }
+
+    const reglas = await subscriptionManager.getRules(recipient);
+    await storageManager.close();
+
+    console.log(reglas
+        ? `📋 Rules in effect for ${key}:\n${JSON.stringify(reglas, null, 2)}`
+        : `📋 ${key} has no rules and receives every notification`);
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('❌ Failed to update subscription:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+// Script para crear la tabla de notificaciones, sus índices (GSI) y la tabla de historial en DynamoDB.
+// Es idempotente: solo crea lo que falta, por lo que también sirve para migrar tablas existentes.
+const AWS = require('aws-sdk');
+const Config = require('./src/config');
+
+const POLL_INTERVAL = 10000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function getIndexDefinitions(dynamoConfig) {
+    return [
+        {
+            IndexName: dynamoConfig.fechaIndexName,
+            KeySchema: [
+                { AttributeName: 'fechaCreacionItem', KeyType: 'HASH' },
+                { AttributeName: 'numeroNotificacion', KeyType: 'RANGE' }
+            ],
+            Projection: { ProjectionType: 'ALL' }
+        },
+        {
+            IndexName: dynamoConfig.estadoIndexName,
+            KeySchema: [
+                { AttributeName: 'estado', KeyType: 'HASH' },
+                { AttributeName: 'fechaCreacionItem', KeyType: 'RANGE' }
+            ],
+            Projection: { ProjectionType: 'ALL' }
+        },
+        // Índice disperso de plazos: solo las notificaciones con fechaVencimiento tienen mesVencimiento (YYYY-MM)
+        {
+            IndexName: dynamoConfig.vencimientoIndexName,
+            KeySchema: [
+                { AttributeName: 'mesVencimiento', KeyType: 'HASH' },
+                { AttributeName: 'numeroNotificacion', KeyType: 'RANGE' }
+            ],
+            Projection: { ProjectionType: 'ALL' }
+        }
+    ];
+}
+
+const ATTRIBUTE_DEFINITIONS = [
+    { AttributeName: 'numeroExpediente', AttributeType: 'S' },
+    { AttributeName: 'numeroNotificacion', AttributeType: 'S' },
+    { AttributeName: 'fechaCreacionItem', AttributeType: 'S' },
+    { AttributeName: 'estado', AttributeType: 'S' },
+    { AttributeName: 'mesVencimiento', AttributeType: 'S' }
+];
+
+async function describeTable(dynamodb, tableName) {
+    try {
+        const { Table } = await dynamodb.describeTable({ TableName: tableName }).promise();
+        return Table;
+    } catch (error) {
+        if (error.code === 'ResourceNotFoundException') return null;
+        throw error;
+    }
+}
+
+// Table and every index must be ACTIVE before the next UpdateTable call
+async function waitUntilActive(dynamodb, tableName) {
+    while (true) {
+        const table = await describeTable(dynamodb, tableName);
+        const pending = (table.GlobalSecondaryIndexes || []).filter(index => index.IndexStatus !== 'ACTIVE');
+        if (table.TableStatus === 'ACTIVE' && pending.length === 0) return table;
+
+        console.log(`⏳ Waiting for ${tableName} (${table.TableStatus}${pending.length ? `, indexes: ${pending.map(i => `${i.IndexName}=${i.IndexStatus}`).join(', ')}` : ''})...`);
+        await wait(POLL_INTERVAL);
+    }
+}
+
+// Append-only history: one item per observed version, sorted by observation time within an expediente
+async function ensureHistoryTable(dynamodb, historyTableName) {
+    if (await describeTable(dynamodb, historyTableName)) {
+        console.log(`ℹ️  History table ${historyTableName} already exists`);
+        return;
+    }
+
+    console.log(`✨ Creating history table ${historyTableName}...`);
+    await dynamodb.createTable({
+        TableName: historyTableName,
+        BillingMode: 'PAY_PER_REQUEST',
+        AttributeDefinitions: [
+            { AttributeName: 'numeroExpediente', AttributeType: 'S' },
+            { AttributeName: 'observacionId', AttributeType: 'S' }
+        ],
+        KeySchema: [
+            { AttributeName: 'numeroExpediente', KeyType: 'HASH' },
+            { AttributeName: 'observacionId', KeyType: 'RANGE' }
+        ]
+    }).promise();
+    await waitUntilActive(dynamodb, historyTableName);
+    console.log(`✅ History table ${historyTableName} created`);
+}
+
+// Items saved before the deadlines index existed have fechaVencimiento but no mesVencimiento
+async function backfillDeadlineKeys(docClient, tableName) {
+    let updated = 0;
+    let lastKey;
+    do {
+        const result = await docClient.scan({
+            TableName: tableName,
+            FilterExpression: 'attribute_type(#fv, :string) AND attribute_not_exists(#mv)',
+            ProjectionExpression: 'numeroExpediente, numeroNotificacion, #fv',
+            ExpressionAttributeNames: { '#fv': 'fechaVencimiento', '#mv': 'mesVencimiento' },
+            ExpressionAttributeValues: { ':string': 'S' },
+            ExclusiveStartKey: lastKey
+        }).promise();
+
+        for (const item of result.Items || []) {
+            await docClient.update({
+                TableName: tableName,
+                Key: { numeroExpediente: item.numeroExpediente, numeroNotificacion: item.numeroNotificacion },
+                UpdateExpression: 'SET #mv = :mes',
+                ExpressionAttributeNames: { '#mv': 'mesVencimiento' },
+                ExpressionAttributeValues: { ':mes': item.fechaVencimiento.substring(0, 7) }
+            }).promise();
+            updated++;
+        }
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    console.log(updated > 0
+        ? `✅ mesVencimiento added to ${updated} notification(s) with a deadline`
+        : 'ℹ️  Every notification with a deadline already has mesVencimiento');
+}
+
+async function main() {
+    const config = Config.get();
+    const dynamoConfig = config.dynamodb;
+    const tableName = dynamoConfig.tableName;
+
+    AWS.config.update({ region: dynamoConfig.region || 'us-east-1' });
+    const dynamodb = new AWS.DynamoDB();
+    const indexes = getIndexDefinitions(dynamoConfig);
+
+    console.log(`🗄️ DynamoDB setup - table ${tableName} (${dynamoConfig.region})`);
+
+    let table = await describeTable(dynamodb, tableName);
+    if (!table) {
+        console.log(`✨ Creating table ${tableName} with indexes ${indexes.map(i => i.IndexName).join(', ')}...`);
+        await dynamodb.createTable({
+            TableName: tableName,
+            BillingMode: 'PAY_PER_REQUEST',
+            AttributeDefinitions: ATTRIBUTE_DEFINITIONS,
+            KeySchema: [
+                { AttributeName: 'numeroExpediente', KeyType: 'HASH' },
+                { AttributeName: 'numeroNotificacion', KeyType: 'RANGE' }
+            ],
+            GlobalSecondaryIndexes: indexes
+        }).promise();
+        await waitUntilActive(dynamodb, tableName);
+        console.log(`✅ Table ${tableName} created`);
+        await ensureHistoryTable(dynamodb, dynamoConfig.historyTableName);
+        return;
+    }
+
+    await ensureHistoryTable(dynamodb, dynamoConfig.historyTableName);
+
+    table = await waitUntilActive(dynamodb, tableName);
+    const provisioned = table.BillingModeSummary?.BillingMode !== 'PAY_PER_REQUEST';
+
+    // DynamoDB only accepts one new GSI per UpdateTable call
+    for (const index of indexes) {
+        if ((table.GlobalSecondaryIndexes || []).some(existing => existing.IndexName === index.IndexName)) {
+            console.log(`ℹ️  Index ${index.IndexName} already exists`);
+            continue;
+        }
+
+        console.log(`🔧 Creating index ${index.IndexName} (existing items are backfilled by DynamoDB)...`);
+        await dynamodb.updateTable({
+            TableName: tableName,
+            AttributeDefinitions: ATTRIBUTE_DEFINITIONS,
+            GlobalSecondaryIndexUpdates: [{
+                Create: provisioned
+                    ? { ...index, ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 } }
+                    : index
+            }]
+        }).promise();
+        table = await waitUntilActive(dynamodb, tableName);
+        console.log(`✅ Index ${index.IndexName} active`);
+    }
+
+    await backfillDeadlineKeys(new AWS.DynamoDB.DocumentClient(), tableName);
+
+    console.log('✅ DynamoDB setup completed');
+}
+
+main().then(() => process.exit(0)).catch(error => {
+    console.error('❌ DynamoDB setup failed:', error.message);
+    process.exit(1);
+});
@@ -1,24 +1,24 @@
-// Captcha solving with OpenAI Vision
-const OpenAI = require('openai');
+// Captcha solving through a chain of providers (OpenAI Vision, Tesseract OCR, human, fixture)
+const createCaptchaProviders = require('./modules/captcha/createCaptchaProviders');
+const CaptchaDataset = require('./modules/captcha/CaptchaDataset');
+const SelectorRegistry = require('./modules/selectors/SelectorRegistry');
 
 class CaptchaSolver {
-  constructor(config, logger) {
+  constructor(config, logger, selectorRegistry = null) {
     this.config = config.formFilling;
     this.logger = logger;
-    this.openai = null;
-    
-    if (this.config.openai.apiKey && this.config.openai.enabled) {
-      this.openai = new OpenAI({
-        apiKey: this.config.openai.apiKey
-      });
-      this.logger.info('🤖 OpenAI captcha solver initialized');
-    } else {
-      this.logger.info('⚠️ OpenAI captcha solver disabled - missing API key or disabled in config');
-    }
+    this.selectorRegistry = selectorRegistry || new SelectorRegistry(config, logger);
+    this.account = config.account || null;
+    this.chain = createCaptchaProviders(config, logger);
+    this.dataset = new CaptchaDataset(config, logger);
+    this.pendingAttemptId = null; // Dataset attempt waiting for its login outcome
+    this.logger.info(`🔤 Captcha provider chain: ${this.chain.map(({ provider, minConfidence }) => `${provider.name}(${minConfidence}%)`).join(' → ') || 'none'}`);
   }
 
   async solveCaptcha(page) {
-    if (!this.openai || !this.config.openai.enabled) {
+    this.pendingAttemptId = null;
+
+    if (this.chain.length === 0) {
       this.logger.info('🔤 Auto captcha solving disabled - using manual value');
       return { text: this.getManualCaptchaValue(), confidence: 0 };
     }
@@ -42,16 +42,20 @@ class CaptchaSolver {
         return { text: this.getManualCaptchaValue(), confidence: 0 };
       }
 
-      this.logger.info('🤖 Sending captcha to OpenAI for solving...');
-      
-      // Solve with OpenAI
-      const solvedResult = await this.solveWithOpenAI(imageBase64);
+      const candidates = [];
+      const solvedResult = await this.solveImage(imageBase64, candidates);
       
       if (solvedResult && solvedResult.text) {
-        this.logger.info(`✅ Captcha solved: "${solvedResult.text}" (confidence: ${solvedResult.confidence}%)`);
+        this.logger.info(`✅ Captcha solved by ${solvedResult.provider}: "${solvedResult.text}" (confidence: ${solvedResult.confidence}%)`);
+        this.pendingAttemptId = await this.dataset.recordAttempt({
+          imageBase64,
+          candidates,
+          submitted: solvedResult,
+          account: this.account?.id || null
+        });
         return solvedResult;
       } else {
-        this.logger.error('❌ OpenAI failed to solve captcha');
+        this.logger.error('❌ No captcha provider could solve the captcha');
         return { text: this.getManualCaptchaValue(), confidence: 0 };
       }
 
@@ -61,21 +65,48 @@ class CaptchaSolver {
     }
   }
 
-  async findCaptchaImage(page) {
-    // Strategy 1: Direct ID match (most specific)
-    let captchaImage = await page.$(this.config.selectors.captchaImageId);
-    if (captchaImage) {
-      this.logger.info('Found captcha image with id="frmLogin:imgCapcha"');
-      return captchaImage;
-    }
+  // Tries each provider in order and stops at the first answer that meets its threshold.
+  // When none does, the most confident answer is returned so the login retry logic can decide.
+  // Every answer obtained on the way is pushed to candidates.
+  async solveImage(imageBase64, candidates = []) {
+    let best = null;
+
+    for (const { provider, minConfidence } of this.chain) {
+      if (!await provider.isAvailable()) {
+        this.logger.debug(`Captcha provider ${provider.name} not available - skipping`);
+        continue;
+      }
 
-    // Strategy 2: Common captcha image selectors
-    for (const selector of this.config.selectors.captchaImageSelectors) {
-      captchaImage = await page.$(selector);
-      if (captchaImage) {
-        this.logger.info(`Found captcha image with selector: ${selector}`);
-        return captchaImage;
+      const result = await provider.solve(imageBase64, { account: this.account?.label || null });
+      if (!result || !result.text) {
+        this.logger.info(`⏭️ Captcha provider ${provider.name} returned no answer`);
+        continue;
       }
+
+      const attempt = { ...result, provider: provider.name, model: provider.model };
+      candidates.push(attempt);
+      if (attempt.confidence >= minConfidence) return attempt;
+
+      this.logger.info(`⏭️ Captcha provider ${provider.name} below threshold (${attempt.confidence}% < ${minConfidence}%)`);
+      if (!best || attempt.confidence > best.confidence) best = attempt;
+    }
+
+    return best;
+  }
+
+  // Labels the last submitted captcha with LoginValidator.checkLoginResult's verdict
+  async recordOutcome(loginResult) {
+    if (!this.pendingAttemptId) return;
+    const id = this.pendingAttemptId;
+    this.pendingAttemptId = null;
+    await this.dataset.recordOutcome(id, loginResult);
+  }
+
+  async findCaptchaImage(page) {
+    const match = await this.selectorRegistry.find(page, 'captchaImagen');
+    if (match) {
+      this.logger.info(`Found captcha image with selector: ${match.selector}`);
+      return match.element;
     }
 
     this.logger.error('No captcha image found with any selector');
@@ -145,62 +176,6 @@ class CaptchaSolver {
     }
   }
 
-  async solveWithOpenAI(imageBase64) {
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: this.config.openai.model,
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: `Please analyze this captcha image and provide: 1) The text/characters you see 2) Your confidence level (0-100). Format your response as: "TEXT:confidence". Example: "ABC123:85". The captcha contains alphanumeric characters. If unclear, make your best guess and lower the confidence.`
-              },
-              {
-                type: "image_url",
-                image_url: {
-                  url: `data:image/png;base64,${imageBase64}`
-                }
-              }
-            ]
-          }
-        ],
-        max_tokens: 30,
-        temperature: 0.1 // Low temperature for consistent results
-      });
-
-      const aiResponse = response.choices[0]?.message?.content?.trim();
-      
-      if (aiResponse) {
-        // Parse response format "TEXT:confidence"
-        const parts = aiResponse.split(':');
-        let text = parts[0];
-        let confidence = 50; // Default confidence
-        
-        if (parts.length >= 2) {
-          const confidenceStr = parts[1].replace(/[^0-9]/g, '');
-          confidence = parseInt(confidenceStr) || 50;
-        }
-        
-        // Clean the text response
-        const cleanedText = text.replace(/[^A-Za-z0-9]/g, '').toUpperCase();
-        
-        this.logger.info(`OpenAI response: "${aiResponse}" → text: "${cleanedText}", confidence: ${confidence}%`);
-        
-        return {
-          text: cleanedText,
-          confidence: confidence
-        };
-      }
-
-      return null;
-    } catch (error) {
-      this.logger.error('OpenAI API error:', error.message);
-      return null;
-    }
-  }
-
   getManualCaptchaValue() {
     // Priority: FORM_FIELDS JSON > Individual env var > fields config > fallback
     if (this.config.formFields.captcha && this.config.formFields.captcha !== 'AUTO') {
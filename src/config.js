@@ -1,5 +1,6 @@
 // Load environment variables from .env file
 require('dotenv').config();
+const fs = require('fs');
 
 // Configuration module
 class Config {
@@ -24,6 +25,14 @@ class Config {
         logMessageStatus: process.env.WHATSAPP_LOG_MESSAGE_STATUS === 'true',
         sendOnSuccess: process.env.WHATSAPP_SEND_ON_SUCCESS === 'true',
         sendOnError: process.env.WHATSAPP_SEND_ON_ERROR === 'true',
+        // Commands answered to authorized recipients (/pendientes, /exp, /hoy, /plazos, /silenciar)
+        commands: {
+          enabled: process.env.WHATSAPP_COMMANDS_ENABLED !== 'false',
+          allowedPhones: (process.env.WHATSAPP_COMMANDS_ALLOWED_PHONES || '').split(',').map(p => p.trim()).filter(Boolean), // Besides the recipients
+          maxItems: parseInt(process.env.WHATSAPP_COMMANDS_MAX_ITEMS || '10'),
+          plazosDias: parseInt(process.env.WHATSAPP_COMMANDS_PLAZOS_DIAS || '10'), // Business days shown by /plazos
+          maxSilenceHours: parseInt(process.env.WHATSAPP_MAX_SILENCE_HOURS || '72')
+        },
         // Single client configuration (who connects to WhatsApp)
         clientUser: (() => {
           try {
@@ -74,6 +83,14 @@ class Config {
         emailClient: process.env.EMAILCLIENT || 'franco.caralv@gmail.com' // Default recipient
       },
 
+      // Administrator alerted when a SINOE account stops logging in (wrong or expired password, lockout)
+      // and when SINOE's markup drifts away from the primary selectors
+      admin: {
+        phone: process.env.ADMIN_PHONE || process.env.WHATSAPP_NOTIFICATION_PHONE || '',
+        email: process.env.ADMIN_EMAIL || process.env.EMAILCLIENT || '',
+        selectorAlerts: process.env.SELECTOR_DRIFT_ALERTS !== 'false'
+      },
+
       // AWS S3 configuration for session storage
       aws: {
         enabled: process.env.AWS_S3_ENABLED === 'true',
@@ -89,9 +106,79 @@ class Config {
         accessKeyId: process.env.AWS_ACCESS_KEY_ID || '',
         secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || '',
         region: process.env.DYNAMODB_REGION || process.env.AWS_REGION || 'us-east-1',
-        tableName: process.env.DYNAMODB_TABLE_NAME || 'DocumentosSinoe'
+        tableName: process.env.DYNAMODB_TABLE_NAME || 'DocumentosSinoe',
+        historyTableName: process.env.DYNAMODB_HISTORY_TABLE_NAME || 'DocumentosSinoeHistorial', // Append-only versions per expediente
+        // GSIs created by setup-dynamodb.js
+        fechaIndexName: process.env.DYNAMODB_FECHA_INDEX || 'fechaCreacionItem-index',
+        estadoIndexName: process.env.DYNAMODB_ESTADO_INDEX || 'estado-index',
+        vencimientoIndexName: process.env.DYNAMODB_VENCIMIENTO_INDEX || 'mesVencimiento-index'
+      },
+
+      // Notification storage backend: 'dynamodb' or 'file' (local JSON, no AWS needed)
+      storage: {
+        backend: (process.env.STORAGE_BACKEND || 'dynamodb').toLowerCase(),
+        filePath: process.env.STORAGE_FILE_PATH || 'data/notificaciones.json'
       },
       
+      // Bandeja search criteria applied through frmBusqueda before extraction
+      search: {
+        fechaDesde: process.env.SEARCH_FECHA_DESDE || '', // dd/mm/yyyy
+        fechaHasta: process.env.SEARCH_FECHA_HASTA || '', // dd/mm/yyyy
+        ultimosDias: parseInt(process.env.SEARCH_ULTIMOS_DIAS || '0'), // e.g. 90 for a backfill
+        expediente: process.env.SEARCH_EXPEDIENTE || '',
+        organoJurisdiccional: process.env.SEARCH_ORGANO || '',
+        estado: (process.env.SEARCH_ESTADO || 'TODAS').toUpperCase() // TODAS, LEIDAS, NO_LEIDAS
+      },
+
+      // Legal deadline (plazo) calculation in días hábiles
+      deadlines: {
+        enabled: process.env.DEADLINES_ENABLED !== 'false',
+        calendarFile: process.env.DEADLINES_CALENDAR_FILE || null, // defaults to modules/deadlines/calendario-judicial.json
+        rulesFile: process.env.DEADLINES_RULES_FILE || null, // defaults to modules/deadlines/plazos-sumilla.json
+        defaultPlazoDias: parseInt(process.env.PLAZO_DEFAULT_DIAS || '0'), // 0 = no deadline when no rule matches
+        diasEfectoNotificacion: parseInt(process.env.PLAZO_DIAS_EFECTO_NOTIFICACION || '2') // Electronic notification takes effect on the 2nd business day
+      },
+
+      // Escalating reminders for upcoming fechaVencimiento (días hábiles before the deadline)
+      reminders: {
+        enabled: process.env.REMINDERS_ENABLED !== 'false',
+        hitos: (process.env.REMINDER_DAYS || '5,2,1,0').split(',').map(d => parseInt(d.trim())).filter(d => d >= 0)
+      },
+
+      // Case registry (expediente -> cliente, abogados); unmatched expedientes are flagged for triage
+      cases: {
+        enabled: process.env.CASES_ENABLED !== 'false'
+      },
+
+      // Per-recipient subscription rules (expedientes, órganos, sumilla keywords, estados)
+      subscriptions: {
+        file: process.env.SUBSCRIPTIONS_FILE || null // see modules/subscriptions/suscripciones.example.json; rules saved in storage take precedence
+      },
+
+      // Notification documents (cédulas, resoluciones, anexos) download and storage
+      documents: {
+        enabled: process.env.DOCUMENTS_ENABLED === 'true',
+        storage: process.env.DOCUMENTS_STORAGE || 'local', // 'local' or 's3'
+        localPath: process.env.DOCUMENTS_LOCAL_PATH || 'documentos',
+        bucket: process.env.DOCUMENTS_S3_BUCKET || process.env.AWS_S3_BUCKET || 'sinoe-whatsapp-sessions',
+        prefix: 'documentos',
+        maxPerRun: parseInt(process.env.DOCUMENTS_MAX_PER_RUN || '50'),
+        downloadTimeout: parseInt(process.env.DOCUMENTS_DOWNLOAD_TIMEOUT || '30000'),
+        dialogTimeout: parseInt(process.env.DOCUMENTS_DIALOG_TIMEOUT || '10000')
+      },
+      
+      // Authenticated SINOE session reused between runs (skips the captcha while SINOE keeps it alive).
+      // The final logout is skipped so the session stays valid; snapshots are encrypted with SINOE_SESSION_SECRET
+      sessionReuse: {
+        enabled: process.env.SINOE_SESSION_REUSE === 'true',
+        secret: process.env.SINOE_SESSION_SECRET || '',
+        storage: process.env.SINOE_SESSION_STORAGE || 'local', // 'local' or 's3'
+        localPath: process.env.SINOE_SESSION_LOCAL_PATH || 'data',
+        bucket: process.env.SINOE_SESSION_S3_BUCKET || process.env.AWS_S3_BUCKET || 'sinoe-whatsapp-sessions',
+        prefix: 'sinoe-sessions',
+        maxAgeHours: parseInt(process.env.SINOE_SESSION_MAX_AGE_HOURS || '12')
+      },
+
       // Browser configuration
       browser: {
         headless: process.env.HEADLESS === 'true' ? 'new' : false,
@@ -127,6 +214,28 @@ class Config {
         ]
       },
       
+      // SINOE casillas processed in each run: [{ id, label, usuario, password, recipients: [{ name, phone, email }] }]
+      // from SINOE_ACCOUNTS_FILE ({ "cuentas": [...] }) or SINOE_ACCOUNTS (JSON). Unset = the INPUT_USUARIO account only.
+      // A malformed list throws: running with the INPUT_USUARIO account instead would silently skip the casillas
+      accounts: (() => {
+        const file = process.env.SINOE_ACCOUNTS_FILE;
+        if (!file && !process.env.SINOE_ACCOUNTS) return [];
+
+        const source = file ? `SINOE_ACCOUNTS_FILE (${file})` : 'SINOE_ACCOUNTS';
+        let accounts;
+        try {
+          accounts = file ? JSON.parse(fs.readFileSync(file, 'utf8')).cuentas : JSON.parse(process.env.SINOE_ACCOUNTS);
+        } catch (error) {
+          throw new Error(`Invalid SINOE accounts configuration in ${source}: ${error.message}`);
+        }
+
+        const isAccount = account => account && typeof account === 'object' && !Array.isArray(account);
+        if (!Array.isArray(accounts) || !accounts.every(isAccount)) {
+          throw new Error(`Invalid SINOE accounts configuration in ${source}: expected a list of accounts${file ? ' under "cuentas"' : ''}`);
+        }
+        return accounts;
+      })(),
+
       // Form filling configuration
       formFilling: {
         // Field values configuration
@@ -143,12 +252,60 @@ class Config {
           enabled: process.env.AUTO_SOLVE_CAPTCHA === 'true'
         },
 
+        // Captcha provider chain tried in order: "provider[:minConfidence]" with openai, tesseract, human, fixture
+        captcha: {
+          providers: process.env.CAPTCHA_PROVIDERS || 'openai', // e.g. "tesseract:85,openai:70,human"
+          tesseract: {
+            path: process.env.TESSERACT_PATH || 'tesseract',
+            psm: parseInt(process.env.TESSERACT_PSM || '7'), // Single text line
+            whitelist: process.env.CAPTCHA_CHARSET || 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+            timeout: parseInt(process.env.TESSERACT_TIMEOUT || '15000')
+          },
+          human: {
+            timeout: parseInt(process.env.CAPTCHA_HUMAN_TIMEOUT || '120000'),
+            imageDir: process.env.CAPTCHA_IMAGE_DIR || null, // defaults to the OS temp dir
+            fallback: process.env.CAPTCHA_MANUAL_FALLBACK === 'true', // Ask an operator when every provider fails
+            channels: (process.env.CAPTCHA_HUMAN_CHANNELS || 'console').split(',').map(c => c.trim().toLowerCase()).filter(Boolean), // console, whatsapp, email
+            operatorPhone: process.env.CAPTCHA_OPERATOR_PHONE || '', // defaults to WHATSAPP_NOTIFICATION_PHONE
+            operatorEmail: process.env.CAPTCHA_OPERATOR_EMAIL || '', // defaults to EMAILCLIENT
+            // Email replies are read from the S3 bucket where an SES receipt rule stores inbound mail
+            replyBucket: process.env.CAPTCHA_REPLY_BUCKET || '',
+            replyPrefix: process.env.CAPTCHA_REPLY_PREFIX || 'captcha-replies/',
+            replyPollInterval: parseInt(process.env.CAPTCHA_REPLY_POLL_INTERVAL || '5000')
+          },
+          // Answers outside this shape are misreads: the captcha is refreshed instead of submitted
+          format: {
+            minLength: parseInt(process.env.CAPTCHA_MIN_LENGTH || '4'),
+            maxLength: parseInt(process.env.CAPTCHA_MAX_LENGTH || '6'),
+            charset: process.env.CAPTCHA_CHARSET || 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'
+          },
+          // Every solved captcha with its answers and login outcome, for captcha-report.js
+          dataset: {
+            enabled: process.env.CAPTCHA_DATASET_ENABLED === 'true',
+            dir: process.env.CAPTCHA_DATASET_DIR || 'data/captchas'
+          },
+          fixture: {
+            file: process.env.CAPTCHA_FIXTURE_FILE || null, // { "<sha256 of image>": "TEXT", "default": "TEXT" }
+            value: process.env.CAPTCHA_FIXTURE_VALUE || ''
+          }
+        },
+
         // Login automation settings
         loginAutomation: {
           autoSubmit: process.env.AUTO_SUBMIT_FORM === 'true',
           submitDelay: parseInt(process.env.SUBMIT_DELAY || '1500'),
-          maxRetries: parseInt(process.env.LOGIN_MAX_RETRIES || '3'),
-          minCaptchaConfidence: parseInt(process.env.MIN_CAPTCHA_CONFIDENCE || '70')
+          maxRetries: parseInt(process.env.LOGIN_MAX_RETRIES || '3'), // Captcha errors retried
+          maxSsoRedirects: parseInt(process.env.LOGIN_MAX_SSO_REDIRECTS || '3'),
+          maxActiveSessionRetries: parseInt(process.env.LOGIN_MAX_ACTIVE_SESSION_RETRIES || '2'),
+          minCaptchaConfidence: parseInt(process.env.MIN_CAPTCHA_CONFIDENCE || '70'),
+          maxCaptchaRefreshes: parseInt(process.env.CAPTCHA_MAX_REFRESHES || '3'), // New captchas requested before submitting a doubtful one
+          // Per login state (ms): filling includes solving the captcha, possibly by a human
+          timeouts: {
+            fill: process.env.LOGIN_FILL_TIMEOUT ? parseInt(process.env.LOGIN_FILL_TIMEOUT) : null, // Default: captcha.human.timeout + 2 min
+            submit: parseInt(process.env.LOGIN_SUBMIT_TIMEOUT || '60000'),
+            recovery: parseInt(process.env.LOGIN_RECOVERY_TIMEOUT || '60000'), // SSO redirect, active session, page reload
+            total: parseInt(process.env.LOGIN_TIMEOUT || '900000')
+          }
         },
         
         // Parse JSON configuration if provided
@@ -163,9 +320,31 @@ class Config {
         // Legacy support
         inputValue: process.env.INPUT_VALUE || process.env.INPUT_USUARIO || '151151',
         
+        // Notifications table pagination settings
+        pagination: {
+          maxPages: parseInt(process.env.PAGINATION_MAX_PAGES || '50'),
+          // Rows on a full page; a table without a paginator that shows this many may have more pages
+          pageSize: parseInt(process.env.PAGINATION_PAGE_SIZE || '10'),
+          maximizeRowsPerPage: process.env.PAGINATION_MAXIMIZE_ROWS !== 'false',
+          pageTimeout: parseInt(process.env.PAGINATION_PAGE_TIMEOUT || '15000'),
+          pageDelay: parseInt(process.env.PAGINATION_PAGE_DELAY || '1000')
+        },
+
+        // Clicks wait for the page to react (navigation or network idle) up to timeout ms.
+        // Fast mode skips the red/yellow highlighting; it is on by default when the browser is headless.
+        interaction: {
+          fastMode: process.env.INTERACTION_FAST_MODE ? process.env.INTERACTION_FAST_MODE === 'true' : process.env.HEADLESS === 'true',
+          timeout: parseInt(process.env.INTERACTION_TIMEOUT || '15000'),
+          pollInterval: parseInt(process.env.INTERACTION_POLL_INTERVAL || '250'),
+          networkIdleTime: parseInt(process.env.INTERACTION_NETWORK_IDLE || '500'),
+          highlightDelay: parseInt(process.env.INTERACTION_HIGHLIGHT_DELAY || '500')
+        },
+
         waitTime: parseInt(process.env.FORM_WAIT_TIME || '10000'),
         typeDelay: parseInt(process.env.TYPE_DELAY || '50'),
         
+        // Strategies of the SelectorRegistry targets: the first selector of each target is its primary one,
+        // the rest are fallbacks whose use is reported as drift. XPath starts with "/"; ":contains()" matches text.
         selectors: {
           // Usuario/Username selectors
           userByPlaceholder: 'input[placeholder="Usuario"]',
@@ -221,6 +400,17 @@ class Config {
             'img[class*="captcha"]',
             'img[alt*="captcha"]'
           ],
+          // Control that loads a new captcha image without reloading the login page
+          captchaRefreshSelectors: [
+            ...(process.env.CAPTCHA_REFRESH_SELECTOR ? [process.env.CAPTCHA_REFRESH_SELECTOR] : []),
+            '[id="frmLogin:btnRefrescar"]',
+            '[id*="efrescar"]',
+            '[id*="efresh"]',
+            '[onclick*="efrescar"]',
+            'a[onclick*="aptcha"]',
+            'img[src*="refresh"]',
+            'img[src*="recargar"]'
+          ],
 
           // Submit button selectors
           submitButtonId: 'button[id="frmLogin:btnIngresar"]',
@@ -260,6 +450,16 @@ class Config {
             'td'
           ],
 
+          // PrimeFaces message containers whose text LoginValidator classifies as a login error (checked in order).
+          // Only these: static help text elsewhere on the page ("si su cuenta está bloqueada...") must never
+          // be read as an error, since a credential error suspends the account.
+          loginErrorSelectors: [
+            '.ui-messages-error-summary',
+            '.ui-messages-error-detail',
+            '.ui-message-error-detail',
+            '.ui-growl-message'
+          ],
+
           // Success login validation selectors
           successLoginImageSelectors: [
             'img[src="/sinoe/resources/images/logo-menu-sinoe.png"]',
@@ -275,13 +475,80 @@ class Config {
             'a.ui-commandlink.ui-widget'
           ],
 
-          // Data extraction selectors
+          // Data extraction selectors (the id is more stable than the absolute XPath, so it goes first)
           notificationsTableSelectors: [
-            '/html/body/span/div/div[3]/div/form[2]/div[2]/div[2]/div/div/div[2]/table/tbody',
             '//*[@id="frmBusqueda:tblLista_data"]',
             'table tbody[id*="tblLista_data"]',
-            '.ui-datatable-data tbody'
+            '/html/body/span/div/div[3]/div/form[2]/div[2]/div[2]/div/div/div[2]/table/tbody',
+            'tbody.ui-datatable-data'
+          ],
+
+          // Notifications table paginator selectors (PrimeFaces datatable)
+          paginatorSelectors: [
+            '[id="frmBusqueda:tblLista_paginator_bottom"]',
+            '[id="frmBusqueda:tblLista_paginator_top"]',
+            '[id="frmBusqueda:tblLista"] .ui-paginator'
+          ],
+          paginatorNextSelector: '.ui-paginator-next',
+          paginatorActivePageSelector: '.ui-paginator-page.ui-state-active',
+          paginatorCurrentSelector: '.ui-paginator-current',
+          paginatorRowsPerPageSelector: '[id="frmBusqueda:tblLista"] select.ui-paginator-rpp-options',
+
+          // Bandeja search form selectors (frmBusqueda)
+          searchFechaDesdeSelectors: [
+            'input[id="frmBusqueda:fechaInicio_input"]',
+            'input[id*="fechaInicio"]',
+            'input[id*="fechaDesde"]',
+            'input[id*="fecIni"]'
+          ],
+          searchFechaHastaSelectors: [
+            'input[id="frmBusqueda:fechaFin_input"]',
+            'input[id*="fechaFin"]',
+            'input[id*="fechaHasta"]',
+            'input[id*="fecFin"]'
+          ],
+          searchExpedienteSelectors: [
+            'input[id*="frmBusqueda"][id*="xpediente"]',
+            'input[id*="numeroExpediente"]',
+            'input[placeholder*="xpediente"]'
+          ],
+          searchOrganoSelectors: [
+            'select[id*="frmBusqueda"][id*="rgano"]',
+            'input[id*="frmBusqueda"][id*="rgano"]',
+            'select[id*="organo"]',
+            'input[id*="organo"]'
+          ],
+          searchEstadoSelectors: [
+            'select[id*="frmBusqueda"][id*="stado"]',
+            'select[id*="frmBusqueda"][id*="eido"]',
+            'select[id*="estado"]'
+          ],
+          searchButtonSelectors: [
+            'button[id="frmBusqueda:btnBuscar"]',
+            'button[id*="btnBuscar"]',
+            'button[id*="frmBusqueda"][title*="Buscar"]'
+          ],
+
+          // Notification documents selectors (per-row button, anexos dialog and download links)
+          notificationDocumentsButtonSelectors: [
+            'button[id*="btnAnexos"]',
+            'a[id*="btnAnexos"]',
+            'button[title*="Anexo"]',
+            'button[title*="anexo"]',
+            'button.ui-button-icon-only'
+          ],
+          notificationDocumentsDialogSelectors: [
+            '[id*="dlgAnexos"]',
+            '[id*="dlgListaAnexos"]',
+            '.ui-dialog[aria-hidden="false"]'
+          ],
+          notificationDocumentLinkSelectors: [
+            'a[id*="lnkDescarga"]',
+            'button[id*="btnDescargar"]',
+            'a[href*=".pdf"]',
+            '.ui-datatable-data button'
           ],
+          notificationDocumentsDialogCloseSelector: '.ui-dialog-titlebar-close',
 
           // Logout selectors
           finalLogoutSelectors: [
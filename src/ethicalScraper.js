@@ -1,10 +1,25 @@
 // Main ethical scraper class - Singleton Pattern
+const crypto = require('crypto');
 const Config = require('./config');
 const Logger = require('./logger');
 const WebScraper = require('./scraper');
 const ResultSaver = require('./resultSaver');
 const WhatsAppManager = require('./modules/whatsapp/WhatsAppManager');
-const DynamoDBManager = require('./modules/database/DynamoDBManager');
+const createStorageManager = require('./modules/database/createStorageManager');
+const DeadlineCalculator = require('./modules/deadlines/DeadlineCalculator');
+const ReminderScheduler = require('./modules/reminders/ReminderScheduler');
+const SubscriptionManager = require('./modules/subscriptions/SubscriptionManager');
+const CaseRegistry = require('./modules/cases/CaseRegistry');
+const AccountManager = require('./modules/accounts/AccountManager');
+const SchemaDriftError = require('./modules/extraction/SchemaDriftError');
+const LoginResult = require('./modules/login/LoginResult');
+
+// Admin alert wording per credential failure
+const LOGIN_FAILURE_TEXT = {
+  CREDENTIAL_ERROR: 'Usuario o contraseña incorrectos',
+  PASSWORD_EXPIRED: 'La contraseña ha vencido y debe cambiarse en SINOE',
+  ACCOUNT_LOCKED: 'La cuenta está bloqueada en SINOE'
+};
 
 class EthicalScraper {
   constructor() {
@@ -23,9 +38,15 @@ class EthicalScraper {
     this.whatsappManager = WhatsAppManager.getInstance(this.config, this.logger);
     this.logger.info(`✅ WhatsApp manager created. Enabled: ${this.config.whatsapp?.enabled}`);
     
-    this.dynamodbManager = new DynamoDBManager(this.config.dynamodb, this.logger);
+    this.storageManager = createStorageManager(this.config, this.logger);
+    this.deadlineCalculator = new DeadlineCalculator(this.config, this.logger);
+    this.subscriptionManager = new SubscriptionManager(this.config, this.logger, this.storageManager);
+    this.caseRegistry = new CaseRegistry(this.config, this.logger, this.storageManager);
+    this.accountManager = new AccountManager(this.config, this.logger, this.storageManager);
     this.results = [];
+    this.accountResults = []; // Per-account outcome of the last run
     this.extractedData = null; // Store extracted notifications data
+    this.selectorReport = null; // SelectorRegistry matches of the last run
 
     // Store the singleton instance
     EthicalScraper.instance = this;
@@ -92,12 +113,27 @@ class EthicalScraper {
     EthicalScraper.instance = null;
   }
 
+  // Identifies the execution in the notification history (Lambda request id when available)
+  createRunId() {
+    try {
+      const lambdaContext = JSON.parse(process.env.LAMBDA_CONTEXT || '{}');
+      if (lambdaContext.awsRequestId) return lambdaContext.awsRequestId;
+    } catch {
+      // Not running in Lambda
+    }
+    return `run-${new Date().toISOString()}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
   async runJob() {
     const startTime = Date.now();
+    this.runId = this.createRunId();
     this.logMemoryUsage('START');
     
+    const accounts = this.accountManager.getAccounts();
     this.logger.info('🚀 Starting SINOE scraping job with WhatsApp notifications', {
+      runId: this.runId,
       targetUrls: this.config.targetUrls.length,
+      accounts: accounts.length,
       whatsappEnabled: this.config.whatsapp?.enabled || false
     });
 
@@ -107,15 +143,15 @@ class EthicalScraper {
     }
 
     try {
-      // Initialize DynamoDB system only (defer WhatsApp until after scraping)
-      if (this.config.dynamodb?.enabled) {
-        this.logger.info('🗄️ Initializing DynamoDB system...');
-        const dynamodbInitialized = await this.dynamodbManager.initialize();
+      // Initialize storage system only (defer WhatsApp until after scraping)
+      if (this.storageManager.isEnabled()) {
+        this.logger.info(`🗄️ Initializing ${this.storageManager.backendName} system...`);
+        const storageInitialized = await this.storageManager.initialize();
         
-        if (dynamodbInitialized) {
-          this.logger.info('✅ DynamoDB system initialized successfully');
+        if (storageInitialized) {
+          this.logger.info(`✅ ${this.storageManager.backendName} system initialized successfully`);
         } else {
-          this.logger.warn('⚠️ DynamoDB initialization failed, continuing without database storage');
+          this.logger.warn(`⚠️ ${this.storageManager.backendName} initialization failed, continuing without database storage`);
         }
       }
 
@@ -125,26 +161,37 @@ class EthicalScraper {
       await this.scraper.initialize();
       this.logMemoryUsage('AFTER_BROWSER');
 
-      // Process each URL with delay between requests
-      for (let i = 0; i < this.config.targetUrls.length; i++) {
-        const url = this.config.targetUrls[i].trim();
-        
-        if (!url) continue;
-
-        // Add delay between requests (except for the first one)
-        if (i > 0) {
-          this.logger.debug(`Waiting ${this.config.delayBetweenRequests}ms before next request...`);
-          await new Promise(resolve => setTimeout(resolve, this.config.delayBetweenRequests));
+      // Process each account sequentially; a failing account does not stop the others
+      const outcomes = [];
+      this.accountResults = [];
+      for (const account of accounts) {
+        const outcome = await this.processAccount(account);
+        outcomes.push(outcome);
+        this.accountResults.push(outcome.summary);
+
+        // Maintenance affects every casilla alike
+        if (outcome.summary.loginReason === LoginResult.FAILURES.SINOE_MAINTENANCE) {
+          this.logger.warn(`🚧 SINOE is under maintenance - skipping the remaining ${accounts.length - outcomes.length} account(s)`);
+          break;
         }
+      }
 
-        const result = await this.scraper.scrapeUrl(url);
-        this.results.push(result);
-        
-        // Store extracted data if it contains notifications
-        if (result.extractedData && Array.isArray(result.extractedData.notifications)) {
-          this.extractedData = result.extractedData;
-          this.logger.info(`📊 Data extracted: ${result.extractedData.notifications.length} notifications found`);
-        }
+      const withData = outcomes.filter(outcome => outcome.extractedData);
+      if (withData.length > 0) {
+        const notifications = withData.flatMap(outcome => outcome.notifications);
+        this.extractedData = {
+          ...withData[withData.length - 1].extractedData,
+          notifications: notifications,
+          recordCount: notifications.length,
+          cuentas: this.accountResults
+        };
+        // Attach plazo and fechaVencimiento before storing and notifying
+        this.extractedData.notifications = this.deadlineCalculator.annotateAll(this.extractedData.notifications);
+        // Attach cliente/abogados from the case registry and flag unknown expedientes for triage
+        const enrichment = await this.caseRegistry.enrichAll(this.extractedData.notifications);
+        this.extractedData.notifications = enrichment.notifications;
+        this.extractedData.expedientesSinCliente = enrichment.unmatched;
+        this.logger.info(`📊 Data extracted: ${notifications.length} notifications found in ${withData.length}/${accounts.length} account(s)`);
       }
 
       // Save results to file
@@ -152,13 +199,14 @@ class EthicalScraper {
       await this.resultSaver.saveResults(this.results);
       this.logger.info('✅ Results saved to files successfully');
       
-      // Save to DynamoDB if we have extracted data
-      this.logger.info('💾 Attempting to save to DynamoDB...');
-      const dynamoSaved = await this.saveToDynamoDB();
-      this.logger.info(`✅ DynamoDB save completed: ${dynamoSaved}`);
+      // Save to storage if we have extracted data
+      this.logger.info('💾 Attempting to save to storage...');
+      const storageSaved = await this.saveToStorage();
+      this.logger.info(`✅ Storage save completed: ${storageSaved}`);
       
       // Close web scraper to free memory before WhatsApp initialization
       if (this.scraper) {
+        this.selectorReport = this.scraper.getSelectorReport();
         this.logger.info('🧹 Closing web scraper to free memory for WhatsApp...');
         this.logMemoryUsage('BEFORE_CLOSE_BROWSER');
         await this.scraper.close();
@@ -181,12 +229,28 @@ class EthicalScraper {
       
       // Send WhatsApp notifications if we have extracted data
       await this.sendNotifications();
+
+      // Credential problems go to the administrator only, who is the one who can fix them
+      for (const summary of this.accountResults.filter(summary => summary.alertaAdmin)) {
+        await this.sendLoginAlert(summary);
+      }
+
+      // SINOE markup changes reach the administrator while the fallbacks still work
+      await this.checkSelectorHealth(this.selectorReport);
+
+      const failedAccounts = this.accountResults.filter(summary => ['failed', 'incomplete'].includes(summary.status) && !summary.alertaAdmin);
+      if (failedAccounts.length > 0) {
+        const detail = failedAccounts.map(summary => `${summary.etiqueta} (${summary.error})`).join(', ');
+        this.logger.warn(`⚠️ ${failedAccounts.length}/${accounts.length} account(s) failed: ${detail}`);
+        await this.sendErrorNotification(new Error(`No se pudo procesar ${failedAccounts.length} casilla(s): ${detail}`));
+      }
       
       const duration = Date.now() - startTime;
       this.logMemoryUsage('END');
       this.logger.info('✅ Scraping job completed successfully', { 
         duration: `${duration}ms`,
         totalResults: this.results.length,
+        accounts: this.accountResults,
         notificationsSent: !!this.extractedData
       });
 
@@ -202,6 +266,129 @@ class EthicalScraper {
     }
   }
 
+  // One SINOE casilla: fresh browser context and its own credentials. Errors are contained to the account,
+  // except schema drift, which affects every account and must abort the job.
+  async processAccount(account) {
+    const summary = { cuenta: account.id, etiqueta: account.label, status: 'success', notifications: 0, error: null, loginReason: null };
+    let extractedData = null;
+
+    this.logger.info(`👤 Processing SINOE account ${account.label} (${account.id})`);
+
+    // A suspended login is not retried: each attempt with bad credentials brings a lockout closer
+    const bloqueo = await this.accountManager.getLoginBlock(account);
+    if (bloqueo) {
+      summary.status = 'blocked';
+      summary.loginReason = bloqueo.motivo;
+      summary.error = `Login suspended since ${bloqueo.fecha}: ${bloqueo.mensaje}`;
+      this.logger.warn(`🔒 Skipping account ${account.label}: ${summary.error}`);
+      return { summary, notifications: [], extractedData: null };
+    }
+
+    try {
+      await this.scraper.startAccount(this.accountManager.buildAccountConfig(account));
+
+      for (const targetUrl of this.config.targetUrls) {
+        const url = targetUrl.trim();
+        if (!url) continue;
+
+        // Add delay between requests (except for the first one of the run)
+        if (this.results.length > 0) {
+          this.logger.debug(`Waiting ${this.config.delayBetweenRequests}ms before next request...`);
+          await new Promise(resolve => setTimeout(resolve, this.config.delayBetweenRequests));
+        }
+
+        const result = await this.scraper.scrapeUrl(url);
+        result.cuenta = account.id;
+        this.results.push(result);
+
+        if (result.status === 'failed' || result.loginSuccess === false) {
+          summary.status = 'failed';
+          summary.error = result.error || result.login?.message || 'Login failed';
+          summary.loginReason = result.login?.reason || null;
+          if (LoginResult.isCredentialFailure(summary.loginReason)) {
+            await this.accountManager.blockLogin(account, result.login);
+            summary.alertaAdmin = true;
+          }
+          // Wrong credentials or a locked account fail the same way on every URL; more attempts risk a lockout
+          if (result.login && !result.login.retryable) break;
+          continue;
+        }
+
+        if (result.loginSuccess) await this.accountManager.clearLoginBlock(account);
+
+        // Logged in, but the bandeja was never reached: nothing was read
+        if (result.failedStep === 'navigation') {
+          summary.status = 'failed';
+          summary.error = result.error;
+          continue;
+        }
+
+        // Store extracted data if it contains notifications
+        if (result.extractedData && Array.isArray(result.extractedData.notifications)) {
+          extractedData = result.extractedData;
+        }
+        // What was read is kept, but pages SINOE did not show may hold notifications
+        if (result.failedStep === 'extraction') {
+          summary.status = 'incomplete';
+          summary.error = `Incomplete extraction: ${result.error}`;
+        }
+      }
+    } catch (error) {
+      if (error instanceof SchemaDriftError) throw error;
+      summary.status = 'failed';
+      summary.error = error.message;
+    } finally {
+      await this.scraper.endAccount();
+    }
+
+    const notifications = extractedData ? this.accountManager.tagNotifications(extractedData.notifications, account) : [];
+    summary.notifications = notifications.length;
+
+    if (summary.status === 'failed') {
+      this.logger.error(`❌ Account ${account.label} failed: ${summary.error}`);
+    } else if (summary.status === 'incomplete') {
+      this.logger.warn(`⚠️ Account ${account.label}: only ${notifications.length} notification(s) read - ${summary.error}`);
+    } else {
+      this.logger.info(`✅ Account ${account.label}: ${notifications.length} notification(s)`);
+    }
+    return { summary, notifications, extractedData };
+  }
+
+  // Reminder-only run: no browser, just storage lookups and WhatsApp/email alerts
+  async runReminders() {
+    this.logger.info('⏰ Starting deadline reminders job');
+
+    try {
+      if (!this.storageManager.isEnabled() || !await this.storageManager.initialize()) {
+        this.logger.error('❌ Notification storage is required for deadline reminders');
+        return null;
+      }
+
+      await this.initializeWhatsAppAfterScraping();
+
+      // Email fallback must work even when WhatsApp is disabled
+      const emailManager = this.whatsappManager.emailManager;
+      if (this.config.email?.enabled && emailManager && !emailManager.transporter) {
+        await emailManager.initialize();
+      }
+
+      const scheduler = new ReminderScheduler(this.config, this.logger, {
+        whatsappManager: this.whatsappManager,
+        emailManager: emailManager,
+        storageManager: this.storageManager,
+        deadlineCalculator: this.deadlineCalculator,
+        subscriptionManager: this.subscriptionManager,
+        caseRegistry: this.caseRegistry
+      });
+
+      const results = await scheduler.run();
+      this.logger.info('✅ Deadline reminders job completed', results);
+      return results;
+    } finally {
+      await this.cleanup();
+    }
+  }
+
   async initializeWhatsAppAfterScraping() {
     try {
       this.logger.info('📋 Starting WhatsApp initialization method...');
@@ -286,40 +473,41 @@ class EthicalScraper {
     }
   }
 
-  async saveToDynamoDB() {
+  async saveToStorage() {
     try {
-      if (!this.config.dynamodb?.enabled) {
-        this.logger.debug('📄 DynamoDB disabled - skipping database save');
+      if (!this.storageManager.isEnabled()) {
+        this.logger.debug('📄 Storage disabled - skipping database save');
         return false;
       }
 
-      if (!this.dynamodbManager.isInitialized) {
-        this.logger.warn('⚠️ DynamoDB not initialized - skipping database save');
+      if (!this.storageManager.isInitialized) {
+        this.logger.warn(`⚠️ ${this.storageManager.backendName} not initialized - skipping database save`);
         return false;
       }
 
       if (!this.extractedData || !this.extractedData.notifications) {
-        this.logger.info('📄 No notifications data to save to DynamoDB - continuing with WhatsApp initialization anyway');
+        this.logger.info('📄 No notifications data to save - continuing with WhatsApp initialization anyway');
         return true; // Don't block WhatsApp initialization
       }
 
       const notificationsCount = this.extractedData.notifications.length;
-      this.logger.info(`💾 Saving ${notificationsCount} notifications to DynamoDB...`);
+      this.logger.info(`💾 Saving ${notificationsCount} notifications to ${this.storageManager.backendName}...`);
 
       // Get the source URL from the first result
       const sourceUrl = this.results.length > 0 ? this.results[0].url : 'SINOE';
 
-      const results = await this.dynamodbManager.saveNotifications(
+      const results = await this.storageManager.saveNotifications(
         this.extractedData.notifications, 
-        sourceUrl
+        sourceUrl,
+        this.runId
       );
 
       if (results.success > 0) {
-        this.logger.info(`✅ DynamoDB save completed: ${results.success}/${notificationsCount} saved (${results.newRecords} new, ${results.updatedRecords} updated)`);
+        this.logger.info(`✅ ${this.storageManager.backendName} save completed: ${results.success}/${notificationsCount} saved (${results.newRecords} new, ${results.updatedRecords} updated)`);
         
         // Log any errors that occurred
         if (results.errors.length > 0) {
-          this.logger.warn(`⚠️ Some DynamoDB saves had errors: ${results.failed} failed`);
+          this.logger.warn(`⚠️ Some ${this.storageManager.backendName} saves had errors: ${results.failed} failed`);
           results.errors.slice(0, 3).forEach(error => {
             this.logger.debug(`  - ${error}`);
           });
@@ -327,12 +515,12 @@ class EthicalScraper {
         
         return true;
       } else {
-        this.logger.error(`❌ All DynamoDB saves failed: ${results.failed}/${notificationsCount}`);
+        this.logger.error(`❌ All ${this.storageManager.backendName} saves failed: ${results.failed}/${notificationsCount}`);
         return false;
       }
 
     } catch (error) {
-      this.logger.error('❌ Error saving to DynamoDB:', error.message);
+      this.logger.error('❌ Error saving to storage:', error.message);
       return false;
     }
   }
@@ -357,11 +545,6 @@ class EthicalScraper {
         return false;
       }
       
-      // Separate closed notifications for count in subject
-      const closedNotifications = notificationsData.filter(notification => 
-        notification.estado === 'CERRADA'
-      );
-
       // Get EmailManager from WhatsAppManager (since it's already initialized there)
       if (!this.whatsappManager?.emailManager) {
         this.logger.error('❌ EmailManager not available');
@@ -370,20 +553,12 @@ class EthicalScraper {
 
       const emailManager = this.whatsappManager.emailManager;
 
-      // Format email content - show all notifications but highlight counts
-      const openCount = allNotifications.filter(n => n.estado !== 'CERRADA').length;
-      const closedCount = closedNotifications.length;
-      const subject = `🏛️ SINOE - ${allNotifications.length} Notificaciones: ${openCount} Abiertas, ${closedCount} Cerradas`;
-      const emailContent = this.formatEmailNotifications(allNotifications);
-
-      // Get all notification recipients from WhatsApp config (same as WhatsApp recipients)
-      const allRecipients = this.whatsappManager.getAllNotificationRecipients();
       const emailRecipients = [];
       
-      // Get email addresses from WHATSAPP_RECIPIENTS
+      // Get email addresses from WHATSAPP_RECIPIENTS (and SUBSCRIPTIONS_FILE)
       this.whatsappManager.notificationRecipients.forEach(recipient => {
         if (recipient.email && recipient.receiveNotifications !== false) {
-          emailRecipients.push(recipient.email);
+          emailRecipients.push({ email: recipient.email, phone: recipient.phone || null, cuentas: recipient.cuentas });
         }
       });
 
@@ -391,7 +566,7 @@ class EthicalScraper {
       if (emailRecipients.length === 0) {
         const fallbackRecipient = this.config.email.clientEmail || this.config.email.emailClient;
         if (fallbackRecipient) {
-          emailRecipients.push(fallbackRecipient);
+          emailRecipients.push({ email: fallbackRecipient, phone: null });
         }
       }
 
@@ -400,16 +575,27 @@ class EthicalScraper {
         return false;
       }
 
-      // Send emails to all recipients
+      // Send emails to all recipients, each with the notifications they are subscribed to
       let successCount = 0;
       let failCount = 0;
+      let skippedCount = 0;
 
       for (const recipient of emailRecipients) {
         try {
+          const subscribed = await this.subscriptionManager.filterForRecipient(recipient, allNotifications);
+          if (subscribed.length === 0) {
+            this.logger.info(`📧 No subscribed notifications for ${recipient.email} - skipping`);
+            skippedCount++;
+            continue;
+          }
+
+          // Format email content - show all notifications but highlight counts
+          const openCount = subscribed.filter(n => n.estado !== 'CERRADA').length;
+          const closedCount = subscribed.length - openCount;
           const success = await emailManager.sendEmail({
-            to: recipient,
-            subject: subject,
-            html: emailContent
+            to: recipient.email,
+            subject: `🏛️ SINOE - ${subscribed.length} Notificaciones: ${openCount} Abiertas, ${closedCount} Cerradas`,
+            html: this.formatEmailNotifications(subscribed)
           });
 
           if (success) {
@@ -423,12 +609,12 @@ class EthicalScraper {
           
         } catch (error) {
           failCount++;
-          this.logger.error(`❌ Failed to send email to ${recipient}:`, error.message);
+          this.logger.error(`❌ Failed to send email to ${recipient.email}:`, error.message);
         }
       }
 
-      if (successCount > 0) {
-        this.logger.info(`📧 Email notifications sent to ${successCount}/${emailRecipients.length} recipients (${allNotifications.length} total: ${openCount} abiertas, ${closedCount} cerradas)`);
+      if (successCount > 0 || (failCount === 0 && skippedCount > 0)) {
+        this.logger.info(`📧 Email notifications sent to ${successCount}/${emailRecipients.length} recipients (${allNotifications.length} total, ${skippedCount} without subscribed notifications)`);
         return true;
       } else {
         this.logger.error(`❌ Failed to send email notifications to any recipients (${failCount} failed)`);
@@ -472,9 +658,11 @@ class EthicalScraper {
             <th style="padding: 10px; border: 1px solid #ddd;">Estado</th>
             <th style="padding: 10px; border: 1px solid #ddd;">Notificación</th>
             <th style="padding: 10px; border: 1px solid #ddd;">Expediente</th>
+            <th style="padding: 10px; border: 1px solid #ddd;">Cliente</th>
             <th style="padding: 10px; border: 1px solid #ddd;">Sumilla</th>
             <th style="padding: 10px; border: 1px solid #ddd;">Oficina</th>
             <th style="padding: 10px; border: 1px solid #ddd;">Fecha</th>
+            <th style="padding: 10px; border: 1px solid #ddd;">Vencimiento</th>
           </tr>
         </thead>
         <tbody>
@@ -483,6 +671,9 @@ class EthicalScraper {
     notificationsData.forEach((notification, index) => {
       const statusColor = notification.estado === 'ABIERTA' ? '#27ae60' : '#e74c3c';
       const statusIcon = notification.estado === 'ABIERTA' ? '🟢' : '🔴';
+      const deadline = this.deadlineCalculator.formatRemaining(notification) || '-';
+      const caseLabel = this.caseRegistry.formatLabel(notification) || '-';
+      const caseStyle = notification.requiereTriaje ? ' color: #e67e22;' : '';
       
       html += `
         <tr style="${index % 2 === 0 ? 'background-color: #f8f9fa;' : ''}">
@@ -492,9 +683,11 @@ class EthicalScraper {
           </td>
           <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold;">${notification.numeroNotificacion}</td>
           <td style="padding: 8px; border: 1px solid #ddd;">${notification.numeroExpediente}</td>
+          <td style="padding: 8px; border: 1px solid #ddd; font-size: 12px;${caseStyle}">${caseLabel}</td>
           <td style="padding: 8px; border: 1px solid #ddd;">${notification.sumilla}</td>
           <td style="padding: 8px; border: 1px solid #ddd; font-size: 12px;">${notification.oficinaJudicial}</td>
           <td style="padding: 8px; border: 1px solid #ddd; text-align: center;">${notification.fecha}</td>
+          <td style="padding: 8px; border: 1px solid #ddd; text-align: center; font-size: 12px;">${deadline}</td>
         </tr>
       `;
     });
@@ -515,6 +708,132 @@ class EthicalScraper {
     return html;
   }
 
+  // Dedicated alert to the administrator (ADMIN_PHONE / ADMIN_EMAIL) when an account's login is suspended
+  async sendLoginAlert(summary) {
+    const admin = this.config.admin || {};
+    const motivo = LOGIN_FAILURE_TEXT[summary.loginReason] || summary.loginReason;
+    const timestamp = new Date().toLocaleString('es-ES', { timeZone: 'America/Lima' });
+    let sent = false;
+
+    try {
+      if (admin.phone && this.whatsappManager?.isClientAvailable()) {
+        const message = `🔒 *SINOE - Acceso suspendido*\n\n🗂️ Casilla: ${summary.etiqueta} (${summary.cuenta})\n❌ Motivo: ${motivo}\n💬 ${summary.error}\n📅 ${timestamp}\n\n` +
+          `⛔ No se volverá a intentar el inicio de sesión hasta que se actualicen las credenciales de esta casilla.\n\n🤖 _Sistema de notificaciones SINOE_`;
+        sent = await this.whatsappManager.sendMessage(admin.phone, message);
+      }
+
+      const emailManager = this.whatsappManager?.emailManager;
+      if (admin.email && this.config.email?.enabled && emailManager) {
+        if (!emailManager.transporter) await emailManager.initialize();
+        sent = await emailManager.sendEmail({
+          to: admin.email,
+          subject: `🔒 SINOE - Acceso suspendido: ${summary.etiqueta}`,
+          html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+              <h2 style="color: #e74c3c; border-bottom: 2px solid #e74c3c;">🔒 SINOE - Acceso suspendido</h2>
+              <p><strong>🗂️ Casilla:</strong> ${summary.etiqueta} (${summary.cuenta})</p>
+              <p><strong>❌ Motivo:</strong> ${motivo}</p>
+              <p><strong>💬 Detalle:</strong> ${summary.error}</p>
+              <p><strong>📅 Fecha:</strong> ${timestamp}</p>
+              <p>⛔ No se volverá a intentar el inicio de sesión hasta que se actualicen las credenciales de esta casilla.</p>
+            </div>
+          `
+        }) || sent;
+      }
+    } catch (error) {
+      this.logger.error(`❌ Failed to send login alert for account ${summary.cuenta}:`, error.message);
+    }
+
+    if (!sent) this.logger.error(`❌ No login alert could be delivered for account ${summary.cuenta} (set ADMIN_PHONE or ADMIN_EMAIL)`);
+    return sent;
+  }
+
+  // Compares the run's selector report with the problems already reported and alerts the administrator about new ones:
+  // targets only found through a fallback and required targets nothing matched. Targets the run did not reach
+  // (e.g. the bandeja after a failed login) keep their previous state.
+  async checkSelectorHealth(report) {
+    if (!report || this.config.admin?.selectorAlerts === false) return false;
+
+    const problems = [
+      ...report.drift.map(problem => ({ ...problem, tipo: 'FALLBACK' })),
+      ...report.missing.map(problem => ({ ...problem, tipo: 'SIN_COINCIDENCIA' }))
+    ];
+    const key = problem => `${problem.target}|${problem.tipo}|${problem.selector || ''}`;
+    const canStore = !!this.storageManager?.isInitialized;
+
+    let previous = [];
+    if (canStore) {
+      try {
+        previous = (await this.storageManager.getSelectorHealth())?.problemas || [];
+      } catch (error) {
+        this.logger.warn(`⚠️ Could not read selector health: ${error.message}`);
+      }
+    }
+
+    const current = new Set(problems.map(key));
+    const reported = new Set(previous.map(key));
+    const newProblems = problems.filter(problem => !reported.has(key(problem)));
+    const solved = previous.filter(problem => report.checked.includes(problem.target) && !current.has(key(problem)));
+    if (solved.length > 0) {
+      this.logger.info(`🧭 Selectors working again: ${solved.map(problem => problem.target).join(', ')}`);
+    }
+    if (newProblems.length === 0 && solved.length === 0) return false;
+
+    // Without storage every run with problems alerts again
+    const sent = newProblems.length > 0 ? await this.sendSelectorAlert(newProblems) : true;
+    if (canStore && sent) {
+      try {
+        await this.storageManager.saveSelectorHealth({
+          problemas: [...previous.filter(problem => !report.checked.includes(problem.target)), ...problems],
+          fecha: new Date().toISOString()
+        });
+      } catch (error) {
+        this.logger.error('❌ Could not store selector health:', error.message);
+      }
+    }
+    return newProblems.length > 0;
+  }
+
+  // Dedicated alert to the administrator (ADMIN_PHONE / ADMIN_EMAIL) when SINOE's markup no longer matches the primary selectors
+  async sendSelectorAlert(problems) {
+    const admin = this.config.admin || {};
+    const timestamp = new Date().toLocaleString('es-ES', { timeZone: 'America/Lima' });
+    const lines = problems.map(problem => (problem.tipo === 'FALLBACK'
+      ? `⚠️ ${problem.label}: el selector principal "${problem.primary}" ya no funciona, se usó "${problem.selector}"`
+      : `❌ ${problem.label}: ningún selector coincide en la página ${problem.page}`));
+    let sent = false;
+
+    try {
+      if (admin.phone && this.whatsappManager?.isClientAvailable()) {
+        const message = `🧭 *SINOE - Cambios en la página*\n\n${lines.join('\n')}\n📅 ${timestamp}\n\n` +
+          `🔧 Actualice los selectores en src/config.js antes de que falle la extracción.\n\n🤖 _Sistema de notificaciones SINOE_`;
+        sent = await this.whatsappManager.sendMessage(admin.phone, message);
+      }
+
+      const emailManager = this.whatsappManager?.emailManager;
+      if (admin.email && this.config.email?.enabled && emailManager) {
+        if (!emailManager.transporter) await emailManager.initialize();
+        sent = await emailManager.sendEmail({
+          to: admin.email,
+          subject: `🧭 SINOE - Cambios en la página (${problems.length} selector(es))`,
+          html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+              <h2 style="color: #e67e22; border-bottom: 2px solid #e67e22;">🧭 SINOE - Cambios en la página</h2>
+              <ul>${lines.map(line => `<li>${line}</li>`).join('')}</ul>
+              <p><strong>📅 Fecha:</strong> ${timestamp}</p>
+              <p>🔧 Actualice los selectores en src/config.js antes de que falle la extracción.</p>
+            </div>
+          `
+        }) || sent;
+      }
+    } catch (error) {
+      this.logger.error('❌ Failed to send selector alert:', error.message);
+    }
+
+    if (!sent) this.logger.error('❌ No selector alert could be delivered (set ADMIN_PHONE or ADMIN_EMAIL)');
+    return sent;
+  }
+
   async sendErrorNotification(error) {
     try {
       // Try WhatsApp first
@@ -593,10 +912,10 @@ class EthicalScraper {
         await this.whatsappManager.close();
       }
 
-      // Close DynamoDB connections
-      if (this.dynamodbManager) {
-        this.logger.debug('🧹 Closing DynamoDB manager...');
-        await this.dynamodbManager.close();
+      // Close storage connections
+      if (this.storageManager) {
+        this.logger.debug('🧹 Closing storage manager...');
+        await this.storageManager.close();
       }
       
       this.logger.info('✅ Final cleanup completed');
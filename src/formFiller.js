@@ -2,25 +2,49 @@
 const FormFieldManager = require('./modules/FormFieldManager');
 const LoginValidator = require('./modules/validation/LoginValidator');
 const SessionManager = require('./modules/session/SessionManager');
+const SinoeSessionStore = require('./modules/session/SinoeSessionStore');
 const NavigationManager = require('./modules/navigation/NavigationManager');
 const DataExtractor = require('./modules/extraction/DataExtractor');
+const DocumentManager = require('./modules/documents/DocumentManager');
+const SearchFilterManager = require('./modules/search/SearchFilterManager');
+const SchemaDriftError = require('./modules/extraction/SchemaDriftError');
+const LoginStateMachine = require('./modules/login/LoginStateMachine');
+const LoginResult = require('./modules/login/LoginResult');
+const SelectorRegistry = require('./modules/selectors/SelectorRegistry');
+const PageInteractor = require('./modules/interaction/PageInteractor');
 
 class FormFiller {
-  constructor(config, logger) {
+  constructor(config, logger, selectorRegistry = null) {
     this.config = config.formFilling;
     this.logger = logger;
     this.fullConfig = config;
+    // Shared by every module so the run's selector matches end up in one report
+    this.selectorRegistry = selectorRegistry || new SelectorRegistry(config, logger);
+    this.interactor = new PageInteractor(config, logger, this.selectorRegistry);
     
     // Initialize modules (removed WhatsAppManager - handled by EthicalScraper)
-    this.fieldManager = new FormFieldManager(config, logger);
-    this.validator = new LoginValidator(config, logger);
-    this.sessionManager = new SessionManager(config, logger);
-    this.navigationManager = new NavigationManager(config, logger);
-    this.dataExtractor = new DataExtractor(config, logger);
+    this.fieldManager = new FormFieldManager(config, logger, this.selectorRegistry);
+    this.validator = new LoginValidator(config, logger, this.selectorRegistry);
+    this.sessionManager = new SessionManager(config, logger, this.selectorRegistry);
+    this.sessionStore = new SinoeSessionStore(config, logger);
+    this.navigationManager = new NavigationManager(config, logger, this.selectorRegistry);
+    this.dataExtractor = new DataExtractor(config, logger, this.selectorRegistry);
+    this.documentManager = new DocumentManager(config, logger, this.selectorRegistry);
+    this.searchFilterManager = new SearchFilterManager(config, logger, this.selectorRegistry);
+    this.loginStateMachine = new LoginStateMachine(config, logger, {
+      fillForm: page => this.fillLoginForm(page),
+      submitForm: page => this.submitForm(page),
+      validator: this.validator,
+      sessionManager: this.sessionManager,
+      fieldManager: this.fieldManager
+    });
   }
 
   async initialize() {
     try {
+      await this.documentManager.initialize();
+      await this.sessionStore.initialize();
+
       // FormFiller initialization (WhatsApp now handled by EthicalScraper)
       this.logger.info('🔧 FormFiller initialized - ready for scraping');
       return true;
@@ -40,20 +64,18 @@ class FormFiller {
       // Handle initial modal if present
       await this.navigationManager.handleInitialModal(page);
 
+      // Selector health check while the login page is known to be on screen
+      await this.selectorRegistry.check(page, 'login');
+
       // Analyze all inputs for debugging
       await this.fieldManager.analyzeAllInputs(page);
 
-      // Fill form fields
-      await this.fieldManager.fillUserFields(page);
-      await this.fieldManager.fillPasswordFields(page);
-      await this.fieldManager.fillCaptchaFields(page);
-      await this.fieldManager.fillRemainingTextInputs(page);
-
       // Submit form if enabled
       if (this.config.loginAutomation.autoSubmit) {
-        const result = await this.submitFormWithRetry(page);
+        const result = await this.login(page);
         return result; // Return the extracted data from successful login
       } else {
+        await this.fillLoginForm(page);
         // Wait to see results
         this.logger.info(`Waiting ${this.config.waitTime}ms to see the results...`);
         await this.wait(this.config.waitTime);
@@ -62,10 +84,71 @@ class FormFiller {
 
     } catch (error) {
       this.logger.error('Error filling inputs:', error.message);
+      if (error instanceof SchemaDriftError) throw error;
       return null;
     }
   }
 
+  // Returns the captcha value used, null when the captcha could not be solved, undefined without captcha field
+  async fillLoginForm(page) {
+    await this.navigationManager.handleInitialModal(page);
+    await this.fieldManager.fillUserFields(page);
+    await this.fieldManager.fillPasswordFields(page);
+    const captcha = await this.fieldManager.fillCaptchaFields(page);
+    await this.fieldManager.fillRemainingTextInputs(page);
+    return captcha;
+  }
+
+  // Tries the saved session first, then runs the login state machine; on success continues to the bandeja
+  // and extracts notifications. The LoginResult is always returned under `login` so callers can report why a login failed.
+  async login(page) {
+    const loginUrl = page.url();
+    let login = await this.restoreSession(page, loginUrl);
+
+    if (!login) {
+      login = await this.loginStateMachine.run(page);
+      this.logger.info(`🔐 Login finished in state ${login.state} after ${login.attempts} attempt(s): ${login.history.join(' → ')}`);
+      if (login.success) await this.sessionStore.save(page, loginUrl);
+    }
+
+    if (!login.success) {
+      return { success: false, extractedData: null, login };
+    }
+
+    const result = await this.handleSuccessfulLogin(page);
+    return { ...result, login };
+  }
+
+  // LoginResult when the saved session is still valid, null to log in with the form.
+  // An expired session is discarded and the page sent back to the login form.
+  async restoreSession(page, loginUrl) {
+    const snapshot = await this.sessionStore.load();
+    if (!snapshot) return null;
+
+    const startedAt = Date.now();
+    this.logger.info(`🍪 Trying saved SINOE session from ${snapshot.savedAt}...`);
+    try {
+      if (await this.sessionStore.apply(page, snapshot) && await this.validator.validateSuccessfulLogin(page)) {
+        this.logger.info('✅ Saved SINOE session still valid - login skipped');
+        return LoginResult.success({ state: 'SUCCESS', history: ['SUCCESS'], durationMs: Date.now() - startedAt, restored: true });
+      }
+      this.logger.info('⌛ Saved SINOE session expired - logging in with the form');
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not restore saved SINOE session: ${error.message}`);
+    }
+
+    await this.sessionStore.clear();
+    try {
+      const cookies = await page.cookies(page.url(), loginUrl);
+      if (cookies.length > 0) await page.deleteCookie(...cookies);
+      await page.goto(loginUrl, { waitUntil: 'networkidle0' });
+      await this.wait(1000);
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not return to the login page: ${error.message}`);
+    }
+    return null;
+  }
+
   async submitForm(page) {
     this.logger.info('🚀 Attempting to submit form...');
     
@@ -74,114 +157,68 @@ class FormFiller {
     await this.wait(this.config.loginAutomation.submitDelay);
 
     try {
-      // Strategy 1: Direct ID match (most specific)
-      const submitById = await page.$(this.config.selectors.submitButtonId);
-      if (submitById && await this.isButtonClickable(page, submitById)) {
-        this.logger.info('Found submit button with id="frmLogin:btnIngresar", clicking...');
-        await this.sessionManager.clickButton(page, submitById);
-        return;
-      }
-
-      // Strategy 2: Try common submit button selectors
-      for (const selector of this.config.selectors.submitButtonSelectors) {
-        const button = await page.$(selector);
-        if (button && await this.isButtonClickable(page, button)) {
-          this.logger.info(`Found submit button with selector "${selector}", clicking...`);
-          await this.sessionManager.clickButton(page, button);
-          return;
-        }
+      const match = await this.interactor.find(page, 'botonIngresar', { timeout: 0 });
+      if (match) {
+        // SINOE answers the login form with a new page (menu, error, SSO validation or active session)
+        await this.interactor.click(page, match, { settle: 'navigation' });
+        return true;
       }
 
       this.logger.error('❌ No submit button found - login must be completed manually');
-      
+      return false;
     } catch (error) {
       this.logger.error('❌ Error submitting form:', error.message);
+      return false;
     }
   }
 
-  async submitFormWithRetry(page) {
-    let retryCount = 0;
-    const maxRetries = this.config.loginAutomation.maxRetries;
-    
-    while (retryCount <= maxRetries) {
-      this.logger.info(`🚀 Login attempt ${retryCount + 1}/${maxRetries + 1}`);
-      
-      // Re-fill form fields before each attempt (except the first one which was already filled)
-      if (retryCount > 0) {
-        this.logger.info('🔄 Re-filling form fields for retry attempt...');
-        await this.navigationManager.handleInitialModal(page);
-        await this.fieldManager.fillUserFields(page);
-        await this.fieldManager.fillPasswordFields(page);
-        await this.fieldManager.fillCaptchaFields(page);
-        await this.fieldManager.fillRemainingTextInputs(page);
-      }
-      
-      // Submit the form
-      await this.submitForm(page);
-      
-      // Wait for response
-      await this.wait(3000);
-      
-      // Check the result using validator
-      const loginResult = await this.validator.checkLoginResult(page);
-      
-      if (loginResult === 'SUCCESS') {
-        const result = await this.handleSuccessfulLogin(page);
-        return result;
-      } else if (loginResult === 'SSO_REDIRECT') {
-        await this.handleSSORedirect(page);
-        continue;
-      } else if (loginResult === 'ACTIVE_SESSION') {
-        const success = await this.handleActiveSessionRetry(page);
-        if (success) continue;
-        else return;
-      } else if (loginResult === 'CAPTCHA_ERROR' || loginResult === 'LOGIN_ERROR') {
-        retryCount++;
-        const shouldContinue = await this.handleLoginError(page, loginResult);
-        if (shouldContinue) {
-          continue;
-        } else {
-          // Even with high confidence captcha failure, we should try again with new captcha
-          this.logger.info('🔄 High confidence captcha failed, will retry with new captcha...');
-          continue;
-        }
-      }
-      
-      if (retryCount > maxRetries) {
-        this.logger.error(`❌ Max retries (${maxRetries}) reached. Login failed.`);
-        return { success: false, extractedData: null };
-      }
-      
-      await this.wait(2000);
-    }
-    
-    // If we exit the loop without success
-    return { success: false, extractedData: null };
-  }
-
   async handleSuccessfulLogin(page) {
     this.logger.info('✅ Login successful!');
+    await this.selectorRegistry.check(page, 'menu');
     
     // Navigate to Casillas Electronicas
     const navigationSuccess = await this.navigationManager.navigateToCasillasElectronicas(page);
     if (navigationSuccess) {
       this.logger.info('✅ Successfully navigated to Casillas Electrónicas');
+      await this.selectorRegistry.check(page, 'bandeja');
+
+      // Narrow the bandeja with configured search criteria (date range, expediente, órgano, estado)
+      const searchCriteria = await this.searchFilterManager.applyFilters(page);
       
-      // Extract notifications data - this will be handled by EthicalScraper for notifications
-      const notificationsData = await this.dataExtractor.extractNotificationsData(page);
+      // Extract notifications data from every page - this will be handled by EthicalScraper for notifications
+      // Documents are retrieved page by page while each row is still on screen
+      const onPage = this.documentManager.isEnabled()
+        ? (tableBody, rows, columnMap) => this.documentManager.processPageDocuments(page, tableBody, rows, columnMap)
+        : null;
+      let extraction;
+      try {
+        extraction = await this.dataExtractor.extractNotificationsPages(page, { onPage });
+      } catch (error) {
+        // Schema drift must abort the job loudly, but never leave the SINOE session open
+        await this.sessionManager.performFinalLogout(page);
+        throw error;
+      }
+      const { notifications: notificationsData, pageCount, complete, error: extractionError } = extraction;
+      if (!complete) {
+        this.logger.warn(`⚠️ Notifications extraction incomplete: ${extractionError}`);
+      }
       if (notificationsData && notificationsData.length > 0) {
-        this.logger.info(`✅ Extracted ${notificationsData.length} notification records`);
+        this.logger.info(`✅ Extracted ${notificationsData.length} notification records from ${pageCount} page(s)`);
         this.logger.info('📊 Notifications Data:', JSON.stringify(notificationsData, null, 2));
       } else {
         this.logger.info('⚠️ No notifications data found or table is empty');
       }
       
-      // Final logout
-      const logoutSuccess = await this.sessionManager.performFinalLogout(page);
-      if (logoutSuccess) {
-        this.logger.info('✅ Successfully logged out');
+      // Final logout, unless the session is kept for the next run (logging out would invalidate it)
+      if (this.sessionStore.isEnabled()) {
+        this.logger.info('🍪 Keeping the SINOE session open for the next run');
       } else {
-        this.logger.info('⚠️ Could not perform final logout');
+        const logoutSuccess = await this.sessionManager.performFinalLogout(page);
+        if (logoutSuccess) {
+          this.logger.info('✅ Successfully logged out');
+        } else {
+          this.logger.info('⚠️ Could not perform final logout');
+        }
       }
 
       // Return extracted data for EthicalScraper to handle notifications
@@ -191,6 +228,10 @@ class FormFiller {
           timestamp: new Date().toISOString(),
           source: 'SINOE - Sistema de Notificaciones Electrónicas',
           recordCount: notificationsData ? notificationsData.length : 0,
+          pageCount: pageCount,
+          complete: complete,
+          extractionError: extractionError,
+          searchCriteria: searchCriteria,
           notifications: notificationsData || []
         }
       };
@@ -198,67 +239,13 @@ class FormFiller {
       this.logger.info('⚠️ Login successful but could not navigate to Casillas Electrónicas');
       return {
         success: false,
-        extractedData: null
+        extractedData: null,
+        failedStep: 'navigation',
+        error: 'Could not navigate to Casillas Electrónicas'
       };
     }
   }
 
-  async handleSSORedirect(page) {
-    this.logger.info('🔄 SSO redirect detected, continuing with login process...');
-    await this.wait(2000);
-    
-    // Re-fill form fields after redirect
-    await this.navigationManager.handleInitialModal(page);
-    await this.fieldManager.fillUserFields(page);
-    await this.fieldManager.fillPasswordFields(page);
-    await this.fieldManager.fillCaptchaFields(page);
-    await this.fieldManager.fillRemainingTextInputs(page);
-  }
-
-  async handleActiveSessionRetry(page) {
-    this.logger.info('⚠️ Active session detected, handling logout...');
-    const logoutSuccess = await this.sessionManager.handleActiveSession(page);
-    if (logoutSuccess) {
-      this.logger.info('🔄 Restarting login process after logout...');
-      await this.wait(3000); // Wait for page to load completely
-      
-      // Re-fill all form fields after logout
-      await this.navigationManager.handleInitialModal(page);
-      await this.fieldManager.fillUserFields(page);
-      await this.fieldManager.fillPasswordFields(page);
-      await this.fieldManager.fillCaptchaFields(page);
-      await this.fieldManager.fillRemainingTextInputs(page);
-      
-      return true; // Continue with the login attempt
-    } else {
-      this.logger.error('❌ Failed to handle active session');
-      return false;
-    }
-  }
-
-  async handleLoginError(page, loginResult) {
-    if (this.fieldManager.lowConfidenceCaptcha || loginResult === 'CAPTCHA_ERROR') {
-      this.logger.info('🔄 Low confidence captcha or captcha error, reloading page...');
-      await page.reload({ waitUntil: 'networkidle0' });
-      await this.wait(2000);
-      
-      this.fieldManager.lowConfidenceCaptcha = false; // Reset flag
-      return true; // Continue retrying with page reload
-    } else {
-      this.logger.info('⚠️ Login failed with high confidence captcha, will retry with new captcha');
-      return false; // Continue retrying but without page reload
-    }
-  }
-
-  async isButtonClickable(page, button) {
-    return await page.evaluate(el => {
-      return el.offsetParent !== null && 
-             !el.disabled && 
-             el.style.visibility !== 'hidden' &&
-             el.style.display !== 'none';
-    }, button);
-  }
-
   async checkForLoginErrors(page) {
     try {
       // Common error selectors
@@ -1,11 +1,13 @@
 // Form field management module
 const CaptchaSolver = require('../captchaSolver');
+const SelectorRegistry = require('./selectors/SelectorRegistry');
 
 class FormFieldManager {
-  constructor(config, logger) {
+  constructor(config, logger, selectorRegistry = null) {
     this.config = config.formFilling;
     this.logger = logger;
-    this.captchaSolver = new CaptchaSolver(config, logger);
+    this.selectorRegistry = selectorRegistry || new SelectorRegistry(config, logger);
+    this.captchaSolver = new CaptchaSolver(config, logger, this.selectorRegistry);
   }
 
   async analyzeAllInputs(page) {
@@ -32,32 +34,13 @@ class FormFieldManager {
     this.logger.info('🔑 Filling usuario/username fields...');
     const userValue = this.getUserValue();
     
-    // Strategy 1: Direct placeholder match
-    const userByPlaceholder = await page.$(this.config.selectors.userByPlaceholder);
-    if (userByPlaceholder && await this.isInputVisible(page, userByPlaceholder)) {
-      this.logger.info(`Found input with placeholder "Usuario", filling with: ${userValue}`);
-      await this.fillInput(page, userByPlaceholder, userValue);
+    const match = await this.selectorRegistry.find(page, 'usuario');
+    if (match) {
+      this.logger.info(`Found user input with selector "${match.selector}", filling with: ${userValue}`);
+      await this.fillInput(page, match.element, userValue);
       return;
     }
 
-    // Strategy 2: Specific name match
-    const userByName = await page.$(this.config.selectors.userByName);
-    if (userByName && await this.isInputVisible(page, userByName)) {
-      this.logger.info(`Found input with name "P5qKey@kVBiG2Yn2dPEwG3&@n", filling with: ${userValue}`);
-      await this.fillInput(page, userByName, userValue);
-      return;
-    }
-
-    // Strategy 3: Common user selectors
-    for (const selector of this.config.selectors.userCommonSelectors) {
-      const input = await page.$(selector);
-      if (input && await this.isInputVisible(page, input)) {
-        this.logger.info(`Found user input with selector "${selector}", filling with: ${userValue}`);
-        await this.fillInput(page, input, userValue);
-        return;
-      }
-    }
-
     this.logger.info('No user/usuario input fields found');
   }
 
@@ -65,32 +48,13 @@ class FormFieldManager {
     this.logger.info('🔒 Filling password fields...');
     const passwordValue = this.getPasswordValue();
     
-    // Strategy 1: Direct placeholder match
-    const passByPlaceholder = await page.$(this.config.selectors.passwordByPlaceholder);
-    if (passByPlaceholder && await this.isInputVisible(page, passByPlaceholder)) {
-      this.logger.info(`Found input with placeholder "Contraseña", filling with: ${passwordValue}`);
-      await this.fillInput(page, passByPlaceholder, passwordValue);
+    const match = await this.selectorRegistry.find(page, 'password');
+    if (match) {
+      this.logger.info(`Found password input with selector "${match.selector}", filling with: ${passwordValue}`);
+      await this.fillInput(page, match.element, passwordValue);
       return;
     }
 
-    // Strategy 2: Password type
-    const passByType = await page.$(this.config.selectors.passwordByType);
-    if (passByType && await this.isInputVisible(page, passByType)) {
-      this.logger.info(`Found password type input, filling with: ${passwordValue}`);
-      await this.fillInput(page, passByType, passwordValue);
-      return;
-    }
-
-    // Strategy 3: Common password selectors
-    for (const selector of this.config.selectors.passwordCommonSelectors) {
-      const input = await page.$(selector);
-      if (input && await this.isInputVisible(page, input)) {
-        this.logger.info(`Found password input with selector "${selector}", filling with: ${passwordValue}`);
-        await this.fillInput(page, input, passwordValue);
-        return;
-      }
-    }
-
     this.logger.info('No password input fields found');
   }
 
@@ -110,20 +74,20 @@ class FormFieldManager {
     // If captcha value is AUTO or empty, try to solve it
     if (!captchaValue || captchaValue === 'AUTO' || captchaValue === 'MANUAL') {
       this.logger.info('🤖 Attempting to solve captcha automatically...');
-      const captchaResult = await this.captchaSolver.solveCaptcha(page);
-      
-      if (captchaResult && captchaResult.text) {
-        // Check confidence level
-        if (captchaResult.confidence >= this.config.loginAutomation.minCaptchaConfidence) {
-          this.logger.info(`✅ High confidence captcha (${captchaResult.confidence}%), using: ${captchaResult.text}`);
-          captchaValue = captchaResult.text;
-        } else {
-          this.logger.info(`⚠️ Low confidence captcha (${captchaResult.confidence}%), will retry if login fails`);
-          captchaValue = captchaResult.text;
-          // Store low confidence flag for retry logic
-          this.lowConfidenceCaptcha = true;
-        }
+      const captchaResult = await this.solveCaptchaWithRefresh(page);
+
+      // Still doubtful once the refreshes are used up: never submitted, since a wrong captcha costs a login attempt
+      const problem = captchaResult?.text
+        ? this.checkCaptchaFormat(captchaResult.text) || this.checkCaptchaConfidence(captchaResult)
+        : 'no answer';
+      if (!problem) {
+        this.logger.info(`✅ Captcha answer accepted (${captchaResult.confidence}%), using: ${captchaResult.text}`);
+        captchaValue = captchaResult.text;
       } else {
+        if (captchaResult?.text && captchaResult.provider) {
+          this.logger.info(`❌ Discarding captcha "${captchaResult.text}": ${problem}`);
+          await this.captchaSolver.recordOutcome('DISCARDED');
+        }
         captchaValue = 'MANUAL';
       }
     }
@@ -135,35 +99,108 @@ class FormFieldManager {
     } else {
       this.logger.info('❌ Could not solve captcha automatically - manual intervention required');
       this.logger.info('💡 The browser will stay open for manual captcha entry');
+      if (!this.config.captcha?.human?.fallback) {
+        this.logger.info('💡 Set CAPTCHA_MANUAL_FALLBACK=true to send the captcha to an operator by WhatsApp or email');
+      }
       return null;
     }
   }
 
-  async findCaptchaInput(page) {
-    // Strategy 1: Direct ID match (most specific)
-    const captchaById = await page.$(this.config.selectors.captchaById);
-    if (captchaById && await this.isInputVisible(page, captchaById)) {
-      this.logger.info('Found captcha input with id="frmLogin:captcha"');
-      return captchaById;
+  // A doubtful answer (below minCaptchaConfidence or badly shaped) costs a login attempt, and failed
+  // attempts can lock the account, so SINOE is asked for a new captcha instead, up to maxCaptchaRefreshes times
+  async solveCaptchaWithRefresh(page) {
+    const maxRefreshes = this.config.loginAutomation.maxCaptchaRefreshes ?? 3;
+    let captchaResult = await this.captchaSolver.solveCaptcha(page);
+
+    for (let refresh = 1; refresh <= maxRefreshes; refresh++) {
+      // No provider means a manual value: a new image would not change it
+      if (!captchaResult?.provider) break;
+
+      const problem = this.checkCaptchaFormat(captchaResult.text) || this.checkCaptchaConfidence(captchaResult);
+      if (!problem) break;
+
+      this.logger.info(`🔄 Captcha "${captchaResult.text}" rejected before submitting: ${problem} - refreshing (${refresh}/${maxRefreshes})`);
+      await this.captchaSolver.recordOutcome('REFRESHED');
+      if (!await this.refreshCaptcha(page)) break;
+
+      captchaResult = await this.captchaSolver.solveCaptcha(page);
     }
 
-    // Strategy 2: Placeholder match
-    const captchaByPlaceholder = await page.$(this.config.selectors.captchaByPlaceholder);
-    if (captchaByPlaceholder && await this.isInputVisible(page, captchaByPlaceholder)) {
-      this.logger.info('Found captcha input by placeholder');
-      return captchaByPlaceholder;
+    return captchaResult;
+  }
+
+  // Returns why the text cannot be the captcha, or null when it has the expected shape
+  checkCaptchaFormat(text) {
+    const format = this.config.captcha?.format || {};
+    const value = text || '';
+
+    if (format.minLength && value.length < format.minLength) return `too short (${value.length} < ${format.minLength})`;
+    if (format.maxLength && value.length > format.maxLength) return `too long (${value.length} > ${format.maxLength})`;
+    if (format.charset) {
+      const invalid = [...value].filter(char => !format.charset.includes(char));
+      if (invalid.length) return `unexpected characters (${[...new Set(invalid)].join('')})`;
     }
+    return null;
+  }
 
-    // Strategy 3: Common captcha selectors
-    for (const selector of this.config.selectors.captchaCommonSelectors) {
-      const input = await page.$(selector);
-      if (input && await this.isInputVisible(page, input)) {
-        this.logger.info(`Found captcha input with selector "${selector}"`);
-        return input;
+  // Returns why a solver answer is too doubtful to submit; manual values (no provider) are always trusted
+  checkCaptchaConfidence(captchaResult) {
+    const minConfidence = this.config.loginAutomation.minCaptchaConfidence;
+    if (!captchaResult.provider || captchaResult.confidence >= minConfidence) return null;
+    return `low confidence (${captchaResult.confidence}% < ${minConfidence}%)`;
+  }
+
+  // Clicks SINOE's refresh control; without one, the image is requested again with a cache-busting parameter
+  async refreshCaptcha(page) {
+    try {
+      const control = await this.selectorRegistry.find(page, 'captchaRefrescar');
+      if (control) {
+        this.logger.info(`🔄 Clicking captcha refresh control: ${control.selector}`);
+        await control.element.click();
+        return await this.waitForCaptchaImage(page);
       }
+
+      const reloaded = await page.evaluate(selector => {
+        const img = document.querySelector(selector);
+        if (!img || !img.src || img.src.startsWith('data:')) return false;
+        const url = new URL(img.src, document.baseURI);
+        url.searchParams.set('_', Date.now());
+        img.src = url.toString();
+        return true;
+      }, this.config.selectors.captchaImageId);
+
+      if (!reloaded) {
+        this.logger.warn('⚠️ No captcha refresh control found - submitting the current answer');
+        return false;
+      }
+      this.logger.info('🔄 Captcha image requested again');
+      return await this.waitForCaptchaImage(page);
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not refresh captcha: ${error.message}`);
+      return false;
     }
+  }
 
-    return null;
+  async waitForCaptchaImage(page) {
+    await this.wait(500);
+    await page.waitForFunction(selector => {
+      const img = document.querySelector(selector);
+      return img && img.complete && img.naturalWidth > 0;
+    }, { timeout: 10000 }, this.config.selectors.captchaImageId).catch(() => null);
+    await this.wait(500);
+    return true;
+  }
+
+  async recordCaptchaOutcome(loginResult) {
+    await this.captchaSolver.recordOutcome(loginResult);
+  }
+
+  async findCaptchaInput(page) {
+    const match = await this.selectorRegistry.find(page, 'captcha');
+    if (!match) return null;
+
+    this.logger.info(`Found captcha input with selector "${match.selector}"`);
+    return match.element;
   }
 
   async fillRemainingTextInputs(page) {
@@ -259,10 +296,6 @@ class FormFieldManager {
     return null; // Don't fill unknown fields
   }
 
-  async isInputVisible(page, input) {
-    return await page.evaluate(el => el.offsetParent !== null && !el.disabled, input);
-  }
-
   async fillInput(page, input, value) {
     await input.click();
     await input.focus();
@@ -0,0 +1,154 @@
+// SINOE accounts (casillas) processed in each run, each with its own credentials and recipients
+const crypto = require('crypto');
+
+class AccountManager {
+  constructor(config, logger, storageManager = null) {
+    this.fullConfig = config;
+    this.config = config.accounts || [];
+    this.logger = logger;
+    this.storageManager = storageManager; // Needed only for login suspensions
+  }
+
+  slugify(text) {
+    return (text || '').toString().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
+
+  // Without a configured list the INPUT_USUARIO/INPUT_PASSWORD account is the only one
+  getAccounts() {
+    if (!Array.isArray(this.config) || this.config.length === 0) {
+      const fields = this.fullConfig.formFilling?.fields || {};
+      return [{ id: 'principal', label: 'Principal', usuario: fields.usuario, password: fields.password, recipients: [] }];
+    }
+
+    const seen = new Set();
+    return this.config.reduce((accounts, account, idx) => {
+      if (account.enabled === false) return accounts;
+
+      const id = account.id || this.slugify(account.label) || this.slugify(account.usuario) || `cuenta-${idx + 1}`;
+      if (!account.usuario || !account.password) {
+        this.logger.warn(`⚠️ Account ${id} has no usuario/password - skipping`);
+        return accounts;
+      }
+      if (seen.has(id)) {
+        this.logger.warn(`⚠️ Duplicate account id ${id} - skipping`);
+        return accounts;
+      }
+      seen.add(id);
+
+      accounts.push({
+        id,
+        label: account.label || id,
+        usuario: String(account.usuario),
+        password: String(account.password),
+        recipients: Array.isArray(account.recipients) ? account.recipients : []
+      });
+      return accounts;
+    }, []);
+  }
+
+  // Copy of the config whose credentials are the account's; FORM_FIELDS values would otherwise take priority
+  buildAccountConfig(account) {
+    if (!Array.isArray(this.config) || this.config.length === 0) {
+      return { ...this.fullConfig, account: { id: account.id, label: account.label } };
+    }
+
+    const formFilling = this.fullConfig.formFilling;
+    const formFields = { ...formFilling.formFields };
+    delete formFields.usuario;
+    delete formFields.user;
+    delete formFields.password;
+    delete formFields.contraseña;
+
+    return {
+      ...this.fullConfig,
+      formFilling: {
+        ...formFilling,
+        fields: { ...formFilling.fields, usuario: account.usuario, password: account.password },
+        formFields,
+        inputValue: account.usuario
+      },
+      account: { id: account.id, label: account.label }
+    };
+  }
+
+  // Recipients declared on an account only receive that account's notifications (cuentas)
+  getAccountRecipients() {
+    const recipients = [];
+    for (const account of this.getAccounts()) {
+      for (const recipient of account.recipients) {
+        if (!recipient.phone && !recipient.email) continue;
+        recipients.push({
+          name: recipient.name || recipient.nombre || '',
+          phone: recipient.phone || '',
+          email: recipient.email || '',
+          receiveNotifications: recipient.receiveNotifications !== false,
+          cuentas: [account.id]
+        });
+      }
+    }
+    return recipients;
+  }
+
+  // Fingerprint of the credentials, so a suspension lifts itself once they are changed
+  credentialHash(account) {
+    return crypto.createHash('sha256').update(`${account.usuario}:${account.password}`).digest('hex');
+  }
+
+  // Login suspended after a credential error or lockout, while the credentials stay the same
+  async getLoginBlock(account) {
+    if (!this.storageManager?.isInitialized) return null;
+
+    try {
+      const bloqueo = await this.storageManager.getAccountLoginBlock(account.id);
+      if (!bloqueo) return null;
+      if (bloqueo.credencial !== this.credentialHash(account)) {
+        this.logger.info(`🔑 Credentials of account ${account.id} changed since its login was suspended - trying again`);
+        return null;
+      }
+      return bloqueo;
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not read login suspension for account ${account.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async blockLogin(account, login) {
+    if (!this.storageManager?.isInitialized) return false;
+
+    try {
+      await this.storageManager.saveAccountLoginBlock(account.id, {
+        motivo: login.reason,
+        mensaje: login.message,
+        fecha: new Date().toISOString(),
+        credencial: this.credentialHash(account)
+      });
+      this.logger.warn(`🔒 Login suspended for account ${account.id} (${login.reason}) until its credentials change`);
+      return true;
+    } catch (error) {
+      this.logger.error(`❌ Could not store login suspension for account ${account.id}:`, error.message);
+      return false;
+    }
+  }
+
+  async clearLoginBlock(account) {
+    if (!this.storageManager?.isInitialized) return false;
+
+    try {
+      if (!await this.storageManager.getAccountLoginBlock(account.id)) return false;
+      await this.storageManager.saveAccountLoginBlock(account.id, null);
+      this.logger.info(`🔓 Login suspension lifted for account ${account.id}`);
+      return true;
+    } catch (error) {
+      this.logger.error(`❌ Could not lift login suspension for account ${account.id}:`, error.message);
+      return false;
+    }
+  }
+
+  // Marks every notification with the casilla it came from
+  tagNotifications(notifications, account) {
+    return notifications.map(notification => ({ ...notification, cuenta: account.id, cuentaEtiqueta: account.label }));
+  }
+}
+
+module.exports = AccountManager;
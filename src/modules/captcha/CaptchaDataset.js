@@ -0,0 +1,178 @@
+// Labelled captcha dataset: every solved image with each provider's answer and the login outcome.
+// attempts.jsonl is append-only; an "outcome" line labels the "attempt" line with the same id.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Login results that tell whether the submitted captcha was right; anything else leaves it unlabelled
+const OUTCOME_LABELS = {
+  SUCCESS: true,
+  ACTIVE_SESSION: true, // SINOE only reports the active session after accepting the captcha
+  CAPTCHA_ERROR: false
+};
+
+class CaptchaDataset {
+  constructor(config, logger) {
+    this.config = config.formFilling?.captcha?.dataset || {};
+    this.logger = logger;
+    this.enabled = !!this.config.enabled;
+    this.dir = this.config.dir || 'data/captchas';
+    this.indexPath = path.join(this.dir, 'attempts.jsonl');
+  }
+
+  async append(record) {
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.appendFile(this.indexPath, JSON.stringify(record) + '\n');
+  }
+
+  // candidates: every provider answer in chain order; submitted: the one typed into the form
+  async recordAttempt({ imageBase64, candidates, submitted, account = null }) {
+    if (!this.enabled) return null;
+
+    try {
+      const id = `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+      const image = `${id}.png`;
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(path.join(this.dir, image), Buffer.from(imageBase64, 'base64'));
+
+      await this.append({
+        type: 'attempt',
+        id,
+        timestamp: new Date().toISOString(),
+        account,
+        image,
+        submitted: { provider: submitted.provider, model: submitted.model || null, text: submitted.text, confidence: submitted.confidence },
+        candidates: candidates.map(({ provider, model, text, confidence }) => ({ provider, model: model || null, text, confidence }))
+      });
+      return id;
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not store captcha attempt: ${error.message}`);
+      return null;
+    }
+  }
+
+  async recordOutcome(id, loginResult) {
+    if (!this.enabled || !id) return;
+
+    try {
+      await this.append({ type: 'outcome', id, timestamp: new Date().toISOString(), loginResult });
+      this.logger.debug(`📚 Captcha attempt ${id} labelled ${loginResult}`);
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not store captcha outcome: ${error.message}`);
+    }
+  }
+
+  // Attempts with their loginResult, correct (true/false/null) and expected text when known
+  async load({ since = null } = {}) {
+    let content;
+    try {
+      content = await fs.readFile(this.indexPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const attempts = new Map();
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue; // A line cut short by a crash
+      }
+
+      if (record.type === 'attempt') {
+        attempts.set(record.id, { ...record, loginResult: null });
+      } else if (record.type === 'outcome' && attempts.has(record.id)) {
+        attempts.get(record.id).loginResult = record.loginResult;
+      }
+    }
+
+    return [...attempts.values()]
+      .filter(attempt => !since || new Date(attempt.timestamp) >= since)
+      .map(attempt => {
+        const correct = attempt.loginResult in OUTCOME_LABELS ? OUTCOME_LABELS[attempt.loginResult] : null;
+        return { ...attempt, correct, expected: correct ? attempt.submitted.text : null };
+      });
+  }
+
+  // A candidate is right when it matches an accepted answer, wrong when it matches a rejected one
+  // or differs from an accepted one; differing from a rejected answer says nothing
+  labelCandidate(attempt, candidate) {
+    if (attempt.correct === null) return null;
+    if (candidate.text === attempt.submitted.text) return attempt.correct;
+    return attempt.correct ? false : null;
+  }
+
+  providerKey({ provider, model }) {
+    return model ? `${provider}/${model}` : provider;
+  }
+
+  buildReport(attempts, { bucketSize = 10 } = {}) {
+    const groups = new Map();
+    for (const attempt of attempts) {
+      for (const candidate of attempt.candidates) {
+        const key = this.providerKey(candidate);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push({ confidence: candidate.confidence, correct: this.labelCandidate(attempt, candidate) });
+      }
+    }
+
+    const providers = [...groups.entries()].map(([key, answers]) => {
+      const labelled = answers.filter(answer => answer.correct !== null);
+      return {
+        provider: key,
+        answers: answers.length,
+        ...this.summarize(labelled),
+        calibration: this.calibrate(labelled, bucketSize),
+        thresholds: this.thresholds(labelled)
+      };
+    }).sort((a, b) => b.answers - a.answers);
+
+    const labelled = attempts.filter(attempt => attempt.correct !== null);
+    return {
+      attempts: attempts.length,
+      submitted: this.summarize(labelled.map(attempt => ({ confidence: attempt.submitted.confidence, correct: attempt.correct }))),
+      providers
+    };
+  }
+
+  summarize(labelled) {
+    const correct = labelled.filter(answer => answer.correct).length;
+    return {
+      labelled: labelled.length,
+      correct,
+      accuracy: labelled.length ? Math.round(correct / labelled.length * 1000) / 10 : null,
+      meanConfidence: labelled.length ? Math.round(labelled.reduce((sum, answer) => sum + answer.confidence, 0) / labelled.length * 10) / 10 : null
+    };
+  }
+
+  // Reported confidence vs observed accuracy per bucket; a calibrated provider has both close
+  calibrate(labelled, bucketSize) {
+    const buckets = new Map();
+    for (const answer of labelled) {
+      const from = Math.min(Math.floor(answer.confidence / bucketSize) * bucketSize, 100 - bucketSize);
+      if (!buckets.has(from)) buckets.set(from, []);
+      buckets.get(from).push(answer);
+    }
+
+    return [...buckets.entries()].sort(([a], [b]) => a - b)
+      .map(([from, answers]) => ({ from, to: from + bucketSize, ...this.summarize(answers) }));
+  }
+
+  // What each candidate minCaptchaConfidence would have let through and how often it was right
+  thresholds(labelled, step = 5) {
+    const rows = [];
+    for (let minConfidence = 0; minConfidence <= 100; minConfidence += step) {
+      const accepted = labelled.filter(answer => answer.confidence >= minConfidence);
+      if (accepted.length === 0) break;
+      rows.push({ minConfidence, coverage: Math.round(accepted.length / labelled.length * 1000) / 10, ...this.summarize(accepted) });
+    }
+    return rows;
+  }
+}
+
+CaptchaDataset.OUTCOME_LABELS = OUTCOME_LABELS;
+
+module.exports = CaptchaDataset;
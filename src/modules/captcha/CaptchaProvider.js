@@ -0,0 +1,25 @@
+// Base class for the captcha providers tried in order by CaptchaSolver.
+// Providers implement solve(); isAvailable() lets the chain skip the ones that cannot run here.
+class CaptchaProvider {
+  constructor(config, logger) {
+    this.config = config.formFilling || {};
+    this.logger = logger;
+    this.name = 'base';
+    this.model = null; // Model or engine variant, reported by the captcha accuracy report
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  // Returns { text, confidence (0-100) }, or null when the provider could not read the image
+  async solve(imageBase64, context = {}) {
+    throw new Error(`${this.constructor.name} must implement solve()`);
+  }
+
+  cleanText(text) {
+    return (text || '').toString().replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+  }
+}
+
+module.exports = CaptchaProvider;
@@ -0,0 +1,151 @@
+// Reads operator email replies that an SES receipt rule stores as raw MIME objects in S3
+const AWS = require('aws-sdk');
+
+class EmailReplyReader {
+  constructor(config, logger) {
+    this.config = config.formFilling?.captcha?.human || {};
+    this.region = config.aws?.region || 'us-east-1';
+    this.logger = logger;
+    this.bucket = this.config.replyBucket || '';
+    this.prefix = this.config.replyPrefix || '';
+    this.pollInterval = this.config.replyPollInterval || 5000;
+    this.s3 = null;
+  }
+
+  isConfigured() {
+    return !!this.bucket;
+  }
+
+  getClient() {
+    if (!this.s3) this.s3 = new AWS.S3({ region: this.region });
+    return this.s3;
+  }
+
+  // Polls the bucket until a reply whose subject carries the token arrives, or isCancelled() turns true
+  async waitForReply(token, { since = new Date(), from = null, isCancelled = () => false } = {}) {
+    const seen = new Set();
+    const marker = `CAPTCHA-${token}`.toUpperCase();
+
+    while (!isCancelled()) {
+      try {
+        const objects = await this.listSince(since);
+        for (const object of objects) {
+          if (seen.has(object.Key)) continue;
+          seen.add(object.Key);
+
+          const raw = await this.getRaw(object.Key);
+          const { headers } = this.parseEntity(raw);
+          if (!this.decodeHeader(headers.subject).toUpperCase().includes(marker)) continue;
+          if (from && !(headers.from || '').toLowerCase().includes(from.toLowerCase())) {
+            this.logger.warn(`⚠️ Ignoring captcha reply from ${headers.from} - not the operator`);
+            continue;
+          }
+
+          const answer = this.extractAnswer(raw);
+          if (answer) {
+            await this.getClient().deleteObject({ Bucket: this.bucket, Key: object.Key }).promise().catch(() => null);
+            return answer;
+          }
+        }
+      } catch (error) {
+        this.logger.warn(`⚠️ Could not read captcha replies from s3://${this.bucket}/${this.prefix}: ${error.message}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+
+    return null;
+  }
+
+  // Every page of the listing: replies that were never deleted would otherwise push new ones past the first 1000 keys
+  async listSince(since) {
+    const objects = [];
+    let continuationToken;
+    do {
+      const result = await this.getClient().listObjectsV2({
+        Bucket: this.bucket,
+        Prefix: this.prefix,
+        ContinuationToken: continuationToken
+      }).promise();
+
+      objects.push(...(result.Contents || []).filter(object => new Date(object.LastModified) >= since));
+      continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  async getRaw(key) {
+    const object = await this.getClient().getObject({ Bucket: this.bucket, Key: key }).promise();
+    return object.Body.toString('utf8');
+  }
+
+  // First line the operator wrote: quoted text ("> ...") and the "On ... wrote:" line are skipped
+  extractAnswer(raw) {
+    const parts = this.collectParts(raw);
+    const plain = parts.find(part => part.type === 'text/plain');
+    const html = parts.find(part => part.type === 'text/html');
+    const text = plain ? plain.text : html ? html.text.replace(/<br\s*\/?>|<\/(p|div)>/gi, '\n').replace(/<[^>]+>/g, '') : '';
+
+    const line = text.split(/\r?\n/).map(l => l.trim())
+      .find(l => l && !l.startsWith('>') && !/(wrote|escribió):$/i.test(l));
+    return line || null;
+  }
+
+  parseEntity(raw) {
+    const separator = raw.match(/\r?\n\r?\n/);
+    const headerBlock = separator ? raw.slice(0, separator.index) : raw;
+    const body = separator ? raw.slice(separator.index + separator[0].length) : '';
+
+    const headers = {};
+    for (const line of headerBlock.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+      const idx = line.indexOf(':');
+      if (idx > 0) {
+        const name = line.slice(0, idx).trim().toLowerCase();
+        if (!(name in headers)) headers[name] = line.slice(idx + 1).trim();
+      }
+    }
+    return { headers, body };
+  }
+
+  // Leaf parts of a (possibly nested) multipart message, decoded
+  collectParts(raw) {
+    const { headers, body } = this.parseEntity(raw);
+    const contentType = headers['content-type'] || 'text/plain';
+
+    if (/^multipart\//i.test(contentType)) {
+      const boundary = (contentType.match(/boundary="?([^";]+)"?/i) || [])[1];
+      if (!boundary) return [];
+      return body.split(`--${boundary}`).slice(1)
+        .filter(part => !part.startsWith('--'))
+        .flatMap(part => this.collectParts(part.replace(/^\r?\n/, '')));
+    }
+
+    return [{
+      type: contentType.split(';')[0].trim().toLowerCase(),
+      text: this.decodeBody(body, headers['content-transfer-encoding'])
+    }];
+  }
+
+  decodeBody(body, encoding = '') {
+    switch ((encoding || '').toLowerCase()) {
+      case 'base64':
+        return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+      case 'quoted-printable':
+        return Buffer.from(body.replace(/=\r?\n/g, '')
+          .replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1').toString('utf8');
+      default:
+        return body;
+    }
+  }
+
+  // RFC 2047 encoded words (=?UTF-8?B?...?=), which every client uses for a subject with emoji
+  decodeHeader(value = '') {
+    return value.replace(/\?=\s+=\?/g, '?==?').replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (_, charset, type, text) => {
+      if (type.toUpperCase() === 'B') return Buffer.from(text, 'base64').toString('utf8');
+      return this.decodeBody(text.replace(/_/g, ' '), 'quoted-printable');
+    });
+  }
+}
+
+module.exports = EmailReplyReader;
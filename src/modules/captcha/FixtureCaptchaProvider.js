@@ -0,0 +1,43 @@
+// Deterministic captcha provider for tests and mock portals: answers come from a fixture file or a fixed value
+const crypto = require('crypto');
+const fs = require('fs');
+const CaptchaProvider = require('./CaptchaProvider');
+
+class FixtureCaptchaProvider extends CaptchaProvider {
+  constructor(config, logger) {
+    super(config, logger);
+    this.name = 'fixture';
+    this.fixtureConfig = this.config.captcha?.fixture || {};
+    this.answers = this.loadAnswers(this.fixtureConfig.file);
+  }
+
+  // { "<sha256 of the image>": "TEXT", ..., "default": "TEXT" }
+  loadAnswers(filePath) {
+    if (!filePath) return {};
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      this.logger.error(`❌ Could not load captcha fixture file ${filePath}:`, error.message);
+      return {};
+    }
+  }
+
+  async isAvailable() {
+    return !!this.fixtureConfig.value || Object.keys(this.answers).length > 0;
+  }
+
+  hashImage(imageBase64) {
+    return crypto.createHash('sha256').update(Buffer.from(imageBase64, 'base64')).digest('hex');
+  }
+
+  async solve(imageBase64) {
+    const answer = this.answers[this.hashImage(imageBase64)] || this.answers.default || this.fixtureConfig.value;
+    if (!answer) return null;
+
+    this.logger.info(`🧪 Fixture captcha answer: "${answer}"`);
+    return { text: this.cleanText(answer), confidence: 100 };
+  }
+}
+
+module.exports = FixtureCaptchaProvider;
@@ -0,0 +1,181 @@
+// Human-in-the-loop captcha provider: an operator reads the image and answers from the console, WhatsApp or email
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const CaptchaProvider = require('./CaptchaProvider');
+const EmailReplyReader = require('./EmailReplyReader');
+
+class HumanCaptchaProvider extends CaptchaProvider {
+  constructor(config, logger) {
+    super(config, logger);
+    this.name = 'human';
+    this.fullConfig = config;
+    this.humanConfig = this.config.captcha?.human || {};
+    this.timeout = this.humanConfig.timeout || 120000;
+    this.channels = this.humanConfig.channels || ['console'];
+    this.replyReader = new EmailReplyReader(config, logger);
+    this.emailManager = null;
+  }
+
+  getOperatorPhone() {
+    return this.humanConfig.operatorPhone || this.fullConfig.whatsapp?.notificationPhone || '';
+  }
+
+  getOperatorEmail() {
+    return this.humanConfig.operatorEmail || this.fullConfig.email?.emailClient || '';
+  }
+
+  // Channels on which someone can actually answer
+  getAvailableChannels() {
+    return this.channels.filter(channel => {
+      switch (channel) {
+        case 'console': return !!process.stdin.isTTY;
+        case 'whatsapp': return !!this.fullConfig.whatsapp?.enabled && !!this.getOperatorPhone();
+        case 'email': return !!this.fullConfig.email?.enabled && !!this.getOperatorEmail() && this.replyReader.isConfigured();
+        default: return false;
+      }
+    });
+  }
+
+  async isAvailable() {
+    return this.getAvailableChannels().length > 0;
+  }
+
+  async saveImage(imageBase64) {
+    const dir = this.humanConfig.imageDir || os.tmpdir();
+    await fs.mkdir(dir, { recursive: true });
+    const imagePath = path.join(dir, `captcha-${Date.now()}.png`);
+    await fs.writeFile(imagePath, Buffer.from(imageBase64, 'base64'));
+    return imagePath;
+  }
+
+  // The captcha goes out on every available channel at once; the first answer wins and the other waits are cancelled
+  async solve(imageBase64, context = {}) {
+    const request = {
+      imageBase64,
+      account: context.account || null,
+      token: crypto.randomBytes(3).toString('hex').toUpperCase(),
+      cancelled: false,
+      cleanups: []
+    };
+    let timer = null;
+
+    try {
+      const waits = [];
+      for (const channel of this.getAvailableChannels()) {
+        const pending = await this.requestVia(channel, request).catch(error => {
+          this.logger.warn(`⚠️ Could not ask for the captcha via ${channel}: ${error.message}`);
+          return null;
+        });
+        if (pending) waits.push(pending.answer.then(answer => this.cleanText(answer) || Promise.reject(new Error(`empty answer via ${channel}`))));
+      }
+
+      if (waits.length === 0) {
+        this.logger.warn('⚠️ No operator channel could be reached for the captcha');
+        return null;
+      }
+
+      this.logger.info(`🙋 Waiting up to ${Math.round(this.timeout / 1000)}s for an operator to answer the captcha (${request.token})`);
+      const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(null), this.timeout); });
+      const text = await Promise.race([Promise.any(waits).catch(() => null), timeout]);
+      if (!text) {
+        this.logger.warn('⏰ No operator answered the captcha in time');
+        return null;
+      }
+
+      // A person read it, so it is as certain as the chain can get
+      this.logger.info(`🙋 Operator answered the captcha: "${text}"`);
+      return { text, confidence: 100 };
+    } catch (error) {
+      this.logger.error('Human captcha error:', error.message);
+      return null;
+    } finally {
+      clearTimeout(timer);
+      request.cancelled = true;
+      request.cleanups.forEach(cleanup => cleanup());
+    }
+  }
+
+  // Sends the captcha and returns { answer }, a promise that resolves to null when that channel gives up
+  async requestVia(channel, request) {
+    switch (channel) {
+      case 'console': return this.requestViaConsole(request);
+      case 'whatsapp': return this.requestViaWhatsApp(request);
+      case 'email': return this.requestViaEmail(request);
+      default: return null;
+    }
+  }
+
+  async requestViaConsole(request) {
+    const imagePath = await this.saveImage(request.imageBase64);
+    this.logger.info(`🙋 Captcha saved to ${imagePath}`);
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    request.cleanups.push(() => rl.close());
+    const answer = new Promise(resolve => {
+      rl.on('close', () => resolve(null));
+      rl.question(`🔤 Captcha${request.account ? ` (${request.account})` : ''} - open ${imagePath} and type the text: `, resolve);
+    });
+    return { answer };
+  }
+
+  // WhatsApp is normally started after scraping; here it is brought up early so the operator can answer
+  async requestViaWhatsApp(request) {
+    const WhatsAppManager = require('../whatsapp/WhatsAppManager');
+    const whatsappManager = WhatsAppManager.getInstance(this.fullConfig, this.logger);
+
+    if (!whatsappManager.isClientAvailable()) {
+      this.logger.info('📱 Starting WhatsApp to ask the operator for the captcha...');
+      if (!await whatsappManager.initialize() || !whatsappManager.isClientAvailable()) {
+        throw new Error('WhatsApp client not connected');
+      }
+    }
+
+    const phone = this.getOperatorPhone();
+    const minutes = Math.max(1, Math.round(this.timeout / 60000));
+    const caption = `🔤 *SINOE - Captcha manual*${request.account ? `\n🗂️ Casilla: ${request.account}` : ''}\n\n` +
+      `Responda con el texto de la imagen (código ${request.token}). Tiene ${minutes} minuto(s).`;
+
+    // Registered before sending so a fast answer is not routed as a command
+    const answer = whatsappManager.waitForReply(phone, this.timeout);
+    request.cleanups.push(() => whatsappManager.cancelReplyWait(phone));
+
+    if (!await whatsappManager.sendImage(phone, request.imageBase64, caption)) {
+      whatsappManager.cancelReplyWait(phone);
+      throw new Error('image not sent');
+    }
+    return { answer };
+  }
+
+  async requestViaEmail(request) {
+    if (!this.emailManager) {
+      const EmailManager = require('../email/EmailManager');
+      this.emailManager = new EmailManager(this.fullConfig, this.logger);
+      if (!await this.emailManager.initialize()) {
+        this.emailManager = null;
+        throw new Error('email service not available');
+      }
+    }
+
+    const since = new Date(Date.now() - 60000); // S3 and SMTP clocks may drift a little
+    const sent = await this.emailManager.sendCaptchaRequest({
+      to: this.getOperatorEmail(),
+      imageBase64: request.imageBase64,
+      token: request.token,
+      account: request.account,
+      timeoutMinutes: Math.max(1, Math.round(this.timeout / 60000))
+    });
+    if (!sent) throw new Error('email not sent');
+
+    const answer = this.replyReader.waitForReply(request.token, {
+      since,
+      from: this.getOperatorEmail(),
+      isCancelled: () => request.cancelled
+    });
+    return { answer };
+  }
+}
+
+module.exports = HumanCaptchaProvider;
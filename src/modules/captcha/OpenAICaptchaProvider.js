@@ -0,0 +1,85 @@
+// Captcha provider using OpenAI Vision
+const OpenAI = require('openai');
+const CaptchaProvider = require('./CaptchaProvider');
+
+class OpenAICaptchaProvider extends CaptchaProvider {
+  constructor(config, logger) {
+    super(config, logger);
+    this.name = 'openai';
+    this.openaiConfig = this.config.openai || {};
+    this.model = this.openaiConfig.model || null;
+    this.openai = null;
+
+    if (this.openaiConfig.apiKey && this.openaiConfig.enabled) {
+      this.openai = new OpenAI({
+        apiKey: this.openaiConfig.apiKey
+      });
+      this.logger.info('🤖 OpenAI captcha solver initialized');
+    } else {
+      this.logger.info('⚠️ OpenAI captcha solver disabled - missing API key or disabled in config');
+    }
+  }
+
+  async isAvailable() {
+    return !!this.openai && !!this.openaiConfig.enabled;
+  }
+
+  async solve(imageBase64) {
+    try {
+      this.logger.info('🤖 Sending captcha to OpenAI for solving...');
+      const response = await this.openai.chat.completions.create({
+        model: this.openaiConfig.model,
+        messages: [
+          {
+            role: "user",
+            content: [
+              {
+                type: "text",
+                text: `Please analyze this captcha image and provide: 1) The text/characters you see 2) Your confidence level (0-100). Format your response as: "TEXT:confidence". Example: "ABC123:85". The captcha contains alphanumeric characters. If unclear, make your best guess and lower the confidence.`
+              },
+              {
+                type: "image_url",
+                image_url: {
+                  url: `data:image/png;base64,${imageBase64}`
+                }
+              }
+            ]
+          }
+        ],
+        max_tokens: 30,
+        temperature: 0.1 // Low temperature for consistent results
+      });
+
+      const aiResponse = response.choices[0]?.message?.content?.trim();
+      
+      if (aiResponse) {
+        // Parse response format "TEXT:confidence"
+        const parts = aiResponse.split(':');
+        let text = parts[0];
+        let confidence = 50; // Default confidence
+        
+        if (parts.length >= 2) {
+          const confidenceStr = parts[1].replace(/[^0-9]/g, '');
+          confidence = parseInt(confidenceStr) || 50;
+        }
+        
+        // Clean the text response
+        const cleanedText = this.cleanText(text);
+        
+        this.logger.info(`OpenAI response: "${aiResponse}" → text: "${cleanedText}", confidence: ${confidence}%`);
+        
+        return {
+          text: cleanedText,
+          confidence: confidence
+        };
+      }
+
+      return null;
+    } catch (error) {
+      this.logger.error('OpenAI API error:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = OpenAICaptchaProvider;
@@ -0,0 +1,92 @@
+// Offline captcha provider using the Tesseract OCR command line tool (apt install tesseract-ocr)
+const { spawn } = require('child_process');
+const CaptchaProvider = require('./CaptchaProvider');
+
+class TesseractCaptchaProvider extends CaptchaProvider {
+  constructor(config, logger) {
+    super(config, logger);
+    this.name = 'tesseract';
+    this.tesseractConfig = this.config.captcha?.tesseract || {};
+    this.binary = this.tesseractConfig.path || 'tesseract';
+    this.available = null; // Checked once with `tesseract --version`
+  }
+
+  async isAvailable() {
+    if (this.available === null) {
+      try {
+        await this.run(['--version']);
+        this.available = true;
+      } catch (error) {
+        this.logger.warn(`⚠️ Tesseract not available (${this.binary}): ${error.message}`);
+        this.available = false;
+      }
+    }
+    return this.available;
+  }
+
+  run(args, input = null) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.binary, args);
+      const timer = setTimeout(() => {
+        child.kill();
+        reject(new Error(`tesseract timed out after ${this.tesseractConfig.timeout || 15000}ms`));
+      }, this.tesseractConfig.timeout || 15000);
+
+      let stdout = '';
+      let stderr = '';
+      child.stdout.on('data', chunk => { stdout += chunk; });
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      child.on('close', code => {
+        clearTimeout(timer);
+        if (code === 0) resolve(stdout);
+        else reject(new Error(stderr.trim() || `tesseract exited with code ${code}`));
+      });
+
+      if (input) child.stdin.end(input);
+      else child.stdin.end();
+    });
+  }
+
+  async solve(imageBase64) {
+    try {
+      this.logger.info('🔍 Reading captcha with Tesseract OCR...');
+      // psm 7 = single line of text; tsv output carries a confidence per word
+      const tsv = await this.run([
+        'stdin', 'stdout',
+        '--psm', String(this.tesseractConfig.psm || 7),
+        '-c', `tessedit_char_whitelist=${this.tesseractConfig.whitelist || 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'}`,
+        'tsv'
+      ], Buffer.from(imageBase64, 'base64'));
+
+      const result = this.parseTsv(tsv);
+      if (!result) return null;
+
+      this.logger.info(`Tesseract response → text: "${result.text}", confidence: ${result.confidence}%`);
+      return result;
+    } catch (error) {
+      this.logger.error('Tesseract OCR error:', error.message);
+      return null;
+    }
+  }
+
+  // Word rows (level 5) with their confidence; the captcha confidence is the weakest word's
+  parseTsv(tsv) {
+    const words = tsv.split('\n').slice(1)
+      .map(line => line.split('\t'))
+      .filter(cols => cols[0] === '5' && parseFloat(cols[10]) >= 0 && (cols[11] || '').trim());
+
+    const text = this.cleanText(words.map(cols => cols[11]).join(''));
+    if (!text) return null;
+
+    return {
+      text,
+      confidence: Math.round(Math.min(...words.map(cols => parseFloat(cols[10]))))
+    };
+  }
+}
+
+module.exports = TesseractCaptchaProvider;
@@ -0,0 +1,41 @@
+// Builds the captcha provider chain from config.formFilling.captcha.providers ("tesseract:80,openai:70,human")
+const OpenAICaptchaProvider = require('./OpenAICaptchaProvider');
+const TesseractCaptchaProvider = require('./TesseractCaptchaProvider');
+const HumanCaptchaProvider = require('./HumanCaptchaProvider');
+const FixtureCaptchaProvider = require('./FixtureCaptchaProvider');
+
+const PROVIDERS = {
+  openai: OpenAICaptchaProvider,
+  tesseract: TesseractCaptchaProvider,
+  human: HumanCaptchaProvider,
+  fixture: FixtureCaptchaProvider
+};
+
+// Each entry is { provider, minConfidence }; without an explicit threshold MIN_CAPTCHA_CONFIDENCE applies
+function createCaptchaProviders(config, logger) {
+  const formFilling = config.formFilling || {};
+  const defaultConfidence = formFilling.loginAutomation?.minCaptchaConfidence ?? 70;
+  const spec = formFilling.captcha?.providers || 'openai';
+
+  const chain = spec.split(',').map(entry => entry.trim()).filter(Boolean).reduce((chain, entry) => {
+    const [name, threshold] = entry.split(':').map(part => part.trim());
+    const Provider = PROVIDERS[name.toLowerCase()];
+    if (!Provider) {
+      logger.warn(`⚠️ Unknown captcha provider "${name}" - skipping`);
+      return chain;
+    }
+
+    const minConfidence = threshold !== undefined && !isNaN(parseInt(threshold)) ? parseInt(threshold) : defaultConfidence;
+    chain.push({ provider: new Provider(config, logger), minConfidence });
+    return chain;
+  }, []);
+
+  // Manual fallback: an operator is asked last instead of submitting a login that is bound to fail
+  if (formFilling.captcha?.human?.fallback && !chain.some(({ provider }) => provider.name === 'human')) {
+    chain.push({ provider: new HumanCaptchaProvider(config, logger), minConfidence: 0 });
+  }
+
+  return chain;
+}
+
+module.exports = createCaptchaProviders;
@@ -0,0 +1,253 @@
+// Case registry: which client and lawyers each expediente belongs to
+const CASE_ATTRIBUTES = ['cliente', 'abogadoResponsable', 'abogadoSuplente', 'materia', 'notas'];
+
+// CSV header aliases (compared lowercase, without accents or spaces)
+const CSV_COLUMNS = {
+  numeroExpediente: ['numeroexpediente', 'expediente', 'exp'],
+  cliente: ['cliente', 'nombrecliente'],
+  abogadoResponsable: ['abogadoresponsable', 'abogado', 'responsable'],
+  abogadoSuplente: ['abogadosuplente', 'suplente', 'backup'],
+  materia: ['materia', 'tipomateria', 'tipo'],
+  notas: ['notas', 'observaciones', 'nota']
+};
+
+class CaseRegistry {
+  constructor(config, logger, storageManager) {
+    this.config = config.cases || {};
+    this.logger = logger;
+    this.storageManager = storageManager;
+  }
+
+  normalizeExpediente(numeroExpediente) {
+    return (numeroExpediente || '').toString().trim().toUpperCase();
+  }
+
+  // A registered case is one with a client; triage placeholders only record that the expediente was seen
+  isAssigned(caso) {
+    return !!caso && !caso.pendienteTriaje && !!caso.cliente;
+  }
+
+  async getCase(numeroExpediente) {
+    return this.storageManager.getCase(this.normalizeExpediente(numeroExpediente));
+  }
+
+  async listCases() {
+    return (await this.storageManager.listCases())
+      .sort((a, b) => a.numeroExpediente.localeCompare(b.numeroExpediente));
+  }
+
+  async listTriage() {
+    return (await this.listCases()).filter(caso => !this.isAssigned(caso));
+  }
+
+  async createCase(data) {
+    const numeroExpediente = this.normalizeExpediente(data.numeroExpediente);
+    const existing = await this.storageManager.getCase(numeroExpediente);
+    if (this.isAssigned(existing)) throw new Error(`Expediente ${numeroExpediente} is already registered (cliente: ${existing.cliente})`);
+
+    return this.saveCase(data);
+  }
+
+  async updateCase(data) {
+    const numeroExpediente = this.normalizeExpediente(data.numeroExpediente);
+    if (!await this.storageManager.getCase(numeroExpediente)) throw new Error(`Expediente ${numeroExpediente} is not registered`);
+
+    return this.saveCase(data);
+  }
+
+  // Create or merge: attributes that are undefined keep their stored value
+  async saveCase(data) {
+    const numeroExpediente = this.normalizeExpediente(data.numeroExpediente);
+    if (!numeroExpediente) throw new Error('numeroExpediente is required');
+
+    const existing = await this.storageManager.getCase(numeroExpediente) || {};
+    const now = new Date().toISOString();
+    const caso = {
+      ...existing,
+      numeroExpediente,
+      creadoEn: existing.creadoEn || now,
+      actualizadoEn: now
+    };
+    for (const attribute of CASE_ATTRIBUTES) {
+      if (data[attribute] !== undefined) caso[attribute] = (data[attribute] ?? '').toString().trim() || null;
+    }
+    if (!caso.cliente) throw new Error(`cliente is required for ${numeroExpediente}`);
+    delete caso.pendienteTriaje;
+
+    await this.storageManager.putCase(caso);
+    await this.applyToNotifications(caso);
+    this.logger.info(`📁 Case ${numeroExpediente} saved: ${this.formatLabel(this.getCaseFields(caso))}`);
+    return caso;
+  }
+
+  // Update already stored notifications so the new assignment shows up without waiting for the next scrape
+  async applyToNotifications(caso) {
+    const notifications = await this.storageManager.getNotificationsByExpediente(caso.numeroExpediente, 1000);
+    for (const notification of notifications) {
+      try {
+        await this.storageManager.touchItem(notification.numeroExpediente, notification.numeroNotificacion, this.getCaseFields(caso));
+      } catch (error) {
+        this.logger.warn(`⚠️ Could not update ${notification.numeroExpediente}-${notification.numeroNotificacion}: ${error.message}`);
+      }
+    }
+  }
+
+  getCaseFields(caso) {
+    const assigned = this.isAssigned(caso);
+    return {
+      cliente: assigned ? caso.cliente : null,
+      abogadoResponsable: assigned ? caso.abogadoResponsable || null : null,
+      abogadoSuplente: assigned ? caso.abogadoSuplente || null : null,
+      materia: assigned ? caso.materia || null : null,
+      requiereTriaje: !assigned
+    };
+  }
+
+  // Copies cliente/abogados onto each notification; unmatched expedientes are flagged (requiereTriaje)
+  // and get a placeholder in the registry so they show up in the triage list.
+  async enrichAll(notifications) {
+    const result = { notifications, matched: 0, unmatched: [] };
+
+    try {
+      if (this.config.enabled === false) return result;
+
+      if (!this.storageManager?.isInitialized) {
+        this.logger.warn('⚠️ Notification storage not initialized - skipping case registry enrichment');
+        return result;
+      }
+
+      // An empty registry still runs: every expediente then goes to triage, which is how the registry fills up
+      const cases = new Map((await this.storageManager.listCases()).map(caso => [caso.numeroExpediente, caso]));
+
+      const unmatched = new Map();
+      result.notifications = notifications.map(notification => {
+        const numeroExpediente = this.normalizeExpediente(notification.numeroExpediente);
+        const caso = cases.get(numeroExpediente);
+        if (this.isAssigned(caso)) {
+          result.matched++;
+        } else if (!unmatched.has(numeroExpediente)) {
+          unmatched.set(numeroExpediente, { caso, notification });
+        }
+        return { ...notification, ...this.getCaseFields(caso) };
+      });
+
+      for (const [numeroExpediente, { caso, notification }] of unmatched) {
+        if (!caso) await this.addToTriage(numeroExpediente, notification);
+      }
+      result.unmatched = [...unmatched.keys()];
+
+      this.logger.info(`📁 Case registry: ${result.matched} notification(s) matched, ${result.unmatched.length} expediente(s) without client`);
+      if (result.unmatched.length > 0) {
+        this.logger.warn(`🔎 Expedientes pending triage: ${result.unmatched.join(', ')}`);
+      }
+      return result;
+
+    } catch (error) {
+      this.logger.error('❌ Error enriching notifications with the case registry:', error.message);
+      return { notifications, matched: 0, unmatched: [] };
+    }
+  }
+
+  async addToTriage(numeroExpediente, notification) {
+    const now = new Date().toISOString();
+    await this.storageManager.putCase({
+      numeroExpediente,
+      pendienteTriaje: true,
+      detectadoEn: now,
+      oficinaJudicial: notification.oficinaJudicial || null,
+      sumilla: notification.sumilla || null,
+      creadoEn: now,
+      actualizadoEn: now
+    });
+  }
+
+  // "Cliente X – Dr. Y" for messages and reports, or null when there is nothing to show
+  formatLabel(item) {
+    if (item?.cliente) {
+      const abogados = [item.abogadoResponsable, item.abogadoSuplente && `suplente ${item.abogadoSuplente}`].filter(Boolean).join(', ');
+      return abogados ? `${item.cliente} – ${abogados}` : item.cliente;
+    }
+    if (item?.requiereTriaje) return 'Sin cliente asignado (triaje)';
+    return null;
+  }
+
+  // --- CSV import ---
+
+  // Rows are upserted one by one; a bad row is reported without stopping the import
+  async importCsv(content) {
+    const results = { created: 0, updated: 0, errors: [] };
+    const rows = this.parseCsv(content);
+    if (rows.length < 2) return results;
+
+    const columns = this.mapColumns(rows[0]);
+    if (columns.numeroExpediente === undefined || columns.cliente === undefined) {
+      throw new Error('CSV header must include expediente and cliente columns');
+    }
+
+    for (let i = 1; i < rows.length; i++) {
+      const row = rows[i];
+      if (row.every(cell => cell.trim() === '')) continue;
+
+      const data = {};
+      for (const [field, idx] of Object.entries(columns)) data[field] = row[idx];
+
+      try {
+        const existing = await this.storageManager.getCase(this.normalizeExpediente(data.numeroExpediente));
+        await this.saveCase(data);
+        if (this.isAssigned(existing)) results.updated++; else results.created++;
+      } catch (error) {
+        results.errors.push({ linea: i + 1, error: error.message });
+      }
+    }
+
+    this.logger.info(`📁 CSV import: ${results.created} created, ${results.updated} updated, ${results.errors.length} error(s)`);
+    return results;
+  }
+
+  mapColumns(header) {
+    const normalize = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[\s_-]/g, '').toLowerCase();
+    const columns = {};
+    header.forEach((name, idx) => {
+      const key = normalize(name);
+      const field = Object.keys(CSV_COLUMNS).find(f => CSV_COLUMNS[f].includes(key));
+      if (field && columns[field] === undefined) columns[field] = idx;
+    });
+    return columns;
+  }
+
+  // Minimal RFC 4180 parser; ';' is accepted as separator because Excel uses it in Spanish locales
+  parseCsv(content) {
+    const text = content.replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+        else if (char === '"') quoted = false;
+        else cell += char;
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === separator) {
+        row.push(cell); cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell); rows.push(row);
+        row = []; cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    if (cell !== '' || row.length > 0) { row.push(cell); rows.push(row); }
+
+    return rows;
+  }
+}
+
+module.exports = CaseRegistry;
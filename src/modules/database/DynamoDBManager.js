@@ -1,13 +1,17 @@
 const AWS = require('aws-sdk');
+const NotificationStore = require('./NotificationStore');
 
-class DynamoDBManager {
+class DynamoDBManager extends NotificationStore {
   constructor(config, logger) {
-    this.config = config;
-    this.logger = logger;
-    this.tableName = 'DocumentosSinoe';
+    super(config, logger);
+    this.backendName = 'DynamoDB';
+    this.tableName = this.config.tableName || 'DocumentosSinoe';
+    this.historyTableName = this.config.historyTableName || 'DocumentosSinoeHistorial';
+    this.fechaIndexName = this.config.fechaIndexName || 'fechaCreacionItem-index';
+    this.estadoIndexName = this.config.estadoIndexName || 'estado-index';
+    this.vencimientoIndexName = this.config.vencimientoIndexName || 'mesVencimiento-index';
     this.dynamodb = null;
     this.docClient = null;
-    this.isInitialized = false;
   }
 
   async initialize() {
@@ -42,170 +46,109 @@ class DynamoDBManager {
   async testConnection() {
     try {
       // Simple describe table operation to test connection
-      await this.dynamodb.describeTable({ TableName: this.tableName }).promise();
+      const { Table } = await this.dynamodb.describeTable({ TableName: this.tableName }).promise();
       this.logger.debug('🔗 DynamoDB connection test successful');
+
+      const indexNames = (Table.GlobalSecondaryIndexes || []).map(index => index.IndexName);
+      const missing = [this.fechaIndexName, this.estadoIndexName, this.vencimientoIndexName].filter(name => !indexNames.includes(name));
+      if (missing.length > 0) {
+        this.logger.warn(`⚠️ DynamoDB table ${this.tableName} is missing indexes: ${missing.join(', ')} - run "npm run setup-dynamodb"`);
+      }
     } catch (error) {
       throw new Error(`DynamoDB connection failed: ${error.message}`);
     }
   }
 
-  async saveNotifications(notificationsData, sourceUrl = null) {
-    try {
-      if (!this.isInitialized) {
-        this.logger.warn('⚠️ DynamoDB not initialized - skipping save');
-        return { success: 0, failed: 0, errors: ['DynamoDB not initialized'] };
-      }
-
-      if (!notificationsData || notificationsData.length === 0) {
-        this.logger.info('📄 No notifications to save to DynamoDB');
-        return { success: 0, failed: 0, errors: [] };
-      }
-
-      const results = {
-        success: 0,
-        failed: 0,
-        errors: [],
-        newRecords: 0,
-        updatedRecords: 0
-      };
-
-      this.logger.info(`💾 Saving ${notificationsData.length} notifications to DynamoDB...`);
-
-      // Process notifications in batches of 25 (DynamoDB batch limit)
-      const batchSize = 25;
-      for (let i = 0; i < notificationsData.length; i += batchSize) {
-        const batch = notificationsData.slice(i, i + batchSize);
-        const batchResults = await this.processBatch(batch, sourceUrl);
-        
-        results.success += batchResults.success;
-        results.failed += batchResults.failed;
-        results.newRecords += batchResults.newRecords;
-        results.updatedRecords += batchResults.updatedRecords;
-        results.errors.push(...batchResults.errors);
-      }
+  async putItem(item) {
+    await this.docClient.put({
+      TableName: this.tableName,
+      Item: item
+    }).promise();
+  }
 
-      this.logger.info(`💾 DynamoDB save complete: ${results.success} saved, ${results.failed} failed (${results.newRecords} new, ${results.updatedRecords} updated)`);
-      return results;
+  async touchItem(numeroExpediente, numeroNotificacion, fields) {
+    const names = {};
+    const values = {};
+    const assignments = Object.keys(fields).map((field, idx) => {
+      names[`#f${idx}`] = field;
+      values[`:v${idx}`] = fields[field];
+      return `#f${idx} = :v${idx}`;
+    });
+
+    await this.docClient.update({
+      TableName: this.tableName,
+      Key: { numeroExpediente, numeroNotificacion },
+      UpdateExpression: `SET ${assignments.join(', ')}`,
+      ConditionExpression: 'attribute_exists(numeroExpediente)',
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values
+    }).promise();
+  }
 
-    } catch (error) {
-      this.logger.error('❌ Error saving notifications to DynamoDB:', error.message);
-      return { 
-        success: 0, 
-        failed: notificationsData?.length || 0, 
-        errors: [error.message],
-        newRecords: 0,
-        updatedRecords: 0
-      };
-    }
+  // History entries are never overwritten
+  async appendHistory(entry) {
+    await this.docClient.put({
+      TableName: this.historyTableName,
+      Item: entry,
+      ConditionExpression: 'attribute_not_exists(observacionId)'
+    }).promise();
   }
 
-  async processBatch(notifications, sourceUrl) {
-    const results = { success: 0, failed: 0, errors: [], newRecords: 0, updatedRecords: 0 };
-    
-    for (const notification of notifications) {
-      try {
-        const result = await this.saveNotification(notification, sourceUrl);
-        if (result.success) {
-          results.success++;
-          if (result.isNew) {
-            results.newRecords++;
-          } else {
-            results.updatedRecords++;
-          }
-        } else {
-          results.failed++;
-          results.errors.push(result.error);
-        }
-      } catch (error) {
-        results.failed++;
-        results.errors.push(`${notification.numeroExpediente}-${notification.numeroNotificacion}: ${error.message}`);
-      }
+  async getHistory(numeroExpediente) {
+    if (!this.isInitialized) {
+      throw new Error('DynamoDB not initialized');
     }
 
-    return results;
+    return await this.queryAll({
+      TableName: this.historyTableName,
+      KeyConditionExpression: 'numeroExpediente = :exp',
+      ExpressionAttributeValues: { ':exp': numeroExpediente }
+    });
   }
 
-  async saveNotification(notification, sourceUrl) {
-    try {
-      const timestamp = new Date().toISOString();
-      const currentDate = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-      
-      // Prepare DynamoDB item
-      const item = {
-        numeroExpediente: notification.numeroExpediente,
-        numeroNotificacion: notification.numeroNotificacion,
-        estado: notification.estado,
-        sumilla: notification.sumilla,
-        oficinaJudicial: notification.oficinaJudicial,
-        fecha: notification.fecha,
-        fechaExtraccion: timestamp,
-        ultimaActualizacion: timestamp,
-        fuente: sourceUrl || 'SINOE',
-        numero: notification.numero || null,
-        fechaCreacionItem: currentDate, // Date for filtering current day records
-        version: 0, // Initialize version for optimistic locking
-        envios: [], // Array to track all user sending statuses
-        hashContenido: this.generateContentHash(notification) // Hash to detect content changes
-      };
+  // Run a query following LastEvaluatedKey until exhausted (or until limit items are collected)
+  async queryAll(params, limit = null) {
+    const items = [];
+    let lastKey;
+    do {
+      const result = await this.docClient.query({ ...params, ExclusiveStartKey: lastKey }).promise();
+      items.push(...(result.Items || []));
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey && (limit === null || items.length < limit));
+
+    return limit === null ? items : items.slice(0, limit);
+  }
 
-      // Check if record already exists
-      const existingItem = await this.getNotification(
-        notification.numeroExpediente, 
-        notification.numeroNotificacion
-      );
-
-      let isNew = false;
-      if (existingItem) {
-        // Update existing record only if there are changes
-        const hasChanges = this.hasSignificantChanges(existingItem, item);
-        if (hasChanges) {
-          item.fechaCreacion = existingItem.fechaCreacion; // Preserve creation date
-          item.fechaCreacionItem = existingItem.fechaCreacionItem; // Preserve original item creation date
-          
-          // Preserve existing version and envios
-          item.version = existingItem.version || 0;
-          item.envios = Array.isArray(existingItem.envios) ? existingItem.envios : [];
-          
-          item.ultimaActualizacion = timestamp; // Update modification date
-          
-          // If content changed, reset envios for re-sending
-          const oldHash = existingItem.hashContenido;
-          const newHash = item.hashContenido;
-          if (oldHash && newHash && oldHash !== newHash) {
-            this.logger.debug(`📝 Content changed for ${notification.numeroExpediente}-${notification.numeroNotificacion} - will resend to users`);
-            // Reset envios array to allow re-sending
-            item.envios = [];
-            item.version = 0; // Reset version as well
-          }
-          
-          await this.docClient.put({
-            TableName: this.tableName,
-            Item: item
-          }).promise();
-          
-          this.logger.debug(`📝 Updated notification: ${notification.numeroExpediente}-${notification.numeroNotificacion}`);
-        } else {
-          this.logger.debug(`⏭️ No changes for notification: ${notification.numeroExpediente}-${notification.numeroNotificacion}`);
-        }
-      } else {
-        // Create new record
-        item.fechaCreacion = timestamp;
-        
-        await this.docClient.put({
-          TableName: this.tableName,
-          Item: item
-        }).promise();
-        
-        isNew = true;
-        this.logger.debug(`✨ Created new notification: ${notification.numeroExpediente}-${notification.numeroNotificacion}`);
-      }
+  // Same pagination as queryAll, but only counts matches (Select: COUNT)
+  async countAll(params) {
+    let count = 0;
+    let lastKey;
+    do {
+      const result = await this.docClient.query({ ...params, Select: 'COUNT', ExclusiveStartKey: lastKey }).promise();
+      count += result.Count || 0;
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    return count;
+  }
 
-      return { success: true, isNew };
+  getOpenNotificationsQuery() {
+    return {
+      TableName: this.tableName,
+      IndexName: this.estadoIndexName,
+      KeyConditionExpression: '#estado = :estado',
+      ExpressionAttributeNames: { '#estado': 'estado' },
+      ExpressionAttributeValues: { ':estado': 'ABIERTA' }
+    };
+  }
 
-    } catch (error) {
-      this.logger.error(`❌ Error saving notification ${notification.numeroExpediente}-${notification.numeroNotificacion}:`, error.message);
-      return { success: false, error: error.message };
-    }
+  getNotificationsByDateQuery(date) {
+    return {
+      TableName: this.tableName,
+      IndexName: this.fechaIndexName,
+      KeyConditionExpression: 'fechaCreacionItem = :currentDate',
+      ExpressionAttributeValues: { ':currentDate': date }
+    };
   }
 
   async getNotification(numeroExpediente, numeroNotificacion) {
@@ -225,17 +168,48 @@ class DynamoDBManager {
     }
   }
 
-  hasSignificantChanges(existingItem, newItem) {
-    // Check for changes in important fields
-    const fieldsToCheck = ['estado', 'sumilla', 'oficinaJudicial', 'fecha'];
-    
-    for (const field of fieldsToCheck) {
-      if (existingItem[field] !== newItem[field]) {
-        return true;
+  // Store a manually entered plazo; it is preserved on later extractions
+  async setManualPlazo(numeroExpediente, numeroNotificacion, plazo) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('DynamoDB not initialized');
       }
+
+      await this.docClient.update({
+        TableName: this.tableName,
+        Key: { numeroExpediente, numeroNotificacion },
+        UpdateExpression: 'SET #pm = :dias, #pd = :dias, #po = :origen, #pdesc = :desc, #fv = :fv, #mv = :mv, #ua = :ts',
+        ConditionExpression: 'attribute_exists(numeroExpediente)',
+        ExpressionAttributeNames: {
+          '#pm': 'plazoManualDias',
+          '#pd': 'plazoDias',
+          '#po': 'plazoOrigen',
+          '#pdesc': 'plazoDescripcion',
+          '#fv': 'fechaVencimiento',
+          '#mv': 'mesVencimiento',
+          '#ua': 'ultimaActualizacion'
+        },
+        ExpressionAttributeValues: {
+          ':dias': plazo.dias,
+          ':origen': 'MANUAL',
+          ':desc': plazo.descripcion || 'Plazo ingresado manualmente',
+          ':fv': plazo.fechaVencimiento,
+          ':mv': this.getDeadlineKey(plazo.fechaVencimiento).mesVencimiento,
+          ':ts': new Date().toISOString()
+        }
+      }).promise();
+
+      this.logger.info(`✅ Manual plazo set for ${numeroExpediente}-${numeroNotificacion}: ${plazo.dias} días hábiles (vence ${plazo.fechaVencimiento})`);
+      return true;
+
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        this.logger.error(`❌ Notification ${numeroExpediente}-${numeroNotificacion} not found`);
+        return false;
+      }
+      this.logger.error(`❌ Error setting manual plazo: ${error.message}`);
+      return false;
     }
-    
-    return false;
   }
 
   async getNotificationsByExpediente(numeroExpediente, limit = 50) {
@@ -254,8 +228,7 @@ class DynamoDBManager {
         ScanIndexForward: false // Get most recent first
       };
 
-      const result = await this.docClient.query(params).promise();
-      return result.Items || [];
+      return await this.queryAll(params, limit);
 
     } catch (error) {
       this.logger.error(`❌ Error querying notifications for ${numeroExpediente}:`, error.message);
@@ -269,29 +242,26 @@ class DynamoDBManager {
         throw new Error('DynamoDB not initialized');
       }
 
-      const params = {
-        TableName: this.tableName,
-        FilterExpression: 'estado = :estado',
-        ExpressionAttributeValues: {
-          ':estado': 'ABIERTA'
-        },
-        Limit: limit
-      };
-
-      const result = await this.docClient.scan(params).promise();
-      return result.Items || [];
+      return await this.queryAll(this.getOpenNotificationsQuery(), limit);
 
     } catch (error) {
-      this.logger.error('❌ Error scanning open notifications:', error.message);
+      this.logger.error('❌ Error querying open notifications:', error.message);
       return [];
     }
   }
 
-  // Generate hash for content change detection
-  generateContentHash(notification) {
-    const crypto = require('crypto');
-    const content = `${notification.estado}-${notification.sumilla}-${notification.oficinaJudicial}-${notification.fecha}`;
-    return crypto.createHash('md5').update(content).digest('hex');
+  async getTodaysNotifications() {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('DynamoDB not initialized');
+      }
+
+      return await this.queryAll(this.getNotificationsByDateQuery(this.getCurrentDate()));
+
+    } catch (error) {
+      this.logger.error('❌ Error getting today\'s notifications:', error.message);
+      return [];
+    }
   }
 
   // New method to get today's notifications for WhatsApp sending
@@ -301,29 +271,11 @@ class DynamoDBManager {
         throw new Error('DynamoDB not initialized');
       }
 
-      const currentDate = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-      const phoneString = String(userPhone);
-      
-      // Get all today's notifications
-      const params = {
-        TableName: this.tableName,
-        FilterExpression: 'fechaCreacionItem = :currentDate',
-        ExpressionAttributeValues: {
-          ':currentDate': currentDate
-        }
-      };
+      // Get all today's notifications through the fechaCreacionItem index
+      const allItems = await this.queryAll(this.getNotificationsByDateQuery(this.getCurrentDate()));
 
-      const result = await this.docClient.scan(params).promise();
-      const allItems = result.Items || [];
-      
       // Filter out notifications already sent to this user
-      const notSentToUser = allItems.filter(item => {
-        if (!Array.isArray(item.envios)) return true;
-        
-        // Check if user already has an envio record
-        const userEnvio = item.envios.find(envio => envio.user === phoneString);
-        return !userEnvio || !userEnvio.enviado;
-      });
+      const notSentToUser = allItems.filter(item => this.isPendingForUser(item, userPhone));
 
       return notSentToUser;
 
@@ -350,24 +302,9 @@ class DynamoDBManager {
       }).promise();
 
       const prevVersion = Item?.version ?? 0;
-      const envios = Array.isArray(Item?.envios) ? [...Item.envios] : [];
 
       // 2) Merge/dedupe en memoria
-      const idx = envios.findIndex(x => x?.user === phoneString);
-      const nuevoEnvio = { 
-        user: phoneString, 
-        enviado: true, 
-        fechaEnvio: timestamp, 
-        procesado: true 
-      };
-      
-      if (idx >= 0) {
-        // Actualizar registro existente
-        envios[idx] = { ...envios[idx], ...nuevoEnvio };
-      } else {
-        // Agregar nuevo registro
-        envios.push(nuevoEnvio);
-      }
+      const envios = this.withUserNotified(Item?.envios, phoneString, timestamp);
 
       // 3) UPDATE con condición de versión (optimistic locking)
       await this.docClient.update({
@@ -405,6 +342,111 @@ class DynamoDBManager {
     }
   }
 
+  // Notifications whose fechaVencimiento falls within [fromDate, toDate] (YYYY-MM-DD)
+  // One query of the sparse mesVencimiento index per month in the range
+  async getUpcomingDeadlines(fromDate, toDate) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('DynamoDB not initialized');
+      }
+
+      const items = [];
+      for (const mes of this.getMonthsBetween(fromDate, toDate)) {
+        items.push(...await this.queryAll({
+          TableName: this.tableName,
+          IndexName: this.vencimientoIndexName,
+          KeyConditionExpression: '#mv = :mes',
+          FilterExpression: '#fv BETWEEN :desde AND :hasta',
+          ExpressionAttributeNames: { '#mv': 'mesVencimiento', '#fv': 'fechaVencimiento' },
+          ExpressionAttributeValues: {
+            ':mes': mes,
+            ':desde': fromDate,
+            ':hasta': toDate
+          }
+        }));
+      }
+
+      return items;
+
+    } catch (error) {
+      this.logger.error('❌ Error getting upcoming deadlines:', error.message);
+      return [];
+    }
+  }
+
+  // YYYY-MM of every month from fromDate to toDate (YYYY-MM-DD), both included
+  getMonthsBetween(fromDate, toDate) {
+    const months = [];
+    let [year, month] = fromDate.substring(0, 7).split('-').map(Number);
+    const last = toDate.substring(0, 7);
+    for (;;) {
+      const current = `${year}-${String(month).padStart(2, '0')}`;
+      if (current > last) break;
+      months.push(current);
+      if (++month > 12) {
+        month = 1;
+        year++;
+      }
+    }
+    return months;
+  }
+
+  // Record a deadline reminder (hito = business days remaining when sent) for a user in envios
+  async markReminderSent(numeroExpediente, numeroNotificacion, userKey, hito, canal) {
+    if (!this.isInitialized) throw new Error('DynamoDB not initialized');
+
+    const timestamp = new Date().toISOString();
+    const userString = String(userKey);
+
+    try {
+      const { Item } = await this.docClient.get({
+        TableName: this.tableName,
+        Key: { numeroExpediente, numeroNotificacion },
+        ProjectionExpression: '#e, #v',
+        ExpressionAttributeNames: { '#e': 'envios', '#v': 'version' }
+      }).promise();
+
+      const prevVersion = Item?.version ?? 0;
+      const envios = this.withReminder(Item?.envios, userString, hito, canal, timestamp);
+
+      if (!envios) {
+        this.logger.debug(`⏭️ Reminder ${hito} already recorded for ${userString} on ${numeroExpediente}-${numeroNotificacion}`);
+        return true;
+      }
+
+      await this.docClient.update({
+        TableName: this.tableName,
+        Key: { numeroExpediente, numeroNotificacion },
+        UpdateExpression: 'SET #e = :newEnvios, #v = if_not_exists(#v, :zero) + :one, #ua = :ts',
+        ConditionExpression: 'attribute_not_exists(#v) OR #v = :prevVersion',
+        ExpressionAttributeNames: {
+          '#e': 'envios',
+          '#v': 'version',
+          '#ua': 'ultimaActualizacion'
+        },
+        ExpressionAttributeValues: {
+          ':newEnvios': envios,
+          ':prevVersion': prevVersion,
+          ':zero': 0,
+          ':one': 1,
+          ':ts': timestamp
+        }
+      }).promise();
+
+      this.logger.debug(`✅ Recorded reminder ${hito} (${canal}) for ${userString} on ${numeroExpediente}-${numeroNotificacion}`);
+      return true;
+
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        this.logger.debug(`⚠️ Optimistic lock failed recording reminder for ${numeroExpediente}-${numeroNotificacion}.`);
+        return false;
+      }
+
+      this.logger.error(`❌ Error recording reminder: ${error.message}`);
+      return false;
+    }
+  }
+
   // Get send status for user (replaced read status)
   async getUserSendStatus(numeroExpediente, numeroNotificacion, userPhone) {
     try {
@@ -433,31 +475,6 @@ class DynamoDBManager {
     }
   }
 
-  // Get notifications with send status for formatting
-  async getNotificationsWithSendStatus(notifications, userPhone) {
-    try {
-      const notificationsWithStatus = [];
-      
-      for (const notification of notifications) {
-        const userPhoneKey = userPhone.replace(/[^a-zA-Z0-9]/g, '_');
-        const sendStatus = notification.estadosEnvio?.[userPhoneKey];
-        
-        notificationsWithStatus.push({
-          ...notification,
-          wasSent: sendStatus?.enviado || false,
-          sendDate: sendStatus?.fechaEnvio || null,
-          isProcessed: sendStatus?.procesado || false
-        });
-      }
-      
-      return notificationsWithStatus;
-
-    } catch (error) {
-      this.logger.error(`❌ Error getting notifications with send status: ${error.message}`);
-      return notifications; // Return original notifications if error
-    }
-  }
-
   async getStats() {
     try {
       if (!this.isInitialized) {
@@ -475,19 +492,9 @@ class DynamoDBManager {
         TableName: this.tableName 
       }).promise();
 
-      // Count open notifications
-      const openNotifications = await this.getOpenNotifications(1000);
-
-      // Count today's notifications
-      const currentDate = new Date().toISOString().split('T')[0];
-      const todaysParams = {
-        TableName: this.tableName,
-        FilterExpression: 'fechaCreacionItem = :currentDate',
-        ExpressionAttributeValues: {
-          ':currentDate': currentDate
-        }
-      };
-      const todaysResult = await this.docClient.scan(todaysParams).promise();
+      // Count open and today's notifications through the GSIs
+      const openNotifications = await this.countAll(this.getOpenNotificationsQuery());
+      const todaysNotifications = await this.countAll(this.getNotificationsByDateQuery(this.getCurrentDate()));
 
       return {
         enabled: true,
@@ -495,8 +502,8 @@ class DynamoDBManager {
         tableStatus: tableInfo.Table.TableStatus,
         totalItems: tableInfo.Table.ItemCount || 0,
         tableSize: tableInfo.Table.TableSizeBytes || 0,
-        openNotifications: openNotifications.length,
-        todaysNotifications: (todaysResult.Items || []).length,
+        openNotifications: openNotifications,
+        todaysNotifications: todaysNotifications,
         region: this.config.region || 'us-east-1'
       };
 
@@ -528,6 +535,7 @@ class DynamoDBManager {
 
   getStatus() {
     return {
+      backend: 'dynamodb',
       enabled: this.config.enabled,
       initialized: this.isInitialized,
       tableName: this.tableName,
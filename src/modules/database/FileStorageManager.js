@@ -0,0 +1,332 @@
+// Local JSON-file storage adapter for offline runs and small installs (no AWS required)
+const fs = require('fs').promises;
+const path = require('path');
+const NotificationStore = require('./NotificationStore');
+
+class FileStorageManager extends NotificationStore {
+  constructor(config, logger) {
+    super(config, logger);
+    this.backendName = 'File storage';
+    this.filePath = path.resolve(this.config.filePath || 'data/notificaciones.json');
+    this.items = new Map(); // "numeroExpediente#numeroNotificacion" -> item
+    this.history = []; // Append-only history entries
+    this.loadedVersion = null; // inode + mtime of the file contents held in memory
+  }
+
+  // The file backend is used whenever it is selected; there is nothing to provision
+  isEnabled() {
+    return true;
+  }
+
+  async initialize() {
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+      try {
+        await this.refresh();
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        await this.persist();
+      }
+
+      this.isInitialized = true;
+      this.logger.info(`✅ File storage initialized: ${this.filePath} (${this.items.size} items)`);
+      return true;
+
+    } catch (error) {
+      this.logger.error('❌ Failed to initialize file storage:', error.message);
+      this.isInitialized = false;
+      return false;
+    }
+  }
+
+  getKey(numeroExpediente, numeroNotificacion) {
+    return `${numeroExpediente}#${numeroNotificacion}`;
+  }
+
+  // Reload when another manager instance (e.g. the WhatsApp one) has written the file since our last read
+  async refresh() {
+    const fileVersion = await this.getFileVersion();
+    if (fileVersion === this.loadedVersion) return;
+
+    const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    this.items.clear();
+    for (const item of data.items || []) {
+      this.items.set(this.getKey(item.numeroExpediente, item.numeroNotificacion), item);
+    }
+    this.history = data.historial || [];
+    this.loadedVersion = fileVersion;
+  }
+
+  // Every persist() renames a new file into place, so the inode changes even within the same mtime tick
+  async getFileVersion() {
+    const stats = await fs.stat(this.filePath, { bigint: true });
+    return `${stats.ino}-${stats.mtimeNs}`;
+  }
+
+  // Write to a temp file and rename so an interrupted run never leaves a truncated file
+  async persist() {
+    const tmpPath = `${this.filePath}.tmp`;
+    const data = { updatedAt: new Date().toISOString(), items: [...this.items.values()], historial: this.history };
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.rename(tmpPath, this.filePath);
+    this.loadedVersion = await this.getFileVersion();
+  }
+
+  cloneItem(item) {
+    return item ? JSON.parse(JSON.stringify(item)) : null;
+  }
+
+  async putItem(item) {
+    await this.refresh();
+    this.items.set(this.getKey(item.numeroExpediente, item.numeroNotificacion), this.cloneItem(item));
+    await this.persist();
+  }
+
+  async getNotification(numeroExpediente, numeroNotificacion) {
+    await this.refresh();
+    return this.cloneItem(this.items.get(this.getKey(numeroExpediente, numeroNotificacion)));
+  }
+
+  async touchItem(numeroExpediente, numeroNotificacion, fields) {
+    await this.refresh();
+    const key = this.getKey(numeroExpediente, numeroNotificacion);
+    if (!this.items.has(key)) return;
+
+    this.items.set(key, { ...this.items.get(key), ...fields });
+    await this.persist();
+  }
+
+  async appendHistory(entry) {
+    await this.refresh();
+    this.history.push(this.cloneItem(entry));
+    await this.persist();
+  }
+
+  async getHistory(numeroExpediente) {
+    await this.refresh();
+    return this.history
+      .filter(entry => entry.numeroExpediente === numeroExpediente)
+      .map(entry => this.cloneItem(entry));
+  }
+
+  // Apply changes to a stored item and bump its version, mirroring DynamoDB's optimistic locking
+  async updateItem(numeroExpediente, numeroNotificacion, changes) {
+    await this.refresh();
+    const key = this.getKey(numeroExpediente, numeroNotificacion);
+    const existing = this.items.get(key);
+    if (!existing) return false;
+
+    this.items.set(key, {
+      ...existing,
+      ...changes,
+      version: (existing.version || 0) + 1,
+      ultimaActualizacion: new Date().toISOString()
+    });
+    await this.persist();
+    return true;
+  }
+
+  // Store a manually entered plazo; it is preserved on later extractions
+  async setManualPlazo(numeroExpediente, numeroNotificacion, plazo) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('File storage not initialized');
+      }
+
+      const updated = await this.updateItem(numeroExpediente, numeroNotificacion, {
+        plazoManualDias: plazo.dias,
+        plazoDias: plazo.dias,
+        plazoOrigen: 'MANUAL',
+        plazoDescripcion: plazo.descripcion || 'Plazo ingresado manualmente',
+        fechaVencimiento: plazo.fechaVencimiento
+      });
+
+      if (!updated) {
+        this.logger.error(`❌ Notification ${numeroExpediente}-${numeroNotificacion} not found`);
+        return false;
+      }
+
+      this.logger.info(`✅ Manual plazo set for ${numeroExpediente}-${numeroNotificacion}: ${plazo.dias} días hábiles (vence ${plazo.fechaVencimiento})`);
+      return true;
+
+    } catch (error) {
+      this.logger.error(`❌ Error setting manual plazo: ${error.message}`);
+      return false;
+    }
+  }
+
+  async queryItems(predicate) {
+    await this.refresh();
+    return [...this.items.values()].filter(predicate).map(item => this.cloneItem(item));
+  }
+
+  async getNotificationsByExpediente(numeroExpediente, limit = 50) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('File storage not initialized');
+      }
+
+      // Most recent first, like the DynamoDB sort key order
+      return (await this.queryItems(item => item.numeroExpediente === numeroExpediente))
+        .sort((a, b) => String(b.numeroNotificacion).localeCompare(String(a.numeroNotificacion)))
+        .slice(0, limit);
+
+    } catch (error) {
+      this.logger.error(`❌ Error querying notifications for ${numeroExpediente}:`, error.message);
+      return [];
+    }
+  }
+
+  async getOpenNotifications(limit = 100) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('File storage not initialized');
+      }
+
+      return (await this.queryItems(item => item.estado === 'ABIERTA')).slice(0, limit);
+
+    } catch (error) {
+      this.logger.error('❌ Error scanning open notifications:', error.message);
+      return [];
+    }
+  }
+
+  async getTodaysNotifications() {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('File storage not initialized');
+      }
+
+      const currentDate = this.getCurrentDate();
+      return await this.queryItems(item => item.fechaCreacionItem === currentDate);
+
+    } catch (error) {
+      this.logger.error('❌ Error getting today\'s notifications:', error.message);
+      return [];
+    }
+  }
+
+  async getTodaysNotificationsForUser(userPhone) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('File storage not initialized');
+      }
+
+      const currentDate = this.getCurrentDate();
+      return await this.queryItems(item => item.fechaCreacionItem === currentDate && this.isPendingForUser(item, userPhone));
+
+    } catch (error) {
+      this.logger.error(`❌ Error getting today's notifications for user ${userPhone}:`, error.message);
+      return [];
+    }
+  }
+
+  async markUserAsNotified(numeroExpediente, numeroNotificacion, userPhone) {
+    if (!this.isInitialized) throw new Error('File storage not initialized');
+
+    try {
+      const item = await this.getNotification(numeroExpediente, numeroNotificacion);
+      const envios = this.withUserNotified(item?.envios, userPhone, new Date().toISOString());
+
+      const updated = await this.updateItem(numeroExpediente, numeroNotificacion, { envios });
+      if (updated) {
+        this.logger.debug(`✅ Marked user ${userPhone} as notified and processed for ${numeroExpediente}-${numeroNotificacion}`);
+      }
+      return updated;
+
+    } catch (error) {
+      this.logger.error(`❌ Error marking user as notified: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Notifications whose fechaVencimiento falls within [fromDate, toDate] (YYYY-MM-DD)
+  async getUpcomingDeadlines(fromDate, toDate) {
+    try {
+      if (!this.isInitialized) {
+        throw new Error('File storage not initialized');
+      }
+
+      return await this.queryItems(item => item.fechaVencimiento && item.fechaVencimiento >= fromDate && item.fechaVencimiento <= toDate);
+
+    } catch (error) {
+      this.logger.error('❌ Error getting upcoming deadlines:', error.message);
+      return [];
+    }
+  }
+
+  async markReminderSent(numeroExpediente, numeroNotificacion, userKey, hito, canal) {
+    if (!this.isInitialized) throw new Error('File storage not initialized');
+
+    try {
+      const item = await this.getNotification(numeroExpediente, numeroNotificacion);
+      const envios = this.withReminder(item?.envios, userKey, hito, canal, new Date().toISOString());
+
+      if (!envios) {
+        this.logger.debug(`⏭️ Reminder ${hito} already recorded for ${userKey} on ${numeroExpediente}-${numeroNotificacion}`);
+        return true;
+      }
+
+      const updated = await this.updateItem(numeroExpediente, numeroNotificacion, { envios });
+      if (updated) {
+        this.logger.debug(`✅ Recorded reminder ${hito} (${canal}) for ${userKey} on ${numeroExpediente}-${numeroNotificacion}`);
+      }
+      return updated;
+
+    } catch (error) {
+      this.logger.error(`❌ Error recording reminder: ${error.message}`);
+      return false;
+    }
+  }
+
+  async getUserSendStatus(numeroExpediente, numeroNotificacion, userPhone) {
+    const item = await this.getNotification(numeroExpediente, numeroNotificacion);
+    if (!item) return null;
+
+    const userPhoneKey = userPhone.replace(/[^a-zA-Z0-9]/g, '_');
+    return item.estadosEnvio?.[userPhoneKey] || null;
+  }
+
+  async getStats() {
+    if (!this.isInitialized) {
+      return {
+        enabled: false,
+        error: 'Not initialized',
+        totalItems: 0,
+        openNotifications: 0,
+        todaysNotifications: 0
+      };
+    }
+
+    await this.refresh();
+    const currentDate = this.getCurrentDate();
+    const items = [...this.items.values()];
+    return {
+      enabled: true,
+      filePath: this.filePath,
+      totalItems: items.length,
+      openNotifications: items.filter(item => item.estado === 'ABIERTA').length,
+      todaysNotifications: items.filter(item => item.fechaCreacionItem === currentDate).length
+    };
+  }
+
+  async close() {
+    this.logger.info('🗄️ Closing file storage...');
+    this.isInitialized = false;
+    this.items.clear();
+    this.history = [];
+    this.loadedVersion = null;
+  }
+
+  getStatus() {
+    return {
+      backend: 'file',
+      enabled: true,
+      initialized: this.isInitialized,
+      filePath: this.filePath
+    };
+  }
+}
+
+module.exports = FileStorageManager;
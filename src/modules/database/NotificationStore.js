@@ -0,0 +1,564 @@
+// Backend-agnostic notification storage: item building, change detection and envios bookkeeping.
+// Adapters (DynamoDBManager, FileStorageManager) implement the persistence methods.
+const crypto = require('crypto');
+
+// User preferences live next to the notifications under a reserved key
+const USER_PREFIX = 'USUARIO#';
+const PREFERENCES_KEY = 'PREFERENCIAS';
+
+// Case registry entries (expediente -> cliente/abogados) share one reserved partition
+const CASES_PARTITION = 'REGISTRO#CASOS';
+const MAX_CASES = 10000;
+
+// SINOE accounts whose login is suspended after a credential error, one item per account
+const ACCOUNT_PREFIX = 'CUENTA#';
+const LOGIN_BLOCK_KEY = 'BLOQUEO_LOGIN';
+
+// Selector problems already reported to the administrator (SelectorRegistry drift), one item per deployment
+const SYSTEM_PARTITION = 'SISTEMA#SINOE';
+const SELECTOR_HEALTH_KEY = 'SALUD_SELECTORES';
+
+// Registry data copied onto each notification by CaseRegistry.enrichAll
+const CASE_FIELDS = ['cliente', 'abogadoResponsable', 'abogadoSuplente', 'materia', 'requiereTriaje'];
+
+// Fields whose values are kept for every observed version
+const HISTORY_FIELDS = ['estado', 'sumilla', 'oficinaJudicial', 'fecha', 'fechaVencimiento'];
+
+class NotificationStore {
+  constructor(config, logger) {
+    this.config = config || {};
+    this.logger = logger;
+    this.backendName = 'storage';
+    this.isInitialized = false;
+  }
+
+  isEnabled() {
+    return !!this.config.enabled;
+  }
+
+  // runId identifies the scraping execution that observed the notifications (kept in the history)
+  async saveNotifications(notificationsData, sourceUrl = null, runId = null) {
+    try {
+      if (!this.isInitialized) {
+        this.logger.warn(`⚠️ ${this.backendName} not initialized - skipping save`);
+        return { success: 0, failed: 0, errors: [`${this.backendName} not initialized`] };
+      }
+
+      if (!notificationsData || notificationsData.length === 0) {
+        this.logger.info(`📄 No notifications to save to ${this.backendName}`);
+        return { success: 0, failed: 0, errors: [] };
+      }
+
+      const results = {
+        success: 0,
+        failed: 0,
+        errors: [],
+        newRecords: 0,
+        updatedRecords: 0
+      };
+
+      this.logger.info(`💾 Saving ${notificationsData.length} notifications to ${this.backendName}...`);
+
+      // Process notifications in batches of 25 (DynamoDB batch limit)
+      const batchSize = 25;
+      for (let i = 0; i < notificationsData.length; i += batchSize) {
+        const batch = notificationsData.slice(i, i + batchSize);
+        const batchResults = await this.processBatch(batch, sourceUrl, runId);
+
+        results.success += batchResults.success;
+        results.failed += batchResults.failed;
+        results.newRecords += batchResults.newRecords;
+        results.updatedRecords += batchResults.updatedRecords;
+        results.errors.push(...batchResults.errors);
+      }
+
+      this.logger.info(`💾 ${this.backendName} save complete: ${results.success} saved, ${results.failed} failed (${results.newRecords} new, ${results.updatedRecords} updated)`);
+      return results;
+
+    } catch (error) {
+      this.logger.error(`❌ Error saving notifications to ${this.backendName}:`, error.message);
+      return {
+        success: 0,
+        failed: notificationsData?.length || 0,
+        errors: [error.message],
+        newRecords: 0,
+        updatedRecords: 0
+      };
+    }
+  }
+
+  async processBatch(notifications, sourceUrl, runId = null) {
+    const results = { success: 0, failed: 0, errors: [], newRecords: 0, updatedRecords: 0 };
+
+    for (const notification of notifications) {
+      try {
+        const result = await this.saveNotification(notification, sourceUrl, runId);
+        if (result.success) {
+          results.success++;
+          if (result.isNew) {
+            results.newRecords++;
+          } else {
+            results.updatedRecords++;
+          }
+        } else {
+          results.failed++;
+          results.errors.push(result.error);
+        }
+      } catch (error) {
+        results.failed++;
+        results.errors.push(`${notification.numeroExpediente}-${notification.numeroNotificacion}: ${error.message}`);
+      }
+    }
+
+    return results;
+  }
+
+  async saveNotification(notification, sourceUrl, runId = null) {
+    try {
+      const timestamp = new Date().toISOString();
+      const item = this.buildItem(notification, sourceUrl, timestamp, runId);
+
+      // Check if record already exists
+      const existingItem = await this.getNotification(
+        notification.numeroExpediente,
+        notification.numeroNotificacion
+      );
+
+      let isNew = false;
+      if (existingItem) {
+        // Manually entered plazos win over rule-based ones
+        if (existingItem.plazoOrigen === 'MANUAL') {
+          item.plazoManualDias = existingItem.plazoManualDias;
+          item.plazoDias = existingItem.plazoDias;
+          item.plazoOrigen = existingItem.plazoOrigen;
+          item.plazoDescripcion = existingItem.plazoDescripcion;
+          item.fechaVencimiento = existingItem.fechaVencimiento;
+          delete item.mesVencimiento;
+          Object.assign(item, this.getDeadlineKey(item.fechaVencimiento));
+        }
+
+        // Runs that attach fewer documents (download disabled or capped, storage listing failed) keep the stored ones
+        if (Array.isArray(existingItem.documentos) && item.documentos.length < existingItem.documentos.length) {
+          item.documentos = existingItem.documentos;
+        }
+
+        // Update existing record only if there are changes
+        const hasChanges = this.hasSignificantChanges(existingItem, item);
+        if (hasChanges) {
+          item.fechaCreacion = existingItem.fechaCreacion; // Preserve creation date
+          item.fechaCreacionItem = existingItem.fechaCreacionItem; // Preserve original item creation date
+          item.primeraObservacion = existingItem.primeraObservacion || existingItem.fechaCreacion;
+
+          // Preserve existing version and envios
+          item.version = existingItem.version || 0;
+          item.envios = Array.isArray(existingItem.envios) ? existingItem.envios : [];
+
+          item.ultimaActualizacion = timestamp; // Update modification date
+
+          // If content changed, reset envios for re-sending
+          const oldHash = existingItem.hashContenido;
+          const newHash = item.hashContenido;
+          if (oldHash && newHash && oldHash !== newHash) {
+            this.logger.debug(`📝 Content changed for ${notification.numeroExpediente}-${notification.numeroNotificacion} - will resend to users`);
+            // Reset envios array to allow re-sending
+            item.envios = [];
+            item.version = 0; // Reset version as well
+          }
+
+          await this.putItem(item);
+          await this.recordHistory('CAMBIO', item, timestamp, runId, this.getChanges(existingItem, item));
+
+          this.logger.debug(`📝 Updated notification: ${notification.numeroExpediente}-${notification.numeroNotificacion}`);
+        } else {
+          // Unchanged: only move the last-seen mark forward
+          await this.touchItem(notification.numeroExpediente, notification.numeroNotificacion, {
+            ultimaObservacion: timestamp,
+            ultimaEjecucionId: runId,
+            ...this.getCaseFields(notification) // Registry edits reach stored items on the next run
+          });
+          this.logger.debug(`⏭️ No changes for notification: ${notification.numeroExpediente}-${notification.numeroNotificacion}`);
+        }
+      } else {
+        // Create new record
+        item.fechaCreacion = timestamp;
+        item.primeraObservacion = timestamp;
+
+        await this.putItem(item);
+        await this.recordHistory('NUEVA', item, timestamp, runId, []);
+
+        isNew = true;
+        this.logger.debug(`✨ Created new notification: ${notification.numeroExpediente}-${notification.numeroNotificacion}`);
+      }
+
+      return { success: true, isNew };
+
+    } catch (error) {
+      this.logger.error(`❌ Error saving notification ${notification.numeroExpediente}-${notification.numeroNotificacion}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  buildItem(notification, sourceUrl, timestamp, runId = null) {
+    return {
+      numeroExpediente: notification.numeroExpediente,
+      numeroNotificacion: notification.numeroNotificacion,
+      estado: notification.estado,
+      sumilla: notification.sumilla,
+      oficinaJudicial: notification.oficinaJudicial,
+      fecha: notification.fecha,
+      fechaExtraccion: timestamp,
+      ultimaActualizacion: timestamp,
+      fuente: sourceUrl || 'SINOE',
+      numero: notification.numero || null,
+      documentos: Array.isArray(notification.documentos) ? notification.documentos : [],
+      expedienteDetalle: notification.expedienteDetalle || null,
+      fechaNotificacion: notification.fechaNotificacion || null,
+      oficinaDetalle: notification.oficinaDetalle || null,
+      // Flat copies of parsed values so they can be queried and grouped directly
+      anioExpediente: notification.expedienteDetalle?.anio || null,
+      distritoJudicialCodigo: notification.expedienteDetalle?.distritoJudicialCodigo || null,
+      especialidad: notification.expedienteDetalle?.especialidad || null,
+      plazoDias: notification.plazoDias || null,
+      plazoOrigen: notification.plazoOrigen || null,
+      plazoDescripcion: notification.plazoDescripcion || null,
+      fechaVencimiento: notification.fechaVencimiento || null,
+      ...this.getDeadlineKey(notification.fechaVencimiento),
+      ...this.getCaseFields(notification),
+      cuenta: notification.cuenta || null, // SINOE casilla the notification was read from
+      cuentaEtiqueta: notification.cuentaEtiqueta || null,
+      ultimaObservacion: timestamp, // Last run that saw the notification in the bandeja
+      ultimaEjecucionId: runId,
+      fechaCreacionItem: this.getCurrentDate(), // Date for filtering current day records
+      version: 0, // Initialize version for optimistic locking
+      envios: [], // Array to track all user sending statuses
+      hashContenido: this.generateContentHash(notification) // Hash to detect content changes
+    };
+  }
+
+  // Month (YYYY-MM) of the deadline, the key of the sparse deadlines index: only notifications with a
+  // fechaVencimiento carry it, and it is left out rather than null since index keys must be strings
+  getDeadlineKey(fechaVencimiento) {
+    return fechaVencimiento ? { mesVencimiento: fechaVencimiento.substring(0, 7) } : {};
+  }
+
+  // Only notifications that went through the case registry carry these fields
+  getCaseFields(notification) {
+    if (!('requiereTriaje' in notification)) return {};
+
+    const fields = {};
+    for (const field of CASE_FIELDS) fields[field] = notification[field] ?? null;
+    return fields;
+  }
+
+  hasSignificantChanges(existingItem, newItem) {
+    // Check for changes in important fields
+    const fieldsToCheck = ['estado', 'sumilla', 'oficinaJudicial', 'fecha'];
+
+    for (const field of fieldsToCheck) {
+      if (existingItem[field] !== newItem[field]) {
+        return true;
+      }
+    }
+
+    // Deadline recalculated (new rule or calendar change)
+    if (newItem.fechaVencimiento && existingItem.fechaVencimiento !== newItem.fechaVencimiento) {
+      return true;
+    }
+
+    // Newly retrieved documents must reach the item even when the row text is unchanged
+    const existingDocs = Array.isArray(existingItem.documentos) ? existingItem.documentos.length : 0;
+    const newDocs = Array.isArray(newItem.documentos) ? newItem.documentos.length : 0;
+    if (newDocs > existingDocs) {
+      return true;
+    }
+
+    return false;
+  }
+
+  // --- Change history (append-only) ---
+
+  getChanges(existingItem, newItem) {
+    const changes = HISTORY_FIELDS
+      .filter(field => (existingItem[field] ?? null) !== (newItem[field] ?? null))
+      .map(field => ({ campo: field, anterior: existingItem[field] ?? null, nuevo: newItem[field] ?? null }));
+
+    const existingDocs = Array.isArray(existingItem.documentos) ? existingItem.documentos.length : 0;
+    const newDocs = Array.isArray(newItem.documentos) ? newItem.documentos.length : 0;
+    if (existingDocs !== newDocs) {
+      changes.push({ campo: 'documentos', anterior: existingDocs, nuevo: newDocs });
+    }
+
+    return changes;
+  }
+
+  buildHistoryEntry(tipoEvento, item, timestamp, runId, cambios) {
+    const snapshot = {};
+    for (const field of HISTORY_FIELDS) snapshot[field] = item[field] ?? null;
+    snapshot.documentos = Array.isArray(item.documentos) ? item.documentos.length : 0;
+
+    return {
+      numeroExpediente: item.numeroExpediente,
+      // Sort key keeps an expediente's history in observation order
+      observacionId: `${timestamp}#${item.numeroNotificacion}`,
+      numeroNotificacion: item.numeroNotificacion,
+      tipoEvento: tipoEvento, // NUEVA or CAMBIO
+      observadoEn: timestamp,
+      ejecucionId: runId,
+      fuente: item.fuente,
+      hashContenido: item.hashContenido,
+      cambios: cambios,
+      valores: snapshot
+    };
+  }
+
+  // History failures are logged but never block saving the notification itself
+  async recordHistory(tipoEvento, item, timestamp, runId, cambios) {
+    try {
+      await this.appendHistory(this.buildHistoryEntry(tipoEvento, item, timestamp, runId, cambios));
+    } catch (error) {
+      this.logger.error(`❌ Error recording history for ${item.numeroExpediente}-${item.numeroNotificacion}:`, error.message);
+    }
+  }
+
+  // Timeline of every observed version of the expediente's notifications, oldest first.
+  // Each event carries vigenteHasta: when the next version replaced it, or the last time it was seen.
+  async getExpedienteTimeline(numeroExpediente) {
+    try {
+      const [history, items] = await Promise.all([
+        this.getHistory(numeroExpediente),
+        this.getNotificationsByExpediente(numeroExpediente, 1000)
+      ]);
+
+      const lastSeen = new Map(items.map(item => [item.numeroNotificacion, item.ultimaObservacion || item.ultimaActualizacion]));
+      const events = [...history].sort((a, b) => a.observadoEn.localeCompare(b.observadoEn));
+
+      const timeline = events.map((event, idx) => {
+        const next = events.slice(idx + 1).find(e => e.numeroNotificacion === event.numeroNotificacion);
+        return { ...event, vigenteHasta: next ? next.observadoEn : (lastSeen.get(event.numeroNotificacion) || event.observadoEn) };
+      });
+
+      return {
+        numeroExpediente,
+        // numeroExpediente, oficinaJudicial and cuenta let subscription rules filter the list
+        notificaciones: items.map(item => ({
+          numeroNotificacion: item.numeroNotificacion,
+          numeroExpediente: item.numeroExpediente,
+          oficinaJudicial: item.oficinaJudicial,
+          cuenta: item.cuenta,
+          estado: item.estado,
+          sumilla: item.sumilla,
+          primeraObservacion: item.primeraObservacion || item.fechaCreacion,
+          ultimaObservacion: item.ultimaObservacion || item.ultimaActualizacion
+        })),
+        eventos: timeline
+      };
+
+    } catch (error) {
+      this.logger.error(`❌ Error building timeline for ${numeroExpediente}:`, error.message);
+      return { numeroExpediente, notificaciones: [], eventos: [] };
+    }
+  }
+
+  // --- Case registry ---
+
+  async getCase(numeroExpediente) {
+    const item = await this.getNotification(CASES_PARTITION, numeroExpediente);
+    return item?.caso || null;
+  }
+
+  async putCase(caso) {
+    await this.putItem({
+      numeroExpediente: CASES_PARTITION,
+      numeroNotificacion: caso.numeroExpediente,
+      tipo: 'CASO_CLIENTE',
+      caso,
+      ultimaActualizacion: new Date().toISOString()
+    });
+  }
+
+  async listCases() {
+    const items = await this.getNotificationsByExpediente(CASES_PARTITION, MAX_CASES);
+    return items.map(item => item.caso).filter(Boolean);
+  }
+
+  // --- Login suspension per SINOE account ---
+
+  async getAccountLoginBlock(accountId) {
+    const item = await this.getNotification(`${ACCOUNT_PREFIX}${accountId}`, LOGIN_BLOCK_KEY);
+    return item?.bloqueo || null;
+  }
+
+  // bloqueo null lifts the suspension
+  async saveAccountLoginBlock(accountId, bloqueo) {
+    await this.putItem({
+      numeroExpediente: `${ACCOUNT_PREFIX}${accountId}`,
+      numeroNotificacion: LOGIN_BLOCK_KEY,
+      tipo: 'BLOQUEO_LOGIN_CUENTA',
+      bloqueo,
+      ultimaActualizacion: new Date().toISOString()
+    });
+  }
+
+  // --- Selector health (SINOE markup drift) ---
+
+  async getSelectorHealth() {
+    const item = await this.getNotification(SYSTEM_PARTITION, SELECTOR_HEALTH_KEY);
+    return item?.salud || null;
+  }
+
+  async saveSelectorHealth(salud) {
+    await this.putItem({
+      numeroExpediente: SYSTEM_PARTITION,
+      numeroNotificacion: SELECTOR_HEALTH_KEY,
+      tipo: 'SALUD_SELECTORES',
+      salud,
+      ultimaActualizacion: new Date().toISOString()
+    });
+  }
+
+  // --- Per-user preferences (e.g. alerts silenced from the WhatsApp bot) ---
+
+  async getUserPreferences(userKey) {
+    const item = await this.getNotification(`${USER_PREFIX}${userKey}`, PREFERENCES_KEY);
+    return item?.preferencias || {};
+  }
+
+  async saveUserPreferences(userKey, changes) {
+    const preferencias = { ...await this.getUserPreferences(userKey), ...changes };
+    await this.putItem({
+      numeroExpediente: `${USER_PREFIX}${userKey}`,
+      numeroNotificacion: PREFERENCES_KEY,
+      tipo: 'PREFERENCIAS_USUARIO',
+      preferencias,
+      ultimaActualizacion: new Date().toISOString()
+    });
+    return preferencias;
+  }
+
+  // Alerts are paused while silenciadoHasta is in the future
+  async isUserMuted(userKey) {
+    try {
+      const { silenciadoHasta } = await this.getUserPreferences(userKey);
+      return !!silenciadoHasta && new Date(silenciadoHasta) > new Date();
+    } catch (error) {
+      this.logger.debug(`Could not read preferences for ${userKey}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Generate hash for content change detection
+  generateContentHash(notification) {
+    const content = `${notification.estado}-${notification.sumilla}-${notification.oficinaJudicial}-${notification.fecha}`;
+    return crypto.createHash('md5').update(content).digest('hex');
+  }
+
+  getCurrentDate() {
+    return new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+  }
+
+  // --- envios bookkeeping shared by all backends ---
+
+  isPendingForUser(item, userPhone) {
+    if (!Array.isArray(item.envios)) return true;
+
+    // Check if user already has an envio record
+    const userEnvio = item.envios.find(envio => envio.user === String(userPhone));
+    return !userEnvio || !userEnvio.enviado;
+  }
+
+  withUserNotified(envios, userPhone, timestamp) {
+    const phoneString = String(userPhone);
+    const merged = Array.isArray(envios) ? [...envios] : [];
+    const idx = merged.findIndex(x => x?.user === phoneString);
+    const nuevoEnvio = {
+      user: phoneString,
+      enviado: true,
+      fechaEnvio: timestamp,
+      procesado: true
+    };
+
+    if (idx >= 0) {
+      // Actualizar registro existente
+      merged[idx] = { ...merged[idx], ...nuevoEnvio };
+    } else {
+      // Agregar nuevo registro
+      merged.push(nuevoEnvio);
+    }
+    return merged;
+  }
+
+  // Returns the updated envios, or null when the hito was already recorded for the user
+  withReminder(envios, userKey, hito, canal, timestamp) {
+    const userString = String(userKey);
+    const merged = Array.isArray(envios) ? [...envios] : [];
+    const idx = merged.findIndex(x => x?.user === userString);
+    const envio = idx >= 0 ? { ...merged[idx] } : { user: userString };
+    const recordatorios = Array.isArray(envio.recordatorios) ? [...envio.recordatorios] : [];
+
+    if (recordatorios.some(r => r.hito === hito)) return null;
+
+    recordatorios.push({ hito, canal, fechaEnvio: timestamp });
+    envio.recordatorios = recordatorios;
+
+    if (idx >= 0) {
+      merged[idx] = envio;
+    } else {
+      merged.push(envio);
+    }
+    return merged;
+  }
+
+  hasReminderBeenSent(item, userKey, hito) {
+    if (!Array.isArray(item.envios)) return false;
+    const envio = item.envios.find(x => x?.user === String(userKey));
+    return !!envio && Array.isArray(envio.recordatorios) && envio.recordatorios.some(r => r.hito === hito);
+  }
+
+  // Get notifications with send status for formatting
+  async getNotificationsWithSendStatus(notifications, userPhone) {
+    try {
+      const notificationsWithStatus = [];
+
+      for (const notification of notifications) {
+        const userPhoneKey = userPhone.replace(/[^a-zA-Z0-9]/g, '_');
+        const sendStatus = notification.estadosEnvio?.[userPhoneKey];
+
+        notificationsWithStatus.push({
+          ...notification,
+          wasSent: sendStatus?.enviado || false,
+          sendDate: sendStatus?.fechaEnvio || null,
+          isProcessed: sendStatus?.procesado || false
+        });
+      }
+
+      return notificationsWithStatus;
+
+    } catch (error) {
+      this.logger.error(`❌ Error getting notifications with send status: ${error.message}`);
+      return notifications; // Return original notifications if error
+    }
+  }
+
+  // --- Backend-specific persistence (implemented by adapters) ---
+
+  async initialize() { throw new Error(`${this.constructor.name} must implement initialize()`); }
+  async putItem() { throw new Error(`${this.constructor.name} must implement putItem()`); }
+  async touchItem() { throw new Error(`${this.constructor.name} must implement touchItem()`); }
+  async appendHistory() { throw new Error(`${this.constructor.name} must implement appendHistory()`); }
+  async getHistory() { throw new Error(`${this.constructor.name} must implement getHistory()`); }
+  async getNotification() { throw new Error(`${this.constructor.name} must implement getNotification()`); }
+  async setManualPlazo() { throw new Error(`${this.constructor.name} must implement setManualPlazo()`); }
+  async getNotificationsByExpediente() { throw new Error(`${this.constructor.name} must implement getNotificationsByExpediente()`); }
+  async getOpenNotifications() { throw new Error(`${this.constructor.name} must implement getOpenNotifications()`); }
+  async getTodaysNotifications() { throw new Error(`${this.constructor.name} must implement getTodaysNotifications()`); }
+  async getTodaysNotificationsForUser() { throw new Error(`${this.constructor.name} must implement getTodaysNotificationsForUser()`); }
+  async markUserAsNotified() { throw new Error(`${this.constructor.name} must implement markUserAsNotified()`); }
+  async getUpcomingDeadlines() { throw new Error(`${this.constructor.name} must implement getUpcomingDeadlines()`); }
+  async markReminderSent() { throw new Error(`${this.constructor.name} must implement markReminderSent()`); }
+  async getUserSendStatus() { throw new Error(`${this.constructor.name} must implement getUserSendStatus()`); }
+  async getStats() { throw new Error(`${this.constructor.name} must implement getStats()`); }
+  async close() { throw new Error(`${this.constructor.name} must implement close()`); }
+  getStatus() { throw new Error(`${this.constructor.name} must implement getStatus()`); }
+}
+
+module.exports = NotificationStore;
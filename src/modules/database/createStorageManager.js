@@ -0,0 +1,19 @@
+// Selects the notification storage adapter from config.storage.backend
+const DynamoDBManager = require('./DynamoDBManager');
+const FileStorageManager = require('./FileStorageManager');
+
+function createStorageManager(config, logger) {
+  const backend = (config.storage?.backend || 'dynamodb').toLowerCase();
+
+  switch (backend) {
+    case 'file':
+      return new FileStorageManager(config.storage, logger);
+    case 'dynamodb':
+      return new DynamoDBManager(config.dynamodb, logger);
+    default:
+      logger.warn(`⚠️ Unknown storage backend "${backend}" - falling back to DynamoDB`);
+      return new DynamoDBManager(config.dynamodb, logger);
+  }
+}
+
+module.exports = createStorageManager;
@@ -0,0 +1,197 @@
+// Legal deadline (plazo) calculator using the Peruvian judicial calendar
+const fs = require('fs');
+const path = require('path');
+
+class DeadlineCalculator {
+  constructor(config, logger) {
+    this.config = config.deadlines || {};
+    this.logger = logger;
+    this.calendar = this.loadJson(this.config.calendarFile || path.join(__dirname, 'calendario-judicial.json'), {});
+    this.rules = this.loadRules(this.config.rulesFile || path.join(__dirname, 'plazos-sumilla.json'));
+    this.holidayCache = new Map(); // year -> Set of YYYY-MM-DD
+  }
+
+  loadJson(filePath, fallback) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      this.logger.error(`❌ Could not load deadline file ${filePath}:`, error.message);
+      return fallback;
+    }
+  }
+
+  loadRules(filePath) {
+    const data = this.loadJson(filePath, { reglas: [] });
+    return (data.reglas || []).reduce((rules, rule) => {
+      try {
+        rules.push({ ...rule, regex: new RegExp(rule.patron, 'i') });
+      } catch (error) {
+        this.logger.warn(`⚠️ Invalid plazo rule pattern "${rule.patron}": ${error.message}`);
+      }
+      return rules;
+    }, []);
+  }
+
+  // --- Calendar ---
+
+  getHolidays(year) {
+    if (this.holidayCache.has(year)) return this.holidayCache.get(year);
+
+    const holidays = new Set();
+    for (const feriado of this.calendar.feriadosFijos || []) {
+      if (feriado.desde && year < feriado.desde) continue;
+      if (feriado.hasta && year > feriado.hasta) continue;
+      holidays.add(`${year}-${feriado.fecha}`);
+    }
+
+    if (this.calendar.semanaSanta) {
+      const easter = this.getEasterSunday(year);
+      holidays.add(this.shiftDate(easter, -3)); // Jueves Santo
+      holidays.add(this.shiftDate(easter, -2)); // Viernes Santo
+    }
+
+    for (const dia of this.calendar.diasNoLaborables || []) {
+      const fecha = typeof dia === 'string' ? dia : dia.fecha;
+      if (fecha && fecha.startsWith(`${year}-`)) holidays.add(fecha);
+    }
+
+    for (const rango of this.calendar.rangosNoLaborables || []) {
+      for (let fecha = rango.desde; fecha && fecha <= rango.hasta; fecha = this.shiftDate(fecha, 1)) {
+        if (fecha.startsWith(`${year}-`)) holidays.add(fecha);
+      }
+    }
+
+    this.holidayCache.set(year, holidays);
+    return holidays;
+  }
+
+  // Anonymous Gregorian algorithm
+  getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  shiftDate(dateStr, days) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return date.toISOString().split('T')[0];
+  }
+
+  isBusinessDay(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    if (weekday === 0 || weekday === 6) return false;
+    return !this.getHolidays(year).has(dateStr);
+  }
+
+  // Move forward n business days, counting from the day after dateStr
+  addBusinessDays(dateStr, days) {
+    let current = dateStr;
+    let remaining = days;
+    while (remaining > 0) {
+      current = this.shiftDate(current, 1);
+      if (this.isBusinessDay(current)) remaining--;
+    }
+    return current;
+  }
+
+  todayInLima() {
+    return new Date().toLocaleDateString('en-CA', { timeZone: 'America/Lima' });
+  }
+
+  // --- Plazos ---
+
+  // Priority: manual entry > sumilla rule > configured default
+  resolvePlazo(notification) {
+    if (notification.plazoManualDias > 0) {
+      return { dias: notification.plazoManualDias, origen: 'MANUAL', descripcion: 'Plazo ingresado manualmente' };
+    }
+
+    const sumilla = notification.sumilla || '';
+    const rule = this.rules.find(r => r.regex.test(sumilla));
+    if (rule) {
+      return { dias: rule.dias, origen: 'REGLA', descripcion: rule.descripcion || rule.patron };
+    }
+
+    if (this.config.defaultPlazoDias > 0) {
+      return { dias: this.config.defaultPlazoDias, origen: 'DEFECTO', descripcion: 'Plazo por defecto' };
+    }
+
+    return null;
+  }
+
+  // Electronic notifications take effect some business days after reaching the casilla;
+  // the plazo runs from the following business day
+  computeDueDate(fechaNotificacion, dias) {
+    const baseDate = String(fechaNotificacion).substring(0, 10);
+    const efecto = this.addBusinessDays(baseDate, this.config.diasEfectoNotificacion || 0);
+    return this.addBusinessDays(efecto, dias);
+  }
+
+  annotate(notification) {
+    if (!this.config.enabled) return notification;
+
+    const plazo = this.resolvePlazo(notification);
+    if (!plazo || !notification.fechaNotificacion) {
+      return { ...notification, plazoDias: null, plazoOrigen: null, fechaVencimiento: null };
+    }
+
+    return {
+      ...notification,
+      plazoDias: plazo.dias,
+      plazoOrigen: plazo.origen,
+      plazoDescripcion: plazo.descripcion,
+      fechaVencimiento: this.computeDueDate(notification.fechaNotificacion, plazo.dias)
+    };
+  }
+
+  annotateAll(notifications) {
+    return (notifications || []).map(notification => this.annotate(notification));
+  }
+
+  // 0 = due today, negative = business days overdue
+  businessDaysRemaining(fechaVencimiento, today = this.todayInLima()) {
+    if (!fechaVencimiento) return null;
+    if (today === fechaVencimiento) return 0;
+
+    const forward = today < fechaVencimiento;
+    let count = 0;
+    let current = forward ? today : fechaVencimiento;
+    const end = forward ? fechaVencimiento : today;
+    while (current < end) {
+      current = this.shiftDate(current, 1);
+      if (this.isBusinessDay(current)) count++;
+    }
+    return forward ? count : -count;
+  }
+
+  formatDueDate(fechaVencimiento) {
+    const [year, month, day] = fechaVencimiento.split('-');
+    return `${day}/${month}/${year}`;
+  }
+
+  formatRemaining(notification, today = this.todayInLima()) {
+    if (!notification.fechaVencimiento) return null;
+
+    const remaining = this.businessDaysRemaining(notification.fechaVencimiento, today);
+    const dueDate = this.formatDueDate(notification.fechaVencimiento);
+    if (remaining > 0) return `Vence ${dueDate} (${remaining} día(s) hábil(es) restantes)`;
+    if (remaining === 0) return `Vence HOY ${dueDate}`;
+    return `Vencido el ${dueDate} (hace ${-remaining} día(s) hábil(es))`;
+  }
+}
+
+module.exports = DeadlineCalculator;
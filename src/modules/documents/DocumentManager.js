@@ -0,0 +1,385 @@
+// Notification documents (cédulas, resoluciones, anexos) retrieval and storage module
+const AWS = require('aws-sdk');
+const fs = require('fs').promises;
+const path = require('path');
+const PageInteractor = require('../interaction/PageInteractor');
+
+// Stored next to a notification's documents: how many the dialog listed and the tipo of each stored file
+const MANIFEST_FILE = '.manifest.json';
+
+class DocumentManager {
+  constructor(config, logger, selectorRegistry = null) {
+    this.config = config.documents || {};
+    this.selectors = config.formFilling.selectors;
+    this.awsConfig = config.aws || {};
+    this.logger = logger;
+    this.interactor = new PageInteractor(config, logger, selectorRegistry);
+    this.selectorRegistry = this.interactor.selectorRegistry;
+    this.s3 = null;
+    this.enabled = this.config.enabled || false;
+    this.storage = this.config.storage === 's3' ? 's3' : 'local';
+    this.downloadedThisRun = 0;
+  }
+
+  async initialize() {
+    try {
+      if (!this.enabled) {
+        this.logger.info('⚠️ Document download is disabled');
+        return false;
+      }
+
+      if (this.storage === 's3') {
+        AWS.config.update({
+          region: this.awsConfig.region || 'us-east-1'
+        });
+        this.s3 = new AWS.S3();
+        await this.s3.headBucket({ Bucket: this.config.bucket }).promise();
+        this.logger.info(`✅ Document storage using S3 bucket "${this.config.bucket}"`);
+      } else {
+        await fs.mkdir(this.config.localPath, { recursive: true });
+        this.logger.info(`✅ Document storage using local path "${this.config.localPath}"`);
+      }
+
+      return true;
+    } catch (error) {
+      this.logger.error('❌ Failed to initialize document storage:', error.message);
+      this.enabled = false;
+      return false;
+    }
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  // Deterministic storage key: {prefix}/{expediente}/{notificacion}
+  getDocumentKey(notification) {
+    const expediente = this.sanitizeKeyPart(notification.numeroExpediente || 'SIN-EXPEDIENTE');
+    const notificacion = this.sanitizeKeyPart(notification.numeroNotificacion || 'SIN-NOTIFICACION');
+    return `${this.config.prefix}/${expediente}/${notificacion}`;
+  }
+
+  sanitizeKeyPart(value) {
+    return String(value).trim().replace(/[/\\?%*:|"<>\s]+/g, '_');
+  }
+
+  classifyDocument(fileName, label = '') {
+    const text = `${label} ${fileName}`.toLowerCase();
+    if (/c[eé]dula/.test(text)) return 'CEDULA';
+    if (/resoluci[oó]n/.test(text)) return 'RESOLUCION';
+    return 'ANEXO';
+  }
+
+  // Attach documents to every row of a table page. A notification is downloaded again on later runs until
+  // its manifest shows every document the dialog listed as stored; columnMap locates the notification column.
+  async processPageDocuments(page, tableBody, notifications, columnMap = {}) {
+    if (!this.enabled) return;
+
+    for (const notification of notifications) {
+      const id = `${notification.numeroExpediente}-${notification.numeroNotificacion}`;
+      let stored = [];
+      try {
+        const key = this.getDocumentKey(notification);
+        const manifest = await this.readManifest(key);
+        stored = await this.getStoredDocuments(notification, manifest);
+        if (this.isCompleteSet(stored, manifest)) {
+          this.logger.debug(`⏭️ Documents already stored for ${id}`);
+          notification.documentos = stored;
+          continue;
+        }
+
+        if (this.downloadedThisRun >= this.config.maxPerRun) {
+          this.logger.warn(`⚠️ Document download limit reached (${this.config.maxPerRun}) - remaining notifications will be retried next run`);
+          notification.documentos = stored;
+          continue;
+        }
+
+        const download = await this.downloadNotificationDocuments(page, tableBody, notification, columnMap.numeroNotificacion);
+        this.downloadedThisRun++;
+        if (!download) {
+          notification.documentos = stored;
+          continue;
+        }
+
+        const documentos = this.mergeDocuments(stored, download.documentos);
+        await this.writeManifest(key, download.esperados, documentos);
+        if (documentos.length < download.esperados) {
+          this.logger.warn(`⚠️ Only ${documentos.length} of ${download.esperados} document(s) stored for ${id} - the rest will be retried next run`);
+        }
+        notification.documentos = documentos;
+      } catch (error) {
+        this.logger.error(`❌ Error retrieving documents for ${id}:`, error.message);
+        notification.documentos = stored;
+      }
+    }
+  }
+
+  // Sets stored before manifests existed have no count to check against, so they are downloaded once more
+  isCompleteSet(stored, manifest) {
+    return !!manifest && stored.length >= manifest.esperados;
+  }
+
+  // A retry downloads the whole dialog again; files stored earlier that timed out this time are still kept
+  mergeDocuments(stored, downloaded) {
+    const rutas = new Set(downloaded.map(documento => documento.ruta));
+    return [...downloaded, ...stored.filter(documento => !rutas.has(documento.ruta))];
+  }
+
+  // { esperados, documentos } with what this attempt stored; null when the dialog could not be opened
+  async downloadNotificationDocuments(page, tableBody, notification, notificationColumn) {
+    const key = this.getDocumentKey(notification);
+    this.logger.info(`📎 Retrieving documents for ${notification.numeroExpediente} - ${notification.numeroNotificacion}...`);
+
+    const openButton = await this.findRowOpenButton(page, tableBody, notification.numeroNotificacion, notificationColumn);
+    if (!openButton) {
+      this.logger.warn(`⚠️ No documents button found for notification ${notification.numeroNotificacion}`);
+      return null;
+    }
+
+    await openButton.click();
+
+    const dialog = await this.waitForDocumentsDialog(page);
+    if (!dialog) {
+      this.logger.warn(`⚠️ Documents dialog did not open for notification ${notification.numeroNotificacion}`);
+      return null;
+    }
+
+    const downloadDir = path.join(
+      process.env.LAMBDA_MODE === 'true' ? '/tmp' : process.cwd(),
+      'temp',
+      key
+    );
+    await fs.rm(downloadDir, { recursive: true, force: true });
+    await fs.mkdir(downloadDir, { recursive: true });
+
+    const client = await page.createCDPSession();
+    const documents = [];
+    let esperados = 0;
+
+    try {
+      await client.send('Page.setDownloadBehavior', { behavior: 'allow', downloadPath: downloadDir });
+
+      const links = await this.findDownloadLinks(page, dialog);
+      esperados = links.length;
+      this.logger.info(`📎 Found ${links.length} document(s) in dialog`);
+
+      for (const link of links) {
+        const label = await page.evaluate(el => {
+          const row = el.closest('tr');
+          return (row ? row.textContent : el.textContent || el.title || '').trim();
+        }, link);
+
+        const before = await this.listCompletedFiles(downloadDir);
+        await link.click();
+
+        const fileName = await this.waitForNewDownload(downloadDir, before);
+        if (!fileName) {
+          this.logger.warn(`⚠️ Download timed out for "${label}"`);
+          continue;
+        }
+
+        const localFile = path.join(downloadDir, fileName);
+        const storedPath = await this.storeDocument(key, fileName, localFile);
+        const stats = await fs.stat(localFile);
+
+        documents.push({
+          nombre: fileName,
+          tipo: this.classifyDocument(fileName, label),
+          ruta: storedPath,
+          tamano: stats.size,
+          fechaDescarga: new Date().toISOString()
+        });
+        this.logger.info(`✅ Stored document ${fileName} → ${storedPath}`);
+      }
+    } finally {
+      await client.detach().catch(() => {});
+      await this.closeDocumentsDialog(page, dialog);
+      await fs.rm(downloadDir, { recursive: true, force: true }).catch(() => {});
+    }
+
+    return { esperados, documentos: documents };
+  }
+
+  // The row whose notification cell is exactly the number: a text search would match 123 in a row for 1234.
+  // Without a known column, any cell holding exactly the number will do. Misses below are reported to the
+  // selector health check, since the bandeja (and then the dialog) is known to be on screen.
+  async findRowOpenButton(page, tableBody, numeroNotificacion, notificationColumn) {
+    const rows = await tableBody.$$('tr');
+    for (const row of rows) {
+      const matches = await page.evaluate((el, numero, column) => {
+        const cells = Array.from(el.querySelectorAll('td'));
+        const candidates = column === undefined || column === null ? cells : [cells[column]];
+        return candidates.some(cell => (cell?.textContent || '').trim() === numero);
+      }, row, String(numeroNotificacion).trim(), notificationColumn ?? null);
+      if (!matches) continue;
+
+      const button = await this.selectorRegistry.find(page, 'botonDocumentos', { root: row });
+      if (!button) this.selectorRegistry.reportMissing('botonDocumentos', 'documentos');
+      return button?.element || null;
+    }
+    return null;
+  }
+
+  async waitForDocumentsDialog(page) {
+    const match = await this.interactor.find(page, 'dialogoDocumentos', { timeout: this.config.dialogTimeout });
+    if (!match) this.selectorRegistry.reportMissing('dialogoDocumentos', 'documentos');
+    return match?.element || null;
+  }
+
+  // Every notification has at least its cédula, so an open dialog without links means the selectors drifted
+  async findDownloadLinks(page, dialog) {
+    const match = await this.selectorRegistry.findAll(page, 'enlaceDocumento', { root: dialog });
+    if (!match) this.selectorRegistry.reportMissing('enlaceDocumento', 'documentos');
+    return match?.elements || [];
+  }
+
+  async closeDocumentsDialog(page, dialog) {
+    try {
+      const closeButton = await dialog.$(this.selectors.notificationDocumentsDialogCloseSelector);
+      if (closeButton) {
+        await closeButton.click();
+      } else {
+        await page.keyboard.press('Escape');
+      }
+      await this.wait(500);
+    } catch (error) {
+      this.logger.debug(`Could not close documents dialog: ${error.message}`);
+    }
+  }
+
+  async listCompletedFiles(dir) {
+    const entries = await fs.readdir(dir).catch(() => []);
+    return entries.filter(name => !name.endsWith('.crdownload'));
+  }
+
+  async waitForNewDownload(dir, previousFiles) {
+    const deadline = Date.now() + this.config.downloadTimeout;
+    while (Date.now() < deadline) {
+      const entries = await fs.readdir(dir).catch(() => []);
+      const pending = entries.some(name => name.endsWith('.crdownload'));
+      const newFile = entries.find(name => !name.endsWith('.crdownload') && !previousFiles.includes(name));
+      if (newFile && !pending) return newFile;
+      await this.wait(500);
+    }
+    return null;
+  }
+
+  async storeDocument(key, fileName, localFile) {
+    const objectKey = `${key}/${this.sanitizeKeyPart(fileName)}`;
+
+    if (this.storage === 's3') {
+      const body = await fs.readFile(localFile);
+      await this.s3.upload({
+        Bucket: this.config.bucket,
+        Key: objectKey,
+        Body: body,
+        ContentType: fileName.toLowerCase().endsWith('.pdf') ? 'application/pdf' : 'application/octet-stream'
+      }).promise();
+      return `s3://${this.config.bucket}/${objectKey}`;
+    }
+
+    const target = path.join(this.config.localPath, path.relative(this.config.prefix, objectKey));
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.copyFile(localFile, target);
+    return target;
+  }
+
+  // The tipo read from the dialog row on download is kept in the manifest; the file name alone often lacks it
+  async getStoredDocuments(notification, manifest = null) {
+    const key = this.getDocumentKey(notification);
+    const tipoOf = fileName => manifest?.tipos?.[fileName] || this.classifyDocument(fileName);
+
+    try {
+      if (this.storage === 's3') {
+        const result = await this.s3.listObjectsV2({
+          Bucket: this.config.bucket,
+          Prefix: `${key}/`
+        }).promise();
+
+        return (result.Contents || []).filter(obj => path.basename(obj.Key) !== MANIFEST_FILE).map(obj => {
+          const fileName = path.basename(obj.Key);
+          return {
+            nombre: fileName,
+            tipo: tipoOf(fileName),
+            ruta: `s3://${this.config.bucket}/${obj.Key}`,
+            tamano: obj.Size,
+            fechaDescarga: obj.LastModified ? new Date(obj.LastModified).toISOString() : null
+          };
+        });
+      }
+
+      const dir = path.join(this.config.localPath, path.relative(this.config.prefix, key));
+      const entries = await fs.readdir(dir).catch(() => []);
+      const documents = [];
+      for (const fileName of entries) {
+        if (fileName === MANIFEST_FILE) continue;
+        const filePath = path.join(dir, fileName);
+        const stats = await fs.stat(filePath);
+        documents.push({
+          nombre: fileName,
+          tipo: tipoOf(fileName),
+          ruta: filePath,
+          tamano: stats.size,
+          fechaDescarga: stats.mtime.toISOString()
+        });
+      }
+      return documents;
+
+    } catch (error) {
+      this.logger.debug(`Could not list stored documents for ${key}: ${error.message}`);
+      return [];
+    }
+  }
+
+  // null when the notification has no manifest yet (never downloaded, or stored before manifests existed)
+  async readManifest(key) {
+    try {
+      if (this.storage === 's3') {
+        const result = await this.s3.getObject({ Bucket: this.config.bucket, Key: `${key}/${MANIFEST_FILE}` }).promise();
+        return JSON.parse(result.Body.toString('utf8'));
+      }
+      const file = path.join(this.config.localPath, path.relative(this.config.prefix, key), MANIFEST_FILE);
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async writeManifest(key, esperados, documentos) {
+    const manifest = {
+      esperados,
+      tipos: Object.fromEntries(documentos.map(documento => [path.basename(documento.ruta), documento.tipo])),
+      fechaActualizacion: new Date().toISOString()
+    };
+    const body = JSON.stringify(manifest, null, 2);
+
+    if (this.storage === 's3') {
+      await this.s3.putObject({
+        Bucket: this.config.bucket,
+        Key: `${key}/${MANIFEST_FILE}`,
+        Body: body,
+        ContentType: 'application/json'
+      }).promise();
+    } else {
+      const dir = path.join(this.config.localPath, path.relative(this.config.prefix, key));
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, MANIFEST_FILE), body);
+    }
+    return manifest;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      storage: this.storage,
+      location: this.storage === 's3' ? this.config.bucket : this.config.localPath,
+      downloadedThisRun: this.downloadedThisRun
+    };
+  }
+
+  async wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = DocumentManager;
@@ -219,6 +219,46 @@ class EmailManager {
     }
   }
 
+  // The operator answers by replying; the token in the subject ties the reply to this captcha
+  async sendCaptchaRequest({ to, imageBase64, token, account = null, timeoutMinutes }) {
+    try {
+      if (!this.transporter) {
+        this.logger.error('❌ Email service not initialized');
+        return false;
+      }
+
+      const mailOptions = {
+        from: this.config.emailUser || this.config.userEmail,
+        to: to || this.config.emailClient,
+        subject: `🔤 SINOE - Captcha manual${account ? ` (${account})` : ''} [CAPTCHA-${token}]`,
+        html: `
+          <div style="font-family: Arial, sans-serif; padding: 20px;">
+            <h2>🔤 SINOE - Captcha manual</h2>
+            <p>No se pudo leer automáticamente el captcha de inicio de sesión${account ? ` de la casilla <strong>${account}</strong>` : ''}.</p>
+            <p><img src="cid:captcha-image" alt="Captcha" style="border: 1px solid #ddd; padding: 8px;"></p>
+            <p>Responda a este correo escribiendo <strong>solo el texto de la imagen</strong> en la primera línea.</p>
+            <p>⏰ Tiene ${timeoutMinutes} minuto(s); pasado ese tiempo el captcha deja de ser válido.</p>
+            <p>🤖 <em>Sistema de notificaciones SINOE</em></p>
+          </div>
+        `,
+        attachments: [
+          {
+            filename: 'captcha.png',
+            content: Buffer.from(imageBase64, 'base64'),
+            cid: 'captcha-image'
+          }
+        ]
+      };
+
+      await this.transporter.sendMail(mailOptions);
+      this.logger.info(`✅ Captcha sent by email to ${mailOptions.to}`);
+      return true;
+    } catch (error) {
+      this.logger.error(`❌ Failed to send captcha email to ${to}:`, error.message);
+      return false;
+    }
+  }
+
   async fileExists(filePath) {
     try {
       await fs.access(filePath);
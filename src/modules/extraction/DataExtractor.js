@@ -1,91 +1,361 @@
 // Data extraction module
+const SchemaDriftError = require('./SchemaDriftError');
+const NotificationNormalizer = require('./NotificationNormalizer');
+const SelectorRegistry = require('../selectors/SelectorRegistry');
+
+// Header synonyms (normalized: lowercase, no accents, alphanumerics only) for each notification field
+const COLUMN_SYNONYMS = {
+  numeroNotificacion: ['n notificacion', 'nro notificacion', 'numero notificacion', 'numero de notificacion', 'notificacion', 'n notif'],
+  numeroExpediente: ['n expediente', 'nro expediente', 'numero expediente', 'numero de expediente', 'expediente', 'exp'],
+  sumilla: ['sumilla', 'asunto', 'descripcion', 'resumen'],
+  oficinaJudicial: ['oficina judicial', 'organo jurisdiccional', 'organo', 'juzgado', 'oficina', 'dependencia', 'sala'],
+  fecha: ['fecha', 'fecha de notificacion', 'fecha notificacion', 'fecha y hora', 'fecha de envio', 'fecha envio'],
+  estado: ['estado', 'leido', 'leida', 'abierta']
+};
+
+const REQUIRED_COLUMNS = ['numeroNotificacion', 'numeroExpediente', 'sumilla', 'fecha'];
+
+// goToNextPage outcomes: FAILED means more pages exist but the table could not be moved to them
+const PAGE_MOVE = {
+  NEXT: 'NEXT',
+  LAST: 'LAST',
+  FAILED: 'FAILED'
+};
+
 class DataExtractor {
-  constructor(config, logger) {
+  constructor(config, logger, selectorRegistry = null) {
     this.config = config.formFilling;
     this.logger = logger;
+    this.selectorRegistry = selectorRegistry || new SelectorRegistry(config, logger);
+    this.normalizer = new NotificationNormalizer(logger);
   }
 
   async extractNotificationsData(page) {
+    const { notifications } = await this.extractNotificationsPages(page);
+    return notifications;
+  }
+
+  // onPage(tableBody, rows, columnMap) runs while each page is displayed, with the rows first seen on it.
+  // complete is false when pagination broke off before the last page; error then says why
+  async extractNotificationsPages(page, { onPage = null } = {}) {
     try {
       this.logger.info('📊 Starting notifications data extraction...');
       await this.wait(3000); // Wait for table to fully load
-      
-      // Find the notifications table tbody
-      let tableBody = null;
-      
-      for (const selector of this.config.selectors.notificationsTableSelectors) {
-        if (selector.startsWith('/') || selector.startsWith('//')) {
-          // XPath selector
-          try {
-            const [element] = await page.$x(selector);
-            if (element) {
-              this.logger.info(`Found notifications table with XPath: ${selector}`);
-              tableBody = element;
-              break;
-            }
-          } catch (error) {
-            continue;
+
+      const tableBody = await this.findNotificationsTable(page);
+      if (!tableBody) {
+        this.logger.error('❌ Could not find notifications table');
+        return { notifications: [], pageCount: 0, complete: false, error: 'Notifications table not found' };
+      }
+
+      // Show as many rows per page as the paginator allows to reduce page hops
+      await this.maximizeRowsPerPage(page);
+
+      // Map header names to fields once; PrimeFaces keeps headers stable across pages
+      const headers = await this.getTableHeaders(page, tableBody);
+      const columnMap = this.buildColumnMap(headers);
+
+      const seen = new Map();
+      let pageCount = 0;
+      let paginationError = null;
+      const maxPages = this.config.pagination.maxPages;
+
+      for (;;) {
+        const currentBody = await this.findNotificationsTable(page);
+        if (!currentBody) {
+          paginationError = `Notifications table disappeared on page ${pageCount + 1}`;
+          break;
+        }
+
+        const pageRows = await this.extractRowsFromTable(page, currentBody, columnMap);
+        pageCount++;
+
+        const addedRows = [];
+        for (const row of pageRows) {
+          const key = row.numeroNotificacion || `${row.numeroExpediente}-${row.fecha}`;
+          if (!seen.has(key)) {
+            seen.set(key, row);
+            addedRows.push(row);
           }
-        } else {
-          // CSS selector
-          const element = await page.$(selector);
-          if (element) {
-            this.logger.info(`Found notifications table with selector: ${selector}`);
-            tableBody = element;
-            break;
+        }
+        this.logger.info(`📄 Page ${pageCount}: ${pageRows.length} rows (${addedRows.length} new)`);
+
+        if (onPage && addedRows.length > 0) {
+          await onPage(currentBody, addedRows, columnMap);
+        }
+
+        // At the limit the next page is not opened, since it would not be read
+        if (pageCount >= maxPages) {
+          const state = await this.getPaginatorState(page);
+          if (!this.isLastPage(state, pageRows.length)) {
+            paginationError = `Stopped after ${maxPages} pages with more pages left (PAGINATION_MAX_PAGES)`;
           }
+          break;
+        }
+
+        const move = await this.goToNextPage(page, pageRows.length);
+        if (move === PAGE_MOVE.LAST) break;
+        if (move === PAGE_MOVE.FAILED) {
+          paginationError = `Could not move past page ${pageCount}`;
+          break;
         }
       }
-      
-      if (!tableBody) {
-        this.logger.error('❌ Could not find notifications table');
-        return [];
+
+      if (paginationError) {
+        this.logger.error(`❌ Incomplete extraction: ${paginationError} - later pages were not read`);
       }
-      
-      // Extract data from table rows
-      const notificationsData = await page.evaluate((tbody) => {
-        const rows = tbody.querySelectorAll('tr');
-        const data = [];
-        
-        for (let i = 0; i < rows.length; i++) {
-          const row = rows[i];
-          const cells = row.querySelectorAll('td');
-          
-          if (cells.length >= 6) { // Ensure we have enough columns
-            // Detect notification status from image with null check
-            let estado = 'UNKNOWN';
-            const imgCell = cells[1].querySelector('img');
-            if (imgCell && imgCell.src) {
-              const isOpenRow = imgCell.src.endsWith("notificacion-abierta.png");
-              estado = isOpenRow ? 'ABIERTA' : 'CERRADA';
-            }
-
-            const rowData = {
-              numero: i + 1,
-              estado: estado,
-              numeroNotificacion: cells[3]?.textContent?.trim() || '',
-              numeroExpediente: cells[4]?.textContent?.trim() || '',
-              sumilla: cells[5]?.textContent?.trim() || '',
-              oficinaJudicial: cells[6]?.textContent?.trim() || '',
-              fecha: cells[7]?.textContent?.trim() || ''
-            };
-            
-            // Only add if row has actual data
-            if (rowData.numeroNotificacion || rowData.numeroExpediente) {
-              data.push(rowData);
-            }
+
+      // Renumber rows sequentially across all pages and add parsed forms of the raw fields
+      const notificationsData = Array.from(seen.values()).map((row, index) => this.normalizer.normalize({
+        ...row,
+        numero: index + 1
+      }));
+
+      this.logger.info(`✅ Successfully extracted ${notificationsData.length} records from ${pageCount} page(s) of notifications table`);
+      return { notifications: notificationsData, pageCount, complete: !paginationError, error: paginationError };
+
+    } catch (error) {
+      if (error instanceof SchemaDriftError) {
+        this.logger.error(`❌ ${error.message}`);
+        throw error;
+      }
+      this.logger.error('Error extracting notifications data:', error.message);
+      return { notifications: [], pageCount: 0, complete: false, error: error.message };
+    }
+  }
+
+  normalizeHeader(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  async getTableHeaders(page, tableBody) {
+    return await page.evaluate(tbody => {
+      // Scrollable PrimeFaces tables render headers in a sibling table inside the datatable wrapper
+      const container = tbody.closest('.ui-datatable') || tbody.closest('table');
+      const headerCells = container ? container.querySelectorAll('thead th') : [];
+      return Array.from(headerCells).map(th => th.textContent?.trim() || '');
+    }, tableBody);
+  }
+
+  // Build { field: columnIndex } from table headers, preferring the most specific synonym match
+  buildColumnMap(headers) {
+    const columnMap = {};
+    const bestScores = {};
+
+    headers.forEach((header, index) => {
+      const normalized = this.normalizeHeader(header);
+      if (!normalized) return;
+
+      let bestField = null;
+      let bestScore = 0;
+      for (const [field, synonyms] of Object.entries(COLUMN_SYNONYMS)) {
+        for (const synonym of synonyms) {
+          let score = 0;
+          if (normalized === synonym) {
+            score = 1000 + synonym.length;
+          } else if (new RegExp(`\\b${synonym}\\b`).test(normalized)) {
+            score = synonym.length;
+          }
+          if (score > bestScore) {
+            bestScore = score;
+            bestField = field;
           }
         }
-        
-        return data;
-      }, tableBody);
-      
-      this.logger.info(`✅ Successfully extracted ${notificationsData.length} records from notifications table`);
-      return notificationsData;
-      
+      }
+
+      if (bestField && bestScore > (bestScores[bestField] || 0)) {
+        columnMap[bestField] = index;
+        bestScores[bestField] = bestScore;
+      }
+    });
+
+    const missing = REQUIRED_COLUMNS.filter(field => columnMap[field] === undefined);
+    if (missing.length > 0) {
+      throw new SchemaDriftError(missing, headers);
+    }
+
+    this.logger.info('🧭 Notifications table column map:', columnMap);
+    return columnMap;
+  }
+
+  async findNotificationsTable(page) {
+    const match = await this.selectorRegistry.find(page, 'tablaNotificaciones');
+    if (!match) return null;
+
+    this.logger.debug(`Found notifications table with selector: ${match.selector}`);
+    return match.element;
+  }
+
+  async extractRowsFromTable(page, tableBody, columnMap) {
+    return await page.evaluate((tbody, columns) => {
+      const rows = tbody.querySelectorAll('tr');
+      const data = [];
+      const lastColumn = Math.max(...Object.values(columns));
+      const cellText = (cells, field) => {
+        const index = columns[field];
+        return index === undefined ? '' : cells[index]?.textContent?.trim() || '';
+      };
+
+      for (let i = 0; i < rows.length; i++) {
+        const row = rows[i];
+        const cells = row.querySelectorAll('td');
+
+        // Skip PrimeFaces "no records" and expansion rows
+        if (cells.length <= lastColumn) continue;
+
+        // Detect notification status from the estado column image, or the first image in the row
+        let estado = 'UNKNOWN';
+        const estadoCell = columns.estado !== undefined ? cells[columns.estado] : null;
+        const img = (estadoCell || row).querySelector('img');
+        if (img) {
+          const hint = `${img.getAttribute('src') || ''} ${img.alt || ''} ${img.title || ''}`.toLowerCase();
+          if (/cerrad|no[-_ ]?le[ií]d/.test(hint)) {
+            estado = 'CERRADA';
+          } else if (/abiert|le[ií]d/.test(hint)) {
+            estado = 'ABIERTA';
+          } else {
+            estado = 'CERRADA';
+          }
+        } else if (estadoCell) {
+          const text = estadoCell.textContent.trim().toUpperCase();
+          if (text) estado = text;
+        }
+
+        const rowData = {
+          numero: i + 1,
+          estado: estado,
+          numeroNotificacion: cellText(cells, 'numeroNotificacion'),
+          numeroExpediente: cellText(cells, 'numeroExpediente'),
+          sumilla: cellText(cells, 'sumilla'),
+          oficinaJudicial: cellText(cells, 'oficinaJudicial'),
+          fecha: cellText(cells, 'fecha')
+        };
+
+        // Only add if row has actual data
+        if (rowData.numeroNotificacion || rowData.numeroExpediente) {
+          data.push(rowData);
+        }
+      }
+
+      return data;
+    }, tableBody, columnMap);
+  }
+
+  // null without a paginator. hasNext is null when the paginator shows but its next button matches nothing,
+  // which is reported to the registry as the page is known to be on screen.
+  async getPaginatorState(page) {
+    const paginator = await this.selectorRegistry.find(page, 'paginador');
+    if (!paginator) return null;
+
+    const next = await this.selectorRegistry.find(page, 'paginadorSiguiente', { root: paginator.element });
+    if (!next) this.selectorRegistry.reportMissing('paginadorSiguiente', 'bandeja');
+
+    const state = await page.evaluate((paginatorElement, nextButton, selectors) => {
+      const activePage = paginatorElement.querySelector(selectors.paginatorActivePageSelector);
+      const current = paginatorElement.querySelector(selectors.paginatorCurrentSelector);
+
+      return {
+        activePage: activePage?.textContent?.trim() || '',
+        currentText: current?.textContent?.trim() || '',
+        hasNext: nextButton ? !nextButton.classList.contains('ui-state-disabled') : null
+      };
+    }, paginator.element, next?.element || null, this.config.selectors);
+
+    return { ...state, nextButton: next?.element || null };
+  }
+
+  async maximizeRowsPerPage(page) {
+    try {
+      if (!this.config.pagination.maximizeRowsPerPage) return false;
+
+      const match = await this.selectorRegistry.find(page, 'filasPorPagina');
+      if (!match) {
+        this.logger.debug('No rows-per-page selector found in paginator');
+        return false;
+      }
+      const rppSelect = match.element;
+
+      const { current, max } = await page.evaluate(select => {
+        const values = Array.from(select.options)
+          .map(option => parseInt(option.value))
+          .filter(value => !isNaN(value));
+        return {
+          current: parseInt(select.value),
+          max: values.length > 0 ? Math.max(...values) : NaN
+        };
+      }, rppSelect);
+
+      if (isNaN(max) || current >= max) return false;
+
+      this.logger.info(`📏 Increasing rows per page from ${current} to ${max}...`);
+      const before = await this.getPaginatorState(page);
+      await rppSelect.select(String(max));
+      await this.waitForTableUpdate(page, before);
+      return true;
+
     } catch (error) {
-      this.logger.error('Error extracting notifications data:', error.message);
-      return [];
+      this.logger.debug(`Could not change rows per page: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Without a paginator (or its next button) only a page with fewer rows than a full page is known to be
+  // the whole bandeja: a full one means the paginator is there but its selectors no longer match it
+  isLastPage(paginatorState, rowCount) {
+    if (!paginatorState || paginatorState.hasNext === null) return rowCount < this.config.pagination.pageSize;
+    return !paginatorState.hasNext;
+  }
+
+  // PAGE_MOVE.NEXT once the next page is displayed, LAST when there is none, FAILED when it did not load.
+  // rowCount is the number of rows read on the current page.
+  async goToNextPage(page, rowCount) {
+    try {
+      const state = await this.getPaginatorState(page);
+      if (this.isLastPage(state, rowCount)) {
+        this.logger.debug(state ? `Reached last page ${state.currentText || state.activePage}` : 'No paginator found - single page table');
+        return PAGE_MOVE.LAST;
+      }
+      if (!state || !state.nextButton) {
+        const missing = state ? 'paginator next button' : 'paginator';
+        this.logger.warn(`⚠️ No ${missing} found, but page shows ${rowCount} rows (a full page) - more pages may exist`);
+        return PAGE_MOVE.FAILED;
+      }
+
+      await state.nextButton.click();
+      return await this.waitForTableUpdate(page, state) ? PAGE_MOVE.NEXT : PAGE_MOVE.FAILED;
+
+    } catch (error) {
+      this.logger.warn(`⚠️ Error moving to next page: ${error.message}`);
+      return PAGE_MOVE.FAILED;
+    }
+  }
+
+  // PrimeFaces replaces the tbody via AJAX; wait until the paginator reflects a new page
+  async waitForTableUpdate(page, previousState) {
+    const prev = previousState || {};
+    const deadline = Date.now() + this.config.pagination.pageTimeout;
+
+    try {
+      for (;;) {
+        const state = await this.getPaginatorState(page);
+        if (state && (state.activePage !== prev.activePage || state.currentText !== prev.currentText)) break;
+        if (Date.now() >= deadline) {
+          this.logger.warn(`⚠️ Table did not update after paginator action within ${this.config.pagination.pageTimeout}ms`);
+          return false;
+        }
+        await this.wait(Math.min(this.config.interaction?.pollInterval || 250, Math.max(deadline - Date.now(), 0)));
+      }
+
+      await this.wait(this.config.pagination.pageDelay);
+      return true;
+    } catch (error) {
+      this.logger.warn(`⚠️ Table did not update after paginator action: ${error.message}`);
+      return false;
     }
   }
 
@@ -145,14 +415,15 @@ class DataExtractor {
       // First analyze table structure
       await this.analyzeTableStructure(page);
       
-      // Then extract notifications data
-      const notificationsData = await this.extractNotificationsData(page);
+      // Then extract notifications data from every paginator page
+      const { notifications: notificationsData, pageCount } = await this.extractNotificationsPages(page);
       
       // Create comprehensive result object
       const extractedData = {
         timestamp: new Date().toISOString(),
         source: 'SINOE - Sistema de Notificaciones Electrónicas',
         recordCount: notificationsData.length,
+        pageCount: pageCount,
         notifications: notificationsData
       };
       
@@ -165,6 +436,7 @@ class DataExtractor {
         timestamp: new Date().toISOString(),
         source: 'SINOE - Sistema de Notificaciones Electrónicas',
         recordCount: 0,
+        pageCount: 0,
         notifications: [],
         error: error.message
       };
@@ -176,4 +448,6 @@ class DataExtractor {
   }
 }
 
+DataExtractor.PAGE_MOVE = PAGE_MOVE;
+
 module.exports = DataExtractor;
\ No newline at end of file
@@ -0,0 +1,115 @@
+// Normalization of raw notification fields (expediente, fecha, oficina judicial) into structured values
+
+// Expediente format: NNNNN-YYYY-I-DDDD-OO-EE-JJ (e.g. 00123-2024-0-1801-JR-CI-01)
+const EXPEDIENTE_PATTERN = /^(\d{1,5})-(\d{4})-(\d{1,3})-(\d{4})-([A-Z]{2})-([A-Z]{2})-(\d{1,2})$/;
+
+const ORGANOS = {
+  JP: 'Juzgado de Paz Letrado',
+  JR: 'Juzgado Especializado',
+  JM: 'Juzgado Mixto',
+  JT: 'Juzgado Transitorio',
+  SP: 'Sala Superior',
+  SS: 'Sala Suprema',
+  SU: 'Sala Suprema'
+};
+
+const ESPECIALIDADES = {
+  CI: 'Civil',
+  CO: 'Comercial',
+  CA: 'Contencioso Administrativo',
+  LA: 'Laboral',
+  PE: 'Penal',
+  FC: 'Familia Civil',
+  FP: 'Familia Penal',
+  FT: 'Familia Tutelar',
+  FA: 'Familia',
+  CC: 'Constitucional',
+  DC: 'Derecho Constitucional',
+  MX: 'Mixto',
+  ED: 'Extinción de Dominio'
+};
+
+// America/Lima has no daylight saving time
+const LIMA_OFFSET = '-05:00';
+
+class NotificationNormalizer {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  normalize(notification) {
+    return {
+      ...notification,
+      expedienteDetalle: this.parseExpediente(notification.numeroExpediente),
+      fechaNotificacion: this.parseFecha(notification.fecha),
+      oficinaDetalle: this.parseOficina(notification.oficinaJudicial)
+    };
+  }
+
+  parseExpediente(raw) {
+    const value = String(raw || '').trim().toUpperCase().replace(/\s+/g, '');
+    const match = value.match(EXPEDIENTE_PATTERN);
+    if (!match) {
+      if (value) this.logger.debug(`Unrecognized expediente format: "${raw}"`);
+      return { valido: false };
+    }
+
+    const [, numero, anio, incidente, distrito, organo, especialidad, juzgado] = match;
+    return {
+      valido: true,
+      numero: numero,
+      anio: parseInt(anio),
+      incidente: parseInt(incidente),
+      distritoJudicialCodigo: distrito,
+      organoCodigo: organo,
+      organo: ORGANOS[organo] || organo,
+      especialidadCodigo: especialidad,
+      especialidad: ESPECIALIDADES[especialidad] || especialidad,
+      juzgado: parseInt(juzgado)
+    };
+  }
+
+  // SINOE dates come as "dd/mm/yyyy" or "dd/mm/yyyy hh:mm[:ss]" in Lima time
+  parseFecha(raw) {
+    const match = String(raw || '').trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp]\.?\s?[Mm]\.?)?)?$/);
+    if (!match) {
+      if (raw) this.logger.debug(`Unrecognized fecha format: "${raw}"`);
+      return null;
+    }
+
+    const [, day, month, year, hours = '0', minutes = '0', seconds = '0', meridiem] = match;
+    let hour = parseInt(hours);
+    if (meridiem) {
+      const isPm = /^p/i.test(meridiem);
+      if (isPm && hour < 12) hour += 12;
+      if (!isPm && hour === 12) hour = 0;
+    }
+
+    // Reject impossible dates such as 31/02 that Date would silently roll over
+    const check = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day)));
+    if (check.getUTCDate() !== parseInt(day) || check.getUTCMonth() !== parseInt(month) - 1 || hour > 23) {
+      this.logger.debug(`Invalid fecha value: "${raw}"`);
+      return null;
+    }
+
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minutes)}:${pad(seconds)}${LIMA_OFFSET}`;
+  }
+
+  // Oficinas come as "2° JUZGADO CIVIL - SEDE ALZAMORA" or similar
+  parseOficina(raw) {
+    const value = String(raw || '').trim().replace(/\s+/g, ' ');
+    if (!value) return { nombre: '' };
+
+    const [nombre, ...rest] = value.split(/\s+-\s+/);
+    const numberMatch = nombre.match(/^(\d+)\s*(?:°|º|er|do|ro|to|vo|no|mo)?\.?\s/i);
+
+    return {
+      nombre: nombre.trim(),
+      sede: rest.length > 0 ? rest.join(' - ').trim() : null,
+      numero: numberMatch ? parseInt(numberMatch[1]) : null
+    };
+  }
+}
+
+module.exports = NotificationNormalizer;
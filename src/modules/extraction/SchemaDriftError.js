@@ -0,0 +1,11 @@
+// Raised when the SINOE notifications table no longer has the columns we depend on
+class SchemaDriftError extends Error {
+  constructor(missingFields, headers) {
+    super(`Notifications table schema drift: missing required column(s) ${missingFields.join(', ')} (headers found: ${headers.map(h => `"${h}"`).join(', ') || 'none'})`);
+    this.name = 'SchemaDriftError';
+    this.missingFields = missingFields;
+    this.headers = headers;
+  }
+}
+
+module.exports = SchemaDriftError;
@@ -3,9 +3,30 @@ module.exports = {
   FormFieldManager: require('./FormFieldManager'),
   LoginValidator: require('./validation/LoginValidator'),
   SessionManager: require('./session/SessionManager'),
+  SinoeSessionStore: require('./session/SinoeSessionStore'),
   NavigationManager: require('./navigation/NavigationManager'),
   DataExtractor: require('./extraction/DataExtractor'),
+  SchemaDriftError: require('./extraction/SchemaDriftError'),
+  NotificationNormalizer: require('./extraction/NotificationNormalizer'),
   WhatsAppManager: require('./whatsapp/WhatsAppManager'),
   EmailManager: require('./email/EmailManager'),
-  S3SessionManager: require('./storage/S3SessionManager')
+  S3SessionManager: require('./storage/S3SessionManager'),
+  NotificationStore: require('./database/NotificationStore'),
+  DynamoDBManager: require('./database/DynamoDBManager'),
+  FileStorageManager: require('./database/FileStorageManager'),
+  createStorageManager: require('./database/createStorageManager'),
+  DocumentManager: require('./documents/DocumentManager'),
+  SearchFilterManager: require('./search/SearchFilterManager'),
+  DeadlineCalculator: require('./deadlines/DeadlineCalculator'),
+  ReminderScheduler: require('./reminders/ReminderScheduler'),
+  SubscriptionManager: require('./subscriptions/SubscriptionManager'),
+  CaseRegistry: require('./cases/CaseRegistry'),
+  AccountManager: require('./accounts/AccountManager'),
+  CaptchaProvider: require('./captcha/CaptchaProvider'),
+  createCaptchaProviders: require('./captcha/createCaptchaProviders'),
+  CaptchaDataset: require('./captcha/CaptchaDataset'),
+  LoginStateMachine: require('./login/LoginStateMachine'),
+  LoginResult: require('./login/LoginResult'),
+  SelectorRegistry: require('./selectors/SelectorRegistry'),
+  PageInteractor: require('./interaction/PageInteractor')
 };
\ No newline at end of file
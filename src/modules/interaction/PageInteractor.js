@@ -0,0 +1,87 @@
+// Shared page interaction: waits for SelectorRegistry targets to be usable and clicks them, then waits for
+// the page to react (navigation or network idle) instead of sleeping a fixed time.
+// In fast mode (default when headless) elements are not highlighted, since nobody watches the browser.
+const SelectorRegistry = require('../selectors/SelectorRegistry');
+
+class PageInteractor {
+  constructor(config, logger, selectorRegistry = null) {
+    this.config = {
+      fastMode: false,
+      timeout: 15000,
+      pollInterval: 250,
+      networkIdleTime: 500,
+      highlightDelay: 500,
+      ...config.formFilling?.interaction
+    };
+    this.logger = logger;
+    this.selectorRegistry = selectorRegistry || new SelectorRegistry(config, logger);
+  }
+
+  // Registry match once the target is on the page (visible and enabled for the targets that are acted on),
+  // polling until the timeout; null when it never shows up. A timeout of 0 looks once. root narrows the search.
+  async find(page, name, { timeout = this.config.timeout, root = page } = {}) {
+    const deadline = Date.now() + timeout;
+
+    for (;;) {
+      const match = await this.selectorRegistry.find(page, name, { root });
+      if (match) {
+        this.logger.info(`🔍 Found ${this.selectorRegistry.targets[name].label} with selector "${match.selector}"`);
+        return match;
+      }
+      if (Date.now() >= deadline) return null;
+      await this.wait(Math.min(this.config.pollInterval, deadline - Date.now()));
+    }
+  }
+
+  // Clicks a registry match (or a bare element) and waits for the page to settle:
+  // 'navigation' for links and form submits that load a new page, 'network' for AJAX updates, 'none' otherwise.
+  // Returns false when the click itself failed.
+  async click(page, target, { settle = 'network', timeout = this.config.timeout, label = null } = {}) {
+    const element = target.element || target;
+    const description = label || target.selector || 'element';
+
+    try {
+      await element.scrollIntoView();
+      if (!this.config.fastMode) await this.highlight(page, element);
+
+      // Listening starts before the click so a fast navigation is not missed
+      const settled = this.waitForSettle(page, settle, timeout);
+      await element.click();
+      await settled;
+
+      this.logger.info(`🖱️ Clicked ${description} - now on ${page.url()}`);
+      return true;
+    } catch (error) {
+      this.logger.error(`❌ Error clicking ${description}:`, error.message);
+      return false;
+    }
+  }
+
+  // Visual feedback for whoever watches a headful browser
+  async highlight(page, element) {
+    await page.evaluate(el => {
+      el.style.border = '3px solid red';
+      el.style.backgroundColor = 'yellow';
+    }, element);
+    await this.wait(this.config.highlightDelay);
+  }
+
+  // Never rejects: PrimeFaces actions may update the page without navigating or without any request
+  async waitForSettle(page, settle, timeout) {
+    try {
+      if (settle === 'navigation') {
+        await page.waitForNavigation({ waitUntil: 'networkidle2', timeout });
+      } else if (settle === 'network') {
+        await page.waitForNetworkIdle({ idleTime: this.config.networkIdleTime, timeout });
+      }
+    } catch (error) {
+      this.logger.debug(`Page did not settle (${settle}) within ${timeout}ms: ${error.message}`);
+    }
+  }
+
+  async wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = PageInteractor;
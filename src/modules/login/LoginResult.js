@@ -0,0 +1,63 @@
+// Outcome of a SINOE login: the state the flow ended in and, on failure, a reason callers can act on
+const LOGIN_FAILURES = Object.freeze({
+  CAPTCHA_RETRIES_EXHAUSTED: 'CAPTCHA_RETRIES_EXHAUSTED',
+  CREDENTIAL_ERROR: 'CREDENTIAL_ERROR',
+  PASSWORD_EXPIRED: 'PASSWORD_EXPIRED',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  SINOE_MAINTENANCE: 'SINOE_MAINTENANCE',
+  SSO_LOOP: 'SSO_LOOP',
+  ACTIVE_SESSION_UNRESOLVED: 'ACTIVE_SESSION_UNRESOLVED',
+  SUBMIT_FAILED: 'SUBMIT_FAILED',
+  TIMEOUT: 'TIMEOUT',
+  UNEXPECTED_ERROR: 'UNEXPECTED_ERROR'
+});
+
+// Only a person can fix these; every further attempt brings the account closer to a lockout
+const CREDENTIAL_FAILURES = [LOGIN_FAILURES.CREDENTIAL_ERROR, LOGIN_FAILURES.PASSWORD_EXPIRED, LOGIN_FAILURES.ACCOUNT_LOCKED];
+
+// Retrying these in the same run only repeats the failure
+const NON_RETRYABLE = [...CREDENTIAL_FAILURES, LOGIN_FAILURES.SINOE_MAINTENANCE];
+
+class LoginResult {
+  constructor({ success, state, reason = null, message = null, attempts = 0, history = [], durationMs = 0, restored = false }) {
+    this.success = success;
+    this.state = state;
+    this.reason = reason;
+    this.message = message;
+    this.attempts = attempts; // Forms submitted
+    this.history = history;   // States visited, in order
+    this.durationMs = durationMs;
+    this.restored = restored; // Saved session reused, no form submitted
+    this.retryable = success || !NON_RETRYABLE.includes(reason);
+  }
+
+  static isCredentialFailure(reason) {
+    return CREDENTIAL_FAILURES.includes(reason);
+  }
+
+  static success(details) {
+    return new LoginResult({ ...details, success: true, message: 'Login successful' });
+  }
+
+  static failure(reason, message, details) {
+    return new LoginResult({ ...details, success: false, reason, message });
+  }
+
+  toJSON() {
+    return {
+      success: this.success,
+      state: this.state,
+      reason: this.reason,
+      message: this.message,
+      attempts: this.attempts,
+      retryable: this.retryable,
+      history: this.history,
+      durationMs: this.durationMs,
+      restored: this.restored
+    };
+  }
+}
+
+LoginResult.FAILURES = LOGIN_FAILURES;
+
+module.exports = LoginResult;
@@ -0,0 +1,273 @@
+// SINOE login as an explicit state machine: every state has its handler, allowed transitions,
+// a retry budget where it loops back, and a timeout. The run always ends in a LoginResult.
+const LoginResult = require('./LoginResult');
+
+const LOGIN_STATES = Object.freeze({
+  INIT: 'INIT',
+  FILLED: 'FILLED',
+  SUBMITTED: 'SUBMITTED',
+  SSO_REDIRECT: 'SSO_REDIRECT',
+  ACTIVE_SESSION: 'ACTIVE_SESSION',
+  CAPTCHA_ERROR: 'CAPTCHA_ERROR',
+  CREDENTIAL_ERROR: 'CREDENTIAL_ERROR',
+  LOCKED: 'LOCKED',
+  SUCCESS: 'SUCCESS'
+});
+
+const S = LOGIN_STATES;
+const FAILURES = LoginResult.FAILURES;
+
+const TRANSITIONS = {
+  [S.INIT]: [S.FILLED, S.CAPTCHA_ERROR],
+  [S.FILLED]: [S.SUBMITTED],
+  [S.SUBMITTED]: [S.SUCCESS, S.SSO_REDIRECT, S.ACTIVE_SESSION, S.CAPTCHA_ERROR, S.CREDENTIAL_ERROR, S.LOCKED],
+  [S.SSO_REDIRECT]: [S.INIT],
+  [S.ACTIVE_SESSION]: [S.INIT],
+  [S.CAPTCHA_ERROR]: [S.INIT],
+  [S.CREDENTIAL_ERROR]: [],
+  [S.LOCKED]: [],
+  [S.SUCCESS]: []
+};
+
+// LoginValidator.checkLoginResult values. An unrecognized LOGIN_ERROR is retried like a rejected
+// captcha: a new captcha is the only thing a retry can change.
+const CHECK_TO_STATE = {
+  SUCCESS: S.SUCCESS,
+  SSO_REDIRECT: S.SSO_REDIRECT,
+  ACTIVE_SESSION: S.ACTIVE_SESSION,
+  CAPTCHA_ERROR: S.CAPTCHA_ERROR,
+  LOGIN_ERROR: S.CAPTCHA_ERROR,
+  CREDENTIAL_ERROR: S.CREDENTIAL_ERROR,
+  PASSWORD_EXPIRED: S.CREDENTIAL_ERROR,
+  LOCKED: S.LOCKED
+};
+
+// Filling the form beyond an operator's captcha answer: typing, image capture and solver calls across refreshes
+const FILL_MARGIN = 120000;
+
+class LoginTimeoutError extends Error {
+  constructor(state, ms) {
+    super(`${state} timed out after ${ms}ms`);
+    this.name = 'LoginTimeoutError';
+  }
+}
+
+class LoginStateMachine {
+  // deps: fillForm(page) → captcha value (null when unsolved), submitForm(page) → boolean,
+  // validator (LoginValidator), sessionManager (SessionManager), fieldManager (FormFieldManager)
+  constructor(config, logger, deps) {
+    this.config = config.formFilling.loginAutomation;
+    this.logger = logger;
+    this.deps = deps;
+
+    const timeouts = this.config.timeouts || {};
+    const humanTimeout = config.formFilling.captcha?.human?.timeout || 120000;
+    this.budgets = {
+      [S.CAPTCHA_ERROR]: this.config.maxRetries ?? 3,
+      [S.SSO_REDIRECT]: this.config.maxSsoRedirects ?? 3,
+      [S.ACTIVE_SESSION]: this.config.maxActiveSessionRetries ?? 2
+    };
+    this.timeouts = {
+      [S.INIT]: timeouts.fill || humanTimeout + FILL_MARGIN, // Covers a human captcha answer
+      [S.FILLED]: timeouts.submit || 60000,
+      [S.SUBMITTED]: timeouts.submit || 60000,
+      [S.SSO_REDIRECT]: timeouts.recovery || 60000,
+      [S.ACTIVE_SESSION]: timeouts.recovery || 60000,
+      [S.CAPTCHA_ERROR]: timeouts.recovery || 60000
+    };
+    this.totalTimeout = timeouts.total || 900000;
+
+    // token.cancelled turns true when the state times out; handlers stop before their next step
+    this.handlers = {
+      [S.INIT]: (page, token) => this.handleInit(page, token),
+      [S.FILLED]: (page, token) => this.handleFilled(page, token),
+      [S.SUBMITTED]: (page, token) => this.handleSubmitted(page, token),
+      [S.SSO_REDIRECT]: (page, token) => this.handleSsoRedirect(page, token),
+      [S.ACTIVE_SESSION]: (page, token) => this.handleActiveSession(page, token),
+      [S.CAPTCHA_ERROR]: (page, token) => this.handleCaptchaError(page, token)
+    };
+  }
+
+  // startState FILLED when the caller already filled the form
+  async run(page, { startState = S.INIT } = {}) {
+    this.state = startState;
+    this.visits = {};
+    this.attempts = 0;
+    this.history = [startState];
+    this.startedAt = Date.now();
+    this.sinoeError = null; // { type, message } from LoginValidator
+
+    while (TRANSITIONS[this.state].length > 0) {
+      const budget = this.budgets[this.state];
+      this.visits[this.state] = (this.visits[this.state] || 0) + 1;
+      if (budget !== undefined && this.visits[this.state] > budget) {
+        return this.exhausted(this.state, budget);
+      }
+
+      if (Date.now() - this.startedAt > this.totalTimeout) {
+        return this.fail(FAILURES.TIMEOUT, `Login did not finish within ${this.totalTimeout}ms`);
+      }
+
+      let next;
+      try {
+        next = await this.runHandler(page, this.state);
+      } catch (error) {
+        if (error instanceof LoginTimeoutError) return this.fail(FAILURES.TIMEOUT, error.message);
+        this.logger.error(`❌ Login failed in state ${this.state}:`, error.message);
+        return this.fail(FAILURES.UNEXPECTED_ERROR, `${this.state}: ${error.message}`);
+      }
+
+      if (next instanceof LoginResult) return next;
+      this.transition(next);
+    }
+
+    switch (this.state) {
+      case S.SUCCESS:
+        return LoginResult.success(this.details());
+      case S.CREDENTIAL_ERROR:
+        return this.sinoeError?.type === 'PASSWORD_EXPIRED'
+          ? this.fail(FAILURES.PASSWORD_EXPIRED, this.describeSinoeError('The SINOE password has expired'))
+          : this.fail(FAILURES.CREDENTIAL_ERROR, this.describeSinoeError('SINOE rejected the username or password'));
+      case S.LOCKED:
+        return this.fail(FAILURES.ACCOUNT_LOCKED, this.describeSinoeError('SINOE reports the account as locked'));
+      default:
+        return this.fail(FAILURES.UNEXPECTED_ERROR, `Login stopped in state ${this.state}`);
+    }
+  }
+
+  transition(next) {
+    if (!TRANSITIONS[this.state].includes(next)) {
+      throw new Error(`Invalid login transition ${this.state} → ${next}`);
+    }
+    this.logger.debug(`🔐 Login state ${this.state} → ${next}`);
+    this.state = next;
+    this.history.push(next);
+  }
+
+  // A promise cannot be interrupted, so a handler that times out is cancelled instead: its token stops it at
+  // the next check, and the page is left on about:blank so the page call it is waiting on fails
+  async runHandler(page, state) {
+    const ms = this.timeouts[state];
+    const token = { cancelled: false };
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        token.cancelled = true;
+        reject(new LoginTimeoutError(state, ms));
+      }, ms);
+    });
+
+    try {
+      return await Promise.race([this.handlers[state](page, token), timeout]);
+    } catch (error) {
+      if (error instanceof LoginTimeoutError) await this.abandonPage(page);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async abandonPage(page) {
+    try {
+      await page.goto('about:blank');
+    } catch (error) {
+      this.logger.debug(`Could not leave the login page after a timeout: ${error.message}`);
+    }
+  }
+
+  // Stops a cancelled handler; what it throws is ignored, the run already failed with a timeout
+  checkCancelled(token) {
+    if (token?.cancelled) throw new Error('Cancelled after timeout');
+  }
+
+  details() {
+    return { state: this.state, attempts: this.attempts, history: this.history, durationMs: Date.now() - this.startedAt };
+  }
+
+  describeSinoeError(summary) {
+    return this.sinoeError?.message ? `${summary}: "${this.sinoeError.message}"` : summary;
+  }
+
+  fail(reason, message) {
+    this.logger.error(`❌ Login failed (${reason}): ${message}`);
+    return LoginResult.failure(reason, message, this.details());
+  }
+
+  exhausted(state, budget) {
+    const reasons = {
+      [S.CAPTCHA_ERROR]: [FAILURES.CAPTCHA_RETRIES_EXHAUSTED, `Captcha rejected or unsolved ${budget + 1} time(s)`],
+      [S.SSO_REDIRECT]: [FAILURES.SSO_LOOP, `Redirected to SSO validation ${budget + 1} time(s)`],
+      [S.ACTIVE_SESSION]: [FAILURES.ACTIVE_SESSION_UNRESOLVED, `Active session still reported after ${budget} logout(s)`]
+    };
+    const [reason, message] = reasons[state];
+    return this.fail(reason, message);
+  }
+
+  // --- State handlers: each returns the next state or a LoginResult ---
+
+  async handleInit(page, token) {
+    const captcha = await this.deps.fillForm(page);
+    this.checkCancelled(token);
+    // null = there is a captcha field but no answer; submitting would only burn a login attempt
+    if (captcha === null) {
+      this.logger.info('🔤 Captcha not solved - not submitting the form');
+      return S.CAPTCHA_ERROR;
+    }
+    return S.FILLED;
+  }
+
+  async handleFilled(page, token) {
+    this.checkCancelled(token);
+    this.attempts++;
+    this.logger.info(`🚀 Login attempt ${this.attempts}`);
+    if (!await this.deps.submitForm(page)) {
+      return this.fail(FAILURES.SUBMIT_FAILED, 'No submit button found on the login page');
+    }
+    return S.SUBMITTED;
+  }
+
+  // submitForm already waited for the page to settle, so the outcome is on screen
+  async handleSubmitted(page, token) {
+    this.checkCancelled(token);
+    const check = await this.deps.validator.checkLoginResult(page);
+    this.checkCancelled(token);
+    this.sinoeError = this.deps.validator.lastError || null;
+    await this.deps.fieldManager.recordCaptchaOutcome(check);
+
+    // Nothing a retry can fix until SINOE is back
+    if (check === 'MAINTENANCE') {
+      return this.fail(FAILURES.SINOE_MAINTENANCE, this.describeSinoeError('SINOE is under maintenance'));
+    }
+    return CHECK_TO_STATE[check] || S.CAPTCHA_ERROR;
+  }
+
+  // LoginValidator already navigated back to the login page
+  async handleSsoRedirect() {
+    this.logger.info('🔄 SSO redirect detected, filling the login form again...');
+    return S.INIT;
+  }
+
+  async handleActiveSession(page, token) {
+    this.logger.info('⚠️ Active session detected, handling logout...');
+    const closed = await this.deps.sessionManager.handleActiveSession(page);
+    this.checkCancelled(token);
+    if (!closed) {
+      return this.fail(FAILURES.ACTIVE_SESSION_UNRESOLVED, 'Could not close the active SINOE session');
+    }
+    // The FINALIZAR SESIONES click already waited for SINOE to reload the page
+    return S.INIT;
+  }
+
+  // The used captcha is invalid either way: reload for a fresh form and image
+  async handleCaptchaError(page, token) {
+    this.logger.info('🔄 Captcha error, reloading the login page...');
+    this.checkCancelled(token);
+    await page.reload({ waitUntil: 'networkidle0' });
+    return S.INIT;
+  }
+}
+
+LoginStateMachine.STATES = LOGIN_STATES;
+LoginStateMachine.TRANSITIONS = TRANSITIONS;
+
+module.exports = LoginStateMachine;
@@ -0,0 +1,229 @@
+// Deadline reminder scheduler with escalating WhatsApp/email alerts
+class ReminderScheduler {
+  constructor(config, logger, { whatsappManager, emailManager, storageManager, deadlineCalculator, subscriptionManager, caseRegistry }) {
+    this.config = config.reminders || {};
+    this.logger = logger;
+    this.whatsappManager = whatsappManager;
+    this.emailManager = emailManager;
+    this.storageManager = storageManager;
+    this.deadlineCalculator = deadlineCalculator;
+    this.subscriptionManager = subscriptionManager;
+    this.caseRegistry = caseRegistry;
+    // Escalation levels in business days remaining, most distant first (e.g. [5, 2, 1, 0])
+    this.hitos = [...new Set(this.config.hitos || [5, 2, 1, 0])].sort((a, b) => b - a);
+  }
+
+  // The level a notification is currently in: smallest hito that is still >= days remaining
+  getCurrentHito(remaining) {
+    if (remaining === null || remaining < 0) return null;
+    const candidates = this.hitos.filter(hito => hito >= remaining);
+    return candidates.length > 0 ? Math.min(...candidates) : null;
+  }
+
+  getRecipients() {
+    const recipients = [];
+    const seen = new Set();
+
+    for (const recipient of this.whatsappManager?.notificationRecipients || []) {
+      if (recipient.receiveNotifications === false) continue;
+      const key = recipient.phone ? String(recipient.phone) : recipient.email;
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      recipients.push({ key, name: recipient.name, phone: recipient.phone || null, email: recipient.email || null, cuentas: recipient.cuentas });
+    }
+
+    const notificationPhone = this.whatsappManager?.config?.notificationPhone;
+    if (notificationPhone && !seen.has(String(notificationPhone))) {
+      recipients.push({ key: String(notificationPhone), name: null, phone: notificationPhone, email: null });
+    }
+
+    return recipients;
+  }
+
+  async run() {
+    const results = { notifications: 0, remindersSent: 0, recipientsFailed: 0 };
+
+    try {
+      if (!this.config.enabled) {
+        this.logger.info('⚠️ Deadline reminders disabled in configuration');
+        return results;
+      }
+
+      if (!this.storageManager?.isInitialized) {
+        this.logger.warn('⚠️ Notification storage not initialized - cannot look up deadlines');
+        return results;
+      }
+
+      const today = this.deadlineCalculator.todayInLima();
+      const horizon = this.deadlineCalculator.addBusinessDays(today, this.hitos[0]);
+      const upcoming = await this.storageManager.getUpcomingDeadlines(today, horizon);
+      results.notifications = upcoming.length;
+
+      this.logger.info(`⏰ Found ${upcoming.length} notification(s) due between ${today} and ${horizon}`);
+      if (upcoming.length === 0) return results;
+
+      const recipients = this.getRecipients();
+      if (recipients.length === 0) {
+        this.logger.warn('⚠️ No reminder recipients configured');
+        return results;
+      }
+
+      for (const recipient of recipients) {
+        if (recipient.phone && await this.storageManager.isUserMuted(this.whatsappManager.formatPhoneNumber(recipient.phone))) {
+          this.logger.info(`🔕 Alerts silenced by ${recipient.phone} - skipping reminders`);
+          continue;
+        }
+
+        const subscribed = this.subscriptionManager
+          ? await this.subscriptionManager.filterForRecipient(recipient, upcoming)
+          : upcoming;
+        const pending = this.getPendingReminders(subscribed, recipient.key, today);
+        if (pending.length === 0) {
+          this.logger.debug(`📭 No pending reminders for ${recipient.key}`);
+          continue;
+        }
+
+        const canal = await this.sendReminder(recipient, pending);
+        if (!canal) {
+          results.recipientsFailed++;
+          continue;
+        }
+
+        for (const { item, hito } of pending) {
+          const recorded = await this.storageManager.markReminderSent(
+            item.numeroExpediente,
+            item.numeroNotificacion,
+            recipient.key,
+            hito,
+            canal
+          );
+          if (recorded) results.remindersSent++;
+        }
+      }
+
+      this.logger.info(`✅ Reminders completed: ${results.remindersSent} sent, ${results.recipientsFailed} recipient(s) failed`);
+      return results;
+
+    } catch (error) {
+      this.logger.error('❌ Error running deadline reminders:', error.message);
+      return results;
+    }
+  }
+
+  getPendingReminders(items, userKey, today) {
+    const pending = [];
+    for (const item of items) {
+      const remaining = this.deadlineCalculator.businessDaysRemaining(item.fechaVencimiento, today);
+      const hito = this.getCurrentHito(remaining);
+      if (hito === null) continue;
+      if (this.storageManager.hasReminderBeenSent(item, userKey, hito)) continue;
+      pending.push({ item, hito, remaining });
+    }
+    // Most urgent first
+    return pending.sort((a, b) => a.remaining - b.remaining);
+  }
+
+  // Returns the channel used ('whatsapp' or 'email'), or null when nothing could be sent
+  async sendReminder(recipient, pending) {
+    if (recipient.phone && this.whatsappManager?.isClientAvailable()) {
+      const sent = await this.whatsappManager.sendMessage(recipient.phone, this.formatWhatsAppReminder(pending));
+      if (sent) {
+        this.logger.info(`📱 Reminder with ${pending.length} deadline(s) sent to ${recipient.phone}`);
+        return 'whatsapp';
+      }
+      this.logger.warn(`⚠️ WhatsApp reminder failed for ${recipient.phone} - attempting email fallback...`);
+    }
+
+    if (recipient.email && this.emailManager?.transporter) {
+      const sent = await this.emailManager.sendEmail({
+        to: recipient.email,
+        subject: this.formatEmailSubject(pending),
+        html: this.formatEmailReminder(pending)
+      });
+      if (sent) {
+        this.logger.info(`📧 Reminder with ${pending.length} deadline(s) sent to ${recipient.email}`);
+        return 'email';
+      }
+    }
+
+    this.logger.error(`❌ Could not deliver reminder to ${recipient.key}`);
+    return null;
+  }
+
+  getUrgencyLabel(remaining) {
+    if (remaining === 0) return '🚨 VENCE HOY';
+    if (remaining === 1) return '🔴 Vence mañana (1 día hábil)';
+    if (remaining <= 2) return `🟠 Vence en ${remaining} días hábiles`;
+    return `🟡 Vence en ${remaining} días hábiles`;
+  }
+
+  formatWhatsAppReminder(pending) {
+    const header = `⏰ *SINOE - Recordatorio de Plazos*\n`;
+    const timestamp = `📅 ${new Date().toLocaleString('es-ES', {
+      timeZone: 'America/Lima', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+    })}\n\n`;
+
+    let details = '';
+    pending.forEach(({ item, remaining }, idx) => {
+      details += `${this.getUrgencyLabel(remaining)}\n`;
+      details += `*${idx + 1}.* ${item.numeroNotificacion}\n`;
+      details += `📄 Exp: ${item.numeroExpediente}\n`;
+      const caseLabel = this.caseRegistry?.formatLabel(item);
+      if (caseLabel) details += `${item.requiereTriaje ? '⚠️' : '👤'} ${caseLabel}\n`;
+      const sum = (item.sumilla || '').toString();
+      details += `📋 ${sum.substring(0, 80)}${sum.length > 80 ? '...' : ''}\n`;
+      details += `⏳ Vence: ${this.deadlineCalculator.formatDueDate(item.fechaVencimiento)} (${item.plazoDias} días hábiles)\n\n`;
+    });
+
+    const footer = `🤖 _Sistema SINOE - Recordatorio automático de plazos_`;
+    return header + timestamp + details + footer;
+  }
+
+  formatEmailSubject(pending) {
+    const mostUrgent = pending[0].remaining;
+    const prefix = mostUrgent === 0 ? '🚨 VENCE HOY' : `⏰ Vence en ${mostUrgent} día(s) hábil(es)`;
+    return `${prefix} - SINOE: ${pending.length} plazo(s) próximo(s)`;
+  }
+
+  formatEmailReminder(pending) {
+    let rows = '';
+    pending.forEach(({ item, remaining }, index) => {
+      const color = remaining === 0 ? '#c0392b' : remaining <= 2 ? '#e67e22' : '#f1c40f';
+      rows += `
+        <tr style="${index % 2 === 0 ? 'background-color: #f8f9fa;' : ''}">
+          <td style="padding: 8px; border: 1px solid #ddd; color: ${color}; font-weight: bold;">${this.getUrgencyLabel(remaining)}</td>
+          <td style="padding: 8px; border: 1px solid #ddd;">${item.numeroNotificacion}</td>
+          <td style="padding: 8px; border: 1px solid #ddd;">${item.numeroExpediente}</td>
+          <td style="padding: 8px; border: 1px solid #ddd; font-size: 12px;">${this.caseRegistry?.formatLabel(item) || '-'}</td>
+          <td style="padding: 8px; border: 1px solid #ddd;">${item.sumilla || ''}</td>
+          <td style="padding: 8px; border: 1px solid #ddd; text-align: center;">${this.deadlineCalculator.formatDueDate(item.fechaVencimiento)}</td>
+        </tr>
+      `;
+    });
+
+    return `
+    <div style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto;">
+      <h2 style="color: #c0392b; border-bottom: 2px solid #c0392b;">⏰ SINOE - Recordatorio de Plazos</h2>
+      <p><strong>📅 Fecha:</strong> ${new Date().toLocaleString('es-ES', { timeZone: 'America/Lima' })}</p>
+      <table style="width: 100%; border-collapse: collapse; margin-top: 20px;">
+        <thead>
+          <tr style="background-color: #c0392b; color: white;">
+            <th style="padding: 10px; border: 1px solid #ddd;">Urgencia</th>
+            <th style="padding: 10px; border: 1px solid #ddd;">Notificación</th>
+            <th style="padding: 10px; border: 1px solid #ddd;">Expediente</th>
+            <th style="padding: 10px; border: 1px solid #ddd;">Cliente</th>
+            <th style="padding: 10px; border: 1px solid #ddd;">Sumilla</th>
+            <th style="padding: 10px; border: 1px solid #ddd;">Vencimiento</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <div style="margin-top: 30px; padding: 15px; background-color: #ecf0f1; border-radius: 5px;">
+        <p style="margin: 0; font-size: 14px; color: #7f8c8d;">🤖 <em>Recordatorio automático del sistema SINOE</em></p>
+      </div>
+    </div>
+    `;
+  }
+}
+
+module.exports = ReminderScheduler;
@@ -0,0 +1,194 @@
+// Bandeja search filters module (frmBusqueda form)
+const PageInteractor = require('../interaction/PageInteractor');
+
+class SearchFilterManager {
+  constructor(config, logger, selectorRegistry = null) {
+    this.config = config.formFilling;
+    this.criteria = config.search || {};
+    this.logger = logger;
+    this.interactor = new PageInteractor(config, logger, selectorRegistry);
+    this.selectorRegistry = this.interactor.selectorRegistry;
+  }
+
+  hasCriteria() {
+    const { fechaDesde, fechaHasta, ultimosDias, expediente, organoJurisdiccional, estado } = this.criteria;
+    return !!(fechaDesde || fechaHasta || ultimosDias || expediente || organoJurisdiccional ||
+      (estado && estado !== 'TODAS'));
+  }
+
+  // Resolve configured criteria into concrete dd/mm/yyyy dates and values
+  resolveCriteria() {
+    const resolved = {
+      fechaDesde: this.criteria.fechaDesde || null,
+      fechaHasta: this.criteria.fechaHasta || null,
+      expediente: this.criteria.expediente || null,
+      organoJurisdiccional: this.criteria.organoJurisdiccional || null,
+      estado: this.criteria.estado || 'TODAS'
+    };
+
+    if (this.criteria.ultimosDias > 0 && !resolved.fechaDesde) {
+      const desde = new Date(Date.now() - this.criteria.ultimosDias * 24 * 60 * 60 * 1000);
+      resolved.fechaDesde = this.formatDate(desde);
+      resolved.fechaHasta = resolved.fechaHasta || this.formatDate(new Date());
+    }
+
+    return resolved;
+  }
+
+  formatDate(date) {
+    // SINOE calendars expect dd/mm/yyyy in Lima time
+    return date.toLocaleDateString('es-PE', {
+      timeZone: 'America/Lima',
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric'
+    });
+  }
+
+  // Returns the criteria SINOE actually searched with: a field that could not be set is left out
+  // (null, or TODAS for estado) so the extraction is never labeled with a filter that was not applied
+  async applyFilters(page) {
+    try {
+      if (!this.hasCriteria()) {
+        this.logger.debug('No search criteria configured - using default bandeja view');
+        return null;
+      }
+
+      const criteria = this.resolveCriteria();
+      this.logger.info('🔎 Applying bandeja search criteria...', criteria);
+
+      // Criterion -> SelectorRegistry target of its field
+      const fields = [
+        ['fechaDesde', 'busquedaFechaDesde', 'fecha desde'],
+        ['fechaHasta', 'busquedaFechaHasta', 'fecha hasta'],
+        ['expediente', 'busquedaExpediente', 'expediente'],
+        ['organoJurisdiccional', 'busquedaOrgano', 'órgano jurisdiccional']
+      ];
+
+      const applied = { ...criteria };
+      const skipped = [];
+      for (const [field, target, label] of fields) {
+        if (!criteria[field]) continue;
+        if (!await this.fillField(page, target, criteria[field], label)) {
+          applied[field] = null;
+          skipped.push(label);
+        }
+      }
+      if (criteria.estado && criteria.estado !== 'TODAS' && !await this.selectEstado(page, criteria.estado)) {
+        applied.estado = 'TODAS';
+        skipped.push('estado');
+      }
+
+      if (skipped.length > 0) {
+        this.logger.warn(`⚠️ Search criteria not applied: ${skipped.join(', ')} - the results are not filtered by them`);
+      }
+      if (!Object.keys(criteria).some(field => applied[field] && applied[field] !== 'TODAS')) {
+        this.logger.warn('⚠️ No search criteria could be applied - extracting default bandeja view');
+        return null;
+      }
+
+      const searched = await this.submitSearch(page);
+      if (!searched) {
+        this.logger.warn('⚠️ Search button not found - extracting default bandeja view');
+        return null;
+      }
+
+      this.logger.info('✅ Bandeja search criteria applied', applied);
+      return applied;
+
+    } catch (error) {
+      this.logger.error('Error applying search criteria:', error.message);
+      return null;
+    }
+  }
+
+  // The bandeja is on screen, so a field that matches nothing is reported to the selector health check
+  async findElement(page, target) {
+    const match = await this.interactor.find(page, target, { timeout: 0 });
+    if (!match) {
+      this.selectorRegistry.reportMissing(target, 'bandeja');
+      return null;
+    }
+    return match.element;
+  }
+
+  async fillField(page, target, value, label) {
+    const element = await this.findElement(page, target);
+    if (!element) {
+      this.logger.warn(`⚠️ Search field "${label}" not found`);
+      return false;
+    }
+
+    const tagName = await page.evaluate(el => el.tagName.toLowerCase(), element);
+    if (tagName === 'select') {
+      return await this.selectOptionByText(page, element, new RegExp(this.escapeRegExp(value), 'i'), label);
+    }
+
+    await element.click({ clickCount: 3 });
+    await page.keyboard.press('Delete');
+    await page.keyboard.type(String(value), { delay: this.config.typeDelay });
+    // Close any calendar popup opened by the input
+    await page.keyboard.press('Escape');
+    this.logger.info(`Filled search field "${label}" with: ${value}`);
+    return true;
+  }
+
+  async selectEstado(page, estado) {
+    const element = await this.findElement(page, 'busquedaEstado');
+    if (!element) {
+      this.logger.warn('⚠️ Search field "estado" not found');
+      return false;
+    }
+
+    const patterns = {
+      NO_LEIDAS: /no\s*le[ií]d|sin\s*leer|pendiente/i,
+      LEIDAS: /^(?!.*no\s*le[ií]d).*le[ií]d/i
+    };
+    const pattern = patterns[estado];
+    if (!pattern) {
+      this.logger.warn(`⚠️ Unknown estado filter "${estado}" (expected LEIDAS, NO_LEIDAS or TODAS)`);
+      return false;
+    }
+
+    return await this.selectOptionByText(page, element, pattern, 'estado');
+  }
+
+  async selectOptionByText(page, select, pattern, label) {
+    const selected = await page.evaluate((el, source, flags) => {
+      const regex = new RegExp(source, flags);
+      const option = Array.from(el.options).find(opt => regex.test(opt.textContent.trim()));
+      if (!option) return null;
+      el.value = option.value;
+      // PrimeFaces selectOneMenu listens to change on the hidden native select
+      el.dispatchEvent(new Event('change', { bubbles: true }));
+      return option.textContent.trim();
+    }, select, pattern.source, pattern.flags);
+
+    if (!selected) {
+      this.logger.warn(`⚠️ No option matching ${pattern} for search field "${label}"`);
+      return false;
+    }
+
+    this.logger.info(`Selected "${selected}" for search field "${label}"`);
+    await this.wait(500);
+    return true;
+  }
+
+  async submitSearch(page) {
+    const match = await this.interactor.find(page, 'botonBuscar', { timeout: 0 });
+    if (!match) return false;
+
+    // The datatable is refreshed by AJAX
+    return await this.interactor.click(page, match, { settle: 'network', timeout: this.config.pagination.pageTimeout });
+  }
+
+  escapeRegExp(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  async wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = SearchFilterManager;
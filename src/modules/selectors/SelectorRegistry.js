@@ -0,0 +1,347 @@
+// Named SINOE page targets, each with its selector strategies in order of preference.
+// The first strategy is the primary one: when a later one has to be used, SINOE's markup has drifted.
+// Every match is recorded for the run so EthicalScraper can alert before extraction breaks entirely.
+
+// jQuery-only `css:contains("text")`, which Puppeteer cannot query, becomes a CSS + text strategy
+const CONTAINS_PATTERN = /^(.*):contains\(["']?(.+?)["']?\)\s*$/;
+
+function buildTargets(selectors = {}) {
+  const list = value => (Array.isArray(value) ? value : value ? [value] : []);
+
+  return {
+    // Login page
+    usuario: {
+      page: 'login',
+      label: 'Campo Usuario',
+      visible: true,
+      strategies: [...list(selectors.userByPlaceholder), ...list(selectors.userByName), ...list(selectors.userCommonSelectors)]
+    },
+    password: {
+      page: 'login',
+      label: 'Campo Contraseña',
+      visible: true,
+      strategies: [...list(selectors.passwordByPlaceholder), ...list(selectors.passwordByType), ...list(selectors.passwordCommonSelectors)]
+    },
+    captcha: {
+      page: 'login',
+      label: 'Campo Captcha',
+      visible: true,
+      strategies: [...list(selectors.captchaById), ...list(selectors.captchaByPlaceholder), ...list(selectors.captchaCommonSelectors)]
+    },
+    captchaImagen: {
+      page: 'login',
+      label: 'Imagen del captcha',
+      strategies: [...list(selectors.captchaImageId), ...list(selectors.captchaImageSelectors)]
+    },
+    captchaRefrescar: {
+      page: 'login',
+      label: 'Refrescar captcha',
+      visible: true,
+      optional: true,
+      strategies: list(selectors.captchaRefreshSelectors)
+    },
+    botonIngresar: {
+      page: 'login',
+      label: 'Botón Ingresar',
+      visible: true,
+      strategies: [...list(selectors.submitButtonId), ...list(selectors.submitButtonSelectors)]
+    },
+    modalAceptar: {
+      page: 'login',
+      label: 'Botón Aceptar del aviso inicial',
+      visible: true,
+      optional: true,
+      strategies: [{ css: '#dynamicModal button[type="button"]', text: 'Aceptar' }, ...list(selectors.modalAcceptSelectors)]
+    },
+
+    // "Sesión activa" page shown when the account is still logged in elsewhere
+    finalizarSesiones: {
+      page: 'sesionActiva',
+      label: 'Botón FINALIZAR SESIONES',
+      visible: true,
+      strategies: [
+        { css: 'button, input[type="submit"], input[type="button"]', text: 'FINALIZAR SESIONES' },
+        ...list(selectors.logoutButtonSelectors)
+      ]
+    },
+
+    // Menu after a successful login
+    logoSinoe: {
+      page: 'menu',
+      label: 'Logo del menú SINOE',
+      strategies: list(selectors.successLoginImageSelectors)
+    },
+    casillasElectronicas: {
+      page: 'menu',
+      label: 'Enlace Casillas Electrónicas',
+      visible: true,
+      strategies: [
+        { css: 'a.ui-commandlink.ui-widget', text: 'Casillas Electrónicas' },
+        { css: 'a', text: 'Casillas Electrónicas' },
+        ...list(selectors.casillasElectronicasSelectors)
+      ]
+    },
+
+    // Bandeja de notificaciones
+    tablaNotificaciones: {
+      page: 'bandeja',
+      label: 'Tabla de notificaciones',
+      strategies: list(selectors.notificationsTableSelectors)
+    },
+    botonBuscar: {
+      page: 'bandeja',
+      label: 'Botón Buscar',
+      visible: true,
+      strategies: list(selectors.searchButtonSelectors)
+    },
+    cerrarSesion: {
+      page: 'bandeja',
+      label: 'Enlace Cerrar sesión',
+      visible: true,
+      strategies: [...list(selectors.finalLogoutSelectors), { css: 'a', text: 'CERRAR SESION' }]
+    },
+    paginador: {
+      page: 'bandeja',
+      label: 'Paginador de notificaciones',
+      strategies: list(selectors.paginatorSelectors)
+    },
+    // Looked up inside the paginator; PrimeFaces keeps it on the last page, disabled
+    paginadorSiguiente: {
+      page: 'bandeja',
+      label: 'Botón Siguiente del paginador',
+      strategies: list(selectors.paginatorNextSelector)
+    },
+    filasPorPagina: {
+      page: 'bandeja',
+      label: 'Selector de filas por página',
+      optional: true,
+      strategies: list(selectors.paginatorRowsPerPageSelector)
+    },
+
+    // Bandeja search form: only needed with search criteria, so SearchFilterManager reports the ones it misses
+    busquedaFechaDesde: {
+      page: 'bandeja',
+      label: 'Campo Fecha desde',
+      optional: true,
+      strategies: list(selectors.searchFechaDesdeSelectors)
+    },
+    busquedaFechaHasta: {
+      page: 'bandeja',
+      label: 'Campo Fecha hasta',
+      optional: true,
+      strategies: list(selectors.searchFechaHastaSelectors)
+    },
+    busquedaExpediente: {
+      page: 'bandeja',
+      label: 'Campo Expediente',
+      optional: true,
+      strategies: list(selectors.searchExpedienteSelectors)
+    },
+    busquedaOrgano: {
+      page: 'bandeja',
+      label: 'Campo Órgano jurisdiccional',
+      optional: true,
+      strategies: list(selectors.searchOrganoSelectors)
+    },
+    busquedaEstado: {
+      page: 'bandeja',
+      label: 'Campo Estado',
+      optional: true,
+      strategies: list(selectors.searchEstadoSelectors)
+    },
+
+    // Documents of a notification: the button is looked up inside its row and the links inside the dialog.
+    // No health check runs on this page; DocumentManager reports what it misses while downloading.
+    botonDocumentos: {
+      page: 'documentos',
+      label: 'Botón de documentos de la notificación',
+      strategies: list(selectors.notificationDocumentsButtonSelectors)
+    },
+    dialogoDocumentos: {
+      page: 'documentos',
+      label: 'Diálogo de documentos',
+      visible: true,
+      strategies: list(selectors.notificationDocumentsDialogSelectors)
+    },
+    enlaceDocumento: {
+      page: 'documentos',
+      label: 'Enlace de descarga de documento',
+      strategies: list(selectors.notificationDocumentLinkSelectors)
+    }
+  };
+}
+
+class SelectorRegistry {
+  constructor(config, logger) {
+    this.logger = logger;
+    this.targets = buildTargets(config.formFilling?.selectors);
+    this.reset();
+  }
+
+  // Forgets the matches of the previous run
+  reset() {
+    this.matches = new Map(); // target -> { selector, index, hits }
+    this.missing = new Map(); // target -> page the health check ran on
+  }
+
+  // Strings starting with "/" or "(" are XPath; anything else is CSS, optionally with a jQuery :contains()
+  parseStrategy(strategy) {
+    if (typeof strategy !== 'string') return strategy;
+
+    const selector = strategy.trim();
+    if (selector.startsWith('/') || selector.startsWith('(')) return { xpath: selector };
+
+    const contains = selector.match(CONTAINS_PATTERN);
+    if (contains) return { css: contains[1].trim() || '*', text: contains[2] };
+
+    return { css: selector };
+  }
+
+  describe(strategy) {
+    const { css, xpath, text } = this.parseStrategy(strategy);
+    if (xpath) return xpath;
+    return text ? `${css}:contains("${text}")` : css;
+  }
+
+  getStrategies(name) {
+    const target = this.targets[name];
+    if (!target) throw new Error(`Unknown selector target: ${name}`);
+    return target.strategies.map(strategy => this.parseStrategy(strategy));
+  }
+
+  // First element found by the target's strategies, as { element, selector, index }; null when none matches.
+  // root narrows the search to an element (a table row, a dialog) instead of the whole page.
+  // Matches are recorded; misses are not, since callers also probe for pages they may not be on:
+  // a caller that knows its page is on screen reports a miss with reportMissing.
+  async find(page, name, { root = page } = {}) {
+    const match = await this.resolve(page, name, root, 1);
+    return match && { element: match.elements[0], selector: match.selector, index: match.index };
+  }
+
+  // Every element of the first strategy that matches any, as { elements, selector, index }; null when none does
+  async findAll(page, name, { root = page } = {}) {
+    return await this.resolve(page, name, root, Infinity);
+  }
+
+  async resolve(page, name, root, limit) {
+    const target = this.targets[name];
+    const strategies = this.getStrategies(name);
+
+    for (let index = 0; index < strategies.length; index++) {
+      let elements = [];
+      try {
+        elements = await this.query(page, strategies[index], target.visible, root, limit);
+      } catch (error) {
+        this.logger.debug(`Selector ${this.describe(strategies[index])} failed for ${name}: ${error.message}`);
+      }
+      if (elements.length > 0) {
+        const selector = this.describe(strategies[index]);
+        this.record(name, selector, index);
+        return { elements, selector, index };
+      }
+    }
+    return null;
+  }
+
+  // Up to limit matching elements under root
+  async query(page, { css, xpath, text }, visible, root = page, limit = 1) {
+    // A plain CSS selector without conditions needs no candidate list
+    if (css && !text && !visible && limit === 1) {
+      const element = await root.$(css);
+      return element ? [element] : [];
+    }
+
+    const candidates = await root.$$(xpath ? `xpath/${xpath}` : css);
+    if (css && !text && !visible) return candidates.slice(0, limit);
+
+    const found = [];
+    for (const candidate of candidates) {
+      const matches = await page.evaluate((el, wanted, mustBeVisible) => {
+        const normalize = value => (value || '').normalize('NFD').replace(/\p{M}/gu, '').replace(/\s+/g, ' ').trim().toUpperCase();
+        if (wanted && !normalize(`${el.value || ''} ${el.textContent || ''}`).includes(normalize(wanted))) return false;
+        if (mustBeVisible) {
+          return el.offsetParent !== null &&
+            !el.disabled &&
+            el.style?.visibility !== 'hidden' &&
+            el.style?.display !== 'none';
+        }
+        return true;
+      }, candidate, text || null, !!visible);
+      if (matches) found.push(candidate);
+      if (found.length >= limit) break;
+    }
+    return found;
+  }
+
+  record(name, selector, index) {
+    const previous = this.matches.get(name);
+    this.matches.set(name, { selector, index, hits: (previous?.hits || 0) + 1 });
+    this.missing.delete(name);
+
+    if (index > 0 && previous?.selector !== selector) {
+      const primary = this.describe(this.targets[name].strategies[0]);
+      this.logger.warn(`🧭 Selector drift on ${name}: primary "${primary}" no longer matches, found with fallback #${index} "${selector}"`);
+    }
+  }
+
+  // A target its caller needed on a page known to be on screen matched nothing. A target already matched
+  // this run is not reported, as the health check does not report it either.
+  reportMissing(name, pageName) {
+    if (this.matches.has(name) || this.missing.has(name)) return;
+    this.missing.set(name, pageName);
+    this.logger.warn(`🧭 Nothing matches ${name} (${this.targets[name].label}) on ${pageName}`);
+  }
+
+  // Health check once a page is known to be on screen: resolves every target of that page without acting on it.
+  // Required targets that match nothing are reported as missing.
+  async check(page, pageName) {
+    const names = Object.keys(this.targets).filter(name => this.targets[name].page === pageName);
+    const result = { page: pageName, found: [], fallback: [], missing: [] };
+
+    for (const name of names) {
+      const match = await this.find(page, name);
+      if (match) {
+        result.found.push(name);
+        if (match.index > 0) result.fallback.push(name);
+      } else if (!this.targets[name].optional && !this.matches.has(name)) {
+        this.missing.set(name, pageName);
+        result.missing.push(name);
+      }
+    }
+
+    if (result.missing.length > 0) {
+      this.logger.warn(`🧭 Selector health check of ${pageName}: nothing matches ${result.missing.join(', ')}`);
+    } else {
+      this.logger.info(`🧭 Selector health check of ${pageName}: ${result.found.length} target(s) found, ${result.fallback.length} through a fallback`);
+    }
+    return result;
+  }
+
+  // What this run matched: targets resolved by a fallback (drift) and required targets nothing matched (missing)
+  getReport() {
+    const matches = {};
+    const drift = [];
+    for (const [name, match] of this.matches) {
+      matches[name] = { ...match, fallback: match.index > 0 };
+      if (match.index > 0) {
+        drift.push({
+          target: name,
+          label: this.targets[name].label,
+          primary: this.describe(this.targets[name].strategies[0]),
+          selector: match.selector
+        });
+      }
+    }
+
+    const missing = [...this.missing].map(([name, pageName]) => ({
+      target: name,
+      label: this.targets[name].label,
+      page: pageName,
+      primary: this.describe(this.targets[name].strategies[0])
+    }));
+
+    return { matches, drift, missing, checked: [...new Set([...this.matches.keys(), ...this.missing.keys()])] };
+  }
+}
+
+module.exports = SelectorRegistry;
@@ -0,0 +1,246 @@
+// Authenticated SINOE browser session (cookies + sessionStorage) saved after a login and tried first on the
+// next run, so a still-valid session skips the captcha. Snapshots are AES-256-GCM encrypted, locally or in S3.
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const SNAPSHOT_VERSION = 1;
+
+// Fields accepted by page.setCookie; page.cookies() returns a few read-only extras (size, session...)
+const COOKIE_FIELDS = ['name', 'value', 'domain', 'path', 'expires', 'httpOnly', 'secure', 'sameSite'];
+
+class SinoeSessionStore {
+  constructor(config, logger) {
+    this.config = config.sessionReuse || {};
+    this.awsConfig = config.aws || {};
+    this.logger = logger;
+    this.account = config.account?.id || 'principal';
+    this.usuario = String(config.formFilling?.fields?.usuario || '');
+    this.enabled = !!this.config.enabled;
+    this.storage = this.config.storage === 's3' ? 's3' : 'local';
+    this.s3 = null;
+    this.key = null;
+  }
+
+  async initialize() {
+    if (!this.enabled) return false;
+
+    try {
+      if (!this.config.secret) {
+        this.logger.warn('⚠️ SINOE_SESSION_SECRET is not set - session reuse disabled (sessions are never stored unencrypted)');
+        this.enabled = false;
+        return false;
+      }
+      this.key = crypto.scryptSync(this.config.secret, 'sinoe-session', 32);
+
+      if (this.storage === 's3') {
+        AWS.config.update({
+          region: this.awsConfig.region || 'us-east-1'
+        });
+        this.s3 = new AWS.S3();
+        await this.s3.headBucket({ Bucket: this.config.bucket }).promise();
+        this.logger.info(`✅ SINOE session reuse using S3 bucket "${this.config.bucket}"`);
+      } else {
+        await fs.mkdir(this.config.localPath, { recursive: true });
+        this.logger.info(`✅ SINOE session reuse using local path "${this.config.localPath}"`);
+      }
+      return true;
+    } catch (error) {
+      this.logger.error('❌ Failed to initialize SINOE session storage:', error.message);
+      this.enabled = false;
+      return false;
+    }
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  getObjectKey() {
+    return `${this.config.prefix}/${this.account.replace(/[/\\?%*:|"<>\s]+/g, '_')}.enc`;
+  }
+
+  // A snapshot taken with other credentials must not be used
+  credentialHash() {
+    return crypto.createHash('sha256').update(this.usuario).digest('hex');
+  }
+
+  // The account id is authenticated data: a snapshot copied onto another account does not decrypt
+  encrypt(snapshot) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    cipher.setAAD(Buffer.from(this.account));
+    const data = Buffer.concat([cipher.update(JSON.stringify(snapshot), 'utf8'), cipher.final()]);
+    return Buffer.from(JSON.stringify({
+      v: SNAPSHOT_VERSION,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    }));
+  }
+
+  decrypt(buffer) {
+    const envelope = JSON.parse(buffer.toString('utf8'));
+    if (envelope.v !== SNAPSHOT_VERSION) throw new Error(`unsupported snapshot version ${envelope.v}`);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(Buffer.from(this.account));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  }
+
+  async readObject() {
+    if (this.storage === 's3') {
+      try {
+        const result = await this.s3.getObject({ Bucket: this.config.bucket, Key: this.getObjectKey() }).promise();
+        return result.Body;
+      } catch (error) {
+        if (error.code === 'NoSuchKey' || error.statusCode === 404) return null;
+        throw error;
+      }
+    }
+
+    try {
+      return await fs.readFile(path.join(this.config.localPath, this.getObjectKey()));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async writeObject(body) {
+    if (this.storage === 's3') {
+      await this.s3.upload({
+        Bucket: this.config.bucket,
+        Key: this.getObjectKey(),
+        Body: body,
+        ContentType: 'application/json',
+        ServerSideEncryption: 'AES256'
+      }).promise();
+      return;
+    }
+
+    const filePath = path.join(this.config.localPath, this.getObjectKey());
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body, { mode: 0o600 });
+  }
+
+  // Stores the browser state of a page that just logged in
+  async save(page, loginUrl) {
+    if (!this.enabled) return false;
+
+    try {
+      const now = Date.now() / 1000;
+      const cookies = (await page.cookies(page.url(), loginUrl))
+        .filter(cookie => cookie.expires <= 0 || cookie.expires > now)
+        .map(cookie => this.toCookieParam(cookie));
+      if (cookies.length === 0) {
+        this.logger.debug('No SINOE cookies to save');
+        return false;
+      }
+      const sessionStorage = await page.evaluate(() => Object.fromEntries(Object.entries(window.sessionStorage)));
+
+      await this.writeObject(this.encrypt({
+        account: this.account,
+        credential: this.credentialHash(),
+        url: page.url(),
+        savedAt: new Date().toISOString(),
+        cookies,
+        sessionStorage
+      }));
+      this.logger.info(`🍪 SINOE session saved for account ${this.account} (${cookies.length} cookie(s))`);
+      return true;
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not save SINOE session for account ${this.account}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Session cookies come back with expires -1, which setCookie would take as already expired
+  toCookieParam(cookie) {
+    const param = {};
+    for (const field of COOKIE_FIELDS) {
+      if (cookie[field] !== undefined) param[field] = cookie[field];
+    }
+    if (param.expires <= 0) delete param.expires;
+    return param;
+  }
+
+  // Snapshot still worth trying, or null
+  async load() {
+    if (!this.enabled) return null;
+
+    try {
+      const body = await this.readObject();
+      if (!body) {
+        this.logger.debug(`📭 No saved SINOE session for account ${this.account}`);
+        return null;
+      }
+
+      const snapshot = this.decrypt(body);
+      if (snapshot.credential !== this.credentialHash()) {
+        this.logger.info(`🔑 Saved SINOE session of account ${this.account} belongs to other credentials - discarding`);
+        await this.clear();
+        return null;
+      }
+
+      const ageHours = (Date.now() - new Date(snapshot.savedAt).getTime()) / 3600000;
+      if (ageHours > this.config.maxAgeHours) {
+        this.logger.info(`⌛ Saved SINOE session of account ${this.account} is ${Math.round(ageHours)}h old - discarding`);
+        await this.clear();
+        return null;
+      }
+      return snapshot;
+    } catch (error) {
+      // A changed secret or a tampered file: the snapshot is useless either way
+      this.logger.warn(`⚠️ Could not read saved SINOE session for account ${this.account}: ${error.message}`);
+      await this.clear();
+      return null;
+    }
+  }
+
+  // Loads the snapshot's cookies and sessionStorage into the page and opens the page it was saved on
+  async apply(page, snapshot) {
+    const now = Date.now() / 1000;
+    const cookies = snapshot.cookies.filter(cookie => !cookie.expires || cookie.expires > now);
+    if (cookies.length === 0) return false;
+
+    await page.setCookie(...cookies);
+    await page.goto(snapshot.url, { waitUntil: 'networkidle0' });
+
+    // sessionStorage is per origin: it can only be written once the page is on it
+    if (Object.keys(snapshot.sessionStorage || {}).length > 0) {
+      await page.evaluate(entries => {
+        for (const [key, value] of Object.entries(entries)) window.sessionStorage.setItem(key, value);
+      }, snapshot.sessionStorage);
+      await page.reload({ waitUntil: 'networkidle0' });
+    }
+    return true;
+  }
+
+  async clear() {
+    try {
+      if (this.storage === 's3') {
+        if (!this.s3) return;
+        await this.s3.deleteObject({ Bucket: this.config.bucket, Key: this.getObjectKey() }).promise();
+      } else {
+        await fs.unlink(path.join(this.config.localPath, this.getObjectKey()));
+      }
+      this.logger.debug(`🗑️ Saved SINOE session of account ${this.account} removed`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') this.logger.debug(`Could not remove saved SINOE session: ${error.message}`);
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      storage: this.storage,
+      location: this.storage === 's3' ? this.config.bucket : this.config.localPath,
+      account: this.account
+    };
+  }
+}
+
+module.exports = SinoeSessionStore;
@@ -0,0 +1,158 @@
+// Per-recipient subscription rules: which notifications each person receives
+const fs = require('fs');
+
+const RULE_FIELDS = ['expedientes', 'organos', 'sumilla', 'estados'];
+
+class SubscriptionManager {
+  constructor(config, logger, storageManager = null) {
+    this.config = config.subscriptions || {};
+    this.logger = logger;
+    this.storageManager = storageManager;
+    this.subscribers = this.loadFile(this.config.file);
+  }
+
+  loadFile(filePath) {
+    if (!filePath) return [];
+
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const subscribers = (data.suscriptores || []).filter(subscriber => subscriber.phone || subscriber.email);
+      this.logger.info(`📋 Loaded ${subscribers.length} subscription(s) from ${filePath}`);
+      return subscribers;
+    } catch (error) {
+      this.logger.error(`❌ Could not load subscriptions file ${filePath}:`, error.message);
+      return [];
+    }
+  }
+
+  // Subscribers in the file are recipients too, so the whole setup can live there instead of WHATSAPP_RECIPIENTS
+  getFileRecipients() {
+    return this.subscribers.map(subscriber => ({
+      name: subscriber.nombre || subscriber.name || '',
+      phone: subscriber.phone || '',
+      email: subscriber.email || '',
+      receiveNotifications: subscriber.receiveNotifications !== false
+    }));
+  }
+
+  // Same normalization as WhatsAppManager.formatPhoneNumber, so file entries and storage keys line up
+  normalizePhone(phone) {
+    let formatted = (phone || '').toString().replace(/\D/g, '');
+    if (!formatted.startsWith('51') && formatted.length === 9) formatted = '51' + formatted;
+    return formatted;
+  }
+
+  getKeys({ phone, email }) {
+    const keys = [];
+    if (phone) keys.push(this.normalizePhone(phone));
+    if (email) keys.push(email.toString().trim().toLowerCase());
+    return keys;
+  }
+
+  // Rules saved in storage (preferencias.suscripcion) take precedence over the file.
+  // Returns null when the recipient has no rules, meaning they receive everything.
+  async getRules(recipient) {
+    const keys = this.getKeys(recipient);
+
+    if (this.storageManager?.isInitialized) {
+      for (const key of keys) {
+        try {
+          const { suscripcion } = await this.storageManager.getUserPreferences(key);
+          if (suscripcion) return suscripcion;
+        } catch (error) {
+          this.logger.debug(`Could not read subscription for ${key}: ${error.message}`);
+        }
+      }
+    }
+
+    const subscriber = this.subscribers.find(entry => this.getKeys(entry).some(key => keys.includes(key)));
+    return subscriber?.reglas || null;
+  }
+
+  async saveRules(key, reglas) {
+    this.validateRules(reglas);
+    return this.storageManager.saveUserPreferences(key, { suscripcion: reglas });
+  }
+
+  async clearRules(key) {
+    return this.storageManager.saveUserPreferences(key, { suscripcion: null });
+  }
+
+  // Throws on unknown fields or invalid órgano patterns so bad rules are rejected before being stored
+  validateRules(reglas) {
+    const ruleSets = Array.isArray(reglas) ? reglas : [reglas];
+    for (const ruleSet of ruleSets) {
+      if (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet)) {
+        throw new Error('Each rule must be an object');
+      }
+      for (const [field, values] of Object.entries(ruleSet)) {
+        if (!RULE_FIELDS.includes(field)) throw new Error(`Unknown rule field "${field}" (expected ${RULE_FIELDS.join(', ')})`);
+        if (!Array.isArray(values)) throw new Error(`Rule field "${field}" must be a list`);
+      }
+      (ruleSet.organos || []).forEach(pattern => new RegExp(pattern, 'i'));
+    }
+  }
+
+  // reglas is one rule object or a list of them (any may match). Inside a rule every
+  // non-empty field must match; inside a field any value may match.
+  compileRules(reglas) {
+    const ruleSets = Array.isArray(reglas) ? reglas : [reglas];
+    return ruleSets.filter(Boolean).map(ruleSet => ({
+      expedientes: (ruleSet.expedientes || []).map(exp => exp.toString().trim().toUpperCase()),
+      organos: (ruleSet.organos || []).reduce((patterns, pattern) => {
+        try {
+          patterns.push(new RegExp(pattern, 'i'));
+        } catch (error) {
+          this.logger.warn(`⚠️ Invalid órgano pattern "${pattern}": ${error.message}`);
+        }
+        return patterns;
+      }, []),
+      sumilla: (ruleSet.sumilla || []).map(keyword => this.normalizeText(keyword)),
+      estados: (ruleSet.estados || []).map(estado => estado.toString().trim().toUpperCase())
+    }));
+  }
+
+  // Lowercase without accents, so "notificación" matches "NOTIFICACION"
+  normalizeText(text) {
+    return (text || '').toString().normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  matchesRuleSet(notification, ruleSet) {
+    if (ruleSet.expedientes.length > 0 && !ruleSet.expedientes.includes((notification.numeroExpediente || '').toUpperCase())) {
+      return false;
+    }
+    if (ruleSet.organos.length > 0 && !ruleSet.organos.some(regex => regex.test(notification.oficinaJudicial || ''))) {
+      return false;
+    }
+    if (ruleSet.sumilla.length > 0) {
+      const sumilla = this.normalizeText(notification.sumilla);
+      if (!ruleSet.sumilla.some(keyword => sumilla.includes(keyword))) return false;
+    }
+    if (ruleSet.estados.length > 0 && !ruleSet.estados.includes((notification.estado || '').toUpperCase())) {
+      return false;
+    }
+    return true;
+  }
+
+  matches(notification, ruleSets) {
+    return ruleSets.some(ruleSet => this.matchesRuleSet(notification, ruleSet));
+  }
+
+  // Keep only the notifications the recipient is subscribed to; getItem maps list entries to notifications.
+  // Recipients declared on a SINOE account (cuentas) are limited to that account's notifications first.
+  async filterForRecipient(recipient, items, getItem = item => item) {
+    if (Array.isArray(recipient.cuentas)) {
+      items = items.filter(item => recipient.cuentas.includes(getItem(item).cuenta));
+    }
+
+    const reglas = await this.getRules(recipient);
+    if (!reglas) return items;
+
+    const ruleSets = this.compileRules(reglas);
+    const filtered = items.filter(item => this.matches(getItem(item), ruleSets));
+    this.logger.debug(`📋 Subscription rules for ${recipient.phone || recipient.email}: ${filtered.length}/${items.length} notification(s) match`);
+    return filtered;
+  }
+}
+
+module.exports = SubscriptionManager;
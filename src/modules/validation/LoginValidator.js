@@ -1,11 +1,55 @@
 // Login validation module
+const SelectorRegistry = require('../selectors/SelectorRegistry');
+
+// SINOE login messages, matched without accents in lowercase
+const LOGIN_ERROR_PATTERNS = {
+  LOCKED: [
+    /bloquead[oa]/,
+    /(cuenta|usuario) (ha sido |esta |se encuentra )?(suspendid|inhabilitad|deshabilitad|desactivad)/,
+    /(excedio|supero|sobrepaso) (el )?(numero|limite|maximo) (de|permitido de) intentos/,
+    /demasiados intentos/
+  ],
+  PASSWORD_EXPIRED: [
+    /(contrasena|clave) (ha |se encuentra )?(expirad|vencid|caducad)/,
+    /(expiro|vencio|caduco) (su|la) (contrasena|clave)/,
+    /(debe|necesita|requiere) (cambiar|actualizar|renovar) (su|la) (contrasena|clave)/
+  ],
+  CAPTCHA_ERROR: [
+    /captcha/,
+    /codigo de (verificacion|seguridad|la imagen)/,
+    /texto de la imagen/,
+    /codigo (ingresado )?(es )?(incorrecto|invalido|no coincide)/
+  ],
+  CREDENTIAL_ERROR: [
+    /(usuario|contrasena|clave|credenciales)[^.]{0,40}(incorrect|invalid|no valid|errone|no coincide)/,
+    /(incorrect|invalid)[^.]{0,20}(usuario|contrasena|clave|credenciales)/,
+    /usuario no (existe|registrado|encontrado)/,
+    /(datos|credenciales) de acceso (incorrectos|invalidos|erroneos)/
+  ],
+  MAINTENANCE: [
+    /mantenimiento/,
+    /(servicio|sistema) (temporalmente )?no (esta )?disponible/,
+    /fuera de servicio/
+  ]
+};
+
+// Where SINOE shows login errors when no loginErrorSelectors are configured
+const DEFAULT_ERROR_SELECTORS = ['.ui-messages-error-summary', '.ui-messages-error-detail', '.ui-message-error-detail', '.ui-growl-message'];
+
+// A message mentioning both a lockout and the captcha is a lockout
+const ERROR_PRIORITY = ['LOCKED', 'PASSWORD_EXPIRED', 'CAPTCHA_ERROR', 'CREDENTIAL_ERROR', 'MAINTENANCE'];
+
 class LoginValidator {
-  constructor(config, logger) {
+  constructor(config, logger, selectorRegistry = null) {
     this.config = config.formFilling;
     this.logger = logger;
+    this.selectorRegistry = selectorRegistry || new SelectorRegistry(config, logger);
+    this.lastError = null; // { type, message } of the last classified SINOE error
   }
 
+  // SUCCESS, SSO_REDIRECT, ACTIVE_SESSION, one of ERROR_PRIORITY, or LOGIN_ERROR when nothing matched
   async checkLoginResult(page) {
+    this.lastError = null;
     try {
       // Case 0: Check for SSO validation page and redirect to login
       const currentUrl = page.url();
@@ -29,7 +73,7 @@ class LoginValidator {
         return 'ACTIVE_SESSION';
       }
 
-      // Case 3: Check for login errors (captcha or credentials)
+      // Case 3: Check for login errors (captcha, credentials, lockout, maintenance)
       const errorResult = await this.checkLoginErrors(page);
       if (errorResult) {
         return errorResult;
@@ -66,37 +110,11 @@ class LoginValidator {
 
   async validateSuccessfulLogin(page) {
     try {
-      // Strategy 1: Look for specific SINOE logo image by src
-      const logoImages = await page.$$('img');
-      for (const img of logoImages) {
-        const src = await page.evaluate(el => el.src, img);
-        if (src && src.includes('logo-menu-sinoe.png')) {
-          this.logger.info(`✅ Found SINOE logo image: ${src}`);
-          return true;
-        }
-      }
-
-      // Strategy 2: Try XPath selectors for the logo image
-      for (const selector of this.config.selectors.successLoginImageSelectors) {
-        if (selector.startsWith('/') || selector.startsWith('//')) {
-          // XPath selector
-          try {
-            const [element] = await page.$x(selector);
-            if (element) {
-              this.logger.info(`✅ Found SINOE logo with XPath: ${selector}`);
-              return true;
-            }
-          } catch (error) {
-            continue;
-          }
-        } else {
-          // CSS selector
-          const element = await page.$(selector);
-          if (element) {
-            this.logger.info(`✅ Found SINOE logo with selector: ${selector}`);
-            return true;
-          }
-        }
+      // The SINOE logo only shows on the menu after a successful login
+      const match = await this.selectorRegistry.find(page, 'logoSinoe');
+      if (match) {
+        this.logger.info(`✅ Found SINOE logo with selector: ${match.selector}`);
+        return true;
       }
 
       return false;
@@ -126,49 +144,60 @@ class LoginValidator {
     }
   }
 
+  // SINOE's message text decides the error type; the first matching type in this order wins
   async checkLoginErrors(page) {
     try {
-      const errorSelectors = [
-        '.error',
-        '.alert-danger',
-        '.mensaje-error',
-        '[class*="error"]',
-        'td'
-      ];
-
-      for (const selector of errorSelectors) {
-        const elements = await page.$$(selector);
-        for (const element of elements) {
-          const errorText = await page.evaluate(el => el.textContent?.trim().toLowerCase() || '', element);
-          if (errorText.length > 0) {
-            if (errorText.includes('captcha') || errorText.includes('código') || errorText.includes('incorrecto')) {
-              this.logger.info(`🔍 Detected captcha/login error: ${errorText}`);
-              return 'CAPTCHA_ERROR';
-            } else if (errorText.includes('inválido') || errorText.includes('error')) {
-              this.logger.info(`🔍 Detected login error: ${errorText}`);
-              return 'LOGIN_ERROR';
-            }
-          }
+      const messages = await this.getErrorMessages(page);
+      let best = null;
+      for (const message of messages) {
+        const type = this.classifyLoginError(message);
+        if (type && (!best || ERROR_PRIORITY.indexOf(type) < ERROR_PRIORITY.indexOf(best.type))) {
+          best = { type, message };
         }
       }
-      return null;
+
+      if (!best) {
+        if (messages.length) this.logger.info(`🔍 Unrecognized login page messages: ${messages.join(' | ')}`);
+        return null;
+      }
+
+      this.logger.info(`🔍 Detected ${best.type}: "${best.message}"`);
+      this.lastError = best;
+      return best.type;
     } catch (error) {
       this.logger.error('Error checking login errors:', error.message);
       return 'LOGIN_ERROR';
     }
   }
 
+  // Visible, short texts of the PrimeFaces message containers (messages and growl)
+  async getErrorMessages(page) {
+    return await page.evaluate(selectors => {
+      const texts = [];
+      for (const selector of selectors) {
+        for (const el of document.querySelectorAll(selector)) {
+          if (el.getClientRects().length === 0) continue;
+          const text = (el.textContent || '').replace(/\s+/g, ' ').trim();
+          if (text && text.length <= 300 && !texts.includes(text)) texts.push(text);
+        }
+      }
+      return texts;
+    }, this.config.selectors.loginErrorSelectors || DEFAULT_ERROR_SELECTORS);
+  }
+
+  classifyLoginError(message) {
+    const text = (message || '').normalize('NFD').replace(/\p{Diacritic}/gu, '').toLowerCase();
+    return ERROR_PRIORITY.find(type => LOGIN_ERROR_PATTERNS[type].some(pattern => pattern.test(text))) || null;
+  }
+
   async redirectToLogin(page) {
     try {
       this.logger.info('🔄 Redirecting from SSO validation page to login...');
       
-      // Navigate directly to the login page
-      const loginUrl = 'https://casillas.pj.gob.pe/sinoe/login.xhtml';
+      // Navigate directly to the login page, next to sso-validar.xhtml (same host for the mock portal)
+      const loginUrl = new URL('login.xhtml', page.url()).toString();
       await page.goto(loginUrl, { waitUntil: 'networkidle0' });
-      
-      // Wait for page to load completely
-      await this.wait(3000);
-      
+
       this.logger.info('✅ Successfully redirected to login page');
       return true;
       
@@ -177,10 +206,8 @@ class LoginValidator {
       return false;
     }
   }
-
-  async wait(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
 
+LoginValidator.ERROR_PRIORITY = ERROR_PRIORITY;
+
 module.exports = LoginValidator;
\ No newline at end of file
@@ -0,0 +1,219 @@
+// Command router for incoming WhatsApp messages (/pendientes, /exp, /hoy, /plazos, /silenciar)
+class WhatsAppCommandRouter {
+  constructor(config, logger, { whatsappManager, storageManager, deadlineCalculator, caseRegistry, subscriptionManager }) {
+    this.config = config.whatsapp?.commands || {};
+    this.remindersConfig = config.reminders || {};
+    this.logger = logger;
+    this.whatsappManager = whatsappManager;
+    this.storageManager = storageManager;
+    this.deadlineCalculator = deadlineCalculator;
+    this.caseRegistry = caseRegistry;
+    this.subscriptionManager = subscriptionManager;
+    this.maxItems = this.config.maxItems || 10;
+
+    this.commands = {
+      '/pendientes': (args, phone) => this.handlePendientes(phone),
+      '/exp': (args, phone) => this.handleExpediente(args, phone),
+      '/hoy': (args, phone) => this.handleHoy(phone),
+      '/plazos': (args, phone) => this.handlePlazos(phone),
+      '/silenciar': (args, phone) => this.handleSilenciar(args, phone),
+      '/ayuda': () => this.getHelpText()
+    };
+  }
+
+  // Returns the reply text, or null when the message is not a command for us
+  async handleMessage(message) {
+    const body = (message.body || '').trim();
+    if (!body.startsWith('/') || message.fromMe || String(message.from).endsWith('@g.us')) return null;
+
+    const phone = await this.getSenderPhone(message);
+    if (!this.isAuthorized(phone)) {
+      this.logger.warn(`⚠️ Ignoring WhatsApp command from unauthorized number ${phone || message.from}`);
+      return null;
+    }
+
+    const [command, ...args] = body.split(/\s+/);
+    const handler = this.commands[command.toLowerCase()];
+    this.logger.info(`🤖 WhatsApp command ${command} from ${phone}`);
+
+    if (!handler) return `❓ Comando no reconocido: ${command}\n\n${this.getHelpText()}`;
+
+    if (!this.storageManager?.isInitialized) {
+      return '⚠️ La base de datos de notificaciones no está disponible en este momento.';
+    }
+
+    try {
+      return await handler(args, phone);
+    } catch (error) {
+      this.logger.error(`❌ Error handling WhatsApp command ${command}:`, error.message);
+      return '❌ Ocurrió un error procesando el comando. Intente nuevamente más tarde.';
+    }
+  }
+
+  // Newer WhatsApp ids (@lid) do not contain the phone number, the contact does
+  async getSenderPhone(message) {
+    const from = String(message.from || '');
+    if (from.endsWith('@c.us')) return from.split('@')[0];
+
+    try {
+      const contact = await message.getContact();
+      return contact?.number || null;
+    } catch {
+      return null;
+    }
+  }
+
+  isAuthorized(phone) {
+    if (!phone) return false;
+    const normalized = this.whatsappManager.formatPhoneNumber(phone);
+    const allowed = [
+      ...this.whatsappManager.getAllNotificationRecipients(),
+      ...(this.config.allowedPhones || [])
+    ];
+    return allowed.some(allowedPhone => this.whatsappManager.formatPhoneNumber(allowedPhone) === normalized);
+  }
+
+  // Replies show the sender only what they would be sent: their casillas and subscription rules
+  async filterForSender(phone, items) {
+    return this.subscriptionManager.filterForRecipient(this.whatsappManager.getRecipientContact(phone), items);
+  }
+
+  // --- Commands ---
+
+  // Filtered before the reply is cut to maxItems, so other recipients' notifications do not use up the list
+  async handlePendientes(phone) {
+    const open = await this.filterForSender(phone, await this.storageManager.getOpenNotifications());
+    if (open.length === 0) return '✅ No hay notificaciones pendientes (abiertas).';
+
+    return `📬 *Notificaciones pendientes*\n\n${this.formatList(open)}`;
+  }
+
+  // Only the expediente's notifications the sender is subscribed to, and their events
+  async handleExpediente(args, phone) {
+    const numeroExpediente = (args[0] || '').toUpperCase();
+    if (!numeroExpediente) return '⚠️ Uso: /exp <número de expediente>\nEjemplo: /exp 00123-2024-0-1801-JR-CI-01';
+
+    const timeline = await this.storageManager.getExpedienteTimeline(numeroExpediente);
+    if (timeline.notificaciones.length === 0 && timeline.eventos.length === 0) {
+      return `📭 No se encontraron notificaciones para el expediente ${numeroExpediente}.`;
+    }
+
+    const notificaciones = await this.filterForSender(phone, timeline.notificaciones);
+    if (notificaciones.length === 0) {
+      this.logger.warn(`⚠️ ${phone} asked for expediente ${numeroExpediente}, which they are not subscribed to`);
+      return `🔒 No está suscrito al expediente ${numeroExpediente}.`;
+    }
+    const visibles = new Set(notificaciones.map(notificacion => notificacion.numeroNotificacion));
+    const eventos = timeline.eventos.filter(evento => visibles.has(evento.numeroNotificacion));
+
+    let reply = `📄 *Expediente ${numeroExpediente}*\n`;
+    const caso = await this.caseRegistry?.getCase(numeroExpediente);
+    if (caso?.cliente) reply += `👤 ${this.caseRegistry.formatLabel(caso)}\n`;
+    reply += '\n';
+    notificaciones.slice(0, this.maxItems).forEach((notificacion, idx) => {
+      reply += `*${idx + 1}.* ${notificacion.numeroNotificacion} - ${notificacion.estado}\n`;
+      reply += `📋 ${this.truncate(notificacion.sumilla)}\n`;
+      reply += `👁️ Recibida: ${this.formatTimestamp(notificacion.primeraObservacion)}\n\n`;
+    });
+
+    const recent = eventos.slice(-this.maxItems).reverse();
+    if (recent.length > 0) {
+      reply += `🕓 *Historial reciente*\n`;
+      for (const evento of recent) {
+        const detalle = evento.tipoEvento === 'NUEVA'
+          ? 'recibida'
+          : evento.cambios.map(c => `${c.campo}: ${c.anterior ?? '-'} → ${c.nuevo ?? '-'}`).join(', ');
+        reply += `• ${this.formatTimestamp(evento.observadoEn)} ${evento.numeroNotificacion}: ${detalle}\n`;
+      }
+    }
+
+    return reply.trim();
+  }
+
+  async handleHoy(phone) {
+    const today = await this.filterForSender(phone, await this.storageManager.getTodaysNotifications());
+    if (today.length === 0) return '📭 No se registraron notificaciones nuevas hoy.';
+
+    return `📅 *Notificaciones de hoy*\n\n${this.formatList(today)}`;
+  }
+
+  async handlePlazos(phone) {
+    const hoy = this.deadlineCalculator.todayInLima();
+    const horizonte = Math.max(this.config.plazosDias || 10, ...(this.remindersConfig.hitos || []));
+    const hasta = this.deadlineCalculator.addBusinessDays(hoy, horizonte);
+
+    const upcoming = (await this.filterForSender(phone, await this.storageManager.getUpcomingDeadlines(hoy, hasta)))
+      .sort((a, b) => a.fechaVencimiento.localeCompare(b.fechaVencimiento));
+    if (upcoming.length === 0) return `✅ No hay plazos por vencer en los próximos ${horizonte} días hábiles.`;
+
+    let reply = `⏳ *Plazos próximos (${horizonte} días hábiles)*\n\n`;
+    upcoming.slice(0, this.maxItems).forEach((item, idx) => {
+      reply += `*${idx + 1}.* ${item.numeroExpediente}\n`;
+      reply += `📋 ${this.truncate(item.sumilla)}\n`;
+      reply += `⏳ ${this.deadlineCalculator.formatRemaining(item, hoy)}\n\n`;
+    });
+    if (upcoming.length > this.maxItems) reply += `… y ${upcoming.length - this.maxItems} más`;
+
+    return reply.trim();
+  }
+
+  async handleSilenciar(args, phone) {
+    const maxHours = this.config.maxSilenceHours || 72;
+    const hours = parseFloat(args[0]);
+    if (isNaN(hours) || hours < 0 || hours > maxHours) {
+      return `⚠️ Uso: /silenciar <horas> (0 a ${maxHours}). Use /silenciar 0 para reactivar las alertas.`;
+    }
+
+    const userKey = this.whatsappManager.formatPhoneNumber(phone);
+    if (hours === 0) {
+      await this.storageManager.saveUserPreferences(userKey, { silenciadoHasta: null });
+      return '🔔 Alertas reactivadas.';
+    }
+
+    const hasta = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+    await this.storageManager.saveUserPreferences(userKey, { silenciadoHasta: hasta });
+    return `🔕 Alertas silenciadas hasta ${this.formatTimestamp(hasta)}.`;
+  }
+
+  getHelpText() {
+    return [
+      '🤖 *Comandos disponibles*',
+      '/pendientes - Notificaciones abiertas',
+      '/exp <número> - Historial de un expediente',
+      '/hoy - Notificaciones recibidas hoy',
+      '/plazos - Plazos próximos a vencer',
+      '/silenciar <horas> - Pausar alertas (0 para reactivar)'
+    ].join('\n');
+  }
+
+  // --- Formatting ---
+
+  formatList(items) {
+    let list = '';
+    items.slice(0, this.maxItems).forEach((item, idx) => {
+      list += `*${idx + 1}.* ${item.numeroNotificacion}\n`;
+      list += `📄 Exp: ${item.numeroExpediente}\n`;
+      const caseLabel = this.caseRegistry?.formatLabel(item);
+      if (caseLabel) list += `${item.requiereTriaje ? '⚠️' : '👤'} ${caseLabel}\n`;
+      list += `📋 ${this.truncate(item.sumilla)}\n`;
+      if (item.fechaVencimiento) list += `⏳ ${this.deadlineCalculator.formatRemaining(item)}\n`;
+      list += '\n';
+    });
+    if (items.length > this.maxItems) list += `… y más. Consulte SINOE para el listado completo.`;
+    return list.trim();
+  }
+
+  truncate(text, length = 80) {
+    const value = (text || '').toString();
+    return `${value.substring(0, length)}${value.length > length ? '...' : ''}`;
+  }
+
+  formatTimestamp(iso) {
+    if (!iso) return '-';
+    return new Date(iso).toLocaleString('es-ES', {
+      timeZone: 'America/Lima', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+    });
+  }
+}
+
+module.exports = WhatsAppCommandRouter;
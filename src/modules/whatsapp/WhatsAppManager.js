@@ -1,11 +1,17 @@
 // WhatsApp messaging module using whatsapp-web.js with single client - Singleton Pattern with Observer
 // Archivo corregido por ChatGPT (sept-2025)
 
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
 const EmailManager = require('../email/EmailManager');
 const S3SessionManager = require('../storage/S3SessionManager');
 const DynamoDBManager = require('../database/DynamoDBManager');
+const createStorageManager = require('../database/createStorageManager');
+const DeadlineCalculator = require('../deadlines/DeadlineCalculator');
+const WhatsAppCommandRouter = require('./WhatsAppCommandRouter');
+const SubscriptionManager = require('../subscriptions/SubscriptionManager');
+const CaseRegistry = require('../cases/CaseRegistry');
+const AccountManager = require('../accounts/AccountManager');
 const path = require('path');
 const EventEmitter = require('events');
 const fs = require('fs').promises;
@@ -28,16 +34,28 @@ class WhatsAppManager extends EventEmitter {
     this.dataPath = null;              // base path para LocalAuth
     this.sessionDir = null;            // {dataPath}/session-{clientId}
 
+    this.emailManager = new EmailManager(config, logger);
+    this.s3SessionManager = new S3SessionManager(config, logger);
+    this.storageManager = createStorageManager(config, logger);
+    this.subscriptionManager = new SubscriptionManager(config, logger, this.storageManager);
+    this.caseRegistry = new CaseRegistry(config, logger, this.storageManager);
+
     this.clientUser = this.parseClientUser();
     this.notificationRecipients = this.parseRecipients();
 
-    this.emailManager = new EmailManager(config, logger);
-    this.s3SessionManager = new S3SessionManager(config, logger);
-    this.dynamoDBManager = new DynamoDBManager(config.aws, logger);
+    this.deadlineCalculator = new DeadlineCalculator(config, logger);
+    this.commandRouter = new WhatsAppCommandRouter(config, logger, {
+      whatsappManager: this,
+      storageManager: this.storageManager,
+      deadlineCalculator: this.deadlineCalculator,
+      caseRegistry: this.caseRegistry,
+      subscriptionManager: this.subscriptionManager
+    });
 
     this.isInitialized = false;
     this.isConnected = false;
     this.verificationInterval = null;
+    this.replyWaiters = new Map(); // phone → resolver of a pending waitForReply
 
     WhatsAppManager.instance = this;
     this.setupObservers();
@@ -116,13 +134,32 @@ class WhatsAppManager extends EventEmitter {
   }
 
   parseRecipients() {
+    let recipients = [];
     try {
-      if (this.config.recipients?.length > 0) return this.config.recipients;
-      if (process.env.WHATSAPP_RECIPIENTS) return JSON.parse(process.env.WHATSAPP_RECIPIENTS);
-      return [];
+      if (this.config.recipients?.length > 0) recipients = this.config.recipients;
+      else if (process.env.WHATSAPP_RECIPIENTS) recipients = JSON.parse(process.env.WHATSAPP_RECIPIENTS);
     } catch {
-      return [];
+      recipients = [];
+    }
+
+    // Add subscribers from SUBSCRIPTIONS_FILE and per-account recipients that are not already listed
+    const merged = recipients.map(r => ({ ...r }));
+    const accountRecipients = new AccountManager(this.fullConfig, this.logger).getAccountRecipients();
+    for (const extra of [...(this.subscriptionManager?.getFileRecipients() || []), ...accountRecipients]) {
+      const existing = merged.find(r => this.isSameRecipient(r, extra));
+      if (!existing) {
+        merged.push(extra);
+      } else if (existing.cuentas && extra.cuentas) {
+        // Recipient of several accounts: receives all of them. Without cuentas a recipient receives every account.
+        existing.cuentas = [...new Set([...existing.cuentas, ...extra.cuentas])];
+      }
     }
+    return merged;
+  }
+
+  isSameRecipient(a, b) {
+    return (!!a.phone && !!b.phone && this.formatPhoneNumber(a.phone) === this.formatPhoneNumber(b.phone)) ||
+      (!!a.email && !!b.email && a.email.toLowerCase() === b.email.toLowerCase());
   }
 
   static getInstance(config = null, logger = null) {
@@ -182,8 +219,8 @@ class WhatsAppManager extends EventEmitter {
       const s3Initialized = await this.s3SessionManager.initialize();
       this.logger.debug(`☁️ S3 initialization result: ${s3Initialized}`);
 
-      const dynamoInitialized = await this.dynamoDBManager.initialize();
-      this.logger.debug(`🗄️ DynamoDB initialization result: ${dynamoInitialized}`);
+      const storageInitialized = await this.storageManager.initialize();
+      this.logger.debug(`🗄️ ${this.storageManager.backendName} initialization result: ${storageInitialized}`);
 
       const clientInitialized = await this.initializeClient();
       this.isInitialized = clientInitialized;
@@ -521,7 +558,7 @@ class WhatsAppManager extends EventEmitter {
       }
     });
 
-    this.client.on('message', (message) => {
+    this.client.on('message', async (message) => {
       if (!this.isConnected) {
         this.updateConnectionState(true, 'received message');
         this.emit('client-ready');
@@ -529,6 +566,8 @@ class WhatsAppManager extends EventEmitter {
       if (this.config.logIncomingMessages) {
         this.logger.info(`Incoming WhatsApp message from ${message.from}: ${message.body}`);
       }
+      if (await this.resolveReplyWaiter(message)) return;
+      await this.handleIncomingCommand(message);
     });
 
     this.client.on('message_ack', (message, ack) => {
@@ -550,6 +589,53 @@ class WhatsAppManager extends EventEmitter {
     });
   }
 
+  async handleIncomingCommand(message) {
+    if (this.config.commands?.enabled === false) return;
+
+    try {
+      const reply = await this.commandRouter.handleMessage(message);
+      if (reply) await message.reply(reply);
+    } catch (error) {
+      this.logger.error('❌ Error replying to WhatsApp command:', error.message);
+    }
+  }
+
+  // Plain text from a number someone is waiting on (waitForReply) is an answer, not a command
+  async resolveReplyWaiter(message) {
+    if (this.replyWaiters.size === 0 || message.fromMe || String(message.from).endsWith('@g.us')) return false;
+
+    const body = (message.body || '').trim();
+    if (!body || body.startsWith('/')) return false;
+
+    const phone = await this.commandRouter.getSenderPhone(message);
+    const waiter = phone && this.replyWaiters.get(this.formatPhoneNumber(phone));
+    if (!waiter) return false;
+
+    waiter(body);
+    return true;
+  }
+
+  // Resolves with the next text message from phoneNumber, or null after timeoutMs / cancelReplyWait
+  waitForReply(phoneNumber, timeoutMs) {
+    const key = this.formatPhoneNumber(phoneNumber);
+    this.cancelReplyWait(key);
+
+    return new Promise(resolve => {
+      const finish = (answer) => {
+        clearTimeout(timer);
+        if (this.replyWaiters.get(key) === finish) this.replyWaiters.delete(key);
+        resolve(answer);
+      };
+      const timer = setTimeout(() => finish(null), timeoutMs);
+      this.replyWaiters.set(key, finish);
+    });
+  }
+
+  cancelReplyWait(phoneNumber) {
+    const waiter = this.replyWaiters.get(this.formatPhoneNumber(phoneNumber));
+    if (waiter) waiter(null);
+  }
+
   async checkValidSession(dir) {
     try {
       const entries = await fs.readdir(dir).catch(() => []);
@@ -643,6 +729,25 @@ class WhatsAppManager extends EventEmitter {
     }
   }
 
+  // Image (PNG in base64) with a caption, e.g. a captcha for an operator to read
+  async sendImage(phoneNumber, imageBase64, caption = '') {
+    try {
+      if (!this.isClientAvailable()) {
+        this.logger.error('❌ WhatsApp client not connected - cannot send image');
+        return false;
+      }
+
+      const chatId = `${this.formatPhoneNumber(phoneNumber)}@c.us`;
+      const media = new MessageMedia('image/png', imageBase64, 'captcha.png');
+      await this.client.sendMessage(chatId, media, { caption });
+      this.logger.info(`✅ Image sent to ${this.formatPhoneNumber(phoneNumber)}`);
+      return true;
+    } catch (error) {
+      this.logger.error('❌ Error sending WhatsApp image:', error.message);
+      return false;
+    }
+  }
+
   async sendMessageToAll(recipients, message) {
     try {
       if (!Array.isArray(recipients)) recipients = [recipients];
@@ -735,10 +840,18 @@ class WhatsAppManager extends EventEmitter {
 
   async sendPersonalizedNotifications(userPhone, allNotifications = null) {
     try {
-      // Always use DynamoDB as the source of truth for filtering sent notifications
-      const notificationsToSend = await this.dynamoDBManager.getTodaysNotificationsForUser(userPhone);
+      if (await this.storageManager.isUserMuted(this.formatPhoneNumber(userPhone))) {
+        this.logger.info(`🔕 Alerts silenced by ${userPhone} - skipping notifications`);
+        return { success: true, count: 0, muted: true };
+      }
+
+      // Always use the notification storage as the source of truth for filtering sent notifications
+      const unsent = await this.storageManager.getTodaysNotificationsForUser(userPhone);
       
-      this.logger.debug(`📋 Found ${notificationsToSend.length} unsent notifications for ${userPhone} from DynamoDB`);
+      this.logger.debug(`📋 Found ${unsent.length} unsent notifications for ${userPhone} from ${this.storageManager.backendName}`);
+
+      // Only the cases this recipient is subscribed to; the rest stay unsent for them
+      const notificationsToSend = await this.subscriptionManager.filterForRecipient(this.getRecipientContact(userPhone), unsent);
 
       if (!notificationsToSend || notificationsToSend.length === 0) {
         this.logger.info(`📱 No new notifications to send to ${userPhone}`);
@@ -750,9 +863,9 @@ class WhatsAppManager extends EventEmitter {
 
       const sent = await this.sendMessage(userPhone, message);
       if (sent) {
-        // Mark all sent notifications as notified in DynamoDB
+        // Mark all sent notifications as notified in storage
         for (const notification of notificationsToSend) {
-          await this.dynamoDBManager.markUserAsNotified(
+          await this.storageManager.markUserAsNotified(
             notification.numeroExpediente, 
             notification.numeroNotificacion, 
             userPhone
@@ -770,6 +883,13 @@ class WhatsAppManager extends EventEmitter {
   }
 
 
+  // Phone plus the email and accounts configured for it, used to pick the notifications it receives
+  getRecipientContact(userPhone) {
+    const formatted = this.formatPhoneNumber(userPhone);
+    const recipient = this.notificationRecipients.find(r => r.phone && this.formatPhoneNumber(r.phone) === formatted);
+    return { phone: userPhone, email: recipient?.email || null, cuentas: recipient?.cuentas };
+  }
+
   getAllNotificationRecipients() {
     let recipients = [];
     if (this.config.notificationPhone && this.config.notificationPhone !== '') recipients.push(this.config.notificationPhone);
@@ -789,10 +909,16 @@ class WhatsAppManager extends EventEmitter {
       const status = '🔴';
       details += `${status} *${idx + 1}.* ${n.numeroNotificacion}\n`;
       details += `📄 Exp: ${n.numeroExpediente}\n`;
+      const caseLabel = this.caseRegistry.formatLabel(n);
+      if (caseLabel) details += `${n.requiereTriaje ? '⚠️' : '👤'} ${caseLabel}\n`;
       const sum = (n.sumilla || '').toString();
       details += `📋 ${sum.substring(0, 80)}${sum.length > 80 ? '...' : ''}\n`;
       details += `🏢 ${n.oficinaJudicial || ''}\n`;
-      details += `📅 ${n.fecha || ''}\n\n`;
+      if (n.cuentaEtiqueta && this.fullConfig.accounts?.length > 1) details += `🗂️ Casilla: ${n.cuentaEtiqueta}\n`;
+      details += `📅 ${n.fecha || ''}\n`;
+      const deadline = this.deadlineCalculator.formatRemaining(n);
+      if (deadline) details += `⏳ ${deadline}\n`;
+      details += `\n`;
     });
     if (notificationsData.length > 20) details += `... y ${notificationsData.length - 20} notificaciones adicionales.\n\n`;
 
@@ -842,7 +968,7 @@ class WhatsAppManager extends EventEmitter {
       this.isConnected = false;
 
       await this.emailManager.close();
-      await this.dynamoDBManager.close();
+      await this.storageManager.close();
 
       this.isInitialized = false;
       this.logger.info('✅ WhatsApp connection closed');
@@ -856,12 +982,18 @@ class WhatsAppManager extends EventEmitter {
     this.fullConfig = newConfig;
     if (newLogger) this.logger = newLogger;
 
+    this.subscriptionManager = new SubscriptionManager(newConfig, this.logger, this.storageManager);
     this.clientUser = this.parseClientUser();
     this.notificationRecipients = this.parseRecipients();
 
     if (this.emailManager) this.emailManager.config = newConfig.email || {};
     if (this.s3SessionManager) this.s3SessionManager.config = newConfig.aws || {};
-    if (this.dynamoDBManager) this.dynamoDBManager.config = newConfig.aws || {};
+    if (this.storageManager instanceof DynamoDBManager) this.storageManager.config = newConfig.dynamodb || {};
+    if (this.commandRouter) {
+      this.commandRouter.config = newConfig.whatsapp?.commands || {};
+      this.commandRouter.subscriptionManager = this.subscriptionManager;
+    }
+    if (this.caseRegistry) this.caseRegistry.config = newConfig.cases || {};
 
     this.logger.info('🔄 WhatsApp configuration updated');
   }
@@ -987,7 +1119,7 @@ class WhatsAppManager extends EventEmitter {
       notificationRecipients: this.notificationRecipients,
       email: this.emailManager.getStatus(),
       s3: this.s3SessionManager.getStatus(),
-      dynamodb: this.dynamoDBManager.getStatus()
+      storage: this.storageManager.getStatus()
     };
   }
 }
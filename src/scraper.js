@@ -2,20 +2,44 @@
 const puppeteer = require('puppeteer');
 const RobotsChecker = require('./robotsChecker');
 const FormFiller = require('./formFiller');
+const SelectorRegistry = require('./modules/selectors/SelectorRegistry');
+const SchemaDriftError = require('./modules/extraction/SchemaDriftError');
 
 class WebScraper {
   constructor(config, logger) {
     this.config = config;
     this.logger = logger;
     this.browser = null;
+    this.context = null; // Browser context of the account being processed
     this.robotsChecker = new RobotsChecker(logger);
-    this.formFiller = new FormFiller(config, logger);
+    this.selectorRegistry = new SelectorRegistry(config, logger); // One report for every account of the run
+    this.formFiller = new FormFiller(config, logger, this.selectorRegistry);
   }
 
   async initialize() {
+    this.selectorRegistry.reset();
     this.logger.info('Initializing browser...');
     this.browser = await puppeteer.launch(this.config.browser);
     this.logger.info('Browser initialized successfully');
+    await this.formFiller.initialize();
+  }
+
+  // Each SINOE account gets a fresh incognito context (no shared cookies or session) and its own credentials
+  async startAccount(accountConfig) {
+    await this.endAccount();
+    this.context = await this.browser.createBrowserContext();
+    this.formFiller = new FormFiller(accountConfig, this.logger, this.selectorRegistry);
+    await this.formFiller.initialize();
+  }
+
+  async endAccount() {
+    if (!this.context) return;
+    try {
+      await this.context.close();
+    } catch (error) {
+      this.logger.debug(`Error closing browser context: ${error.message}`);
+    }
+    this.context = null;
   }
 
   async scrapeUrl(url, selector = 'body') {
@@ -27,7 +51,7 @@ class WebScraper {
         throw new Error('URL disallowed by robots.txt');
       }
 
-      const page = await this.browser.newPage();
+      const page = await (this.context || this.browser).newPage();
       
       // Set user agent
       await page.setUserAgent(this.config.userAgent);
@@ -65,6 +89,13 @@ class WebScraper {
         dataCount: data.length,
         status: 'success',
         inputsFound: true,
+        // false when the automated login gave up (wrong credentials, captcha retries exhausted)
+        loginSuccess: formResult?.login ? formResult.login.success : null,
+        // LoginResult: final state, failure reason and whether retrying makes sense
+        login: formResult?.login || null,
+        // Step after the login that went wrong: navigation (menu → bandeja) or extraction (pages left unread)
+        failedStep: this.getFailedStep(formResult),
+        error: formResult?.error || formResult?.extractedData?.extractionError || null,
         // Include extracted data from FormFiller if available
         extractedData: formResult?.extractedData || null
       };
@@ -83,6 +114,8 @@ class WebScraper {
 
     } catch (error) {
       this.logger.error(`Failed to scrape ${url}`, { error: error.message });
+      // Column changes in SINOE would store wrong fields silently - abort the job instead
+      if (error instanceof SchemaDriftError) throw error;
       return {
         url,
         timestamp: new Date().toISOString(),
@@ -92,6 +125,13 @@ class WebScraper {
     }
   }
 
+  getFailedStep(formResult) {
+    if (!formResult?.login?.success) return null;
+    if (formResult.success === false) return formResult.failedStep || 'navigation';
+    if (formResult.extractedData?.complete === false) return 'extraction';
+    return null;
+  }
+
   async extractData(page, selector) {
     return await page.evaluate((sel) => {
       const elements = document.querySelectorAll(sel);
@@ -123,6 +163,11 @@ class WebScraper {
     });
   }
 
+  // Selector matches of the run, for the drift alert sent once the browser is closed
+  getSelectorReport() {
+    return this.selectorRegistry.getReport();
+  }
+
   async close() {
     if (this.browser) {
       this.logger.debug('Closing browser...');
@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CaptchaSolver = require('../src/captchaSolver');
+const { createLogger, buildConfig } = require('./helpers');
+
+const IMAGE_BASE64 = Buffer.from('captcha-image').toString('base64');
+
+// OpenAI SDK stand-in answering every completion with the given content (or throwing it when it is an Error)
+function fakeOpenAI(content) {
+  const calls = [];
+  return {
+    calls,
+    chat: {
+      completions: {
+        create: async params => {
+          calls.push(params);
+          if (content instanceof Error) throw content;
+          return { choices: [{ message: { content } }] };
+        }
+      }
+    }
+  };
+}
+
+function createSolver({ providers = 'openai:80,fixture:90', fixtureValue = 'k7p3q', openaiAnswer = 'ABC12:95' } = {}) {
+  const config = buildConfig({
+    formFilling: {
+      ...buildConfig().formFilling,
+      openai: { enabled: true, apiKey: 'sk-test', model: 'gpt-4o-mini' },
+      captcha: { providers, fixture: { value: fixtureValue }, dataset: { enabled: false } },
+      selectors: { captchaImageId: 'img[id="frmLogin:imgCapcha"]', captchaImageSelectors: ['img[src*="captcha"]'] }
+    }
+  });
+  const solver = new CaptchaSolver(config, createLogger());
+  const openai = solver.chain.find(({ provider }) => provider.name === 'openai')?.provider;
+  if (openai) openai.openai = fakeOpenAI(openaiAnswer);
+  return solver;
+}
+
+function openaiProvider(answer) {
+  const solver = createSolver({ providers: 'openai', openaiAnswer: answer });
+  return solver.chain[0].provider;
+}
+
+test('OpenAI answers in the TEXT:confidence format are parsed', async () => {
+  assert.deepEqual(await openaiProvider('ABC123:85').solve(IMAGE_BASE64), { text: 'ABC123', confidence: 85 });
+  assert.deepEqual(await openaiProvider('  k7 p-3q : 92%  ').solve(IMAGE_BASE64), { text: 'K7P3Q', confidence: 92 });
+});
+
+test('OpenAI answers without a readable confidence default to 50', async () => {
+  assert.deepEqual(await openaiProvider('K7P3Q').solve(IMAGE_BASE64), { text: 'K7P3Q', confidence: 50 });
+  assert.deepEqual(await openaiProvider('K7P3Q:unsure').solve(IMAGE_BASE64), { text: 'K7P3Q', confidence: 50 });
+});
+
+test('empty or failed OpenAI answers yield no result', async () => {
+  assert.equal(await openaiProvider('').solve(IMAGE_BASE64), null);
+  assert.equal(await openaiProvider(new Error('429 Rate limit reached')).solve(IMAGE_BASE64), null);
+});
+
+test('the OpenAI request carries the captcha as a data URL', async () => {
+  const provider = openaiProvider('ABC123:85');
+  await provider.solve(IMAGE_BASE64);
+
+  const [request] = provider.openai.calls;
+  assert.equal(request.model, 'gpt-4o-mini');
+  assert.equal(request.messages[0].content[1].image_url.url, `data:image/png;base64,${IMAGE_BASE64}`);
+});
+
+test('solveImage stops at the first answer over its provider threshold', async () => {
+  const solver = createSolver({ openaiAnswer: 'ABC12:95' });
+  const candidates = [];
+
+  const result = await solver.solveImage(IMAGE_BASE64, candidates);
+
+  assert.equal(result.text, 'ABC12');
+  assert.equal(result.provider, 'openai');
+  assert.equal(result.model, 'gpt-4o-mini');
+  assert.equal(candidates.length, 1);
+});
+
+test('solveImage moves on to the next provider when the answer is below threshold', async () => {
+  const solver = createSolver({ openaiAnswer: 'ABC12:60' });
+  const candidates = [];
+
+  const result = await solver.solveImage(IMAGE_BASE64, candidates);
+
+  assert.deepEqual({ text: result.text, confidence: result.confidence, provider: result.provider }, { text: 'K7P3Q', confidence: 100, provider: 'fixture' });
+  assert.deepEqual(candidates.map(candidate => [candidate.provider, candidate.text, candidate.confidence]), [['openai', 'ABC12', 60], ['fixture', 'K7P3Q', 100]]);
+});
+
+test('solveImage returns the most confident answer when none meets its threshold', async () => {
+  const solver = createSolver({ providers: 'openai:80,fixture', fixtureValue: '', openaiAnswer: 'ABC12:60' });
+
+  const result = await solver.solveImage(IMAGE_BASE64, []);
+
+  assert.equal(result.provider, 'openai');
+  assert.equal(result.confidence, 60);
+});
+
+test('captureImageBase64 accepts every screenshot shape puppeteer has returned', async () => {
+  const solver = createSolver();
+  const bytes = [...Buffer.from('captcha-image')];
+  const page = { evaluate: async () => null };
+  const element = screenshot => ({ screenshot: async () => screenshot });
+
+  assert.equal(await solver.captureImageBase64(page, element(Buffer.from(bytes))), IMAGE_BASE64);
+  assert.equal(await solver.captureImageBase64(page, element(bytes)), IMAGE_BASE64);
+  assert.equal(await solver.captureImageBase64(page, element(new Uint8Array(bytes))), IMAGE_BASE64);
+  assert.equal(await solver.captureImageBase64(page, element({ ...bytes })), IMAGE_BASE64);
+});
+
+test('captureImageBase64 falls back to a data URL src', async () => {
+  const solver = createSolver();
+  const page = { evaluate: async () => `data:image/png;base64,${IMAGE_BASE64}` };
+
+  assert.equal(await solver.captureImageBase64(page, { screenshot: async () => null }), IMAGE_BASE64);
+});
+
+test('solveCaptcha reads the image from the page and returns the chain answer', async () => {
+  const solver = createSolver({ providers: 'fixture' });
+  const image = { screenshot: async () => Buffer.from('captcha-image') };
+  const page = { $: async selector => (selector === 'img[id="frmLogin:imgCapcha"]' ? image : null) };
+
+  assert.deepEqual(await solver.solveCaptcha(page), { text: 'K7P3Q', confidence: 100, provider: 'fixture', model: null });
+  assert.deepEqual(await solver.solveCaptcha({ $: async () => null }), { text: 'MANUAL', confidence: 0 });
+});
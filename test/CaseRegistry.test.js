@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CaseRegistry = require('../src/modules/cases/CaseRegistry');
+const DynamoDBManager = require('../src/modules/database/DynamoDBManager');
+const { FakeDocumentClient } = require('./fakes');
+const { createLogger, buildConfig, buildNotification, useFakeDocumentClient } = require('./helpers');
+
+function createRegistry() {
+  const storageManager = useFakeDocumentClient(new DynamoDBManager({ enabled: true }, createLogger()), new FakeDocumentClient());
+  return new CaseRegistry(buildConfig(), createLogger(), storageManager);
+}
+
+test('with an empty registry every expediente goes to triage', async () => {
+  const registry = createRegistry();
+
+  const result = await registry.enrichAll([
+    buildNotification({ numeroExpediente: '01200-2025-0-1801-JR-CI-01' }),
+    buildNotification({ numeroNotificacion: '41231-2025', numeroExpediente: '01200-2025-0-1801-JR-CI-01' }),
+    buildNotification({ numeroNotificacion: '41232-2025', numeroExpediente: '03300-2025-0-1801-JR-LA-05' })
+  ]);
+
+  assert.deepEqual(result.unmatched, ['01200-2025-0-1801-JR-CI-01', '03300-2025-0-1801-JR-LA-05']);
+  assert.ok(result.notifications.every(notification => notification.requiereTriaje === true && notification.cliente === null));
+  const cases = await registry.storageManager.listCases();
+  assert.deepEqual(cases.map(caso => caso.numeroExpediente).sort(), ['01200-2025-0-1801-JR-CI-01', '03300-2025-0-1801-JR-LA-05']);
+  assert.ok(cases.every(caso => caso.pendienteTriaje));
+});
+
+test('registered expedientes get their client and only new ones go to triage', async () => {
+  const registry = createRegistry();
+  await registry.storageManager.putCase({ numeroExpediente: '01200-2025-0-1801-JR-CI-01', cliente: 'Inversiones Andinas SAC', abogadoResponsable: 'Dra. Quispe' });
+
+  const result = await registry.enrichAll([
+    buildNotification({ numeroExpediente: '01200-2025-0-1801-JR-CI-01' }),
+    buildNotification({ numeroNotificacion: '41232-2025', numeroExpediente: '03300-2025-0-1801-JR-LA-05' })
+  ]);
+
+  assert.equal(result.matched, 1);
+  assert.deepEqual(result.unmatched, ['03300-2025-0-1801-JR-LA-05']);
+  assert.equal(result.notifications[0].cliente, 'Inversiones Andinas SAC');
+  assert.equal(result.notifications[0].requiereTriaje, false);
+  assert.equal((await registry.storageManager.listCases()).length, 2);
+});
@@ -0,0 +1,169 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DataExtractor = require('../src/modules/extraction/DataExtractor');
+const { FakePage } = require('./fakes');
+const { createLogger, buildConfig } = require('./helpers');
+
+const { PAGE_MOVE } = DataExtractor;
+const HEADERS = ['N° Notificación', 'N° Expediente', 'Sumilla', 'Oficina Judicial', 'Fecha'];
+
+function createExtractor({ maxPages = 10 } = {}) {
+  const config = buildConfig({
+    formFilling: {
+      ...buildConfig().formFilling,
+      selectors: {
+        paginatorSelectors: ['[id="frmBusqueda:tblLista_paginator_bottom"]', '.ui-paginator'],
+        paginatorNextSelector: '.ui-paginator-next',
+        paginatorActivePageSelector: '.ui-paginator-page.ui-state-active',
+        paginatorCurrentSelector: '.ui-paginator-current'
+      },
+      pagination: { maxPages, pageSize: 2, maximizeRowsPerPage: false, pageTimeout: 100, pageDelay: 0 }
+    }
+  });
+  const extractor = new DataExtractor(config, createLogger());
+  extractor.wait = async () => {};
+  return extractor;
+}
+
+function row(numero) {
+  return {
+    numeroNotificacion: `${numero}-2025`,
+    numeroExpediente: `0012${numero}-2025-0-1801-JR-CI-01`,
+    sumilla: 'RESOLUCIÓN NRO. 3',
+    oficinaJudicial: '1° JUZGADO CIVIL',
+    fecha: '15/09/2025 10:30:00'
+  };
+}
+
+// Paginated bandeja: pages[i] are the rows of page i + 1; the table updates unless loads[i] is false.
+// Returns the paginator's next button.
+function usePages(extractor, pages, loads = []) {
+  let current = 0;
+  const nextButton = FakePage.element();
+  extractor.findNotificationsTable = async () => ({ tbody: true });
+  extractor.getTableHeaders = async () => HEADERS;
+  extractor.extractRowsFromTable = async () => pages[current];
+  extractor.getPaginatorState = async () => ({
+    activePage: String(current + 1),
+    currentText: `(${current + 1} of ${pages.length})`,
+    hasNext: current < pages.length - 1,
+    nextButton
+  });
+  extractor.waitForTableUpdate = async () => {
+    if (loads[current] === false) return false;
+    current++;
+    return true;
+  };
+  return nextButton;
+}
+
+// PrimeFaces paginator element: the next button is queried inside it, the page texts are read in the browser
+function paginatorElement({ nextButton = null, activePage = '1', currentText = '(1 of 3)' } = {}) {
+  const texts = { '.ui-paginator-page.ui-state-active': activePage, '.ui-paginator-current': currentText };
+  return {
+    $: async selector => (selector === '.ui-paginator-next' ? nextButton : null),
+    querySelector: selector => (selector in texts ? { textContent: texts[selector] } : null)
+  };
+}
+
+function nextButtonElement({ disabled = false } = {}) {
+  return { ...FakePage.element(), classList: { contains: name => disabled && name === 'ui-state-disabled' } };
+}
+
+test('every page is read until the paginator has no next page', async () => {
+  const extractor = createExtractor();
+  usePages(extractor, [[row(1), row(2)], [row(3)]]);
+
+  const result = await extractor.extractNotificationsPages(new FakePage());
+
+  assert.equal(result.complete, true);
+  assert.equal(result.error, null);
+  assert.equal(result.pageCount, 2);
+  assert.deepEqual(result.notifications.map(n => n.numeroNotificacion), ['1-2025', '2-2025', '3-2025']);
+});
+
+test('a page that never loads after "next" marks the extraction incomplete instead of ending it', async () => {
+  const extractor = createExtractor();
+  usePages(extractor, [[row(1)], [row(2)], [row(3)]], [true, false]);
+
+  const result = await extractor.extractNotificationsPages(new FakePage());
+
+  assert.equal(result.complete, false);
+  assert.equal(result.error, 'Could not move past page 2');
+  assert.equal(result.pageCount, 2);
+  assert.deepEqual(result.notifications.map(n => n.numeroNotificacion), ['1-2025', '2-2025']);
+  assert.ok(extractor.logger.messages('error').some(message => message.startsWith('❌ Incomplete extraction')));
+});
+
+test('goToNextPage tells the last page apart from a failed move', async () => {
+  const extractor = createExtractor();
+  const page = new FakePage();
+  usePages(extractor, [[row(1)], [row(2)]], [false]);
+
+  assert.equal(await extractor.goToNextPage(page, 1), PAGE_MOVE.FAILED);
+
+  const nextButton = usePages(extractor, [[row(1)], [row(2)]]);
+  assert.equal(await extractor.goToNextPage(page, 1), PAGE_MOVE.NEXT);
+  assert.equal(nextButton.clicks, 1);
+  assert.equal(await extractor.goToNextPage(page, 1), PAGE_MOVE.LAST);
+});
+
+test('without a paginator only a page with fewer rows than a full page is the last one', async () => {
+  const extractor = createExtractor();
+  extractor.getPaginatorState = async () => null;
+
+  assert.equal(await extractor.goToNextPage(new FakePage(), 1), PAGE_MOVE.LAST);
+  assert.equal(await extractor.goToNextPage(new FakePage(), 2), PAGE_MOVE.FAILED);
+  assert.ok(extractor.logger.messages('warn').some(message => message.startsWith('⚠️ No paginator found')));
+});
+
+test('stopping at PAGINATION_MAX_PAGES with pages left marks the extraction incomplete', async () => {
+  const extractor = createExtractor({ maxPages: 2 });
+  const nextButton = usePages(extractor, [[row(1)], [row(2)], [row(3)]]);
+
+  const result = await extractor.extractNotificationsPages(new FakePage());
+
+  assert.equal(result.complete, false);
+  assert.equal(result.error, 'Stopped after 2 pages with more pages left (PAGINATION_MAX_PAGES)');
+  assert.equal(result.pageCount, 2);
+  assert.equal(nextButton.clicks, 1); // the third page is never opened
+  assert.deepEqual(result.notifications.map(n => n.numeroNotificacion), ['1-2025', '2-2025']);
+});
+
+test('reaching PAGINATION_MAX_PAGES on the last page is a complete extraction', async () => {
+  const extractor = createExtractor({ maxPages: 2 });
+  usePages(extractor, [[row(1)], [row(2)]]);
+
+  const result = await extractor.extractNotificationsPages(new FakePage());
+
+  assert.equal(result.complete, true);
+  assert.equal(result.pageCount, 2);
+});
+
+test('the paginator and its next button are resolved through the selector registry', async () => {
+  const extractor = createExtractor();
+  const nextButton = nextButtonElement();
+  const page = new FakePage({ '.ui-paginator': [paginatorElement({ nextButton })] });
+
+  assert.deepEqual(await extractor.getPaginatorState(page), { activePage: '1', currentText: '(1 of 3)', hasNext: true, nextButton });
+
+  const lastPage = new FakePage({ '.ui-paginator': [paginatorElement({ nextButton: nextButtonElement({ disabled: true }) })] });
+  assert.equal((await extractor.getPaginatorState(lastPage)).hasNext, false);
+
+  const report = extractor.selectorRegistry.getReport();
+  assert.deepEqual(report.drift.map(problem => problem.target), ['paginador']);
+  assert.deepEqual(report.missing, []);
+});
+
+test('a paginator whose next button matches nothing is reported missing and a full page is not taken as the last', async () => {
+  const extractor = createExtractor();
+  const page = new FakePage({ '[id="frmBusqueda:tblLista_paginator_bottom"]': [paginatorElement()] });
+
+  const state = await extractor.getPaginatorState(page);
+
+  assert.equal(state.hasNext, null);
+  assert.deepEqual(extractor.selectorRegistry.getReport().missing.map(problem => problem.target), ['paginadorSiguiente']);
+  assert.equal(await extractor.goToNextPage(page, 1), PAGE_MOVE.LAST);
+  assert.equal(await extractor.goToNextPage(page, 2), PAGE_MOVE.FAILED);
+  assert.ok(extractor.logger.messages('warn').some(message => message.startsWith('⚠️ No paginator next button found')));
+});
@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DeadlineCalculator = require('../src/modules/deadlines/DeadlineCalculator');
+const { createLogger, buildConfig } = require('./helpers');
+
+function createCalculator(deadlines = {}) {
+  return new DeadlineCalculator(buildConfig({ deadlines: { enabled: true, diasEfectoNotificacion: 2, ...deadlines } }), createLogger());
+}
+
+function plazoOf(calculator, sumilla) {
+  const plazo = calculator.resolvePlazo({ sumilla });
+  return plazo && `${plazo.dias} ${plazo.descripcion}`;
+}
+
+test('the more specific sumilla rule wins over the generic one after it', () => {
+  const calculator = createCalculator();
+
+  assert.equal(plazoOf(calculator, 'AUTO QUE DECLARA INADMISIBLE LA DEMANDA'), '10 Subsanación de inadmisibilidad');
+  assert.equal(plazoOf(calculator, 'CONCEDE APELACIÓN DE SENTENCIA'), '5 Apelación de sentencia');
+  assert.equal(plazoOf(calculator, 'TRASLADO DE LA DEMANDA - PROCESO SUMARÍSIMO'), '5 Contestación en proceso sumarísimo');
+  assert.equal(plazoOf(calculator, 'TRASLADO DE LA DEMANDA'), '30 Contestación en proceso de conocimiento');
+  assert.equal(plazoOf(calculator, 'TRASLADO DEL ESCRITO'), '3 Absolución de traslado');
+});
+
+test('"auto" only matches as a whole word', () => {
+  const calculator = createCalculator();
+
+  assert.equal(plazoOf(calculator, 'AUTO FINAL'), '3 Apelación de auto');
+  assert.equal(plazoOf(calculator, 'Se emite auto de saneamiento'), '3 Apelación de auto');
+  assert.equal(plazoOf(calculator, 'APELACION DE RESOLUCION N° 4'), '3 Apelación de auto');
+
+  for (const sumilla of ['AUTORIZA COPIAS', 'ARCHIVO AUTOMÁTICO', 'TÉNGASE PRESENTE, AGRÉGUESE A LOS AUTOS', 'REMITE AUTOS ORIGINALES']) {
+    assert.equal(plazoOf(calculator, sumilla), null, sumilla);
+  }
+});
+
+test('a manual plazo wins over the rules and the default applies when none matches', () => {
+  const calculator = createCalculator({ defaultPlazoDias: 5 });
+
+  assert.deepEqual(calculator.resolvePlazo({ sumilla: 'AUTO FINAL', plazoManualDias: 7 }), {
+    dias: 7,
+    origen: 'MANUAL',
+    descripcion: 'Plazo ingresado manualmente'
+  });
+  assert.equal(calculator.resolvePlazo({ sumilla: 'REMITE AUTOS ORIGINALES' }).origen, 'DEFECTO');
+});
+
+test('Semana Santa and the fixed holidays of the judicial calendar are not business days', () => {
+  const calculator = createCalculator();
+
+  assert.equal(calculator.getEasterSunday(2025), '2025-04-20');
+  assert.equal(calculator.isBusinessDay('2025-04-16'), true);
+  assert.equal(calculator.isBusinessDay('2025-04-17'), false); // Jueves Santo
+  assert.equal(calculator.isBusinessDay('2025-04-18'), false); // Viernes Santo
+  assert.equal(calculator.isBusinessDay('2025-10-08'), false); // Combate de Angamos
+  assert.equal(calculator.isBusinessDay('2025-10-11'), false); // Saturday
+  assert.equal(calculator.isBusinessDay('2021-07-23'), true); // Día de la Fuerza Aérea is a holiday from 2024
+  assert.equal(calculator.isBusinessDay('2024-07-23'), false);
+  assert.equal(calculator.isBusinessDay('2025-07-23'), false);
+});
+
+test('holidays declared by date or as a range come from the calendar file', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sinoe-calendario-'));
+  const calendarFile = path.join(dir, 'calendario.json');
+  fs.writeFileSync(calendarFile, JSON.stringify({
+    feriadosFijos: [{ fecha: '10-09', nombre: 'Feriado futuro', desde: 2030 }],
+    diasNoLaborables: ['2025-10-10', { fecha: '2025-10-15', nombre: 'Día no laborable' }],
+    rangosNoLaborables: [{ desde: '2025-10-13', hasta: '2025-10-14' }]
+  }));
+
+  try {
+    const calculator = createCalculator({ calendarFile });
+    assert.deepEqual(
+      ['2025-10-09', '2025-10-10', '2025-10-13', '2025-10-14', '2025-10-15', '2025-10-16'].map(day => calculator.isBusinessDay(day)),
+      [true, false, false, false, false, true]
+    );
+    assert.equal(calculator.isBusinessDay('2030-10-09'), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the plazo runs from the business day after the notification takes effect', () => {
+  const calculator = createCalculator();
+
+  // Notified Monday 06/10: takes effect on the 2nd business day (09/10, after the 08/10 holiday)
+  assert.equal(calculator.computeDueDate('2025-10-06T10:00:00-05:00', 3), '2025-10-14');
+  assert.equal(createCalculator({ diasEfectoNotificacion: 0 }).computeDueDate('2025-10-06', 3), '2025-10-10');
+
+  const annotated = calculator.annotate({ sumilla: 'AUTO FINAL', fechaNotificacion: '2025-10-06T10:00:00-05:00' });
+  assert.equal(annotated.plazoDias, 3);
+  assert.equal(annotated.plazoOrigen, 'REGLA');
+  assert.equal(annotated.fechaVencimiento, '2025-10-14');
+  assert.equal(calculator.annotate({ sumilla: 'AUTO FINAL' }).fechaVencimiento, null);
+  assert.equal(createCalculator({ enabled: false }).annotate({ sumilla: 'AUTO FINAL' }).fechaVencimiento, undefined);
+});
+
+test('remaining business days count down to the deadline and below zero after it', () => {
+  const calculator = createCalculator();
+
+  assert.equal(calculator.businessDaysRemaining('2025-10-14', '2025-10-06'), 5);
+  assert.equal(calculator.businessDaysRemaining('2025-10-14', '2025-10-14'), 0);
+  assert.equal(calculator.businessDaysRemaining('2025-10-14', '2025-10-16'), -2);
+  assert.equal(calculator.businessDaysRemaining(null, '2025-10-16'), null);
+
+  const notification = { fechaVencimiento: '2025-10-14' };
+  assert.equal(calculator.formatRemaining(notification, '2025-10-06'), 'Vence 14/10/2025 (5 día(s) hábil(es) restantes)');
+  assert.equal(calculator.formatRemaining(notification, '2025-10-14'), 'Vence HOY 14/10/2025');
+  assert.equal(calculator.formatRemaining(notification, '2025-10-16'), 'Vencido el 14/10/2025 (hace 2 día(s) hábil(es))');
+});
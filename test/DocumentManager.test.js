@@ -0,0 +1,134 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DocumentManager = require('../src/modules/documents/DocumentManager');
+const { FakePage } = require('./fakes');
+const { createLogger, buildConfig, buildNotification } = require('./helpers');
+
+let localPath;
+
+beforeEach(() => {
+  localPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sinoe-documentos-'));
+});
+
+afterEach(() => {
+  fs.rmSync(localPath, { recursive: true, force: true });
+});
+
+function createManager(documents = {}) {
+  const config = buildConfig({
+    documents: { enabled: true, storage: 'local', localPath, prefix: 'documentos', maxPerRun: 50, ...documents },
+    formFilling: { ...buildConfig().formFilling, selectors: { notificationDocumentsButtonSelectors: ['button[id*="btnAnexos"]'] } }
+  });
+  return new DocumentManager(config, createLogger());
+}
+
+// Writes a file where storeDocument would and returns the document downloadNotificationDocuments reports for it
+function storeFile(manager, notification, nombre, tipo) {
+  const ruta = path.join(localPath, path.relative('documentos', manager.getDocumentKey(notification)), nombre);
+  fs.mkdirSync(path.dirname(ruta), { recursive: true });
+  fs.writeFileSync(ruta, '%PDF-1.4');
+  return { nombre, tipo, ruta, tamano: 8, fechaDescarga: new Date().toISOString() };
+}
+
+// Each call to downloadNotificationDocuments stores the next attempt's files: { esperados, files: [[nombre, tipo]] }
+function useDownloads(manager, notification, attempts) {
+  let calls = 0;
+  manager.downloadNotificationDocuments = async () => {
+    const attempt = attempts[calls++];
+    return attempt && {
+      esperados: attempt.esperados,
+      documentos: attempt.files.map(([nombre, tipo]) => storeFile(manager, notification, nombre, tipo))
+    };
+  };
+  return () => calls;
+}
+
+test('a set with a timed-out document is downloaded again until every listed document is stored', async () => {
+  const manager = createManager();
+  const notification = buildNotification();
+  const downloads = useDownloads(manager, notification, [
+    { esperados: 2, files: [['cedula.pdf', 'CEDULA']] },
+    { esperados: 2, files: [['resolucion.pdf', 'RESOLUCION']] }
+  ]);
+
+  await manager.processPageDocuments(new FakePage(), null, [notification]);
+  assert.deepEqual(notification.documentos.map(documento => documento.nombre), ['cedula.pdf']);
+  assert.ok(manager.logger.messages('warn').includes('⚠️ Only 1 of 2 document(s) stored for 01200-2025-0-1801-JR-CI-01-41230-2025 - the rest will be retried next run'));
+
+  await manager.processPageDocuments(new FakePage(), null, [notification]);
+  assert.deepEqual(notification.documentos.map(documento => documento.nombre).sort(), ['cedula.pdf', 'resolucion.pdf']);
+
+  await manager.processPageDocuments(new FakePage(), null, [notification]);
+  assert.equal(downloads(), 2);
+  assert.equal(notification.documentos.length, 2);
+});
+
+test('stored documents keep the tipo read from the dialog row', async () => {
+  const manager = createManager();
+  const notification = buildNotification();
+  useDownloads(manager, notification, [{ esperados: 1, files: [['DOC_41230.pdf', 'CEDULA']] }]);
+
+  await manager.processPageDocuments(new FakePage(), null, [notification]);
+
+  const manifest = await manager.readManifest(manager.getDocumentKey(notification));
+  const stored = await manager.getStoredDocuments(notification, manifest);
+  assert.deepEqual(stored.map(({ nombre, tipo }) => ({ nombre, tipo })), [{ nombre: 'DOC_41230.pdf', tipo: 'CEDULA' }]);
+  assert.equal((await manager.getStoredDocuments(notification))[0].tipo, 'ANEXO');
+});
+
+test('the download cap and a dialog that never opens keep what is already stored', async () => {
+  const notification = buildNotification();
+
+  const capped = createManager({ maxPerRun: 0 });
+  const partial = storeFile(capped, notification, 'cedula.pdf', 'CEDULA');
+  await capped.processPageDocuments(new FakePage(), null, [notification]);
+  assert.deepEqual(notification.documentos.map(documento => documento.ruta), [partial.ruta]);
+
+  const manager = createManager();
+  useDownloads(manager, notification, []);
+  await manager.processPageDocuments(new FakePage(), null, [notification]);
+  assert.deepEqual(notification.documentos.map(documento => documento.ruta), [partial.ruta]);
+  assert.equal(await manager.readManifest(manager.getDocumentKey(notification)), null);
+});
+
+test('the documents button is taken from the row whose notification cell is exactly the number', async () => {
+  const manager = createManager();
+  const row = (cells, button) => ({
+    querySelectorAll: () => cells.map(text => ({ textContent: text })),
+    $: async () => button
+  });
+  const wrong = { id: 'btnAnexos-1234' };
+  const right = { id: 'btnAnexos-123' };
+  const tableBody = {
+    $$: async () => [row([' 1234 ', '00123-2025-0-1801-JR-CI-01'], wrong), row(['123', '00999-2025-0-1801-JR-CI-01'], right)]
+  };
+
+  assert.equal(await manager.findRowOpenButton(new FakePage(), tableBody, '123', 0), right);
+  assert.equal(await manager.findRowOpenButton(new FakePage(), tableBody, '1234', 0), wrong);
+  assert.equal(await manager.findRowOpenButton(new FakePage(), tableBody, '123', 1), null);
+  assert.equal(await manager.findRowOpenButton(new FakePage(), tableBody, '123'), right);
+});
+
+test('document keys are built from the expediente and notification with unsafe characters replaced', () => {
+  const manager = createManager();
+
+  assert.equal(manager.getDocumentKey(buildNotification()), 'documentos/01200-2025-0-1801-JR-CI-01/41230-2025');
+  assert.equal(
+    manager.getDocumentKey(buildNotification({ numeroExpediente: ' 00045-2024 / 0401 ', numeroNotificacion: 'N°  12:3?' })),
+    'documentos/00045-2024_0401/N°_12_3_'
+  );
+  assert.equal(manager.getDocumentKey({}), 'documentos/SIN-EXPEDIENTE/SIN-NOTIFICACION');
+});
+
+test('documents are classified from the dialog label or the file name', () => {
+  const manager = createManager();
+
+  assert.equal(manager.classifyDocument('DOC_41230.pdf', 'Cédula de notificación'), 'CEDULA');
+  assert.equal(manager.classifyDocument('cedula_41230.pdf'), 'CEDULA');
+  assert.equal(manager.classifyDocument('DOC_41230.pdf', 'RESOLUCIÓN NÚMERO CINCO'), 'RESOLUCION');
+  assert.equal(manager.classifyDocument('Resolucion-5.pdf'), 'RESOLUCION');
+  assert.equal(manager.classifyDocument('escrito.pdf', 'Anexo 1-A'), 'ANEXO');
+});
@@ -0,0 +1,172 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const DynamoDBManager = require('../src/modules/database/DynamoDBManager');
+const { FakeDocumentClient } = require('./fakes');
+const { createLogger, buildNotification, useFakeDocumentClient } = require('./helpers');
+
+const TABLE = 'DocumentosSinoe';
+const HISTORY_TABLE = 'DocumentosSinoeHistorial';
+
+let docClient;
+let manager;
+
+beforeEach(() => {
+  docClient = new FakeDocumentClient();
+  manager = useFakeDocumentClient(new DynamoDBManager({ enabled: true }, createLogger()), docClient);
+});
+
+function storedItem(notification = buildNotification()) {
+  return docClient.getItem(TABLE, notification);
+}
+
+test('saveNotifications stores a new notification once and only touches it on later runs', async () => {
+  const notification = buildNotification();
+
+  const first = await manager.saveNotifications([notification], 'SINOE', 'run-1');
+  assert.equal(first.success, 1);
+  assert.equal(first.newRecords, 1);
+
+  const second = await manager.saveNotifications([notification], 'SINOE', 'run-2');
+  assert.equal(second.success, 1);
+  assert.equal(second.newRecords, 0);
+
+  assert.equal(docClient.items(TABLE).length, 1);
+  assert.equal(docClient.callsOf('put').filter(params => params.TableName === TABLE).length, 1);
+  assert.equal(storedItem().ultimaEjecucionId, 'run-2');
+  assert.deepEqual(docClient.items(HISTORY_TABLE).map(entry => entry.tipoEvento), ['NUEVA']);
+});
+
+test('a content change resets envios so the notification is sent again', async () => {
+  await manager.saveNotifications([buildNotification()], 'SINOE', 'run-1');
+  assert.equal(await manager.markUserAsNotified('01200-2025-0-1801-JR-CI-01', '41230-2025', '51987654321'), true);
+  assert.equal(storedItem().envios.length, 1);
+
+  await manager.saveNotifications([buildNotification({ sumilla: 'SENTENCIA - RESOLUCIÓN NÚMERO DOCE' })], 'SINOE', 'run-2');
+
+  const item = storedItem();
+  assert.equal(item.sumilla, 'SENTENCIA - RESOLUCIÓN NÚMERO DOCE');
+  assert.deepEqual(item.envios, []);
+  assert.equal(item.version, 0);
+  assert.deepEqual(docClient.items(HISTORY_TABLE).map(entry => entry.tipoEvento).sort(), ['CAMBIO', 'NUEVA']);
+});
+
+test('an unchanged notification keeps its envios', async () => {
+  await manager.saveNotifications([buildNotification()], 'SINOE', 'run-1');
+  await manager.markUserAsNotified('01200-2025-0-1801-JR-CI-01', '41230-2025', '51987654321');
+
+  await manager.saveNotifications([buildNotification()], 'SINOE', 'run-2');
+
+  assert.equal(storedItem().envios.length, 1);
+  assert.equal(storedItem().envios[0].user, '51987654321');
+});
+
+test('a change seen without documents attached keeps the stored documents', async () => {
+  const documentos = [{ nombre: 'cedula.pdf', tipo: 'CEDULA', ruta: 'documentos/01200-2025-0-1801-JR-CI-01/41230-2025/cedula.pdf' }];
+  await manager.saveNotifications([buildNotification({ documentos })], 'SINOE', 'run-1');
+
+  await manager.saveNotifications([buildNotification({ estado: 'CERRADA', documentos: [] })], 'SINOE', 'run-2');
+
+  const item = storedItem();
+  assert.equal(item.estado, 'CERRADA');
+  assert.deepEqual(item.documentos, documentos);
+  const cambio = docClient.items(HISTORY_TABLE).find(entry => entry.tipoEvento === 'CAMBIO');
+  assert.deepEqual(cambio.cambios.map(change => change.campo), ['estado']);
+});
+
+test('markUserAsNotified keeps one envio per user and bumps the version on every write', async () => {
+  await manager.saveNotifications([buildNotification()], 'SINOE', 'run-1');
+
+  assert.equal(await manager.markUserAsNotified('01200-2025-0-1801-JR-CI-01', '41230-2025', '51987654321'), true);
+  assert.equal(await manager.markUserAsNotified('01200-2025-0-1801-JR-CI-01', '41230-2025', 51987654321), true);
+  assert.equal(await manager.markUserAsNotified('01200-2025-0-1801-JR-CI-01', '41230-2025', '51911222333'), true);
+
+  const item = storedItem();
+  assert.deepEqual(item.envios.map(envio => envio.user), ['51987654321', '51911222333']);
+  assert.ok(item.envios.every(envio => envio.enviado && envio.procesado));
+  assert.equal(item.version, 3);
+});
+
+test('markUserAsNotified gives up when another process updated the item in between', async () => {
+  await manager.saveNotifications([buildNotification()], 'SINOE', 'run-1');
+
+  // Another Lambda marks its own recipient between our read and our conditional write
+  docClient.before('update', () => {
+    docClient.seed(TABLE, [{ ...storedItem(), version: 1, envios: [{ user: '51900000000', enviado: true }] }]);
+  });
+
+  assert.equal(await manager.markUserAsNotified('01200-2025-0-1801-JR-CI-01', '41230-2025', '51987654321'), false);
+
+  const item = storedItem();
+  assert.deepEqual(item.envios.map(envio => envio.user), ['51900000000']);
+  assert.equal(item.version, 1);
+});
+
+test('getTodaysNotificationsForUser leaves out what the user already received, across pages', async () => {
+  docClient.pageSize = 2;
+  const notifications = ['41230-2025', '41231-2025', '41232-2025', '41233-2025', '41234-2025']
+    .map(numeroNotificacion => buildNotification({ numeroNotificacion }));
+  await manager.saveNotifications(notifications, 'SINOE', 'run-1');
+
+  await manager.markUserAsNotified('01200-2025-0-1801-JR-CI-01', '41231-2025', '51987654321');
+  await manager.markUserAsNotified('01200-2025-0-1801-JR-CI-01', '41233-2025', '51987654321');
+
+  const pending = await manager.getTodaysNotificationsForUser('51987654321');
+  assert.deepEqual(pending.map(item => item.numeroNotificacion).sort(), ['41230-2025', '41232-2025', '41234-2025']);
+  assert.equal((await manager.getTodaysNotificationsForUser('51911222333')).length, 5);
+  assert.ok(docClient.callsOf('query').some(params => params.ExclusiveStartKey));
+});
+
+test('markReminderSent records each hito once per user', async () => {
+  await manager.saveNotifications([buildNotification()], 'SINOE', 'run-1');
+
+  assert.equal(await manager.markReminderSent('01200-2025-0-1801-JR-CI-01', '41230-2025', '51987654321', 3, 'whatsapp'), true);
+  const updates = docClient.callsOf('update').length;
+  assert.equal(await manager.markReminderSent('01200-2025-0-1801-JR-CI-01', '41230-2025', '51987654321', 3, 'email'), true);
+  assert.equal(docClient.callsOf('update').length, updates);
+  assert.equal(await manager.markReminderSent('01200-2025-0-1801-JR-CI-01', '41230-2025', '51987654321', 1, 'whatsapp'), true);
+
+  const item = storedItem();
+  assert.ok(manager.hasReminderBeenSent(item, '51987654321', 3));
+  assert.deepEqual(item.envios[0].recordatorios.map(r => [r.hito, r.canal]), [[3, 'whatsapp'], [1, 'whatsapp']]);
+  assert.equal(item.version, 2);
+});
+
+test('markReminderSent reports a lost optimistic lock', async () => {
+  await manager.saveNotifications([buildNotification()], 'SINOE', 'run-1');
+  docClient.before('update', () => {
+    docClient.seed(TABLE, [{ ...storedItem(), version: 5 }]);
+  });
+
+  assert.equal(await manager.markReminderSent('01200-2025-0-1801-JR-CI-01', '41230-2025', '51987654321', 3, 'whatsapp'), false);
+  assert.deepEqual(storedItem().envios, []);
+});
+
+test('getUpcomingDeadlines queries the deadlines index month by month, across pages', async () => {
+  docClient.pageSize = 1;
+  await manager.saveNotifications([
+    buildNotification({ numeroNotificacion: '41230-2025', fechaVencimiento: '2025-10-28' }),
+    buildNotification({ numeroNotificacion: '41231-2025', fechaVencimiento: '2025-11-03' }),
+    buildNotification({ numeroNotificacion: '41232-2025', fechaVencimiento: '2025-11-20' }),
+    buildNotification({ numeroNotificacion: '41233-2025', fechaVencimiento: '2025-10-02' }),
+    buildNotification({ numeroNotificacion: '41234-2025' }),
+    buildNotification({ numeroNotificacion: '41235-2025', fechaVencimiento: '2025-10-30' })
+  ], 'SINOE', 'run-1');
+
+  const upcoming = await manager.getUpcomingDeadlines('2025-10-27', '2025-11-07');
+
+  assert.deepEqual(upcoming.map(item => item.numeroNotificacion), ['41230-2025', '41235-2025', '41231-2025']);
+  assert.equal(docClient.callsOf('scan').length, 0);
+  const queries = docClient.callsOf('query').filter(params => params.IndexName === 'mesVencimiento-index');
+  assert.deepEqual([...new Set(queries.map(params => params.ExpressionAttributeValues[':mes']))], ['2025-10', '2025-11']);
+  assert.ok(queries.some(params => params.ExclusiveStartKey));
+});
+
+test('only notifications with a deadline carry the sparse index key, manual plazos included', async () => {
+  await manager.saveNotifications([buildNotification({ numeroNotificacion: '41234-2025' })], 'SINOE', 'run-1');
+  assert.ok(!('mesVencimiento' in storedItem(buildNotification({ numeroNotificacion: '41234-2025' }))));
+
+  await manager.setManualPlazo('01200-2025-0-1801-JR-CI-01', '41234-2025', { dias: 3, fechaVencimiento: '2025-12-01' });
+  assert.equal(storedItem(buildNotification({ numeroNotificacion: '41234-2025' })).mesVencimiento, '2025-12');
+
+  assert.equal(manager.getMonthsBetween('2025-11-20', '2026-01-05').join(','), '2025-11,2025-12,2026-01');
+});
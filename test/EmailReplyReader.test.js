@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const EmailReplyReader = require('../src/modules/captcha/EmailReplyReader');
+const { createLogger, buildConfig } = require('./helpers');
+
+// S3 stand-in listing the keys pageSize at a time, like listObjectsV2 does 1000 at a time
+function fakeS3(objects, pageSize) {
+  const requests = [];
+  return {
+    requests,
+    listObjectsV2(params) {
+      requests.push(params);
+      return {
+        promise: async () => {
+          const start = params.ContinuationToken ? Number(params.ContinuationToken) : 0;
+          const page = objects.filter(object => object.Key.startsWith(params.Prefix)).slice(start, start + pageSize);
+          const truncated = start + pageSize < objects.length;
+          return { Contents: page, IsTruncated: truncated, NextContinuationToken: truncated ? String(start + pageSize) : undefined };
+        }
+      };
+    }
+  };
+}
+
+test('listSince follows the continuation token past the first page', async () => {
+  const config = buildConfig({
+    formFilling: { ...buildConfig().formFilling, captcha: { human: { replyBucket: 'sinoe-replies', replyPrefix: 'captcha/' } } }
+  });
+  const reader = new EmailReplyReader(config, createLogger());
+  const old = Array.from({ length: 5 }, (_, i) => ({ Key: `captcha/old-${i}`, LastModified: '2025-09-01T10:00:00.000Z' }));
+  reader.s3 = fakeS3([...old, { Key: 'captcha/reply', LastModified: '2025-10-01T10:00:00.000Z' }], 2);
+
+  const objects = await reader.listSince(new Date('2025-10-01T09:59:00.000Z'));
+
+  assert.deepEqual(objects.map(object => object.Key), ['captcha/reply']);
+  assert.deepEqual(reader.s3.requests.map(params => params.ContinuationToken), [undefined, '2', '4']);
+  assert.ok(reader.s3.requests.every(params => params.Bucket === 'sinoe-replies' && params.Prefix === 'captcha/'));
+});
@@ -0,0 +1,239 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const EthicalScraper = require('../src/ethicalScraper');
+const WhatsAppManager = require('../src/modules/whatsapp/WhatsAppManager');
+const SubscriptionManager = require('../src/modules/subscriptions/SubscriptionManager');
+const { FakeWhatsAppClient, FakeMailTransport, FakeDocumentClient } = require('./fakes');
+const {
+  createLogger,
+  buildConfig,
+  buildNotification,
+  useFakeDocumentClient,
+  useFakeMailTransport,
+  useFakeWhatsAppClient
+} = require('./helpers');
+
+const RECIPIENTS = [
+  { name: 'Dra. Quispe', phone: '987654321', email: 'quispe@estudio.test' },
+  { name: 'Dr. Rojas', phone: '911222333', email: 'rojas@estudio.test' }
+];
+
+// The real constructor reads Config.get() and builds the browser scraper; sendNotifications only needs these
+function createScraper({ overrides = {}, client = new FakeWhatsAppClient(), transport = new FakeMailTransport() } = {}) {
+  const config = buildConfig({ whatsapp: { recipients: RECIPIENTS }, ...overrides });
+  const logger = createLogger();
+
+  WhatsAppManager.reset();
+  const whatsappManager = new WhatsAppManager(config, logger);
+  useFakeDocumentClient(whatsappManager.storageManager, new FakeDocumentClient());
+  useFakeMailTransport(whatsappManager.emailManager, transport);
+  useFakeWhatsAppClient(whatsappManager, client);
+
+  const scraper = Object.assign(Object.create(EthicalScraper.prototype), {
+    config,
+    logger,
+    whatsappManager,
+    subscriptionManager: new SubscriptionManager(config, logger),
+    deadlineCalculator: whatsappManager.deadlineCalculator,
+    caseRegistry: whatsappManager.caseRegistry,
+    extractedData: null
+  });
+  return { scraper, client, transport };
+}
+
+async function extract(scraper, notifications) {
+  await scraper.whatsappManager.storageManager.saveNotifications(notifications, 'SINOE', 'run-1');
+  scraper.extractedData = { notifications };
+}
+
+afterEach(() => {
+  WhatsAppManager.reset();
+});
+
+test('WhatsApp delivery does not send emails', async () => {
+  const { scraper, client, transport } = createScraper();
+  await extract(scraper, [buildNotification()]);
+
+  assert.equal(await scraper.sendNotifications(), true);
+  assert.equal(client.messagesTo('51987654321').length, 1);
+  assert.equal(client.messagesTo('51911222333').length, 1);
+  assert.equal(transport.sent.length, 0);
+});
+
+test('falls back to email when no WhatsApp message goes out', async () => {
+  const client = new FakeWhatsAppClient();
+  client.sendError = new Error('Session closed');
+  const { scraper, transport } = createScraper({ client });
+  // Recovery would recreate the real Client (and Chromium)
+  scraper.whatsappManager.attemptClientRecovery = async () => false;
+  await extract(scraper, [buildNotification(), buildNotification({ numeroNotificacion: '41231-2025', estado: 'CERRADA' })]);
+
+  assert.equal(await scraper.sendNotifications(), true);
+  assert.equal(client.sent.length, 0);
+  assert.deepEqual(transport.sent.map(mail => mail.to), ['quispe@estudio.test', 'rojas@estudio.test']);
+  assert.equal(transport.sent[0].subject, '🏛️ SINOE - 2 Notificaciones: 1 Abiertas, 1 Cerradas');
+  assert.ok(transport.sent[0].html.includes('41231-2025'));
+});
+
+test('the email fallback goes to the configured client email when no recipient has one', async () => {
+  const client = new FakeWhatsAppClient();
+  client.sendError = new Error('Session closed');
+  const { scraper, transport } = createScraper({
+    client,
+    overrides: {
+      whatsapp: { recipients: [{ name: 'Dra. Quispe', phone: '987654321' }] },
+      email: { clientEmail: 'mesa-de-partes@estudio.test' }
+    }
+  });
+  scraper.whatsappManager.attemptClientRecovery = async () => false;
+  await extract(scraper, [buildNotification()]);
+
+  assert.equal(await scraper.sendNotifications(), true);
+  assert.deepEqual(transport.sent.map(mail => mail.to), ['mesa-de-partes@estudio.test']);
+});
+
+test('reports failure when both WhatsApp and email fail', async () => {
+  const client = new FakeWhatsAppClient();
+  client.sendError = new Error('Session closed');
+  const { scraper, transport } = createScraper({ client, transport: new FakeMailTransport({ failWith: 'Daily sending quota exceeded' }) });
+  scraper.whatsappManager.attemptClientRecovery = async () => false;
+  await extract(scraper, [buildNotification()]);
+
+  assert.equal(await scraper.sendNotifications(), false);
+  assert.equal(transport.sent.length, 0);
+  assert.ok(scraper.logger.messages('error').includes('❌ Both WhatsApp and Email notifications failed'));
+});
+
+test('no email fallback when email is disabled', async () => {
+  const client = new FakeWhatsAppClient();
+  client.sendError = new Error('Session closed');
+  const { scraper, transport } = createScraper({ client, overrides: { email: { enabled: false } } });
+  scraper.whatsappManager.attemptClientRecovery = async () => false;
+  await extract(scraper, [buildNotification()]);
+
+  assert.equal(await scraper.sendNotifications(), false);
+  assert.equal(transport.sent.length, 0);
+});
+
+test('nothing is sent when sendOnSuccess is off', async () => {
+  const { scraper, client, transport } = createScraper({ overrides: { whatsapp: { recipients: RECIPIENTS, sendOnSuccess: false } } });
+  await extract(scraper, [buildNotification()]);
+
+  assert.equal(await scraper.sendNotifications(), false);
+  assert.equal(client.sent.length, 0);
+  assert.equal(transport.sent.length, 0);
+});
+
+function selectorReport({ drift = [], missing = [], checked = [] } = {}) {
+  return { matches: {}, drift, missing, checked };
+}
+
+const TABLE_DRIFT = {
+  target: 'tablaNotificaciones',
+  label: 'Tabla de notificaciones',
+  primary: '//*[@id="frmBusqueda:tblLista_data"]',
+  selector: 'table tbody[id*="tblLista_data"]'
+};
+
+test('selector drift alerts the administrator once', async () => {
+  const { scraper, client, transport } = createScraper({ overrides: { admin: { phone: '51999888777', email: 'admin@estudio.test' } } });
+  scraper.storageManager = scraper.whatsappManager.storageManager;
+  const report = selectorReport({ drift: [TABLE_DRIFT], checked: ['tablaNotificaciones'] });
+
+  assert.equal(await scraper.checkSelectorHealth(report), true);
+  const [message] = client.messagesTo('51999888777');
+  assert.ok(message.includes('Tabla de notificaciones: el selector principal "//*[@id="frmBusqueda:tblLista_data"]" ya no funciona'));
+  assert.deepEqual(transport.sent.map(mail => mail.to), ['admin@estudio.test']);
+
+  assert.equal(await scraper.checkSelectorHealth(report), false);
+  assert.equal(client.sent.length, 1);
+  assert.equal(transport.sent.length, 1);
+});
+
+test('selector problems of pages the run did not reach are kept until checked again', async () => {
+  const { scraper, client } = createScraper({ overrides: { admin: { phone: '51999888777' }, email: { enabled: false } } });
+  scraper.storageManager = scraper.whatsappManager.storageManager;
+  await scraper.checkSelectorHealth(selectorReport({ drift: [TABLE_DRIFT], checked: ['tablaNotificaciones'] }));
+
+  // Login failed: the bandeja was never on screen
+  assert.equal(await scraper.checkSelectorHealth(selectorReport({ checked: ['usuario'] })), false);
+  assert.deepEqual((await scraper.storageManager.getSelectorHealth()).problemas.map(problem => problem.target), ['tablaNotificaciones']);
+
+  // Primary selector back: the problem is cleared, so a new drift alerts again
+  await scraper.checkSelectorHealth(selectorReport({ checked: ['tablaNotificaciones'] }));
+  assert.deepEqual((await scraper.storageManager.getSelectorHealth()).problemas, []);
+  assert.equal(await scraper.checkSelectorHealth(selectorReport({ drift: [TABLE_DRIFT], checked: ['tablaNotificaciones'] })), true);
+  assert.equal(client.messagesTo('51999888777').length, 2);
+});
+
+// processAccount with one target URL whose scrapeUrl result is given; the account store only counts calls
+function createAccountRun(result) {
+  const { scraper } = createScraper({ overrides: { targetUrls: ['https://casillas.pj.gob.pe/sinoe/login.xhtml'] } });
+  const calls = { blockLogin: 0, clearLoginBlock: 0 };
+  Object.assign(scraper, {
+    results: [],
+    scraper: {
+      startAccount: async () => {},
+      scrapeUrl: async () => ({ status: 'success', failedStep: null, error: null, extractedData: null, ...result }),
+      endAccount: async () => {}
+    },
+    accountManager: {
+      getLoginBlock: async () => null,
+      buildAccountConfig: account => account,
+      blockLogin: async () => { calls.blockLogin++; },
+      clearLoginBlock: async () => { calls.clearLoginBlock++; },
+      tagNotifications: notifications => notifications
+    }
+  });
+  return { scraper, calls };
+}
+
+const ACCOUNT = { id: 'estudio', label: 'Estudio' };
+const LOGGED_IN = { success: true, reason: null, retryable: true };
+
+test('a login that worked but never reached the bandeja fails the account without blocking the login', async () => {
+  const { scraper, calls } = createAccountRun({
+    loginSuccess: true,
+    login: LOGGED_IN,
+    failedStep: 'navigation',
+    error: 'Could not navigate to Casillas Electrónicas'
+  });
+
+  const { summary, notifications } = await scraper.processAccount(ACCOUNT);
+
+  assert.equal(summary.status, 'failed');
+  assert.equal(summary.error, 'Could not navigate to Casillas Electrónicas');
+  assert.equal(summary.loginReason, null);
+  assert.deepEqual(notifications, []);
+  assert.deepEqual(calls, { blockLogin: 0, clearLoginBlock: 1 });
+});
+
+test('notifications read before an extraction failure are kept and the account is incomplete', async () => {
+  const { scraper } = createAccountRun({
+    loginSuccess: true,
+    login: LOGGED_IN,
+    failedStep: 'extraction',
+    error: 'Could not move past page 2',
+    extractedData: { notifications: [buildNotification()], complete: false, extractionError: 'Could not move past page 2' }
+  });
+
+  const { summary, notifications } = await scraper.processAccount(ACCOUNT);
+
+  assert.equal(summary.status, 'incomplete');
+  assert.equal(summary.error, 'Incomplete extraction: Could not move past page 2');
+  assert.equal(notifications.length, 1);
+});
+
+test('a rejected login is reported with its reason', async () => {
+  const { scraper, calls } = createAccountRun({
+    loginSuccess: false,
+    login: { success: false, reason: 'CAPTCHA_RETRIES_EXHAUSTED', message: 'Captcha retries exhausted', retryable: true }
+  });
+
+  const { summary } = await scraper.processAccount(ACCOUNT);
+
+  assert.equal(summary.status, 'failed');
+  assert.equal(summary.error, 'Captcha retries exhausted');
+  assert.equal(summary.loginReason, 'CAPTCHA_RETRIES_EXHAUSTED');
+  assert.deepEqual(calls, { blockLogin: 0, clearLoginBlock: 0 });
+});
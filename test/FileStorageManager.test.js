@@ -0,0 +1,94 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStorageManager = require('../src/modules/database/FileStorageManager');
+const { createLogger, buildNotification } = require('./helpers');
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sinoe-storage-'));
+  filePath = path.join(dir, 'data', 'notificaciones.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function createManager() {
+  const manager = new FileStorageManager({ filePath }, createLogger());
+  assert.equal(await manager.initialize(), true);
+  return manager;
+}
+
+test('initialize creates the storage file and a later instance loads its items', async () => {
+  const manager = await createManager();
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).items, []);
+
+  await manager.saveNotifications([buildNotification()], 'SINOE', 'run-1');
+
+  const reopened = await createManager();
+  const stored = await reopened.getNotification('01200-2025-0-1801-JR-CI-01', '41230-2025');
+  assert.equal(stored.sumilla, 'RESOLUCIÓN NÚMERO CINCO - AUTO ADMISORIO');
+  assert.equal(stored.version, 0);
+});
+
+test('an instance sees the writes of another instance on the same file', async () => {
+  const scraper = await createManager();
+  const whatsapp = await createManager();
+  const notification = buildNotification();
+
+  await scraper.saveNotifications([notification], 'SINOE', 'run-1');
+  assert.equal((await whatsapp.getTodaysNotificationsForUser('51987654321')).length, 1);
+
+  await whatsapp.markUserAsNotified(notification.numeroExpediente, notification.numeroNotificacion, '51987654321');
+  assert.deepEqual(await scraper.getTodaysNotificationsForUser('51987654321'), []);
+  assert.equal((await scraper.getTodaysNotificationsForUser('51911111111')).length, 1);
+});
+
+test('interleaved updates from two instances do not lose each other\'s envios', async () => {
+  const first = await createManager();
+  const second = await createManager();
+  const notification = buildNotification();
+  await first.saveNotifications([notification], 'SINOE', 'run-1');
+
+  await first.markUserAsNotified(notification.numeroExpediente, notification.numeroNotificacion, '51900000001');
+  await second.markUserAsNotified(notification.numeroExpediente, notification.numeroNotificacion, '51900000002');
+  await first.markReminderSent(notification.numeroExpediente, notification.numeroNotificacion, '51900000001', 2, 'whatsapp');
+
+  const stored = await second.getNotification(notification.numeroExpediente, notification.numeroNotificacion);
+  assert.deepEqual(stored.envios.map(envio => envio.user), ['51900000001', '51900000002']);
+  assert.equal(stored.envios[0].enviado, true);
+  assert.deepEqual(stored.envios[0].recordatorios.map(r => r.hito), [2]);
+  assert.equal(stored.version, 3);
+});
+
+test('a reminder hito is recorded once per user', async () => {
+  const manager = await createManager();
+  const notification = buildNotification();
+  await manager.saveNotifications([notification], 'SINOE', 'run-1');
+
+  assert.equal(await manager.markReminderSent(notification.numeroExpediente, notification.numeroNotificacion, '51900000001', 1, 'whatsapp'), true);
+  assert.equal(await manager.markReminderSent(notification.numeroExpediente, notification.numeroNotificacion, '51900000001', 1, 'email'), true);
+
+  const stored = await manager.getNotification(notification.numeroExpediente, notification.numeroNotificacion);
+  assert.deepEqual(stored.envios[0].recordatorios.map(({ hito, canal }) => ({ hito, canal })), [{ hito: 1, canal: 'whatsapp' }]);
+  assert.equal(manager.hasReminderBeenSent(stored, '51900000001', 1), true);
+  assert.equal(manager.hasReminderBeenSent(stored, '51900000001', 0), false);
+});
+
+test('upcoming deadlines are those whose fechaVencimiento falls in the range', async () => {
+  const manager = await createManager();
+  await manager.saveNotifications([
+    buildNotification({ numeroNotificacion: '1-2025', fechaVencimiento: '2025-10-06' }),
+    buildNotification({ numeroNotificacion: '2-2025', fechaVencimiento: '2025-10-14' }),
+    buildNotification({ numeroNotificacion: '3-2025', fechaVencimiento: '2025-10-15' }),
+    buildNotification({ numeroNotificacion: '4-2025' })
+  ], 'SINOE', 'run-1');
+
+  const upcoming = await manager.getUpcomingDeadlines('2025-10-06', '2025-10-14');
+  assert.deepEqual(upcoming.map(item => item.numeroNotificacion).sort(), ['1-2025', '2-2025']);
+});
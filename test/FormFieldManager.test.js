@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const FormFieldManager = require('../src/modules/FormFieldManager');
+const { FakePage } = require('./fakes');
+const { createLogger, buildConfig } = require('./helpers');
+
+// Solver answers are served in order; refreshing the captcha always works
+function createManager(answers, { maxCaptchaRefreshes = 2 } = {}) {
+  const config = buildConfig({
+    formFilling: {
+      ...buildConfig().formFilling,
+      selectors: { captchaById: 'input[id="frmLogin:captcha"]' },
+      captcha: { providers: 'fixture', dataset: { enabled: false }, format: { minLength: 4, maxLength: 6 } },
+      loginAutomation: { minCaptchaConfidence: 70, maxCaptchaRefreshes }
+    }
+  });
+  const manager = new FormFieldManager(config, createLogger());
+
+  const pending = [...answers];
+  manager.captchaSolver.solveCaptcha = async () => pending.shift() || null;
+  manager.captchaSolver.outcomes = [];
+  manager.captchaSolver.recordOutcome = async outcome => manager.captchaSolver.outcomes.push(outcome);
+  manager.refreshCaptcha = async () => true;
+  manager.filled = [];
+  manager.fillInput = async (page, input, value) => manager.filled.push(value);
+  return manager;
+}
+
+function loginPage() {
+  return new FakePage({ 'input[id="frmLogin:captcha"]': [FakePage.element()] });
+}
+
+test('a confident answer is filled in', async () => {
+  const manager = createManager([{ text: 'K7P3Q', confidence: 92, provider: 'openai' }]);
+
+  assert.equal(await manager.fillCaptchaFields(loginPage()), 'K7P3Q');
+  assert.deepEqual(manager.filled, ['K7P3Q']);
+});
+
+test('a doubtful answer is refreshed until a confident one comes', async () => {
+  const manager = createManager([
+    { text: 'K7P3Q', confidence: 40, provider: 'openai' },
+    { text: 'M2X9A', confidence: 88, provider: 'openai' }
+  ]);
+
+  assert.equal(await manager.fillCaptchaFields(loginPage()), 'M2X9A');
+  assert.deepEqual(manager.captchaSolver.outcomes, ['REFRESHED']);
+});
+
+test('an answer still below minCaptchaConfidence after every refresh is not submitted', async () => {
+  const manager = createManager([
+    { text: 'K7P3Q', confidence: 40, provider: 'openai' },
+    { text: 'M2X9A', confidence: 55, provider: 'openai' },
+    { text: 'R4T6W', confidence: 65, provider: 'openai' }
+  ]);
+
+  assert.equal(await manager.fillCaptchaFields(loginPage()), null);
+  assert.deepEqual(manager.filled, []);
+  assert.deepEqual(manager.captchaSolver.outcomes, ['REFRESHED', 'REFRESHED', 'DISCARDED']);
+  assert.ok(manager.logger.messages('info').includes('❌ Discarding captcha "R4T6W": low confidence (65% < 70%)'));
+});
+
+test('a value typed by a person is trusted whatever its confidence', async () => {
+  const manager = createManager([{ text: 'K7P3Q', confidence: 0 }]);
+
+  assert.equal(await manager.fillCaptchaFields(loginPage()), 'K7P3Q');
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const LoginStateMachine = require('../src/modules/login/LoginStateMachine');
+const LoginResult = require('../src/modules/login/LoginResult');
+const { FakePage } = require('./fakes');
+const { createLogger, buildConfig } = require('./helpers');
+
+const { STATES } = LoginStateMachine;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createMachine({ timeouts = {}, human = {}, deps = {} } = {}) {
+  const config = buildConfig({
+    formFilling: {
+      ...buildConfig().formFilling,
+      captcha: { providers: 'fixture', human },
+      loginAutomation: { minCaptchaConfidence: 70, timeouts }
+    }
+  });
+  const calls = [];
+  const machine = new LoginStateMachine(config, createLogger(), {
+    fillForm: async () => { calls.push('fillForm'); return 'K7P3Q'; },
+    submitForm: async () => { calls.push('submitForm'); return true; },
+    validator: { checkLoginResult: async () => { calls.push('checkLoginResult'); return 'SUCCESS'; }, lastError: null },
+    fieldManager: { recordCaptchaOutcome: async check => calls.push(`recordCaptchaOutcome:${check}`) },
+    sessionManager: { handleActiveSession: async () => true },
+    ...deps
+  });
+  machine.calls = calls;
+  return machine;
+}
+
+test('the fill timeout covers an operator captcha answer unless LOGIN_FILL_TIMEOUT is set', () => {
+  assert.equal(createMachine({ human: { timeout: 300000 } }).timeouts[STATES.INIT], 420000);
+  assert.equal(createMachine().timeouts[STATES.INIT], 240000);
+  assert.equal(createMachine({ human: { timeout: 300000 }, timeouts: { fill: 90000 } }).timeouts[STATES.INIT], 90000);
+});
+
+test('a login goes from INIT to SUCCESS', async () => {
+  const machine = createMachine();
+
+  const result = await machine.run(new FakePage());
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.history, [STATES.INIT, STATES.FILLED, STATES.SUBMITTED, STATES.SUCCESS]);
+  assert.deepEqual(machine.calls, ['fillForm', 'submitForm', 'checkLoginResult', 'recordCaptchaOutcome:SUCCESS']);
+});
+
+test('a timed-out handler is cancelled and the page abandoned', async () => {
+  const machine = createMachine({
+    timeouts: { submit: 30 },
+    deps: {
+      validator: {
+        lastError: null,
+        checkLoginResult: async () => {
+          await delay(80);
+          machine.calls.push('checkLoginResult');
+          return 'CAPTCHA_ERROR';
+        }
+      }
+    }
+  });
+  const page = new FakePage();
+
+  const result = await machine.run(page, { startState: STATES.SUBMITTED });
+
+  assert.equal(result.success, false);
+  assert.equal(result.reason, LoginResult.FAILURES.TIMEOUT);
+  assert.equal(result.message, 'SUBMITTED timed out after 30ms');
+  assert.equal(page.url(), 'about:blank');
+
+  // The late answer is not acted on: no captcha outcome recorded for an attempt that was abandoned
+  await delay(120);
+  assert.deepEqual(machine.calls, ['checkLoginResult']);
+});
@@ -0,0 +1,82 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const LoginValidator = require('../src/modules/validation/LoginValidator');
+const { FakePage } = require('./fakes');
+const { createLogger, buildConfig } = require('./helpers');
+
+function createValidator() {
+  const config = buildConfig({ formFilling: { ...buildConfig().formFilling, selectors: {} } });
+  return new LoginValidator(config, createLogger());
+}
+
+// getErrorMessages runs in the browser: the page's document maps each selector to the texts it finds
+function useDocument(textsBySelector) {
+  global.document = {
+    querySelectorAll: selector => (textsBySelector[selector] || []).map(text => ({
+      textContent: text,
+      getClientRects: () => [{}]
+    }))
+  };
+}
+
+afterEach(() => {
+  delete global.document;
+});
+
+test('SINOE login messages are classified by type', () => {
+  const validator = createValidator();
+  const cases = {
+    'El código captcha ingresado es incorrecto.': 'CAPTCHA_ERROR',
+    'Ingrese correctamente el texto de la imagen.': 'CAPTCHA_ERROR',
+    'Usuario o contraseña incorrectos.': 'CREDENTIAL_ERROR',
+    'Usuario o contraseña inválidos': 'CREDENTIAL_ERROR',
+    'Su cuenta ha sido bloqueada por exceder el número de intentos permitidos.': 'LOCKED',
+    'Usuario bloqueado, comuníquese con la mesa de ayuda.': 'LOCKED',
+    'Su contraseña ha expirado, debe cambiar su contraseña.': 'PASSWORD_EXPIRED',
+    'Su clave ha vencido.': 'PASSWORD_EXPIRED',
+    'El sistema se encuentra en mantenimiento. Intente más tarde.': 'MAINTENANCE',
+    'SINOE: Servicio temporalmente no disponible': 'MAINTENANCE'
+  };
+
+  for (const [message, type] of Object.entries(cases)) {
+    assert.equal(validator.classifyLoginError(message), type, message);
+  }
+});
+
+test('accents and case do not matter, and a lockout wins over the captcha', () => {
+  const validator = createValidator();
+
+  assert.equal(validator.classifyLoginError('USUARIO O CONTRASENA INCORRECTOS'), 'CREDENTIAL_ERROR');
+  assert.equal(validator.classifyLoginError('Código captcha incorrecto. Su cuenta ha sido bloqueada.'), 'LOCKED');
+});
+
+test('messages that are not login errors are not classified', () => {
+  const validator = createValidator();
+
+  assert.equal(validator.classifyLoginError('Bienvenido al Sistema de Notificaciones Electrónicas'), null);
+  assert.equal(validator.classifyLoginError('Se ha detectado que usted cuenta con una SESIÓN ACTIVA'), null);
+  assert.equal(validator.classifyLoginError(''), null);
+  assert.equal(validator.classifyLoginError(null), null);
+});
+
+test('only PrimeFaces message containers are read', async () => {
+  const validator = createValidator();
+  useDocument({
+    '.ui-messages-error-summary': ['  Usuario o contraseña\n incorrectos. '],
+    '.ui-growl-message': ['Usuario o contraseña incorrectos.'],
+    td: ['Si su cuenta está bloqueada comuníquese con la mesa de ayuda.'],
+    '.error': ['Su contraseña ha expirado']
+  });
+
+  const messages = await validator.getErrorMessages(new FakePage());
+
+  assert.deepEqual(messages, ['Usuario o contraseña incorrectos.']);
+});
+
+test('static help text on the login page is not a login error', async () => {
+  const validator = createValidator();
+  useDocument({ td: ['Si su cuenta está bloqueada comuníquese con la mesa de ayuda.'] });
+
+  assert.equal(await validator.checkLoginErrors(new FakePage()), null);
+  assert.equal(validator.lastError, null);
+});
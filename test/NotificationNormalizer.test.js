@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const NotificationNormalizer = require('../src/modules/extraction/NotificationNormalizer');
+const { createLogger, buildNotification } = require('./helpers');
+
+function createNormalizer() {
+  return new NotificationNormalizer(createLogger());
+}
+
+test('an expediente number is split into its parts', () => {
+  assert.deepEqual(createNormalizer().parseExpediente(' 01200-2025-0-1801-jr-ci-01 '), {
+    valido: true,
+    numero: '01200',
+    anio: 2025,
+    incidente: 0,
+    distritoJudicialCodigo: '1801',
+    organoCodigo: 'JR',
+    organo: 'Juzgado Especializado',
+    especialidadCodigo: 'CI',
+    especialidad: 'Civil',
+    juzgado: 1
+  });
+});
+
+test('unknown órgano and especialidad codes are kept, and other formats are not valid', () => {
+  const normalizer = createNormalizer();
+
+  const detalle = normalizer.parseExpediente('00045-2024-12-0401-XX-ZZ-3');
+  assert.equal(detalle.organo, 'XX');
+  assert.equal(detalle.especialidad, 'ZZ');
+  assert.equal(detalle.incidente, 12);
+
+  assert.deepEqual(normalizer.parseExpediente('EXP. 123/2024'), { valido: false });
+  assert.deepEqual(normalizer.parseExpediente(''), { valido: false });
+  assert.deepEqual(normalizer.parseExpediente(null), { valido: false });
+});
+
+test('SINOE dates become ISO timestamps in Lima time', () => {
+  const normalizer = createNormalizer();
+
+  assert.equal(normalizer.parseFecha('30/09/2025 10:00:00'), '2025-09-30T10:00:00-05:00');
+  assert.equal(normalizer.parseFecha('5/1/2025'), '2025-01-05T00:00:00-05:00');
+  assert.equal(normalizer.parseFecha('05/01/2025 3:07 p.m.'), '2025-01-05T15:07:00-05:00');
+  assert.equal(normalizer.parseFecha('05/01/2025 12:30 AM'), '2025-01-05T00:30:00-05:00');
+  assert.equal(normalizer.parseFecha('05/01/2025 12:30 PM'), '2025-01-05T12:30:00-05:00');
+});
+
+test('impossible or unrecognized dates are left unparsed', () => {
+  const normalizer = createNormalizer();
+
+  assert.equal(normalizer.parseFecha('31/02/2025'), null);
+  assert.equal(normalizer.parseFecha('01/13/2025'), null);
+  assert.equal(normalizer.parseFecha('01/01/2025 25:00'), null);
+  assert.equal(normalizer.parseFecha('2025-09-30'), null);
+  assert.equal(normalizer.parseFecha(''), null);
+});
+
+test('an oficina is split into its name, sede and number', () => {
+  const normalizer = createNormalizer();
+
+  assert.deepEqual(normalizer.parseOficina('2° JUZGADO CIVIL - SEDE ALZAMORA'), { nombre: '2° JUZGADO CIVIL', sede: 'SEDE ALZAMORA', numero: 2 });
+  assert.deepEqual(normalizer.parseOficina('  1er  JUZGADO DE PAZ LETRADO - MÓDULO   CORPORATIVO - LIMA '), {
+    nombre: '1er JUZGADO DE PAZ LETRADO',
+    sede: 'MÓDULO CORPORATIVO - LIMA',
+    numero: 1
+  });
+  assert.deepEqual(normalizer.parseOficina('SALA CIVIL PERMANENTE'), { nombre: 'SALA CIVIL PERMANENTE', sede: null, numero: null });
+  assert.deepEqual(normalizer.parseOficina(''), { nombre: '' });
+});
+
+test('normalize keeps the raw fields next to the parsed ones', () => {
+  const notification = buildNotification();
+
+  const normalized = createNormalizer().normalize(notification);
+
+  assert.equal(normalized.numeroExpediente, notification.numeroExpediente);
+  assert.equal(normalized.fecha, '30/09/2025 10:00:00');
+  assert.equal(normalized.expedienteDetalle.especialidad, 'Civil');
+  assert.equal(normalized.fechaNotificacion, '2025-09-30T10:00:00-05:00');
+  assert.equal(normalized.oficinaDetalle.sede, 'SEDE ALZAMORA');
+});
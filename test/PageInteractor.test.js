@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PageInteractor = require('../src/modules/interaction/PageInteractor');
+const { FakePage } = require('./fakes');
+const { createLogger, buildConfig } = require('./helpers');
+
+const { element } = FakePage;
+const CASILLAS = { css: 'a.ui-commandlink.ui-widget', text: 'Casillas Electrónicas' };
+
+function createInteractor(interaction = {}) {
+  const config = buildConfig({
+    formFilling: {
+      ...buildConfig().formFilling,
+      selectors: { submitButtonId: 'button[id="frmLogin:btnIngresar"]' },
+      interaction: { fastMode: true, timeout: 200, pollInterval: 10, highlightDelay: 0, ...interaction }
+    }
+  });
+  return new PageInteractor(config, createLogger());
+}
+
+test('find waits until the target shows up', async () => {
+  const interactor = createInteractor();
+  const page = new FakePage();
+  const link = element({ text: 'Casillas Electrónicas' });
+  setTimeout(() => { page.elements[CASILLAS.css] = [link]; }, 30);
+
+  const match = await interactor.find(page, 'casillasElectronicas');
+
+  assert.equal(match.element, link);
+  assert.ok(interactor.logger.messages('info').includes(`🔍 Found Enlace Casillas Electrónicas with selector "${CASILLAS.css}:contains("${CASILLAS.text}")"`));
+});
+
+test('find gives up after the timeout, or at once with a timeout of 0', async () => {
+  const interactor = createInteractor({ timeout: 50 });
+  const page = new FakePage();
+
+  const startedAt = Date.now();
+  assert.equal(await interactor.find(page, 'botonIngresar'), null);
+  assert.ok(Date.now() - startedAt >= 50);
+
+  page.queries = [];
+  assert.equal(await interactor.find(page, 'botonIngresar', { timeout: 0 }), null);
+  assert.deepEqual(page.queries, ['button[id="frmLogin:btnIngresar"]']);
+});
+
+test('a navigation click resolves as soon as the new page loads', async () => {
+  const interactor = createInteractor({ timeout: 5000 });
+  const page = new FakePage();
+  const button = element({ onClick: () => setTimeout(() => page.navigate('https://casillas.pj.gob.pe/sinoe/menu.xhtml'), 20) });
+
+  const startedAt = Date.now();
+  assert.equal(await interactor.click(page, { element: button, selector: 'button[id="frmLogin:btnIngresar"]' }, { settle: 'navigation' }), true);
+
+  assert.ok(Date.now() - startedAt < 1000);
+  assert.equal(button.clicks, 1);
+  assert.deepEqual(page.waits.map(wait => wait.type), ['navigation']);
+  assert.ok(interactor.logger.messages('info').includes('🖱️ Clicked button[id="frmLogin:btnIngresar"] - now on https://casillas.pj.gob.pe/sinoe/menu.xhtml'));
+});
+
+test('a click that never navigates still succeeds after the timeout', async () => {
+  const interactor = createInteractor({ timeout: 30 });
+  const page = new FakePage();
+
+  assert.equal(await interactor.click(page, element(), { settle: 'navigation', label: 'Botón Ingresar' }), true);
+  assert.ok(interactor.logger.messages('debug').some(message => message.startsWith('Page did not settle (navigation) within 30ms')));
+});
+
+test('AJAX clicks wait for network idle and plain clicks wait for nothing', async () => {
+  const interactor = createInteractor({ networkIdleTime: 300 });
+  const page = new FakePage();
+
+  await interactor.click(page, element());
+  await interactor.click(page, element(), { settle: 'none' });
+
+  assert.deepEqual(page.waits, [{ type: 'network', options: { idleTime: 300, timeout: 200 } }]);
+});
+
+test('elements are highlighted unless in fast mode', async () => {
+  const page = new FakePage();
+  const fast = element();
+  const watched = element();
+
+  await createInteractor({ fastMode: true }).click(page, fast, { settle: 'none' });
+  await createInteractor({ fastMode: false }).click(page, watched, { settle: 'none' });
+
+  assert.deepEqual(fast.style, {});
+  assert.deepEqual(watched.style, { border: '3px solid red', backgroundColor: 'yellow' });
+});
+
+test('a failing click is reported', async () => {
+  const interactor = createInteractor();
+  const detached = { ...element(), click: async () => { throw new Error('Node is detached from document'); } };
+
+  assert.equal(await interactor.click(new FakePage(), detached, { settle: 'none', label: 'Enlace Cerrar sesión' }), false);
+  assert.ok(interactor.logger.messages('error').includes('❌ Error clicking Enlace Cerrar sesión:'));
+});
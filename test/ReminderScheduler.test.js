@@ -0,0 +1,138 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ReminderScheduler = require('../src/modules/reminders/ReminderScheduler');
+const WhatsAppManager = require('../src/modules/whatsapp/WhatsAppManager');
+const { FakeWhatsAppClient, FakeMailTransport, FakeDocumentClient } = require('./fakes');
+const {
+  createLogger,
+  buildConfig,
+  buildNotification,
+  useFakeDocumentClient,
+  useFakeMailTransport,
+  useFakeWhatsAppClient
+} = require('./helpers');
+
+const RECIPIENTS = [
+  { name: 'Dra. Quispe', phone: '987654321', email: 'quispe@estudio.test' },
+  { name: 'Secretaría', email: 'secretaria@estudio.test' }
+];
+
+afterEach(() => {
+  WhatsAppManager.reset();
+});
+
+function createScheduler({ today = '2025-10-06', hitos = [5, 2, 1, 0] } = {}) {
+  const config = buildConfig({
+    whatsapp: { recipients: RECIPIENTS },
+    deadlines: { enabled: true, diasEfectoNotificacion: 2 },
+    reminders: { enabled: true, hitos }
+  });
+  const logger = createLogger();
+  const client = new FakeWhatsAppClient();
+  const transport = new FakeMailTransport();
+
+  WhatsAppManager.reset();
+  const whatsappManager = new WhatsAppManager(config, logger);
+  useFakeDocumentClient(whatsappManager.storageManager, new FakeDocumentClient());
+  useFakeMailTransport(whatsappManager.emailManager, transport);
+  useFakeWhatsAppClient(whatsappManager, client);
+  whatsappManager.deadlineCalculator.todayInLima = () => today;
+
+  const scheduler = new ReminderScheduler(config, logger, {
+    whatsappManager,
+    emailManager: whatsappManager.emailManager,
+    storageManager: whatsappManager.storageManager,
+    deadlineCalculator: whatsappManager.deadlineCalculator,
+    subscriptionManager: whatsappManager.subscriptionManager,
+    caseRegistry: whatsappManager.caseRegistry
+  });
+  return { scheduler, client, transport };
+}
+
+function dueOn(numeroNotificacion, fechaVencimiento) {
+  return buildNotification({ numeroNotificacion, fechaVencimiento, plazoDias: 3 });
+}
+
+test('a notification is in the smallest hito that still covers its remaining business days', () => {
+  const { scheduler } = createScheduler({ hitos: [0, 5, 2, 1, 2] });
+
+  assert.deepEqual(scheduler.hitos, [5, 2, 1, 0]);
+  assert.deepEqual([0, 1, 2, 3, 5, 6].map(remaining => scheduler.getCurrentHito(remaining)), [0, 1, 2, 5, 5, null]);
+  assert.equal(scheduler.getCurrentHito(-1), null);
+  assert.equal(scheduler.getCurrentHito(null), null);
+});
+
+test('pending reminders leave out sent hitos and come most urgent first', () => {
+  const { scheduler } = createScheduler();
+  const recordatorio = { user: '987654321', recordatorios: [{ hito: 1, canal: 'whatsapp' }] };
+
+  const pending = scheduler.getPendingReminders([
+    dueOn('1-2025', '2025-10-14'),
+    dueOn('2-2025', '2025-10-06'),
+    { ...dueOn('3-2025', '2025-10-07'), envios: [recordatorio] },
+    dueOn('4-2025', '2025-10-03')
+  ], '987654321', '2025-10-06');
+
+  assert.deepEqual(pending.map(({ item, hito, remaining }) => [item.numeroNotificacion, hito, remaining]), [
+    ['2-2025', 0, 0],
+    ['1-2025', 5, 5]
+  ]);
+});
+
+test('run sends one reminder per recipient and records each hito so it is not sent again', async () => {
+  const { scheduler, client, transport } = createScheduler();
+  await scheduler.storageManager.saveNotifications([
+    dueOn('1-2025', '2025-10-06'),
+    dueOn('2-2025', '2025-10-07'),
+    dueOn('3-2025', '2025-10-14'),
+    dueOn('4-2025', '2025-10-20')
+  ], 'SINOE', 'run-1');
+
+  const first = await scheduler.run();
+  assert.deepEqual(first, { notifications: 3, remindersSent: 6, recipientsFailed: 0 });
+
+  const [whatsapp] = client.messagesTo('51987654321');
+  assert.equal(client.sent.length, 1);
+  assert.ok(whatsapp.indexOf('🚨 VENCE HOY\n*1.* 1-2025') > 0);
+  assert.ok(whatsapp.indexOf('🔴 Vence mañana (1 día hábil)\n*2.* 2-2025') > 0);
+  assert.ok(whatsapp.includes('🟡 Vence en 5 días hábiles\n*3.* 3-2025'));
+  assert.ok(!whatsapp.includes('4-2025'));
+
+  assert.equal(transport.sent.length, 1, 'the recipient without a phone gets the reminder by email');
+  assert.equal(transport.sent[0].to, 'secretaria@estudio.test');
+  assert.equal(transport.sent[0].subject, '🚨 VENCE HOY - SINOE: 3 plazo(s) próximo(s)');
+
+  const stored = await scheduler.storageManager.getNotification('01200-2025-0-1801-JR-CI-01', '2-2025');
+  assert.deepEqual(stored.envios.map(envio => [envio.user, envio.recordatorios.map(r => `${r.hito}:${r.canal}`)]), [
+    ['987654321', ['1:whatsapp']],
+    ['secretaria@estudio.test', ['1:email']]
+  ]);
+
+  const second = await scheduler.run();
+  assert.equal(second.remindersSent, 0);
+  assert.equal(client.sent.length, 1);
+  assert.equal(transport.sent.length, 1);
+});
+
+test('a notification is reminded again when it reaches its next hito', async () => {
+  const { scheduler, client } = createScheduler();
+  await scheduler.storageManager.saveNotifications([dueOn('2-2025', '2025-10-07'), dueOn('3-2025', '2025-10-14')], 'SINOE', 'run-1');
+  await scheduler.run();
+
+  scheduler.deadlineCalculator.todayInLima = () => '2025-10-07';
+  await scheduler.run();
+
+  assert.equal(client.sent.length, 2);
+  const [, next] = client.messagesTo('51987654321');
+  assert.ok(next.includes('🚨 VENCE HOY\n*1.* 2-2025'));
+  assert.ok(!next.includes('3-2025'), 'still in hito 5, already reminded');
+});
+
+test('nothing is sent while reminders are disabled', async () => {
+  const { scheduler, client } = createScheduler();
+  scheduler.config.enabled = false;
+  await scheduler.storageManager.saveNotifications([dueOn('1-2025', '2025-10-06')], 'SINOE', 'run-1');
+
+  assert.deepEqual(await scheduler.run(), { notifications: 0, remindersSent: 0, recipientsFailed: 0 });
+  assert.equal(client.sent.length, 0);
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SearchFilterManager = require('../src/modules/search/SearchFilterManager');
+const { FakePage } = require('./fakes');
+const { createLogger, buildConfig } = require('./helpers');
+
+// missing: labels of the search fields that are not on the page
+function createManager(search, { missing = [], searchButton = true } = {}) {
+  const config = buildConfig({ search, formFilling: { ...buildConfig().formFilling, selectors: {} } });
+  const manager = new SearchFilterManager(config, createLogger());
+
+  manager.filled = [];
+  manager.fillField = async (page, target, value, label) => {
+    if (missing.includes(label)) return false;
+    manager.filled.push(label);
+    return true;
+  };
+  manager.selectEstado = async () => !missing.includes('estado');
+  manager.submitSearch = async () => searchButton;
+  return manager;
+}
+
+test('every criterion that was set is returned', async () => {
+  const manager = createManager({ fechaDesde: '01/09/2025', fechaHasta: '30/09/2025', estado: 'NO_LEIDAS' });
+
+  const applied = await manager.applyFilters(new FakePage());
+
+  assert.deepEqual(applied, {
+    fechaDesde: '01/09/2025',
+    fechaHasta: '30/09/2025',
+    expediente: null,
+    organoJurisdiccional: null,
+    estado: 'NO_LEIDAS'
+  });
+  assert.deepEqual(manager.filled, ['fecha desde', 'fecha hasta']);
+});
+
+test('criteria whose field could not be set are left out and warned about', async () => {
+  const manager = createManager(
+    { expediente: '01200-2025-0-1801-JR-CI-01', organoJurisdiccional: 'JUZGADO CIVIL', estado: 'LEIDAS' },
+    { missing: ['órgano jurisdiccional', 'estado'] }
+  );
+
+  const applied = await manager.applyFilters(new FakePage());
+
+  assert.equal(applied.expediente, '01200-2025-0-1801-JR-CI-01');
+  assert.equal(applied.organoJurisdiccional, null);
+  assert.equal(applied.estado, 'TODAS');
+  assert.ok(manager.logger.messages('warn').includes('⚠️ Search criteria not applied: órgano jurisdiccional, estado - the results are not filtered by them'));
+});
+
+test('nothing is searched when no criterion could be applied', async () => {
+  const manager = createManager({ expediente: '01200-2025-0-1801-JR-CI-01' }, { missing: ['expediente'] });
+  let searched = false;
+  manager.submitSearch = async () => { searched = true; return true; };
+
+  assert.equal(await manager.applyFilters(new FakePage()), null);
+  assert.equal(searched, false);
+});
+
+test('without a search button the default bandeja view is used', async () => {
+  const manager = createManager({ expediente: '01200-2025-0-1801-JR-CI-01' }, { searchButton: false });
+
+  assert.equal(await manager.applyFilters(new FakePage()), null);
+});
+
+test('search fields are found through the selector registry, which records misses as missing', async () => {
+  const config = buildConfig({
+    formFilling: {
+      ...buildConfig().formFilling,
+      selectors: {
+        searchExpedienteSelectors: ['input[id="frmBusqueda:txtExpediente"]', 'input[id*="numeroExpediente"]'],
+        searchEstadoSelectors: ['select[id="frmBusqueda:cboEstado"]']
+      }
+    }
+  });
+  const manager = new SearchFilterManager(config, createLogger());
+  const input = FakePage.element();
+  const page = new FakePage({ 'input[id*="numeroExpediente"]': [input] });
+
+  assert.equal(await manager.findElement(page, 'busquedaExpediente'), input);
+  assert.equal(await manager.findElement(page, 'busquedaEstado'), null);
+
+  const report = manager.selectorRegistry.getReport();
+  assert.deepEqual(report.drift.map(problem => problem.target), ['busquedaExpediente']);
+  assert.deepEqual(report.missing, [{
+    target: 'busquedaEstado',
+    label: 'Campo Estado',
+    page: 'bandeja',
+    primary: 'select[id="frmBusqueda:cboEstado"]'
+  }]);
+});
@@ -0,0 +1,155 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SelectorRegistry = require('../src/modules/selectors/SelectorRegistry');
+const { FakePage } = require('./fakes');
+const { createLogger, buildConfig } = require('./helpers');
+
+const { element } = FakePage;
+
+function createRegistry() {
+  const config = buildConfig({
+    formFilling: {
+      ...buildConfig().formFilling,
+      selectors: {
+        userByPlaceholder: 'input[placeholder="Usuario"]',
+        userCommonSelectors: ['input[id*="user"]'],
+        passwordByType: 'input[type="password"]',
+        captchaById: 'input[id="frmLogin:captcha"]',
+        captchaImageId: 'img[id="frmLogin:imgCapcha"]',
+        submitButtonId: 'button[id="frmLogin:btnIngresar"]',
+        captchaRefreshSelectors: ['[id="frmLogin:btnRefrescar"]'],
+        notificationsTableSelectors: ['//*[@id="frmBusqueda:tblLista_data"]', 'table tbody[id*="tblLista_data"]'],
+        searchButtonSelectors: ['button[id="frmBusqueda:btnBuscar"]'],
+        finalLogoutSelectors: ['a[id*="clCerrarSession"]', 'a:contains("CERRAR SESION")']
+      }
+    }
+  });
+  return new SelectorRegistry(config, createLogger());
+}
+
+test('a primary match is recorded without drift', async () => {
+  const registry = createRegistry();
+  const input = element();
+  const page = new FakePage({ 'input[placeholder="Usuario"]': [input] });
+
+  const match = await registry.find(page, 'usuario');
+
+  assert.deepEqual(match, { element: input, selector: 'input[placeholder="Usuario"]', index: 0 });
+  const report = registry.getReport();
+  assert.deepEqual(report.matches.usuario, { selector: 'input[placeholder="Usuario"]', index: 0, hits: 1, fallback: false });
+  assert.deepEqual(report.drift, []);
+});
+
+test('a fallback match is reported as drift and warned once', async () => {
+  const registry = createRegistry();
+  const page = new FakePage({ 'input[id*="user"]': [element()] });
+
+  await registry.find(page, 'usuario');
+  await registry.find(page, 'usuario');
+
+  assert.deepEqual(registry.getReport().drift, [{
+    target: 'usuario',
+    label: 'Campo Usuario',
+    primary: 'input[placeholder="Usuario"]',
+    selector: 'input[id*="user"]'
+  }]);
+  assert.equal(registry.getReport().matches.usuario.hits, 2);
+  assert.equal(registry.logger.messages('warn').filter(message => message.includes('Selector drift on usuario')).length, 1);
+});
+
+test('jQuery :contains() selectors match by text, ignoring accents and case', async () => {
+  const registry = createRegistry();
+  const link = element({ text: '  Cerrar Sesión ' });
+  const page = new FakePage({ a: [element({ text: 'Inicio' }), link] });
+
+  const match = await registry.find(page, 'cerrarSesion');
+
+  assert.equal(match.element, link);
+  assert.equal(match.selector, 'a:contains("CERRAR SESION")');
+  assert.equal(match.index, 1);
+});
+
+test('XPath strategies are queried with the xpath/ prefix', async () => {
+  const registry = createRegistry();
+  const tbody = element();
+  const page = new FakePage({ 'xpath///*[@id="frmBusqueda:tblLista_data"]': [tbody] });
+
+  const match = await registry.find(page, 'tablaNotificaciones');
+
+  assert.equal(match.element, tbody);
+  assert.equal(match.index, 0);
+  assert.ok(page.queries.includes('xpath///*[@id="frmBusqueda:tblLista_data"]'));
+});
+
+test('targets acted on skip hidden or disabled elements', async () => {
+  const registry = createRegistry();
+  const visible = element({ text: 'FINALIZAR SESIONES' });
+  const page = new FakePage({
+    'button, input[type="submit"], input[type="button"]': [
+      element({ text: 'FINALIZAR SESIONES', visible: false }),
+      element({ value: 'FINALIZAR SESIONES', disabled: true }),
+      visible
+    ]
+  });
+
+  assert.equal((await registry.find(page, 'finalizarSesiones')).element, visible);
+  assert.equal(await registry.find(new FakePage({ 'input[placeholder="Usuario"]': [element({ visible: false })] }), 'usuario'), null);
+});
+
+test('an invalid selector moves on to the next strategy', async () => {
+  const registry = createRegistry();
+  const page = new FakePage({ 'table tbody[id*="tblLista_data"]': [element()] });
+  page.failing.add('xpath///*[@id="frmBusqueda:tblLista_data"]');
+
+  const match = await registry.find(page, 'tablaNotificaciones');
+
+  assert.equal(match.selector, 'table tbody[id*="tblLista_data"]');
+});
+
+test('the health check reports required targets nothing matches, but not optional ones', async () => {
+  const registry = createRegistry();
+  const page = new FakePage({
+    'input[placeholder="Usuario"]': [element()],
+    'input[type="password"]': [element()],
+    'img[id="frmLogin:imgCapcha"]': [element()],
+    'button[id="frmLogin:btnIngresar"]': [element()]
+  });
+
+  const result = await registry.check(page, 'login');
+
+  assert.deepEqual(result.found, ['usuario', 'password', 'captchaImagen', 'botonIngresar']);
+  assert.deepEqual(result.missing, ['captcha']);
+  const report = registry.getReport();
+  assert.deepEqual(report.missing, [{ target: 'captcha', label: 'Campo Captcha', page: 'login', primary: 'input[id="frmLogin:captcha"]' }]);
+  assert.ok(!report.checked.includes('captchaRefrescar'));
+
+  registry.reset();
+  assert.deepEqual(registry.getReport(), { matches: {}, drift: [], missing: [], checked: [] });
+});
+
+test('targets can be looked up inside an element, all at once, and misses reported by callers', async () => {
+  const config = buildConfig({
+    formFilling: {
+      ...buildConfig().formFilling,
+      selectors: {
+        notificationDocumentsDialogSelectors: ['[id*="dlgAnexos"]'],
+        notificationDocumentLinkSelectors: ['a[id*="lnkDescarga"]', 'a[href*=".pdf"]']
+      }
+    }
+  });
+  const registry = new SelectorRegistry(config, createLogger());
+  const links = [element(), element()];
+  const dialog = new FakePage({ 'a[href*=".pdf"]': links });
+  const page = new FakePage({ 'a[id*="lnkDescarga"]': [element()] });
+
+  const match = await registry.findAll(page, 'enlaceDocumento', { root: dialog });
+
+  assert.deepEqual(match, { elements: links, selector: 'a[href*=".pdf"]', index: 1 });
+  assert.deepEqual(page.queries, []);
+  assert.equal(await registry.find(page, 'enlaceDocumento', { root: new FakePage() }), null);
+
+  registry.reportMissing('dialogoDocumentos', 'documentos');
+  registry.reportMissing('enlaceDocumento', 'documentos'); // already matched this run
+  assert.deepEqual(registry.getReport().missing.map(problem => problem.target), ['dialogoDocumentos']);
+  assert.deepEqual(registry.getReport().drift.map(problem => problem.target), ['enlaceDocumento']);
+});
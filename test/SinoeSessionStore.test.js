@@ -0,0 +1,107 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SinoeSessionStore = require('../src/modules/session/SinoeSessionStore');
+const { FakePage } = require('./fakes');
+const { createLogger } = require('./helpers');
+
+const BANDEJA_URL = 'https://casillas.pj.gob.pe/sinoe/pages/casillas/notificaciones/notificacion-bandeja.xhtml';
+const LOGIN_URL = 'https://casillas.pj.gob.pe/sinoe/login.xhtml';
+
+let localPath;
+
+beforeEach(() => {
+  localPath = fs.mkdtempSync(path.join(os.tmpdir(), 'sinoe-sesion-'));
+});
+
+afterEach(() => {
+  fs.rmSync(localPath, { recursive: true, force: true });
+});
+
+async function createStore({ account = 'estudio', usuario = 'usuario-test', secret = 'secreto-de-prueba', maxAgeHours = 8 } = {}) {
+  const store = new SinoeSessionStore({
+    sessionReuse: { enabled: true, secret, storage: 'local', localPath, prefix: 'sesiones', maxAgeHours },
+    account: { id: account },
+    formFilling: { fields: { usuario } }
+  }, createLogger());
+  await store.initialize();
+  return store;
+}
+
+// A logged-in page: FakePage has no cookie jar and evaluate would need a browser window
+function loggedInPage(cookies, sessionStorage = { 'sinoe.token': 'tk-123' }) {
+  return Object.assign(new FakePage({}, { url: BANDEJA_URL }), {
+    cookies: async () => cookies,
+    evaluate: async () => sessionStorage
+  });
+}
+
+function snapshotFile(account = 'estudio') {
+  return path.join(localPath, 'sesiones', `${account}.enc`);
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+
+test('a saved session loads back with its cookies and sessionStorage', async () => {
+  const store = await createStore();
+  const page = loggedInPage([
+    { name: 'JSESSIONID', value: 'sesion-secreta-abc', domain: 'casillas.pj.gob.pe', path: '/sinoe', expires: -1, size: 28, session: true },
+    { name: 'remember', value: 'r-1', domain: 'casillas.pj.gob.pe', path: '/', expires: now() + 3600, httpOnly: true },
+    { name: 'old', value: 'o-1', domain: 'casillas.pj.gob.pe', path: '/', expires: now() - 60 }
+  ]);
+
+  assert.equal(await store.save(page, LOGIN_URL), true);
+  assert.equal(fs.readFileSync(snapshotFile(), 'utf8').includes('sesion-secreta-abc'), false, 'the snapshot is encrypted');
+
+  const snapshot = await (await createStore()).load();
+  assert.equal(snapshot.url, BANDEJA_URL);
+  assert.deepEqual(snapshot.sessionStorage, { 'sinoe.token': 'tk-123' });
+  assert.deepEqual(snapshot.cookies.map(cookie => cookie.name), ['JSESSIONID', 'remember']);
+  assert.deepEqual(snapshot.cookies[0], { name: 'JSESSIONID', value: 'sesion-secreta-abc', domain: 'casillas.pj.gob.pe', path: '/sinoe' });
+});
+
+test('a tampered snapshot is rejected and removed', async () => {
+  const store = await createStore();
+  await store.save(loggedInPage([{ name: 'JSESSIONID', value: 'abc', expires: -1 }]), LOGIN_URL);
+
+  const envelope = JSON.parse(fs.readFileSync(snapshotFile(), 'utf8'));
+  const data = Buffer.from(envelope.data, 'base64');
+  data[0] ^= 1;
+  fs.writeFileSync(snapshotFile(), JSON.stringify({ ...envelope, data: data.toString('base64') }));
+
+  assert.equal(await store.load(), null);
+  assert.equal(fs.existsSync(snapshotFile()), false);
+});
+
+test('a snapshot does not decrypt with another secret or under another account', async () => {
+  await (await createStore()).save(loggedInPage([{ name: 'JSESSIONID', value: 'abc', expires: -1 }]), LOGIN_URL);
+  fs.copyFileSync(snapshotFile(), snapshotFile('otra'));
+
+  const otherAccount = await createStore({ account: 'otra' });
+  assert.equal(await otherAccount.load(), null);
+  assert.match(otherAccount.logger.messages('warn')[0], /Could not read saved SINOE session for account otra/);
+
+  assert.equal(await (await createStore({ secret: 'otro-secreto' })).load(), null);
+  assert.equal(fs.existsSync(snapshotFile()), false);
+});
+
+test('a snapshot of other credentials or past its maximum age is discarded', async () => {
+  await (await createStore()).save(loggedInPage([{ name: 'JSESSIONID', value: 'abc', expires: -1 }]), LOGIN_URL);
+  assert.equal(await (await createStore({ usuario: 'otro-usuario' })).load(), null);
+  assert.equal(fs.existsSync(snapshotFile()), false);
+
+  await (await createStore()).save(loggedInPage([{ name: 'JSESSIONID', value: 'abc', expires: -1 }]), LOGIN_URL);
+  assert.equal(await (await createStore({ maxAgeHours: -1 })).load(), null);
+  assert.equal(fs.existsSync(snapshotFile()), false);
+});
+
+test('without a secret nothing is stored', async () => {
+  const store = await createStore({ secret: '' });
+
+  assert.equal(store.isEnabled(), false);
+  assert.equal(await store.save(loggedInPage([{ name: 'JSESSIONID', value: 'abc', expires: -1 }]), LOGIN_URL), false);
+  assert.equal(fs.existsSync(snapshotFile()), false);
+  assert.match(store.logger.messages('warn')[0], /SINOE_SESSION_SECRET is not set/);
+});
@@ -0,0 +1,92 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const WhatsAppManager = require('../src/modules/whatsapp/WhatsAppManager');
+const { createLogger, buildConfig, buildNotification } = require('./helpers');
+
+const EXP_QUISPE = '01200-2025-0-1801-JR-CI-01';
+const EXP_ROJAS = '03300-2025-0-1801-JR-LA-05';
+
+const NOTIFICATIONS = [
+  buildNotification({ numeroNotificacion: '41230-2025', numeroExpediente: EXP_QUISPE, cuenta: 'principal' }),
+  buildNotification({ numeroNotificacion: '41231-2025', numeroExpediente: EXP_ROJAS, cuenta: 'principal' }),
+  buildNotification({ numeroNotificacion: '50010-2025', numeroExpediente: EXP_ROJAS, cuenta: 'torres' })
+];
+
+// Quispe is subscribed to one expediente; Rojas receives only the casilla of Dra. Torres
+function createRouter() {
+  WhatsAppManager.reset();
+  const config = buildConfig({
+    whatsapp: { recipients: [{ name: 'Dra. Quispe', phone: '987654321' }], commands: { enabled: true, maxItems: 10 } },
+    accounts: [{ id: 'torres', label: 'Dra. Torres', usuario: '151151', password: 'clave', recipients: [{ name: 'Dr. Rojas', phone: '911222333' }] }]
+  });
+  const manager = new WhatsAppManager(config, createLogger());
+
+  const reglas = { '51987654321': { suscripcion: { expedientes: [EXP_QUISPE] } } };
+  Object.assign(manager.storageManager, {
+    isInitialized: true,
+    getUserPreferences: async key => reglas[key] || {},
+    getOpenNotifications: async () => NOTIFICATIONS,
+    getTodaysNotifications: async () => NOTIFICATIONS,
+    getUpcomingDeadlines: async () => NOTIFICATIONS.map(n => ({ ...n, fechaVencimiento: '2099-01-15' })),
+    getExpedienteTimeline: async numeroExpediente => {
+      const notificaciones = NOTIFICATIONS.filter(n => n.numeroExpediente === numeroExpediente);
+      return {
+        numeroExpediente,
+        notificaciones,
+        eventos: notificaciones.map(n => ({ numeroNotificacion: n.numeroNotificacion, tipoEvento: 'NUEVA', observadoEn: '2025-09-30T15:00:00.000Z', cambios: [] }))
+      };
+    }
+  });
+  return manager.commandRouter;
+}
+
+function command(body, phone) {
+  return { body, from: `${phone}@c.us`, fromMe: false };
+}
+
+afterEach(() => {
+  WhatsAppManager.reset();
+});
+
+test('/pendientes and /hoy list only the notifications the sender is subscribed to', async () => {
+  const router = createRouter();
+
+  for (const body of ['/pendientes', '/hoy']) {
+    const quispe = await router.handleMessage(command(body, '51987654321'));
+    assert.ok(quispe.includes('41230-2025'), body);
+    assert.ok(!quispe.includes('41231-2025') && !quispe.includes('50010-2025'), body);
+
+    const rojas = await router.handleMessage(command(body, '51911222333'));
+    assert.ok(rojas.includes('50010-2025'), body);
+    assert.ok(!rojas.includes('41230-2025') && !rojas.includes('41231-2025'), body);
+  }
+});
+
+test('/plazos lists only the deadlines of subscribed notifications', async () => {
+  const router = createRouter();
+
+  const reply = await router.handleMessage(command('/plazos', '51987654321'));
+
+  assert.ok(reply.includes(EXP_QUISPE));
+  assert.ok(!reply.includes(EXP_ROJAS));
+});
+
+test('/exp refuses expedientes the sender is not subscribed to', async () => {
+  const router = createRouter();
+
+  assert.equal(await router.handleMessage(command(`/exp ${EXP_ROJAS}`, '51987654321')), `🔒 No está suscrito al expediente ${EXP_ROJAS}.`);
+  assert.ok(router.logger.messages('warn').some(message => message.includes(`asked for expediente ${EXP_ROJAS}`)));
+
+  const reply = await router.handleMessage(command(`/exp ${EXP_QUISPE}`, '51987654321'));
+  assert.ok(reply.startsWith(`📄 *Expediente ${EXP_QUISPE}*`));
+  assert.ok(reply.includes('41230-2025'));
+});
+
+test('/exp shows only the sender\'s casilla notifications of a shared expediente', async () => {
+  const router = createRouter();
+
+  const reply = await router.handleMessage(command(`/exp ${EXP_ROJAS}`, '51911222333'));
+
+  assert.ok(reply.includes('50010-2025'));
+  assert.ok(!reply.includes('41231-2025'), 'history of the other casilla is left out too');
+});
@@ -0,0 +1,121 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const WhatsAppManager = require('../src/modules/whatsapp/WhatsAppManager');
+const { FakeWhatsAppClient, FakeDocumentClient } = require('./fakes');
+const { createLogger, buildConfig, buildNotification, useFakeDocumentClient, useFakeWhatsAppClient } = require('./helpers');
+
+let manager;
+
+function createManager(overrides = {}) {
+  WhatsAppManager.reset();
+  return new WhatsAppManager(buildConfig(overrides), createLogger());
+}
+
+function messageLines(message) {
+  return message.split('\n');
+}
+
+beforeEach(() => {
+  manager = createManager();
+});
+
+afterEach(() => {
+  WhatsAppManager.reset();
+});
+
+test('formatPersonalizedMessage lists each notification with its details', () => {
+  const message = manager.formatPersonalizedMessage([
+    buildNotification(),
+    buildNotification({ numeroNotificacion: '41231-2025', numeroExpediente: '01207-2025-0-1801-JP-CI-02', sumilla: null, oficinaJudicial: null })
+  ], '51987654321');
+
+  const lines = messageLines(message);
+  assert.equal(lines[0], '🏛️ *SINOE - Notificaciones Electrónicas*');
+  assert.match(lines[1], /^📅 \d{2}\/\d{2}\/\d{4}/);
+  assert.ok(lines.includes('📊 *Resumen:* 2 notificación(es) nueva(s)'));
+  assert.ok(lines.includes('🔴 *1.* 41230-2025'));
+  assert.ok(lines.includes('📄 Exp: 01200-2025-0-1801-JR-CI-01'));
+  assert.ok(lines.includes('📋 RESOLUCIÓN NÚMERO CINCO - AUTO ADMISORIO'));
+  assert.ok(lines.includes('🏢 2° JUZGADO CIVIL - SEDE ALZAMORA'));
+  assert.ok(lines.includes('📅 30/09/2025 10:00:00'));
+  assert.ok(lines.includes('🔴 *2.* 41231-2025'));
+  assert.ok(lines.includes('📋 '), 'missing sumilla is printed empty');
+  assert.equal(lines[lines.length - 1], '🤖 _Sistema SINOE - Procesamiento automático cada 3 horas_');
+});
+
+test('formatPersonalizedMessage truncates long sumillas to 80 characters', () => {
+  const sumilla = 'RESOLUCIÓN NÚMERO CINCO - '.repeat(5);
+  const message = manager.formatPersonalizedMessage([buildNotification({ sumilla })], '51987654321');
+
+  assert.ok(messageLines(message).includes(`📋 ${sumilla.substring(0, 80)}...`));
+});
+
+test('formatPersonalizedMessage shows at most 20 notifications', () => {
+  const notifications = Array.from({ length: 23 }, (_, i) => buildNotification({ numeroNotificacion: `${41230 + i}-2025` }));
+  const message = manager.formatPersonalizedMessage(notifications, '51987654321');
+
+  assert.ok(message.includes('📊 *Resumen:* 23 notificación(es) nueva(s)'));
+  assert.ok(message.includes('🔴 *20.* 41249-2025'));
+  assert.ok(!message.includes('*21.*'));
+  assert.ok(message.includes('... y 3 notificaciones adicionales.'));
+});
+
+test('formatPersonalizedMessage adds the case, casilla and deadline lines when known', () => {
+  manager = createManager({
+    accounts: [
+      { id: 'estudio', usuario: 'u1', password: 'p1' },
+      { id: 'socio', usuario: 'u2', password: 'p2' }
+    ]
+  });
+  const today = manager.deadlineCalculator.todayInLima();
+  const [year, month, day] = today.split('-');
+
+  const message = manager.formatPersonalizedMessage([
+    buildNotification({ cliente: 'Minera Andina SAC', abogadoResponsable: 'Dra. Quispe', abogadoSuplente: 'Dr. Rojas', cuentaEtiqueta: 'Estudio', fechaVencimiento: today }),
+    buildNotification({ numeroNotificacion: '41231-2025', requiereTriaje: true })
+  ], '51987654321');
+
+  const lines = messageLines(message);
+  assert.ok(lines.includes('👤 Minera Andina SAC – Dra. Quispe, suplente Dr. Rojas'));
+  assert.ok(lines.includes('🗂️ Casilla: Estudio'));
+  assert.ok(lines.includes(`⏳ Vence HOY ${day}/${month}/${year}`));
+  assert.ok(lines.includes('⚠️ Sin cliente asignado (triaje)'));
+});
+
+test('formatPersonalizedMessage leaves out the casilla with a single account', () => {
+  const message = manager.formatPersonalizedMessage([buildNotification({ cuentaEtiqueta: 'Estudio' })], '51987654321');
+
+  assert.ok(!message.includes('Casilla'));
+});
+
+test('sendPersonalizedNotifications sends pending notifications once through the client', async () => {
+  const client = new FakeWhatsAppClient();
+  const docClient = new FakeDocumentClient();
+  useFakeDocumentClient(manager.storageManager, docClient);
+  useFakeWhatsAppClient(manager, client);
+  await manager.storageManager.saveNotifications([buildNotification(), buildNotification({ numeroNotificacion: '41231-2025' })], 'SINOE', 'run-1');
+
+  const first = await manager.sendPersonalizedNotifications('987654321');
+  assert.deepEqual(first, { success: true, count: 2 });
+  assert.equal(client.messagesTo('51987654321').length, 1);
+  assert.ok(client.messagesTo('51987654321')[0].includes('2 notificación(es) nueva(s)'));
+
+  const second = await manager.sendPersonalizedNotifications('987654321');
+  assert.deepEqual(second, { success: true, count: 0 });
+  assert.equal(client.sent.length, 1);
+});
+
+test('client events drive the connection state', async () => {
+  const client = new FakeWhatsAppClient();
+  useFakeWhatsAppClient(manager, client, { ready: false });
+  assert.equal(manager.isConnected, false);
+
+  client.emitReady();
+  assert.equal(manager.isConnected, true);
+  assert.equal(manager.isClientAvailable(), true);
+
+  client.emitDisconnected('LOGOUT');
+  assert.equal(manager.isConnected, false);
+  assert.equal(await manager.sendImage('987654321', 'aGVsbG8='), false);
+  assert.equal(client.sent.length, 0);
+});
@@ -0,0 +1,49 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Config = require('../src/config');
+
+const ACCOUNT = { id: 'torres', label: 'Dra. Torres', usuario: '151151', password: 'clave' };
+const tempDirs = [];
+
+function writeAccountsFile(content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sinoe-cuentas-'));
+  tempDirs.push(dir);
+  const file = path.join(dir, 'cuentas.json');
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+afterEach(() => {
+  delete process.env.SINOE_ACCOUNTS;
+  delete process.env.SINOE_ACCOUNTS_FILE;
+  tempDirs.splice(0).forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+test('without an accounts list only the INPUT_USUARIO account runs', () => {
+  assert.deepEqual(Config.get().accounts, []);
+});
+
+test('accounts are read from SINOE_ACCOUNTS or the "cuentas" of SINOE_ACCOUNTS_FILE', () => {
+  process.env.SINOE_ACCOUNTS = JSON.stringify([ACCOUNT]);
+  assert.deepEqual(Config.get().accounts, [ACCOUNT]);
+
+  process.env.SINOE_ACCOUNTS_FILE = writeAccountsFile(JSON.stringify({ cuentas: [ACCOUNT] }));
+  assert.deepEqual(Config.get().accounts, [ACCOUNT]);
+});
+
+test('a malformed accounts configuration throws instead of falling back to the default account', () => {
+  process.env.SINOE_ACCOUNTS = '[{ "id": "torres", ';
+  assert.throws(() => Config.get(), /Invalid SINOE accounts configuration in SINOE_ACCOUNTS:/);
+
+  process.env.SINOE_ACCOUNTS = JSON.stringify(ACCOUNT);
+  assert.throws(() => Config.get(), /expected a list of accounts$/);
+
+  process.env.SINOE_ACCOUNTS_FILE = writeAccountsFile(JSON.stringify([ACCOUNT]));
+  assert.throws(() => Config.get(), /expected a list of accounts under "cuentas"/);
+
+  process.env.SINOE_ACCOUNTS_FILE = path.join(os.tmpdir(), 'no-existe', 'cuentas.json');
+  assert.throws(() => Config.get(), /Invalid SINOE accounts configuration in SINOE_ACCOUNTS_FILE .*ENOENT/);
+});
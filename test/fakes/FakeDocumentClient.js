@@ -0,0 +1,297 @@
+// In-memory AWS.DynamoDB.DocumentClient covering the calls DynamoDBManager makes: get/put/update/delete/query/scan
+// with .promise(), condition checks (ConditionalCheckFailedException), SET updates with if_not_exists,
+// projections and LastEvaluatedKey pagination. Assign it to DynamoDBManager.docClient.
+const { isDeepStrictEqual } = require('util');
+
+// [partition key, sort key] per table; the rest use DocumentosSinoe's
+const DEFAULT_KEYS = {
+  DocumentosSinoeHistorial: ['numeroExpediente', 'observacionId']
+};
+
+class FakeDocumentClient {
+  // keys: { <table>: [hash, range] }; pageSize: items per query/scan page, to exercise LastEvaluatedKey
+  constructor({ keys = {}, pageSize = null } = {}) {
+    this.keys = { ...DEFAULT_KEYS, ...keys };
+    this.pageSize = pageSize;
+    this.tables = new Map(); // table -> Map(serialized key -> item)
+    this.calls = []; // { operation, params }
+    this.hooks = []; // one-shot { operation, fn } run before the next matching call
+  }
+
+  // --- DocumentClient API ---
+
+  get(params) {
+    return this.request('get', params, () => {
+      const item = this.table(params.TableName).get(this.keyOf(params.TableName, params.Key));
+      return item ? { Item: this.project(item, params.ProjectionExpression, params.ExpressionAttributeNames) } : {};
+    });
+  }
+
+  put(params) {
+    return this.request('put', params, () => {
+      const key = this.keyOf(params.TableName, params.Item);
+      this.checkCondition(params, this.table(params.TableName).get(key));
+      this.table(params.TableName).set(key, structuredClone(params.Item));
+      return {};
+    });
+  }
+
+  update(params) {
+    return this.request('update', params, () => {
+      const key = this.keyOf(params.TableName, params.Key);
+      const existing = this.table(params.TableName).get(key);
+      this.checkCondition(params, existing);
+
+      const item = { ...structuredClone(existing || {}), ...structuredClone(params.Key) };
+      const updated = this.applyUpdate(item, params);
+      this.table(params.TableName).set(key, item);
+
+      if (params.ReturnValues === 'ALL_NEW') return { Attributes: structuredClone(item) };
+      if (params.ReturnValues === 'UPDATED_NEW') return { Attributes: Object.fromEntries(updated.map(name => [name, structuredClone(item[name])])) };
+      return {};
+    });
+  }
+
+  delete(params) {
+    return this.request('delete', params, () => {
+      const key = this.keyOf(params.TableName, params.Key);
+      this.checkCondition(params, this.table(params.TableName).get(key));
+      this.table(params.TableName).delete(key);
+      return {};
+    });
+  }
+
+  query(params) {
+    return this.request('query', params, () => {
+      const [, range] = this.keysFor(params.TableName);
+      let items = this.matching(params, params.KeyConditionExpression);
+      if (range) items.sort((a, b) => String(a[range] ?? '').localeCompare(String(b[range] ?? '')));
+      if (params.ScanIndexForward === false) items.reverse();
+      return this.page(params, items);
+    });
+  }
+
+  scan(params) {
+    return this.request('scan', params, () => this.page(params, this.matching(params, null)));
+  }
+
+  // --- Test helpers ---
+
+  seed(tableName, items) {
+    for (const item of items) this.table(tableName).set(this.keyOf(tableName, item), structuredClone(item));
+  }
+
+  items(tableName) {
+    return [...this.table(tableName).values()].map(item => structuredClone(item));
+  }
+
+  getItem(tableName, key) {
+    const item = this.table(tableName).get(this.keyOf(tableName, key));
+    return item ? structuredClone(item) : null;
+  }
+
+  // Runs fn(params) right before the next call of that operation; throwing from fn fails the call
+  before(operation, fn) {
+    this.hooks.push({ operation, fn });
+  }
+
+  callsOf(operation) {
+    return this.calls.filter(call => call.operation === operation).map(call => call.params);
+  }
+
+  // --- Internals ---
+
+  request(operation, params, handler) {
+    return {
+      promise: async () => {
+        this.calls.push({ operation, params: structuredClone(params) });
+
+        const idx = this.hooks.findIndex(hook => hook.operation === operation);
+        if (idx >= 0) {
+          const [hook] = this.hooks.splice(idx, 1);
+          await hook.fn(params);
+        }
+
+        await new Promise(resolve => setImmediate(resolve));
+        return handler();
+      }
+    };
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) this.tables.set(name, new Map());
+    return this.tables.get(name);
+  }
+
+  keysFor(tableName) {
+    return this.keys[tableName] || ['numeroExpediente', 'numeroNotificacion'];
+  }
+
+  keyOf(tableName, item) {
+    const [hash, range] = this.keysFor(tableName);
+    if (item?.[hash] === undefined || (range && item[range] === undefined)) {
+      throw this.error('ValidationException', `The provided key element does not match the schema of ${tableName}`);
+    }
+    return JSON.stringify(range ? [item[hash], item[range]] : [item[hash]]);
+  }
+
+  matching(params, keyCondition) {
+    return [...this.table(params.TableName).values()]
+      .filter(item => !keyCondition || this.evaluate(keyCondition, item, params))
+      .filter(item => !params.FilterExpression || this.evaluate(params.FilterExpression, item, params));
+  }
+
+  page(params, items) {
+    const tableKeys = this.keysFor(params.TableName);
+    let start = 0;
+    if (params.ExclusiveStartKey) {
+      start = items.findIndex(item => tableKeys.every(key => isDeepStrictEqual(item[key], params.ExclusiveStartKey[key]))) + 1;
+    }
+
+    const size = Math.min(params.Limit || Infinity, this.pageSize || Infinity);
+    const pageItems = items.slice(start, start + size);
+    const result = { Count: pageItems.length, ScannedCount: pageItems.length };
+    if (params.Select !== 'COUNT') {
+      result.Items = pageItems.map(item => this.project(item, params.ProjectionExpression, params.ExpressionAttributeNames));
+    }
+    if (start + size < items.length) {
+      const last = pageItems[pageItems.length - 1];
+      result.LastEvaluatedKey = Object.fromEntries(tableKeys.filter(Boolean).map(key => [key, last[key]]));
+    }
+    return result;
+  }
+
+  project(item, projection, names = {}) {
+    if (!projection) return structuredClone(item);
+    const projected = {};
+    for (const token of projection.split(',').map(part => part.trim())) {
+      const name = this.resolveName(token, names);
+      if (item[name] !== undefined) projected[name] = structuredClone(item[name]);
+    }
+    return projected;
+  }
+
+  checkCondition(params, existing) {
+    if (params.ConditionExpression && !this.evaluate(params.ConditionExpression, existing || {}, params)) {
+      throw this.error('ConditionalCheckFailedException', 'The conditional request failed');
+    }
+  }
+
+  // OR of AND groups of: attribute_exists, attribute_not_exists, begins_with, BETWEEN and comparisons
+  evaluate(expression, item, params) {
+    return expression.split(/\s+OR\s+/).some(group => this.splitAnd(group).every(clause => this.evaluateClause(clause.trim(), item, params)));
+  }
+
+  // "a BETWEEN :x AND :y" must not be split at its own AND
+  splitAnd(group) {
+    const clauses = [];
+    for (const part of group.split(/\s+AND\s+/)) {
+      const last = clauses[clauses.length - 1];
+      if (last && /\sBETWEEN\s+\S+$/.test(last)) clauses[clauses.length - 1] = `${last} AND ${part}`;
+      else clauses.push(part);
+    }
+    return clauses;
+  }
+
+  evaluateClause(clause, item, params) {
+    const names = params.ExpressionAttributeNames || {};
+    const attribute = token => item[this.resolveName(token, names)];
+    const operand = token => this.operand(token, item, params);
+    let match;
+
+    if ((match = clause.match(/^attribute_exists\((\S+)\)$/))) return attribute(match[1]) !== undefined;
+    if ((match = clause.match(/^attribute_not_exists\((\S+)\)$/))) return attribute(match[1]) === undefined;
+    if ((match = clause.match(/^begins_with\((\S+),\s*(\S+)\)$/))) return String(attribute(match[1]) ?? '').startsWith(operand(match[2]));
+    if ((match = clause.match(/^(\S+)\s+BETWEEN\s+(\S+)\s+AND\s+(\S+)$/))) {
+      const value = attribute(match[1]);
+      return value !== undefined && value !== null && value >= operand(match[2]) && value <= operand(match[3]);
+    }
+    if ((match = clause.match(/^(\S+)\s*(=|<>|<=|>=|<|>)\s*(\S+)$/))) {
+      const left = attribute(match[1]);
+      const right = operand(match[3]);
+      switch (match[2]) {
+        case '=': return isDeepStrictEqual(left, right);
+        case '<>': return !isDeepStrictEqual(left, right);
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+      }
+    }
+
+    throw this.error('ValidationException', `FakeDocumentClient does not support the expression "${clause}"`);
+  }
+
+  // "SET a = :v, b = if_not_exists(b, :zero) + :one"; returns the names that were set
+  applyUpdate(item, params) {
+    const names = params.ExpressionAttributeNames || {};
+    const match = (params.UpdateExpression || '').trim().match(/^SET\s+(.+)$/s);
+    if (!match) throw this.error('ValidationException', `FakeDocumentClient only supports SET updates: "${params.UpdateExpression}"`);
+
+    const original = structuredClone(item);
+    const assignments = this.splitTopLevel(match[1]).map(assignment => {
+      const [target, expression] = assignment.split(/\s*=\s*(.+)/s);
+      return { name: this.resolveName(target.trim(), names), value: this.updateValue(expression.trim(), original, params) };
+    });
+
+    for (const { name, value } of assignments) item[name] = value;
+    return assignments.map(({ name }) => name);
+  }
+
+  updateValue(expression, item, params) {
+    const match = expression.match(/^(if_not_exists\(\s*\S+?\s*,\s*\S+?\s*\)|\S+)(?:\s*([+-])\s*(\S+))?$/);
+    if (!match) throw this.error('ValidationException', `FakeDocumentClient does not support the update "${expression}"`);
+
+    const ifNotExists = match[1].match(/^if_not_exists\(\s*(\S+?)\s*,\s*(\S+?)\s*\)$/);
+    let value = ifNotExists
+      ? (this.operand(ifNotExists[1], item, params) ?? this.operand(ifNotExists[2], item, params))
+      : this.operand(match[1], item, params);
+
+    if (match[2] === '+') value += this.operand(match[3], item, params);
+    if (match[2] === '-') value -= this.operand(match[3], item, params);
+    return structuredClone(value);
+  }
+
+  splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (char === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+  }
+
+  operand(token, item, params) {
+    if (token.startsWith(':')) {
+      if (!params.ExpressionAttributeValues || !(token in params.ExpressionAttributeValues)) {
+        throw this.error('ValidationException', `Value ${token} is not defined in ExpressionAttributeValues`);
+      }
+      return params.ExpressionAttributeValues[token];
+    }
+    return item[this.resolveName(token, params.ExpressionAttributeNames || {})];
+  }
+
+  resolveName(token, names) {
+    if (!token.startsWith('#')) return token;
+    if (!(token in names)) throw this.error('ValidationException', `Name ${token} is not defined in ExpressionAttributeNames`);
+    return names[token];
+  }
+
+  error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.name = code;
+    return error;
+  }
+}
+
+module.exports = FakeDocumentClient;
@@ -0,0 +1,40 @@
+// nodemailer transport that keeps the mails in memory instead of talking to SES.
+// Use it as nodemailer.createTransport(new FakeMailTransport()) in place of EmailManager.transporter.
+class FakeMailTransport {
+  constructor({ failWith = null } = {}) {
+    this.name = 'fake';
+    this.version = '1.0.0';
+    this.sent = []; // mail.data as passed to sendMail: { from, to, subject, html, text, attachments }
+    this.failWith = failWith; // Error message returned for every send while set
+    this.closed = false;
+  }
+
+  send(mail, callback) {
+    setImmediate(() => {
+      if (this.failWith) return callback(new Error(this.failWith));
+
+      this.sent.push({ ...mail.data });
+      callback(null, {
+        envelope: mail.message.getEnvelope(),
+        messageId: `<fake-${this.sent.length}@sinoe.test>`
+      });
+    });
+  }
+
+  // nodemailer forwards verify() as-is, so it must also work without a callback
+  verify(callback) {
+    const result = this.failWith ? Promise.reject(new Error(this.failWith)) : Promise.resolve(true);
+    if (!callback) return result;
+    result.then(ok => callback(null, ok), callback);
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  sentTo(address) {
+    return this.sent.filter(mail => [].concat(mail.to || []).includes(address));
+  }
+}
+
+module.exports = FakeMailTransport;
@@ -0,0 +1,81 @@
+// Puppeteer page stand-in: each selector (XPath with its "xpath/" prefix) maps to the elements it returns.
+// Elements are plain objects with the DOM properties the page functions read; evaluate() runs them in-process.
+class FakePage {
+  constructor(elements = {}, { url = 'https://casillas.pj.gob.pe/sinoe/login.xhtml' } = {}) {
+    this.elements = elements;
+    this.currentUrl = url;
+    this.queries = []; // Every selector passed to $ or $$
+    this.failing = new Set(); // Selectors that throw like an invalid selector would
+    this.waits = []; // { type, options } of every waitForNavigation / waitForNetworkIdle
+    this.navigationListeners = [];
+  }
+
+  // onClick(page) runs when the element is clicked, e.g. to navigate
+  static element({ text = '', value = '', visible = true, disabled = false, onClick = null } = {}) {
+    return {
+      textContent: text,
+      value,
+      disabled,
+      offsetParent: visible ? {} : null,
+      style: {},
+      clicks: 0,
+      scrollIntoView: async () => {},
+      async click() {
+        this.clicks++;
+        if (onClick) await onClick();
+      }
+    };
+  }
+
+  url() {
+    return this.currentUrl;
+  }
+
+  async $(selector) {
+    return (await this.$$(selector))[0] || null;
+  }
+
+  async $$(selector) {
+    this.queries.push(selector);
+    if (this.failing.has(selector)) throw new Error(`'${selector}' is not a valid selector`);
+    return [...(this.elements[selector] || [])];
+  }
+
+  async evaluate(fn, ...args) {
+    return fn(...args);
+  }
+
+  async waitForSelector(selector, { timeout = 30000 } = {}) {
+    const element = await this.$(selector);
+    if (!element) throw new Error(`Waiting for selector \`${selector}\` failed: ${timeout}ms exceeded`);
+    return element;
+  }
+
+  // Loads another page: pending waitForNavigation calls resolve
+  navigate(url) {
+    this.currentUrl = url;
+    this.navigationListeners.splice(0).forEach(resolve => resolve());
+  }
+
+  async goto(url) {
+    this.navigate(url);
+    return null;
+  }
+
+  waitForNavigation(options = {}) {
+    this.waits.push({ type: 'navigation', options });
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Navigation timeout of ${options.timeout} ms exceeded`)), options.timeout);
+      this.navigationListeners.push(() => {
+        clearTimeout(timer);
+        resolve(null);
+      });
+    });
+  }
+
+  async waitForNetworkIdle(options = {}) {
+    this.waits.push({ type: 'network', options });
+  }
+}
+
+module.exports = FakePage;
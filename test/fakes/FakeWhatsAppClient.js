@@ -0,0 +1,93 @@
+// In-memory stand-in for the whatsapp-web.js Client: records sent messages and lets a test drive
+// the qr/ready/disconnected lifecycle. Assign it to WhatsAppManager.client and call setupEventListeners().
+const EventEmitter = require('events');
+
+class FakeWhatsAppClient extends EventEmitter {
+  // state: what getState() reports; ack: level emitted as message_ack after each send (null = never acked)
+  constructor({ state = null, ack = 2 } = {}) {
+    super();
+    this.state = state;
+    this.ack = ack;
+    this.sent = []; // { chatId, content, options, id }
+    this.sendError = null; // Error thrown by the next sendMessage calls while set
+    this.initialized = false;
+    this.destroyed = false;
+    this.counter = 0;
+  }
+
+  async initialize() {
+    this.initialized = true;
+  }
+
+  async getState() {
+    return this.state;
+  }
+
+  async sendMessage(chatId, content, options = {}) {
+    if (this.sendError) throw this.sendError;
+
+    const serial = `FAKE${++this.counter}`;
+    const message = {
+      id: { id: serial, _serialized: `true_${chatId}_${serial}` },
+      to: chatId,
+      body: typeof content === 'string' ? content : '',
+      content,
+      options
+    };
+    this.sent.push({ chatId, content, options, id: message.id });
+
+    // Like WhatsApp, the ack arrives after sendMessage has resolved
+    if (this.ack !== null) setImmediate(() => this.emit('message_ack', message, this.ack));
+    return message;
+  }
+
+  async getContacts() {
+    return [];
+  }
+
+  async destroy() {
+    this.destroyed = true;
+    this.state = null;
+  }
+
+  // Text messages sent to a phone number (digits only, as WhatsAppManager.formatPhoneNumber leaves it)
+  messagesTo(phone) {
+    return this.sent
+      .filter(message => message.chatId === `${phone}@c.us` && typeof message.content === 'string')
+      .map(message => message.content);
+  }
+
+  // --- Simulated WhatsApp events ---
+
+  emitQr(qr = 'fake-qr-code') {
+    this.emit('qr', qr);
+  }
+
+  emitReady() {
+    this.state = 'CONNECTED';
+    this.emit('authenticated');
+    this.emit('ready');
+  }
+
+  emitDisconnected(reason = 'NAVIGATION') {
+    this.state = null;
+    this.emit('disconnected', reason);
+  }
+
+  // Incoming message; the returned object collects the replies sent through message.reply()
+  receive(from, body) {
+    const message = {
+      from: `${from}@c.us`,
+      body,
+      replies: [],
+      reply: async text => {
+        message.replies.push(text);
+        return { id: { id: `FAKE-REPLY${++this.counter}` } };
+      }
+    };
+    this.emit('message', message);
+    return message;
+  }
+}
+
+module.exports = FakeWhatsAppClient;
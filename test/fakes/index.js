@@ -0,0 +1,12 @@
+// In-memory replacements for the external services, shared by the unit tests
+const FakeWhatsAppClient = require('./FakeWhatsAppClient');
+const FakeMailTransport = require('./FakeMailTransport');
+const FakeDocumentClient = require('./FakeDocumentClient');
+const FakePage = require('./FakePage');
+
+module.exports = {
+  FakeWhatsAppClient,
+  FakeMailTransport,
+  FakeDocumentClient,
+  FakePage
+};
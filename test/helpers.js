@@ -0,0 +1,100 @@
+// Shared setup for the unit tests: a silent logger, a minimal config and wiring of the fakes into the managers
+const nodemailer = require('nodemailer');
+
+// A developer's .env must not add recipients or a WhatsApp client user to the tests
+process.env.WHATSAPP_RECIPIENTS = '[]';
+delete process.env.WHATSAPP_CLIENT_USER;
+
+// Logger with the app's interface that keeps the entries instead of printing them
+function createLogger() {
+  const entries = [];
+  const logger = { entries };
+  for (const level of ['debug', 'info', 'warn', 'error']) {
+    logger[level] = (message, data = null) => entries.push({ level, message, data });
+  }
+  logger.messages = level => entries.filter(entry => !level || entry.level === level).map(entry => entry.message);
+  return logger;
+}
+
+// Only the slices the tested modules read; each override is merged into its slice
+function buildConfig(overrides = {}) {
+  const config = {
+    logLevel: 'error',
+    whatsapp: {
+      enabled: true,
+      sendOnSuccess: true,
+      notificationPhone: '',
+      recipients: [],
+      commands: { enabled: false }
+    },
+    email: {
+      enabled: true,
+      host: 'smtp.sinoe.test',
+      port: 587,
+      userEmail: 'notificaciones@estudio.test',
+      clientEmail: ''
+    },
+    aws: { enabled: false },
+    dynamodb: { enabled: true, tableName: 'DocumentosSinoe' },
+    storage: { backend: 'dynamodb' },
+    deadlines: {},
+    cases: {},
+    subscriptions: {},
+    accounts: [],
+    formFilling: {
+      fields: { usuario: 'usuario-test', password: 'clave-test', captcha: 'AUTO' },
+      formFields: {},
+      captcha: { providers: 'fixture', dataset: { enabled: false } },
+      loginAutomation: { minCaptchaConfidence: 70 }
+    }
+  };
+
+  for (const [key, value] of Object.entries(overrides)) {
+    const isSlice = value && typeof value === 'object' && !Array.isArray(value) && config[key];
+    config[key] = isSlice ? { ...config[key], ...value } : value;
+  }
+  return config;
+}
+
+// A DynamoDB-backed NotificationStore that talks to the fake instead of AWS
+function useFakeDocumentClient(storageManager, docClient) {
+  storageManager.docClient = docClient;
+  storageManager.isInitialized = true;
+  return storageManager;
+}
+
+function useFakeMailTransport(emailManager, transport) {
+  emailManager.transporter = nodemailer.createTransport(transport);
+  return emailManager;
+}
+
+// What WhatsAppManager.initializeClient does once the Client exists, without Chromium
+function useFakeWhatsAppClient(whatsappManager, client, { ready = true } = {}) {
+  whatsappManager.client = client;
+  whatsappManager.sessionName = 'sinoe-test';
+  whatsappManager.setupEventListeners();
+  if (ready) client.emitReady();
+  return whatsappManager;
+}
+
+// Notification as DataExtractor hands it to the storage
+function buildNotification(overrides = {}) {
+  return {
+    numeroNotificacion: '41230-2025',
+    numeroExpediente: '01200-2025-0-1801-JR-CI-01',
+    estado: 'ABIERTA',
+    sumilla: 'RESOLUCIÓN NÚMERO CINCO - AUTO ADMISORIO',
+    oficinaJudicial: '2° JUZGADO CIVIL - SEDE ALZAMORA',
+    fecha: '30/09/2025 10:00:00',
+    ...overrides
+  };
+}
+
+module.exports = {
+  createLogger,
+  buildConfig,
+  buildNotification,
+  useFakeDocumentClient,
+  useFakeMailTransport,
+  useFakeWhatsAppClient
+};